@@ -1,27 +1,86 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import { Play, Pause, Upload, Search, BookOpen, Globe, Plus, Music, Download, Trash2, X, Lock, LogOut, Edit3, ArrowLeft, ExternalLink } from "lucide-react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { Play, Pause, Upload, Search, BookOpen, Globe, Plus, Music, Download, Trash2, X, Lock, LogOut, Edit3, ArrowLeft, ExternalLink, Layers, BarChart3, CloudDownload, CircleCheck, HardDriveDownload, WifiOff, ArrowRight, GraduationCap, FileUp, Eye, History, Link2, Users, ListChecks, Printer } from "lucide-react";
 import { motion } from "framer-motion";
+import { Badge, Input, Button, Card, Highlight, Segmented } from "./components/ui.jsx";
+import TranscriptView from "./components/TranscriptView.jsx";
+import PronunciationPractice from "./components/PronunciationPractice.jsx";
+import { parseTranscript } from "./lib/transcript.js";
+import { isPublished, migrateLesson } from "./lib/lesson.js";
+import { parseVocabulary, serializeVocabulary } from "./lib/vocabulary.js";
+import { isScored, parseExercises } from "./lib/exercises.js";
+import { activeCueIndex, useLessonCues } from "./lib/cues.js";
+import CueRecorder from "./components/CueRecorder.jsx";
+import AudioPlayer from "./components/AudioPlayer.jsx";
+import VocabularyList from "./components/VocabularyList.jsx";
+import FlashcardReview from "./components/FlashcardReview.jsx";
+import ExerciseRunner from "./components/ExerciseRunner.jsx";
+import DictationRunner from "./components/DictationRunner.jsx";
+import { KeyboardToggle, KhmerKeyboardDock } from "./components/KhmerKeyboard.jsx";
+import { useKhmerKeyboard } from "./lib/keyboard.js";
+import ProgressDashboard from "./components/ProgressDashboard.jsx";
+import { getLearnerId, isCompleted, useProgress } from "./lib/progress.js";
+import { can, useAuth } from "./lib/auth.js";
+import SignInDialog from "./components/SignInDialog.jsx";
+import AudioUpload from "./components/AudioUpload.jsx";
+import { MAX_AUDIO_BYTES, isStoredAudio, useAudioSrc } from "./lib/audioStore.js";
+import { buildSearchIndex, searchLessons } from "./lib/search.js";
+import { downloadLesson, loadPacks, removePack, syncPacks, useOnline, usePacks } from "./lib/offline.js";
+import OfflinePanel from "./components/OfflinePanel.jsx";
+import CourseOverview from "./components/CourseOverview.jsx";
+import { defaultCurriculum, lessonsInLevel, neighbors, unmetPrerequisites } from "./lib/curriculum.js";
+import { ConflictError, lessonRepository } from "./lib/lessonRepository.js";
+import { describeInvalid, lessonsFile, validateLessons } from "./lib/schema.js";
+import { downloadFile, parseDelimited, rowsToWords } from "./lib/importExport.js";
+import ImportDialog from "./components/ImportDialog.jsx";
+import RevisionHistory from "./components/RevisionHistory.jsx";
+import { clearAutosave, loadAutosave, saveAutosave } from "./lib/revisions.js";
+import { RomanizationToggle, Romanized } from "./components/Romanized.jsx";
+import { fillRomanizations } from "./lib/romanize.js";
+import { MY_WORDS_ID } from "./lib/srs.js";
+import { buildLexicon } from "./lib/segment.js";
+import { LANGUAGES, TOPICS, useI18n, useLanguageOwner } from "./lib/i18n.js";
+import { formatRoute, goTo, listRoute, useRoute } from "./lib/routes.js";
+import ClassroomPanel from "./components/ClassroomPanel.jsx";
+import ClassReport from "./components/ClassReport.jsx";
+import { submitToJoinedClasses } from "./lib/classroomRepository.js";
+import LintReport, { LintFindings } from "./components/LintReport.jsx";
+import { focusFinding, lintAudio, lintLesson } from "./lib/lint.js";
+import HandoutDialog from "./components/HandoutDialog.jsx";
 
 /**
- * Admin mode + Lesson detail pages (hash routing for GitHub Pages)
- * - Visitors cannot add/edit/delete.
- * - Admin can Add, Edit, Delete, Export.
- * - Clicking a lesson opens a detail page at #/lesson/:id
+ * Roles + Lesson detail pages (hash routing for GitHub Pages)
+ * - Visitors (and signed-in viewers) cannot add/edit/delete.
+ * - Editors can Add, Edit, Export; admins can also Delete (see lib/auth.js).
+ * - Lessons are read and saved through lib/lessonRepository.js.
+ * - Lessons can be downloaded for offline use (lib/offline.js, #/offline).
+ * - Courses and units order the lessons (lib/curriculum.js, #/course/:id).
+ * - Clicking a lesson opens a detail page at #/lesson/:id; routes, including the
+ *   list's search and filters, are parsed and written by lib/routes.js.
+ * - Draft lessons are listed for editors only; admins open them at #/lesson/:id?draft.
+ * - Interface text comes from lib/i18n.js (English or Khmer, chosen per user).
+ * - Editors run classes (#/classes, #/class/:id); scores on assigned lessons
+ *   are also sent to the learner's classes (lib/classroom.js).
  */
 
-const ADMIN_PASS = "CHANGE_ME_ADMIN_PASS"; // <-- set your own password
-
 /** @typedef {{
  *  id: string;
  *  title: string;
  *  script: "Khmer" | "Latin";
  *  level: "Beginner" | "Intermediate" | "Advanced";
+ *  status?: "draft" | "published"; // drafts are shown to editors only; missing = published
  *  topic?: string;
  *  description?: string;
  *  audioUrl?: string;
  *  transcript?: string;
+ *  dialogue?: import("./lib/transcript.js").TranscriptLine[];
+ *  cues?: import("./lib/cues.js").Cue[];   // per-line timings, aligned with dialogue
+ *  cuesUrl?: string;                        // or a .vtt/.lrc sidecar next to the mp3
  *  vocabulary?: string
+ *  words?: import("./lib/vocabulary.js").VocabItem[];
  *  exercises?: string;
+ *  quiz?: import("./lib/exercises.js").Exercise[];
+ *  rev?: number;        // bumped by the lesson repository on every save
+ *  updatedAt?: string;
  * }} Lesson
  */
 
@@ -50,124 +109,111 @@ const DEMO_LESSONS = /** @type{Lesson[]} */ ([
   },
 ]);
 
-// ===== Small UI Primitives =====
-const Badge = ({ children }) => (
-  <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs opacity-80">
-    {children}
-  </span>
-);
-
-const Input = ({ className = "", ...props }) => (
-  <input
-    className={`w-full rounded-2xl border px-3 py-2 outline-none focus:ring focus:ring-indigo-200 ${className}`}
-    {...props}
-  />
-);
-
-const Button = ({ className = "", children, ...props }) => (
-  <button
-    className={`rounded-2xl border shadow-sm px-3 py-2 hover:shadow transition active:scale-[.99] ${className}`}
-    {...props}
-  >
-    {children}
-  </button>
-);
-
-// const Card = ({ className = "", children }) => (
-//   <div className={`rounded-2xl border bg-white/70 backdrop-blur p-4 shadow-sm ${className}`}>{children}</div>
-// );
-
-const Card = ({ className = "", children }) => (
-  <div className={`rounded-2xl border bg-white/70 backdrop-blur p-4 shadow ${className}`}>
-    {children}
-  </div>
-);
-
-// ===== Local Storage Helpers =====
-const STORAGE_KEY = "khmer_lessons_v1";
-const ADMIN_KEY = "khmer_admin_enabled";
-
-function loadLessons() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return DEMO_LESSONS;
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return DEMO_LESSONS;
-    return parsed;
-  } catch {
-    return DEMO_LESSONS;
-  }
-}
-
-function saveLessons(lessons /** @type{Lesson[]} */) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(lessons));
-  } catch {}
-}
-
-// ===== Tiny hash router =====
-function useHashRoute() {
-  const [hash, setHash] = useState(window.location.hash || "#/");
-  useEffect(() => {
-    const onHash = () => setHash(window.location.hash || "#/");
-    window.addEventListener("hashchange", onHash);
-    return () => window.removeEventListener("hashchange", onHash);
-  }, []);
-  return hash;
-}
-
-function goTo(path) {
-  window.location.hash = path; // like #/lesson/abc
-}
-
-function toPublicUrl(u) {
-  if (!u) return "";
-  if (/^https?:\/\//i.test(u)) return u; // already absolute
-  const base = (import.meta.env.BASE_URL || "/").replace(/\/+$/, "");
-  const rel  = u.replace(/^\.?\//, ""); // strip leading ./ or /
-  return `${base}/${rel}`;
-}
+const LEVELS = /** @type{Lesson["level"][]} */ (["Beginner", "Intermediate", "Advanced"]);
+const SCRIPTS = /** @type{Lesson["script"][]} */ (["Khmer", "Latin"]);
 
 // ===== Main App =====
 export default function KhmerLearnerApp() {
-  const [lessons, setLessons] = useState(DEMO_LESSONS);
+  const [lessons, setLessons] = useState(() => DEMO_LESSONS.map(migrateLesson));
+  const online = useOnline();
+  const packs = usePacks();
+  const { t, label, formatNumber, lang, setLang } = useI18n();
+  const [notice, setNotice] = useState(/** @type{Parameters<typeof t>|null} */(null)); // message key and values
+  const auth = useAuth();
+  const user = auth.user;
+  // Load lessons from the configured backend (lessons.json, local drafts or Firestore),
+  // and again whenever we come back online or an editor signs in, refreshing
+  // outdated offline packs.
+  const canSeeDrafts = can(user, "lesson:write");
+  const [storedCurriculum, setStoredCurriculum] = useState(/** @type{import("./lib/curriculum.js").Curriculum|null} */(null));
+  const refreshLessons = useCallback(async () => {
+    lessonRepository.loadCurriculum()
+      .then((c) => { if (c) setStoredCurriculum(c); })
+      .catch((err) => console.error("Could not load the curriculum:", err));
+    try {
+      const { valid, invalid } = validateLessons(await lessonRepository.list({ drafts: canSeeDrafts }));
+      if (invalid.length) {
+        console.warn("Skipped lessons that don't match the lesson schema:\n" + invalid.map(describeInvalid).join("\n"));
+        setNotice(["notice.skipped", { count: invalid.length }]);
+      }
+      if (!valid.length) return;
+      const fresh = valid.map(migrateLesson);
+      setLessons(fresh);
+      if (!navigator.onLine) return;
+      const { updated } = await syncPacks(fresh);
+      if (updated.length) setNotice(["notice.updatedOffline", { count: updated.length }]);
+    } catch (err) {
+      console.error("Could not load lessons:", err);
+      const saved = Object.values(loadPacks()).map((p) => p.lesson);
+      if (saved.length) setLessons(saved);
+    }
+  }, [canSeeDrafts]);
+  useEffect(() => { refreshLessons(); }, [online, refreshLessons]);
   useEffect(() => {
-    // Load shared lessons.json from public folder on initial load
-    fetch('./lessons.json?ts=' + Date.now(), { cache: 'no-store' })
-      .then(r => (r.ok ? r.json() : null))
-      .then(data => {
-        if (Array.isArray(data) && data.length) {
-          setLessons(data)
-        }
-      })
-      .catch((err) => {
-        console.error('Could not load lessons.json:', err)
-      })
-  }, [])
-  const [q, setQ] = useState("");
-  const [level, setLevel] = useState(/** @type{Lesson["level"]|"All"} */("All"));
-  const [script, setScript] = useState(/** @type{Lesson["script"]|"All"} */("All"));
+    if (!notice) return;
+    const timer = setTimeout(() => setNotice(null), 4000);
+    return () => clearTimeout(timer);
+  }, [notice]);
+  const searchRef = useRef(/** @type{HTMLInputElement|null} */(null));
+  const [keyboard] = useKhmerKeyboard();
   const [current, setCurrent] = useState(/** @type{Lesson|null} */(null));
   const audioRef = useRef(/** @type{HTMLAudioElement|null} */(null));
   const [isPlaying, setIsPlaying] = useState(false);
   const [showAdd, setShowAdd] = useState(false);
   const [editLesson, setEditLesson] = useState(/** @type{Lesson|null} */(null));
-  const [isAdmin, setIsAdmin] = useState(() => localStorage.getItem(ADMIN_KEY) === "1");
-  const route = useHashRoute();
+  const [editorPreview, setEditorPreview] = useState(false);
+  const [editFocus, setEditFocus] = useState(/** @type{import("./lib/lint.js").Finding|null} */(null));
+  const [showLint, setShowLint] = useState(false);
+  const [showSignIn, setShowSignIn] = useState(false);
+  const [showImport, setShowImport] = useState(false);
+  const [handoutLevel, setHandoutLevel] = useState("");
+  const route = useRoute();
+  // the list's search and filters live in the URL, so they survive reloads and can be shared
+  const q = route.page === "home" ? route.q || "" : "";
+  const level = route.page === "home" ? route.level || "All" : "All";
+  const script = route.page === "home" ? route.script || "All" : "All";
+  const setFilter = (patch) => {
+    const next = { ...route, ...patch };
+    for (const k of ["level", "script"]) if (next[k] === "All") delete next[k];
+    goTo(next, { replace: true });
+  };
+  const canWrite = can(user, "lesson:write") && !lessonRepository.readOnly;
+  const canDelete = can(user, "lesson:delete") && !lessonRepository.readOnly;
+  const canExport = can(user, "lesson:export");
+  const canReorder = can(user, "curriculum:write") && !lessonRepository.readOnly;
+  const canImport = can(user, "lesson:import") && !lessonRepository.readOnly;
+  const canPreview = can(user, "lesson:preview");
+  const canTeach = can(user, "class:teach");
+  const canLint = can(user, "lesson:lint") && canWrite;
+  // Drafts are hidden from learners; saving, import and export still use every lesson.
+  const visibleLessons = useMemo(() => (canWrite ? lessons : lessons.filter(isPublished)), [canWrite, lessons]);
+  const curriculum = useMemo(() => storedCurriculum || defaultCurriculum(visibleLessons), [storedCurriculum, visibleLessons]);
+  const [localLearnerId] = useState(getLearnerId);
+  const learnerId = user?.uid || localLearnerId;
+  useLanguageOwner(learnerId);
+  const tracker = useProgress(learnerId);
+  // a scored attempt also counts for any class that assigned it
+  const { scored, dictated } = tracker;
+  const onScored = useCallback((id, correct, total) => {
+    scored(id, correct, total);
+    submitToJoinedClasses(learnerId, id, "exercises", total ? correct / total : 0, `${correct}/${total}`);
+  }, [scored, learnerId]);
+  const onDictated = useCallback((id, accuracy, lines) => {
+    dictated(id, accuracy, lines);
+    submitToJoinedClasses(learnerId, id, "dictation", accuracy, `${lines} lines`);
+  }, [dictated, learnerId]);
+  const currentSrc = useAudioSrc(current?.audioUrl);
 
 
+  const searchIndex = useMemo(() => buildSearchIndex(visibleLessons), [visibleLessons]);
+  const lexicon = useMemo(() => buildLexicon(visibleLessons), [visibleLessons]);
   const filtered = useMemo(() => {
-    return lessons.filter((L) => {
-      const matchesQ = [L.title, L.description, L.topic, L.transcript]
-        .filter(Boolean)
-        .join("\n")
-        .toLowerCase()
-        .includes(q.toLowerCase());
+    return searchLessons(searchIndex, q).filter(({ lesson: L }) => {
       const matchesLevel = level === "All" || L.level === level;
       const matchesScript = script === "All" || L.script === script;
-      return matchesQ && matchesLevel && matchesScript;
+      return matchesLevel && matchesScript;
     });
-  }, [lessons, q, level, script]);
+  }, [searchIndex, q, level, script]);
 
   function handlePlay(lesson) {
     setCurrent(lesson);
@@ -177,76 +223,163 @@ export default function KhmerLearnerApp() {
     }, 50);
   }
   function handlePause() { audioRef.current?.pause(); setIsPlaying(false); }
-  function handleEnded() { setIsPlaying(false); }
+  function handleEnded() { setIsPlaying(false); if (current) tracker.listened(current.id); }
 
-  function removeLesson(id) {
-    if (!isAdmin) return;
+  function putLesson(L /** @type{Lesson} */) {
+    setLessons((prev) => {
+      const i = prev.findIndex((x) => x.id === L.id);
+      if (i === -1) return [L, ...prev];
+      const copy = prev.slice();
+      copy[i] = L;
+      return copy;
+    });
+  }
+  function dropLesson(id) {
     setLessons((prev) => prev.filter((L) => L.id !== id));
+  }
+
+  // Saves are optimistic: the list updates at once and is put back if the backend refuses.
+  function removeLesson(id) {
+    if (!canDelete) return;
+    const before = lessons.find((L) => L.id === id);
+    dropLesson(id);
     if (current?.id === id) { handlePause(); setCurrent(null); }
+    lessonRepository.remove(id, { baseRev: before?.rev ?? 0 }).catch((err) => {
+      if (err instanceof ConflictError) {
+        if (!err.current) return; // someone else already deleted it
+        const theirs = migrateLesson(err.current);
+        if (confirm(t("conflict.deleteAnyway", { message: err.message }))) {
+          lessonRepository.remove(id, { force: true }).catch((e) => { putLesson(theirs); alert(t("error.delete", { message: e.message })); });
+        } else putLesson(theirs);
+        return;
+      }
+      if (before) putLesson(before);
+      alert(t("error.delete", { message: err.message }));
+    });
   }
 
+  /** @returns {Promise<boolean>} false if the edit wasn't stored (the error has been shown) */
   function upsertLesson(updated /** @type{Lesson} */) {
-    setLessons((prev) => {
-      const i = prev.findIndex((x) => x.id === updated.id);
-      if (i === -1) return [updated, ...prev];
-      const copy = prev.slice();
-      copy[i] = updated;
-      return copy;
+    if (!canWrite) return Promise.resolve(false);
+    updated = migrateLesson(updated);
+    const before = lessons.find((x) => x.id === updated.id);
+    putLesson(updated);
+    const saved = (L) => { putLesson(migrateLesson(L)); return true; };
+    return lessonRepository.save(updated, { baseRev: before?.rev ?? 0 }).then(saved, (err) => {
+      if (err instanceof ConflictError) {
+        if (confirm(t("conflict.keepLesson", { message: err.message }))) {
+          return lessonRepository.save(updated, { force: true }).then(saved, (e) => { alert(t("error.save", { message: e.message })); return false; });
+        }
+        // their version wins; the edit is discarded on purpose
+        if (err.current) return saved(err.current);
+        dropLesson(updated.id);
+        return true;
+      }
+      if (before) putLesson(before); else dropLesson(updated.id);
+      alert(t("error.save", { message: err.message }));
+      return false;
     });
   }
 
-  function exportJSON() {
-    if (!isAdmin) return;
-    const blob = new Blob([JSON.stringify(lessons, null, 2)], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url; a.download = "khmer_lessons.json"; a.click();
-    URL.revokeObjectURL(url);
+  // Resolves once stored; a conflict asks whether to overwrite, like upsertLesson.
+  async function saveCurriculum(next) {
+    if (!canReorder) return;
+    const before = storedCurriculum;
+    setStoredCurriculum(next);
+    try {
+      setStoredCurriculum(await lessonRepository.saveCurriculum(next, { baseRev: before?.rev ?? 0 }));
+    } catch (err) {
+      if (!(err instanceof ConflictError)) { setStoredCurriculum(before); throw err; }
+      if (confirm(t("conflict.keepOrder", { message: err.message }))) {
+        setStoredCurriculum(await lessonRepository.saveCurriculum(next, { force: true }));
+      } else {
+        setStoredCurriculum(err.current);
+      }
+    }
   }
 
-  function enableAdmin() {
-    const input = prompt("Enter admin password");
-    if (input === ADMIN_PASS) {
-      localStorage.setItem(ADMIN_KEY, "1");
-      setIsAdmin(true);
-      alert("Admin mode enabled");
-    } else {
-      alert("Incorrect password");
-    }
+  // Applies an import previewed in ImportDialog; each lesson goes through the usual save path.
+  function importLessons({ save, remove }) {
+    if (!canImport) return;
+    save.forEach(upsertLesson);
+    remove.forEach(removeLesson);
+    setNotice(remove.length ? ["notice.importedDeleted", { count: save.length, deleted: remove.length }] : ["notice.imported", { count: save.length }]);
   }
-  function disableAdmin() {
-    localStorage.removeItem(ADMIN_KEY);
-    setIsAdmin(false);
+
+  function exportJSON() {
+    if (!can(user, "lesson:export")) return;
+    downloadFile(JSON.stringify(lessonsFile(lessons), null, 2), "khmer_lessons.json", "application/json");
+    const local = lessons.filter((L) => isStoredAudio(L.audioUrl)).length;
+    if (local) alert(t("export.localAudio", { count: local }));
+  }
+
+  function signOut() {
+    auth.signOut().catch((err) => alert(err.message));
     setShowAdd(false);
     setEditLesson(null);
+    setEditFocus(null);
+    setShowLint(false);
   }
 
   // routing
-  const [, path, maybeId] = (route || "#/").split("/"); // [#, '', 'lesson', ':id'] or similar
-  const isDetail = path === "lesson" && maybeId;
-  const lessonForDetail = isDetail ? lessons.find((l) => l.id === maybeId) || null : null;
+  const { page, id: routeId } = route;
+  const isDetail = page === "lesson" && !!routeId;
+  const isReview = page === "review";
+  const isProgress = page === "progress";
+  const isOfflinePanel = page === "offline";
+  const isCourse = page === "course";
+  const isClasses = page === "classes";
+  const isClass = page === "class" && !!routeId;
+  const draftPreview = isDetail && canPreview && !!route.draft;
+  const lessonForDetail = isDetail ? lessons.find((l) => l.id === routeId && (isPublished(l) || draftPreview)) || null : null;
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-indigo-50 via-slate-50 to-emerald-50">
+    <div className={`min-h-screen bg-gradient-to-br from-indigo-50 via-slate-50 to-emerald-50 ${keyboard.open ? "pb-80" : ""}`}>
       <header className="sticky top-0 z-20 backdrop-blur bg-white/60 border-b">
         <div className="mx-auto max-w-6xl px-4 py-3 flex items-center gap-3">
           <BookOpen className="w-6 h-6" />
-          <h1 className="text-xl font-semibold cursor-pointer" onClick={() => goTo("/#/")}>Khmer Learners</h1>
-          <Badge>Beta</Badge>
+          <h1 className="text-xl font-semibold cursor-pointer" onClick={() => goTo({ page: "home" })}>{t("app.title")}</h1>
+          <Badge>{t("app.beta")}</Badge>
+          {!online && <Badge><WifiOff className="w-3 h-3 mr-1"/> {t("app.offline")}</Badge>}
           <div className="ml-auto flex items-center gap-2">
-            {isAdmin ? (
+            <div title={t("app.language")}>
+              <Segmented options={LANGUAGES} value={lang} onChange={setLang} />
+            </div>
+            <Button onClick={() => goTo({ page: "offline" })} className="flex items-center gap-2" title={t("nav.downloadsTitle")}>
+              <HardDriveDownload className="w-4 h-4"/> {t("nav.downloads")}
+            </Button>
+            <Button onClick={() => goTo({ page: "progress" })} className="flex items-center gap-2" title={t("nav.progressTitle")}>
+              <BarChart3 className="w-4 h-4"/> {t("nav.progress")}
+            </Button>
+            <Button onClick={() => goTo({ page: "review" })} className="flex items-center gap-2" title={t("nav.flashcardsTitle")}>
+              <Layers className="w-4 h-4"/> {t("nav.flashcards")}
+            </Button>
+            <Button onClick={() => goTo({ page: "classes" })} className="flex items-center gap-2" title={t("nav.classesTitle")}>
+              <Users className="w-4 h-4"/> {t("nav.classes")}
+            </Button>
+            {user ? (
               <>
-                {!isDetail && (
-                  <Button onClick={() => setShowAdd(true)} className="flex items-center gap-2"><Plus className="w-4 h-4"/>Add lesson</Button>
+                {canWrite && page === "home" && (
+                  <Button onClick={() => setShowAdd(true)} className="flex items-center gap-2"><Plus className="w-4 h-4"/>{t("nav.addLesson")}</Button>
+                )}
+                {canExport && (
+                  <Button onClick={exportJSON} className="flex items-center gap-2"><Download className="w-4 h-4"/>{t("nav.export")}</Button>
+                )}
+                {canImport && (
+                  <Button onClick={() => setShowImport(true)} className="flex items-center gap-2"><FileUp className="w-4 h-4"/>{t("nav.import")}</Button>
                 )}
-                <Button onClick={exportJSON} className="flex items-center gap-2"><Download className="w-4 h-4"/>Export JSON</Button>
-                <Button onClick={disableAdmin} className="flex items-center gap-2" title="Disable admin">
-                  <LogOut className="w-4 h-4"/> Admin off
+                {canLint && (
+                  <Button onClick={() => setShowLint(true)} className="flex items-center gap-2" title={t("nav.lintTitle")}><ListChecks className="w-4 h-4"/>{t("nav.lint")}</Button>
+                )}
+                <span className="hidden md:inline text-sm opacity-70 truncate max-w-[12rem]" title={user.email}>{user.email}</span>
+                <Badge>{label("role", user.role)}</Badge>
+                <Button onClick={signOut} className="flex items-center gap-2" title={t("nav.signOut")}>
+                  <LogOut className="w-4 h-4"/> {t("nav.signOut")}
                 </Button>
               </>
             ) : (
-              <Button onClick={enableAdmin} className="flex items-center gap-2" title="Admin login">
-                <Lock className="w-4 h-4"/> Admin
+              <Button onClick={() => setShowSignIn(true)} className="flex items-center gap-2" title={t("nav.signIn")} disabled={auth.loading}>
+                <Lock className="w-4 h-4"/> {t("nav.signIn")}
               </Button>
             )}
           </div>
@@ -255,49 +388,153 @@ export default function KhmerLearnerApp() {
 
       {isDetail ? (
         <LessonDetail
+          key={routeId}
           lesson={lessonForDetail}
-          onBack={() => goTo("/#/")}
-          isAdmin={isAdmin}
+          savedOffline={!!packs[routeId]}
+          curriculum={curriculum}
+          lessons={visibleLessons}
+          progress={tracker.progress}
+          lexicon={lexicon}
+          userId={learnerId}
+          focusLine={route.line ? route.line - 1 : -1}
+          startAt={route.t}
+          onBack={() => goTo(listRoute())}
+          canEdit={canWrite}
           onEdit={() => setEditLesson(lessonForDetail)}
+          onOpened={tracker.opened}
+          onListened={tracker.listened}
+          onScored={onScored}
+          onDictated={onDictated}
+        />
+      ) : isReview ? (
+        <FlashcardReview
+          key={`${routeId || ""}:${visibleLessons.length}`}
+          lessons={visibleLessons}
+          lessonId={routeId}
+          userId={learnerId}
+          onReviewed={tracker.reviewed}
+          onBack={() => goTo(routeId && routeId !== MY_WORDS_ID ? { page: "lesson", id: routeId } : listRoute())}
         />
+      ) : isProgress ? (
+        <ProgressDashboard
+          lessons={visibleLessons}
+          progress={tracker.progress}
+          onProgressChange={tracker.setProgress}
+          onOpenLesson={(id) => goTo({ page: "lesson", id })}
+          onBack={() => goTo(listRoute())}
+        />
+      ) : isCourse ? (
+        <CourseOverview
+          curriculum={curriculum}
+          courseId={routeId}
+          lessons={visibleLessons}
+          progress={tracker.progress}
+          canEdit={canReorder}
+          onSave={saveCurriculum}
+          onOpenLesson={(id) => goTo({ page: "lesson", id })}
+          onOpenCourse={(id) => goTo({ page: "course", id })}
+          onBack={() => goTo(listRoute())}
+        />
+      ) : isClasses ? (
+        <ClassroomPanel
+          key={learnerId}
+          user={user}
+          learnerId={learnerId}
+          lessons={visibleLessons}
+          canTeach={canTeach}
+          onOpenClass={(id) => goTo({ page: "class", id })}
+          onOpenLesson={(id) => goTo({ page: "lesson", id })}
+          onSignIn={() => setShowSignIn(true)}
+          onBack={() => goTo(listRoute())}
+        />
+      ) : isClass ? (
+        <ClassReport
+          key={routeId}
+          classId={routeId}
+          user={user}
+          canTeach={canTeach}
+          lessons={visibleLessons}
+          onOpenLesson={(id) => goTo({ page: "lesson", id })}
+          onBack={() => goTo({ page: "classes" })}
+        />
+      ) : isOfflinePanel ? (
+        <OfflinePanel lessons={visibleLessons} onSync={refreshLessons} onBack={() => goTo(listRoute())} />
       ) : (
         <main className="mx-auto max-w-6xl px-4 py-6 grid gap-6">
+          {curriculum.courses.length > 0 && (
+            <section className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
+              {curriculum.courses.map((c) => {
+                const ids = c.units.flatMap((u) => u.lessons).filter((id) => visibleLessons.some((L) => L.id === id));
+                const done = ids.filter((id) => isCompleted(tracker.progress.lessons[id])).length;
+                return (
+                  <Card key={c.id} className="flex items-center gap-3">
+                    <div className="p-2 rounded-xl bg-emerald-50 border"><GraduationCap className="w-5 h-5"/></div>
+                    <div className="flex-1 min-w-0">
+                      <div className="font-semibold truncate">{c.title}</div>
+                      <div className="text-xs opacity-70">{t("home.units", { count: c.units.length })} · {t("home.lessonsDone", { done, total: ids.length })}</div>
+                    </div>
+                    <Button onClick={() => goTo({ page: "course", id: c.id })} className="text-sm py-1">{t("common.open")}</Button>
+                  </Card>
+                );
+              })}
+            </section>
+          )}
           <Card>
             <div className="flex flex-col md:flex-row md:items-end gap-3 md:gap-4">
               {/* LEFT: big search bar */}
               <div className="flex-1">
-                <label className="text-sm mb-1 block">Search lessons</label>
+                <label className="text-sm mb-1 block">{t("home.search")}</label>
                 <div className="relative">
                   <Input
+                    ref={searchRef}
                     value={q}
-                    onChange={(e) => setQ(e.target.value)}
-                    placeholder="Search by title, topic, or transcript…"
-                    className="pr-10 py-3 text-base rounded-3xl shadow-sm"
+                    onChange={(e) => setFilter({ q: e.target.value })}
+                    placeholder={t("home.searchPlaceholder")}
+                    className="pr-16 py-3 text-base rounded-3xl shadow-sm"
                   />
+                  <KeyboardToggle focus={searchRef} className="absolute right-8 top-1/2 -translate-y-1/2" />
                   <Search className="w-4 h-4 absolute right-3 top-1/2 -translate-y-1/2 opacity-60" />
                 </div>
               </div>
 
-              {/* RIGHT: move Level filter to the right */}
-              <div className="md:w-56 md:ml-auto">
-                <label className="text-sm mb-1 block">Level</label>
+              {/* RIGHT: Level and Script filters */}
+              <div className="md:w-48 md:ml-auto">
+                <label className="text-sm mb-1 block">{t("home.level")}</label>
                 <select
                   className="w-full rounded-2xl border px-3 py-2 focus:ring focus:ring-indigo-200"
                   value={level}
-                  onChange={(e) => setLevel(e.target.value)}
+                  onChange={(e) => setFilter({ level: e.target.value })}
+                >
+                  <option value="All">{t("home.allLevels")}</option>
+                  {LEVELS.map((v) => <option key={v} value={v}>{label("level", v)}</option>)}
+                </select>
+              </div>
+              <div className="md:w-48">
+                <label className="text-sm mb-1 block">{t("home.script")}</label>
+                <select
+                  className="w-full rounded-2xl border px-3 py-2 focus:ring focus:ring-indigo-200"
+                  value={script}
+                  onChange={(e) => setFilter({ script: e.target.value })}
                 >
-                  <option value="All">All levels</option>
-                  <option>Beginner</option>
-                  <option>Intermediate</option>
-                  <option>Advanced</option>
+                  <option value="All">{t("home.allScripts")}</option>
+                  {SCRIPTS.map((v) => <option key={v} value={v}>{label("script", v)}</option>)}
                 </select>
               </div>
+              {level !== "All" && (
+                <Button
+                  onClick={() => setHandoutLevel(level)}
+                  title={t("handout.levelButtonTitle", { level: label("level", level) })}
+                  className="flex items-center justify-center gap-2"
+                >
+                  <Printer className="w-4 h-4"/> {t("handout.levelButton")}
+                </Button>
+              )}
             </div>
           </Card>
 
 
           <section className="grid gap-4 md:grid-cols-2 lg:grid-cols-3">
-            {filtered.map((L) => (
+            {filtered.map(({ lesson: L, snippets }) => (
               <motion.div key={L.id} initial={{opacity: 0, y: 8}} animate={{opacity:1, y:0}}>
                 <Card className="h-full flex flex-col gap-3">
                   <div className="flex items-start gap-3">
@@ -307,270 +544,728 @@ export default function KhmerLearnerApp() {
                     <div className="flex-1 min-w-0">
                       <h3 className="font-semibold leading-snug break-words whitespace-normal">{L.title}</h3>
                       <div className="mt-1 flex flex-wrap gap-2">
-                        <Badge>{L.level}</Badge>
-                        <Badge>{L.script}</Badge>
-                        {L.topic && <Badge>{L.topic}</Badge>}
+                        <Badge>{label("level", L.level)}</Badge>
+                        <Badge>{label("script", L.script)}</Badge>
+                        {L.topic && <Badge>{label("topic", L.topic)}</Badge>}
+                        {!isPublished(L) && <Badge>{label("status", "draft")}</Badge>}
                       </div>
                     </div>
-                    {isAdmin && (
+                    {canWrite && (
                       <div className="flex items-center gap-1">
                         <button
                           className="p-1.5 rounded-lg hover:bg-amber-50 border hover:border-amber-300"
-                          title="Edit"
+                          title={t("common.edit")}
                           onClick={() => setEditLesson(L)}
                         >
                           <Edit3 className="w-4 h-4" />
                         </button>
-                        <button
-                          className="p-1.5 rounded-lg hover:bg-red-50 border hover:border-red-300"
-                          title="Remove"
-                          onClick={() => removeLesson(L.id)}
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {canDelete && (
+                          <button
+                            className="p-1.5 rounded-lg hover:bg-red-50 border hover:border-red-300"
+                            title={t("common.remove")}
+                            onClick={() => removeLesson(L.id)}
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     )}
                   </div>
-                  {L.description && (
+                  {L.description && !snippets.some((s) => s.kind === "description") && (
                     <p className="text-sm text-slate-600 line-clamp-3">{L.description}</p>
                   )}
+                  {snippets.map((s, i) => (
+                    <button
+                      key={i}
+                      className="text-left text-sm text-slate-700 rounded-xl px-2 py-1 bg-slate-50 hover:bg-indigo-50"
+                      onClick={() => goTo({ page: "lesson", id: L.id, line: s.line != null ? s.line + 1 : undefined })}
+                    >
+                      <span className="text-xs opacity-60 mr-1">{t(`snippet.${s.kind}`)}{s.line != null ? ` ${formatNumber(s.line + 1)}` : ""}</span>
+                      <Highlight text={s.text} ranges={s.ranges} />
+                    </button>
+                  ))}
                   <div className="mt-auto flex items-center justify-between gap-2">
                     <div className="flex items-center gap-2 text-sm opacity-70">
-                      <Music className="w-4 h-4"/> {L.audioUrl ? "Audio available" : "No audio"}
+                      <Music className="w-4 h-4"/> {t(!L.audioUrl ? "home.noAudio" : online || packs[L.id] ? "home.audioAvailable" : "home.audioNeedsConnection")}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <OfflineToggle lesson={L} saved={!!packs[L.id]} online={online} />
+                      {L.audioUrl && (
+                        <Button className="flex items-center gap-2" title={t("home.playHere")} onClick={() => handlePlay(L)}>
+                          <Play className="w-4 h-4"/>
+                        </Button>
+                      )}
+                      <Button
+                        className="flex items-center gap-2"
+                        onClick={() => (isPublished(L) || canPreview ? goTo({ page: "lesson", id: L.id, draft: !isPublished(L) }) : setEditLesson(L))}
+                      >
+                        {t("common.open")} <ExternalLink className="w-4 h-4"/>
+                      </Button>
                     </div>
-                    <Button className="flex items-center gap-2" onClick={() => goTo(`#/lesson/${L.id}`)}>
-                      Open <ExternalLink className="w-4 h-4"/>
-                    </Button>
                   </div>
                 </Card>
               </motion.div>
             ))}
           </section>
+          {!filtered.length && (
+            <p className="text-center text-sm opacity-70">{t("home.noMatch", { q })}</p>
+          )}
         </main>
       )}
 
+      {notice && (
+        <div className="fixed bottom-4 left-4 z-40 rounded-2xl border bg-white shadow px-3 py-2 text-sm">{t(...notice)}</div>
+      )}
+
       {/* Sticky Player on list page */}
-      {!isDetail && current && (
+      {!isDetail && !isReview && !isProgress && !isOfflinePanel && !isCourse && !isClasses && !isClass && current && (
         <motion.div initial={{ y: 40, opacity: 0 }} animate={{ y: 0, opacity: 1 }} className="fixed bottom-4 left-1/2 -translate-x-1/2 z-30 w-[95%] md:w-[720px]">
           <Card className="shadow-lg border-2">
             <div className="flex items-center gap-3">
               <Button onClick={isPlaying ? handlePause : () => handlePlay(current)} className="flex items-center gap-2">
                 {isPlaying ? <Pause className="w-4 h-4"/> : <Play className="w-4 h-4"/>}
-                {isPlaying ? "Pause" : "Play"}
+                {t(isPlaying ? "player.pause" : "player.play")}
               </Button>
               <div className="flex-1 min-w-0">
                 <div className="truncate font-medium">{current.title}</div>
-                <div className="text-xs opacity-70">{current.level} • {current.script}</div>
+                <div className="text-xs opacity-70">{label("level", current.level)} • {label("script", current.script)}</div>
               </div>
-              <Button onClick={() => setCurrent(null)} title="Close" className="border-none">
+              <Button onClick={() => setCurrent(null)} title={t("common.close")} className="border-none">
                 <X className="w-4 h-4"/>
               </Button>
             </div>
-            <audio ref={audioRef} src={current.audioUrl} onEnded={handleEnded} className="w-full mt-3" controls />
+            <AudioPlayer
+              className="mt-3"
+              src={currentSrc}
+              lessonId={current.id}
+              cues={current.cues}
+              audioRef={audioRef}
+              onPlayingChange={setIsPlaying}
+              onEnded={handleEnded}
+            />
           </Card>
         </motion.div>
       )}
 
-      {/* Add/Edit Lesson Modal (admin only) */}
-      {isAdmin && (showAdd || editLesson) && (
+      {/* Add/Edit Lesson Modal (editors + admins) */}
+      {canWrite && (showAdd || editLesson) && (
         <div className="fixed inset-0 z-40 grid place-items-center bg-black/30 p-4">
-          <Card className="w-full max-w-3xl relative max-h-[90vh] overflow-y-auto p-6">
-            <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" onClick={() => { setShowAdd(false); setEditLesson(null); }}>
+          <Card className={`w-full ${editorPreview ? "max-w-7xl" : "max-w-3xl"} relative max-h-[90vh] overflow-y-auto p-6`}>
+            <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" title={t("common.close")} onClick={() => { setShowAdd(false); setEditLesson(null); setEditFocus(null); }}>
               <X className="w-4 h-4"/>
             </button>
             <h2 className="text-lg font-semibold mb-3 flex items-center gap-2">
               <Upload className="w-5 h-5"/>
-              {editLesson ? "Edit lesson" : "Add a new lesson"}
+              {t(editLesson ? "editor.editTitle" : "editor.addTitle")}
             </h2>
             <AddLessonForm
+              key={editLesson?.id || "new"}
               initial={editLesson || undefined}
+              takenIds={lessons.filter((L) => L.id !== editLesson?.id).map((L) => L.id)}
+              focus={editFocus}
+              showPreview={editorPreview}
+              onShowPreview={setEditorPreview}
+              renderPreview={(L) => (
+                <LessonDetail preview lesson={L} curriculum={curriculum} lessons={visibleLessons} progress={tracker.progress} lexicon={lexicon} userId={learnerId} />
+              )}
               onAdd={(L) => {
-                if (editLesson) {
-                  upsertLesson(L);
-                } else {
-                  upsertLesson(L);
-                }
-                setShowAdd(false); setEditLesson(null);
+                setShowAdd(false); setEditLesson(null); setEditFocus(null);
+                return upsertLesson(L);
               }}
             />
           </Card>
         </div>
       )}
 
+      {canLint && showLint && (
+        <LintReport
+          onEdit={(L, finding) => {
+            setEditLesson(lessons.find((x) => x.id === L.id) || L);
+            setEditFocus(finding);
+            setShowLint(false);
+          }}
+          onClose={() => setShowLint(false)}
+        />
+      )}
+
+      {handoutLevel && (
+        <HandoutDialog
+          level={handoutLevel}
+          levelLessons={lessonsInLevel(curriculum, visibleLessons.filter(isPublished), handoutLevel)}
+          onClose={() => setHandoutLevel("")}
+        />
+      )}
+
+      {canImport && showImport && (
+        <ImportDialog lessons={lessons} onApply={importLessons} onClose={() => setShowImport(false)} />
+      )}
+
+      {showSignIn && (
+        <SignInDialog provider={auth.provider} onSignIn={auth.signIn} onClose={() => setShowSignIn(false)} />
+      )}
+
       <footer className="mx-auto max-w-6xl px-4 py-10 text-sm opacity-70">
         <p>
-          Built for Khmer language learners. {isAdmin ? "Admin mode is ON. Visitors cannot edit." : "Visitors cannot edit lessons."} Data is stored locally in your browser. Use Export JSON to back up.
+          {t("footer.about")} {canWrite ? t("footer.signedIn", { role: label("role", user.role) }) : t("footer.visitors")} {t("footer.storage")}
         </p>
       </footer>
+
+      <KhmerKeyboardDock />
     </div>
   );
 }
 
-function LessonDetail({ lesson, onBack, isAdmin, onEdit }) {
+// Download / remove a lesson's offline pack
+function OfflineToggle({ lesson, saved, online }) {
+  const { t } = useI18n();
+  const [busy, setBusy] = useState(false);
+  async function toggle() {
+    setBusy(true);
+    try {
+      if (saved) await removePack(lesson.id);
+      else await downloadLesson(lesson);
+    } catch (err) {
+      alert(t("error.download", { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+  return (
+    <Button
+      onClick={toggle}
+      disabled={busy || (!saved && !online)}
+      title={t(saved ? "offline.saved" : "offline.download")}
+      className={`flex items-center gap-2 ${saved ? "text-emerald-700 border-emerald-300" : ""}`}
+    >
+      {saved ? <CircleCheck className="w-4 h-4"/> : <CloudDownload className={`w-4 h-4 ${busy ? "animate-pulse" : ""}`}/>}
+    </Button>
+  );
+}
+
+// `preview` renders the page inside the lesson editor: no navigation, nothing recorded.
+function LessonDetail({ lesson, savedOffline, curriculum, lessons, progress, lexicon, userId, focusLine = -1, startAt, preview = false, onBack, canEdit, onEdit, onOpened, onListened, onScored, onDictated }) {
+  const { t, label } = useI18n();
+  const audioRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+  const [time, setTime] = useState(0);
+  const cues = useLessonCues(lesson);
+  const audioSrc = useAudioSrc(lesson?.audioUrl);
+  const activeIndex = activeCueIndex(cues, time);
+  const lessonId = lesson?.id;
+  const [practice, setPractice] = useState({ lessonId: "", line: -1 });
+  const [copied, setCopied] = useState(false);
+  const [showHandout, setShowHandout] = useState(false);
+  const practiceLine = practice.lessonId === lessonId ? practice.line : -1;
+
+  useEffect(() => {
+    if (lessonId) onOpened?.(lessonId);
+  }, [lessonId, onOpened]);
+
+  // a link to the line being played and the time in the audio
+  async function copyLink() {
+    const at = Math.floor(audioRef.current?.currentTime || 0);
+    const href = formatRoute({ page: "lesson", id: lesson.id, line: activeIndex >= 0 ? activeIndex + 1 : undefined, t: at || undefined, draft: !isPublished(lesson) });
+    const url = window.location.href.split("#")[0] + href;
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch {
+      prompt(t("lesson.copyLink"), url);
+    }
+  }
+
+  function seekToLine(i) {
+    const a = audioRef.current;
+    if (!a || !cues[i]) return;
+    a.currentTime = cues[i].start;
+    a.play().catch(() => {});
+  }
+
   if (!lesson) {
     return (
       <main className="mx-auto max-w-5xl px-4 py-10">
-        <Button className="mb-4 flex items-center gap-2" onClick={onBack}><ArrowLeft className="w-4 h-4"/> Back</Button>
+        <Button className="mb-4 flex items-center gap-2" onClick={onBack}><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
         <Card>
-          <p>Lesson not found.</p>
+          <p>{t("lesson.notFound")}</p>
         </Card>
       </main>
     );
   }
+  const nav = neighbors(curriculum, lesson.id, lessons);
+  const place = nav.placement;
+  const unmet = place ? unmetPrerequisites(curriculum, place.unit, (id) => isCompleted(progress.lessons[id])) : [];
   return (
-    <main className="mx-auto max-w-5xl px-4 py-10 grid gap-4">
-      <div className="flex items-center justify-between">
-        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> Back</Button>
-        {isAdmin && (
-          <Button onClick={onEdit} className="flex items-center gap-2"><Edit3 className="w-4 h-4"/> Edit</Button>
-        )}
-      </div>
+    <main className={`grid gap-4 ${preview ? "" : "mx-auto max-w-5xl px-4 py-10"}`}>
+      {!preview && (
+        <div className="flex items-center justify-between">
+          <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+          <div className="flex items-center gap-2">
+            <Button onClick={() => setShowHandout(true)} title={t("handout.buttonTitle")} className="flex items-center gap-2"><Printer className="w-4 h-4"/> {t("handout.button")}</Button>
+            {canEdit && (
+              <Button onClick={onEdit} className="flex items-center gap-2"><Edit3 className="w-4 h-4"/> {t("common.edit")}</Button>
+            )}
+          </div>
+        </div>
+      )}
+      {showHandout && (
+        <HandoutDialog
+          lesson={lesson}
+          level={lesson.level}
+          levelLessons={lessonsInLevel(curriculum, lessons.filter(isPublished), lesson.level)}
+          onClose={() => setShowHandout(false)}
+        />
+      )}
+      {!isPublished(lesson) && (
+        <p className="rounded-2xl border border-amber-300 bg-amber-50 px-4 py-2 text-sm text-amber-900 flex items-center gap-2">
+          <Eye className="w-4 h-4"/> {t("lesson.draft")}
+        </p>
+      )}
       <Card className="grid gap-2">
+        {place && (
+          <button className="justify-self-start text-sm text-indigo-700 hover:underline" disabled={preview} onClick={() => goTo({ page: "course", id: place.course.id })}>
+            {t("lesson.place", { course: place.course.title, unit: place.unit.title, n: place.index + 1, total: place.unit.lessons.length })}
+          </button>
+        )}
         <h2 className="text-2xl font-semibold">{lesson.title}</h2>
+        <Romanized text={lesson.title} />
         <div className="flex flex-wrap gap-2 mt-1">
-          <Badge>{lesson.level}</Badge>
-          <Badge>{lesson.script}</Badge>
-          {lesson.topic && <Badge>{lesson.topic}</Badge>}
+          <Badge>{label("level", lesson.level)}</Badge>
+          <Badge>{label("script", lesson.script)}</Badge>
+          {lesson.topic && <Badge>{label("topic", lesson.topic)}</Badge>}
+          {savedOffline && <Badge><CircleCheck className="w-3 h-3 mr-1"/> {t("offline.available")}</Badge>}
         </div>
-        {lesson.description && <p className="text-slate-700 mt-2">{lesson.description}</p>}
+        {lesson.description && <p className="text-slate-700 mt-2">{lesson.description}<Romanized text={lesson.description} /></p>}
+        <RomanizationToggle className="mt-1" />
+        {unmet.length > 0 && (
+          <p className="text-sm text-amber-800 flex items-center gap-1">
+            <Lock className="w-4 h-4"/> {t("lesson.recommended", { lessons: unmet.map((u) => u.title).join(", ") })}
+          </p>
+        )}
       </Card>
 
       <Card className="grid gap-3">
-        <h3 className="font-semibold">Transcript</h3>
-        <p className="whitespace-pre-wrap text-slate-800">{lesson.transcript || "No transcript yet."}</p>
+        <h3 className="font-semibold">{t("lesson.transcript")}</h3>
+        <TranscriptView
+          lines={lesson.dialogue}
+          cues={cues}
+          activeIndex={activeIndex >= 0 ? activeIndex : focusLine}
+          onSeek={seekToLine}
+          lexicon={lexicon}
+          userId={userId}
+          onPractice={(line) => setPractice({ lessonId: lesson.id, line: practiceLine === line ? -1 : line })}
+          practiceIndex={practiceLine}
+        />
       </Card>
 
+      {practiceLine >= 0 && lesson.dialogue?.[practiceLine] && (
+        <Card>
+          <PronunciationPractice
+            key={`${lesson.id}:${practiceLine}`}
+            lessonId={lesson.id}
+            index={practiceLine}
+            line={lesson.dialogue[practiceLine]}
+            cues={cues}
+            audioSrc={audioSrc}
+            userId={userId}
+            onStart={() => audioRef.current?.pause()}
+            onClose={() => setPractice({ lessonId: "", line: -1 })}
+          />
+        </Card>
+      )}
+
       <Card className="grid gap-3">
-        <h3 className="font-semibold">Audio</h3>
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="font-semibold">{t("lesson.audio")}</h3>
+          {!preview && (
+            <Button onClick={copyLink} title={t("lesson.copyLinkTitle")} className="flex items-center gap-2 text-sm py-1">
+              <Link2 className="w-4 h-4"/> {t(copied ? "lesson.linkCopied" : "lesson.copyLink")}
+            </Button>
+          )}
+        </div>
         <div className="w-full">
-          <audio
-            controls
-            src={toPublicUrl(lesson.audioUrl)}  // keep your helper if you use it
-            className="block w-full"
+          <AudioPlayer
+            src={audioSrc}
+            lessonId={lesson.id}
+            cues={cues}
+            audioRef={audioRef}
+            startAt={startAt ?? cues[focusLine]?.start}
+            onTime={setTime}
+            onEnded={() => onListened?.(lesson.id)}
           />
         </div>
       </Card>
 
       <Card className="grid gap-3">
-        <h3 className="font-semibold">Vocabulary</h3>
-        <p className="whitespace-pre-wrap text-slate-800">{lesson.vocabulary || "No vocabulary added yet."}</p>
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="font-semibold">{t("lesson.vocabulary")}</h3>
+          {lesson.words?.length > 0 && (
+            <Button disabled={preview} onClick={() => goTo({ page: "review", id: lesson.id })} className="flex items-center gap-2 text-sm py-1">
+              <Layers className="w-4 h-4"/> {t("lesson.study", { count: lesson.words.length })}
+            </Button>
+          )}
+        </div>
+        <VocabularyList words={lesson.words} text={lesson.vocabulary} />
       </Card>
 
       
       <Card className="grid gap-3">
-        <h3 className="font-semibold">Exercises</h3>
-        <p className="whitespace-pre-wrap text-slate-800">
-          {lesson.exercises || "No exercises yet."}
-        </p>
+        <h3 className="font-semibold">{t("lesson.exercises")}</h3>
+        <ExerciseRunner
+          quiz={lesson.quiz || []}
+          dialogue={lesson.dialogue}
+          cues={cues}
+          audioSrc={audioSrc}
+          onScore={(correct, total) => onScored?.(lesson.id, correct, total)}
+        />
       </Card>
+
+      {lesson.dialogue?.length > 0 && lesson.audioUrl && (
+        <Card className="grid gap-3">
+          <h3 className="font-semibold">{t("lesson.dictation")}</h3>
+          <DictationRunner
+            key={lesson.id}
+            dialogue={lesson.dialogue}
+            cues={cues}
+            audioSrc={audioSrc}
+            onStart={() => audioRef.current?.pause()}
+            onScore={(accuracy, lines) => onDictated?.(lesson.id, accuracy, lines)}
+          />
+        </Card>
+      )}
+
+      {!preview && (nav.prev || nav.next) && (
+        <div className="flex flex-wrap justify-between gap-2">
+          {nav.prev ? (
+            <Button onClick={() => goTo({ page: "lesson", id: nav.prev.id })} className="flex items-center gap-2 min-w-0 max-w-full">
+              <ArrowLeft className="w-4 h-4 shrink-0"/> <span className="truncate">{nav.prev.title}</span>
+            </Button>
+          ) : <span/>}
+          {nav.next && (
+            <Button onClick={() => goTo({ page: "lesson", id: nav.next.id })} className="flex items-center gap-2 min-w-0 max-w-full bg-indigo-600 text-white border-indigo-700">
+              <span className="truncate">{t("lesson.next", { title: nav.next.title })}</span> <ArrowRight className="w-4 h-4 shrink-0"/>
+            </Button>
+          )}
+        </div>
+      )}
     </main>
   );
 }
 
-function AddLessonForm({ onAdd, initial }) {
-  const [id, setId] = useState(initial?.id || `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
-  const [title, setTitle] = useState(initial?.title || "");
-  const [level, setLevel] = useState(initial?.level || "Beginner");
-  const [script, setScript] = useState(initial?.script || "Khmer");
-  const [topic, setTopic] = useState(initial?.topic || "");
-  const [description, setDescription] = useState(initial?.description || "");
-  const [transcript, setTranscript] = useState(initial?.transcript || "");
-  const [vocabulary, setVocabulary] = useState(initial?.vocabulary || "");
-  const [exercises, setExercises] = useState(initial?.exercises || "");
-  const [audioUrl, setAudioUrl] = useState(initial?.audioUrl || "");
-  const fileRef = useRef(/** @type{HTMLInputElement|null} */(null));
-
-  function handleFile(e) {
-    const f = e.target.files?.[0];
-    if (!f) return;
-    const url = URL.createObjectURL(f);
-    setAudioUrl(url);
+const newLessonId = () => `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// The editor's form state for a lesson (new lessons start as drafts); toLesson() turns it back.
+function lessonFields(L) {
+  return {
+    id: L?.id || newLessonId(),
+    title: L?.title || "",
+    status: L ? L.status || "published" : "draft",
+    level: L?.level || "Beginner",
+    script: L?.script || "Khmer",
+    topic: L?.topic || "",
+    description: L?.description || "",
+    transcript: L?.transcript || "",
+    vocabulary: L?.vocabulary || "",
+    exercises: L?.exercises || "",
+    audioUrl: L?.audioUrl || "",
+    cues: L?.cues || [],
+    cuesUrl: L?.cuesUrl || "",
+  };
+}
+
+/** @returns {Lesson} */
+function toLesson(f) {
+  return {
+    id: f.id.trim(),
+    title: f.title,
+    status: f.status,
+    level: f.level,
+    script: f.script,
+    topic: f.topic || undefined,
+    description: f.description || undefined,
+    transcript: f.transcript || undefined,
+    vocabulary: f.vocabulary || undefined,
+    audioUrl: f.audioUrl || undefined,
+    exercises: f.exercises || undefined,
+    cues: f.cues.length ? f.cues : undefined,
+    cuesUrl: f.cuesUrl || undefined,
+  };
+}
+
+const AUTOSAVE_DELAY = 800;
+
+/**
+ * Add/edit form. Unsaved changes are autosaved in this browser (lib/revisions.js)
+ * and offered back the next time the lesson is opened; `renderPreview` shows the
+ * lesson page next to the form as it is edited.
+ */
+function AddLessonForm({ onAdd, initial, takenIds, focus, showPreview, onShowPreview, renderPreview }) {
+  const { t, label, formatDate } = useI18n();
+  const [start] = useState(() => lessonFields(initial));
+  const [fields, setFields] = useState(start);
+  const set = (field, value) => setFields((f) => ({ ...f, [field]: typeof value === "function" ? value(f[field]) : value }));
+  const bind = (field) => ({ value: fields[field], onChange: (e) => set(field, e.target.value) });
+  const { title, transcript, vocabulary, exercises, audioUrl } = fields;
+  const draft = useMemo(() => toLesson(fields), [fields]);
+  const previewLesson = useMemo(() => (showPreview ? migrateLesson(draft) : null), [showPreview, draft]);
+  const lines = useMemo(() => parseTranscript(transcript), [transcript]);
+  const wordCount = useMemo(() => parseVocabulary(vocabulary).length, [vocabulary]);
+  const scoredCount = useMemo(() => parseExercises(exercises).filter(isScored).length, [exercises]);
+  const audioSrc = useAudioSrc(audioUrl);
+  // Khmer lines/headwords still missing a "(roman)", filled in with the UNGEGN romanization on request
+  const transcriptFill = useMemo(() => fillRomanizations(transcript, "transcript"), [transcript]);
+  const vocabularyFill = useMemo(() => fillRomanizations(vocabulary, "vocabulary"), [vocabulary]);
+  const [showHistory, setShowHistory] = useState(false);
+  // content check on Save (lib/lint.js); saving the same draft again saves anyway
+  const [lint, setLint] = useState(/** @type{{ draft: Lesson; findings: import("./lib/lint.js").Finding[] }|null} */(null));
+  const [checking, setChecking] = useState(false);
+  useEffect(() => {
+    if (!focus) return;
+    const frame = requestAnimationFrame(() => focusFinding(focus));
+    return () => cancelAnimationFrame(frame);
+  }, [focus]);
+  const loadRevisions = useCallback(() => lessonRepository.revisions(start.id), [start.id]);
+
+  // Autosave: debounced while typing, flushed when the editor closes, dropped on Save.
+  // An earlier autosave waiting to be restored or discarded is left alone.
+  const autosaveKey = initial?.id || "new";
+  const pristine = useMemo(() => JSON.stringify(toLesson(start)), [start]);
+  const [restorable, setRestorable] = useState(() => {
+    const saved = loadAutosave(autosaveKey);
+    return saved && JSON.stringify(saved.lesson) !== pristine ? saved : null;
+  });
+  const [autosavedAt, setAutosavedAt] = useState(0);
+  const pending = useRef(/** @type{Lesson|null} */(null));
+  useEffect(() => {
+    if (restorable) return;
+    const dirty = JSON.stringify(draft) !== pristine;
+    pending.current = dirty ? draft : null;
+    const t = setTimeout(() => {
+      pending.current = null;
+      if (dirty) { saveAutosave(autosaveKey, draft); setAutosavedAt(Date.now()); }
+      else clearAutosave(autosaveKey);
+    }, AUTOSAVE_DELAY);
+    return () => clearTimeout(t);
+  }, [draft, pristine, restorable, autosaveKey]);
+  useEffect(() => () => { if (pending.current) saveAutosave(autosaveKey, pending.current); }, [autosaveKey]);
+
+  function restoreAutosave() {
+    setFields(lessonFields(restorable.lesson));
+    setRestorable(null);
+  }
+  function discardAutosave() {
+    clearAutosave(autosaveKey);
+    setRestorable(null);
+  }
+
+  // A revision replaces the form's content; it becomes the lesson once saved.
+  function restoreRevision(L) {
+    setFields({ ...lessonFields(L), id: fields.id });
+    setShowHistory(false);
   }
 
-  function handleSubmit(e) {
+  function clearForm() {
+    if (!confirm(t("editor.confirmClear"))) return;
+    setFields(initial ? { ...lessonFields(), id: fields.id, status: fields.status } : lessonFields());
+  }
+
+  // Appends words from a CSV/TSV sheet, skipping ones the list already has.
+  async function importWordSheet(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    const { words, skipped } = rowsToWords(parseDelimited(await file.text()));
+    const known = new Set(parseVocabulary(vocabulary).map((w) => w.km));
+    const fresh = words.filter((w) => !known.has(w.km));
+    if (fresh.length) set("vocabulary", (v) => [v.trimEnd(), serializeVocabulary(fresh)].filter(Boolean).join("\n"));
+    const notes = [t("editor.wordsAdded", { count: fresh.length })];
+    if (words.length > fresh.length) notes.push(t("editor.wordsKnown", { count: words.length - fresh.length }));
+    if (skipped.length) notes.push(t("editor.rowsSkipped", { count: skipped.length, rows: skipped.join(", ") }));
+    alert(notes.join(" "));
+  }
+
+  async function handleSubmit(e) {
     e.preventDefault();
-    if (!title) return alert("Please add a title");
-    const L = {
-      id,
-      title,
-      level,
-      script,
-      topic: topic || undefined,
-      description: description || undefined,
-      transcript: transcript || undefined,
-      vocabulary: vocabulary || undefined,
-      audioUrl: audioUrl || undefined,
-      exercises: exercises || undefined,
-    };
-    onAdd(L);
+    if (!title) return alert(t("editor.needTitle"));
+    if (!draft.id) return alert(t("editor.needId"));
+    if (lint?.draft !== draft) {
+      setChecking(true);
+      const findings = [...lintLesson(draft, { takenIds }), ...(await lintAudio(draft))];
+      setChecking(false);
+      if (findings.length) { setLint({ draft, findings }); return; }
+    }
+    // the autosave goes only once the lesson is stored, so a failed save can be restored
+    pending.current = null;
+    saveAutosave(autosaveKey, draft);
+    const key = autosaveKey;
+    onAdd(draft).then((stored) => { if (stored) clearAutosave(key); });
   }
 
   return (
-    <form onSubmit={handleSubmit} className="grid gap-3">
+    <div className={showPreview ? "grid gap-6 lg:grid-cols-2 items-start" : ""}>
+    <form onSubmit={handleSubmit} className="grid gap-3 min-w-0">
+      <div className="flex flex-wrap items-center gap-2">
+        <KeyboardToggle className="flex items-center gap-2 text-sm">
+          <span>{t("editor.keyboard")}</span>
+        </KeyboardToggle>
+        <button
+          type="button"
+          className={`ml-auto flex items-center gap-2 text-sm p-1 rounded-lg hover:bg-slate-100 ${showPreview ? "text-indigo-700" : "text-slate-500"}`}
+          aria-pressed={showPreview}
+          onClick={() => onShowPreview(!showPreview)}
+        >
+          <Eye className="w-4 h-4"/> {t("editor.preview")}
+        </button>
+        {initial && (
+          <button
+            type="button"
+            className={`flex items-center gap-2 text-sm p-1 rounded-lg hover:bg-slate-100 ${showHistory ? "text-indigo-700" : "text-slate-500"}`}
+            aria-pressed={showHistory}
+            onClick={() => setShowHistory(!showHistory)}
+          >
+            <History className="w-4 h-4"/> {t("editor.history")}
+          </button>
+        )}
+      </div>
+      {restorable && (
+        <div className="flex flex-wrap items-center gap-2 rounded-2xl border border-amber-300 bg-amber-50 px-3 py-2 text-sm text-amber-900">
+          <span className="flex-1 min-w-0">{t("editor.autosaveFound", { date: formatDate(restorable.savedAt, { dateStyle: "medium", timeStyle: "short" }) })}</span>
+          <Button type="button" className="text-sm py-1" onClick={restoreAutosave}>{t("editor.restore")}</Button>
+          <Button type="button" className="text-sm py-1 border-none" onClick={discardAutosave}>{t("editor.discard")}</Button>
+        </div>
+      )}
+      {showHistory && (
+        <div className="rounded-2xl border p-3">
+          <RevisionHistory load={loadRevisions} current={draft} onRestore={restoreRevision} />
+        </div>
+      )}
+      <div>
+        <label htmlFor="lesson-title" className="text-sm mb-1 block">{t("editor.title")}</label>
+        <Input id="lesson-title" {...bind("title")} placeholder="e.g., សួស្តី • Greetings"/>
+      </div>
       <div>
-        <label className="text-sm mb-1 block">Title</label>
-        <Input value={title} onChange={(e) => setTitle(e.target.value)} placeholder="e.g., សួស្តី • Greetings"/>
+        <label htmlFor="lesson-id" className="text-sm mb-1 block">{t("editor.id")}</label>
+        {/* fixed once saved: progress, links and history refer to it */}
+        <Input id="lesson-id" className="font-mono text-sm" {...bind("id")} readOnly={!!initial} aria-describedby="lesson-id-help"/>
+        <p id="lesson-id-help" className="text-xs opacity-70 mt-1">{t(initial ? "editor.idFixed" : "editor.idHelp")}</p>
       </div>
-      <div className="grid grid-cols-2 gap-2">
+      <div className="grid grid-cols-3 gap-2">
+        <div>
+          <label htmlFor="lesson-status" className="text-sm mb-1 block">{t("editor.status")}</label>
+          <select id="lesson-status" className="w-full rounded-2xl border px-3 py-2" {...bind("status")}>
+            <option value="draft">{label("status", "draft")}</option>
+            <option value="published">{label("status", "published")}</option>
+          </select>
+        </div>
         <div>
-          <label className="text-sm mb-1 block">Level</label>
-          <select className="w-full rounded-2xl border px-3 py-2" value={level} onChange={(e)=>setLevel(e.target.value)}>
-            <option>Beginner</option>
-            <option>Intermediate</option>
-            <option>Advanced</option>
+          <label htmlFor="lesson-level" className="text-sm mb-1 block">{t("home.level")}</label>
+          <select id="lesson-level" className="w-full rounded-2xl border px-3 py-2" {...bind("level")}>
+            {LEVELS.map((v) => <option key={v} value={v}>{label("level", v)}</option>)}
           </select>
         </div>
         <div>
-          <label className="text-sm mb-1 block">Script</label>
-          <select className="w-full rounded-2xl border px-3 py-2" value={script} onChange={(e)=>setScript(e.target.value)}>
-            <option>Khmer</option>
-            <option>Latin</option>
+          <label htmlFor="lesson-script" className="text-sm mb-1 block">{t("home.script")}</label>
+          <select id="lesson-script" className="w-full rounded-2xl border px-3 py-2" {...bind("script")}>
+            {SCRIPTS.map((v) => <option key={v} value={v}>{label("script", v)}</option>)}
           </select>
         </div>
       </div>
       <div>
-        <label className="text-sm mb-1 block">Topic (optional)</label>
-        <Input value={topic} onChange={(e)=>setTopic(e.target.value)} placeholder="e.g., Phrases, Numbers, Food"/>
+        <label htmlFor="lesson-topic" className="text-sm mb-1 block">{t("editor.topic")}</label>
+        <Input id="lesson-topic" {...bind("topic")} list="lesson-topics" placeholder={t("editor.topicPlaceholder")}/>
+        {/* stored in English so every language can label it */}
+        <datalist id="lesson-topics">
+          {TOPICS.map((v) => <option key={v} value={v}>{label("topic", v)}</option>)}
+        </datalist>
+      </div>
+      <div>
+        <label htmlFor="lesson-description" className="text-sm mb-1 block">{t("editor.description")}</label>
+        <Input id="lesson-description" {...bind("description")} placeholder={t("editor.descriptionPlaceholder")}/>
       </div>
       <div>
-        <label className="text-sm mb-1 block">Short description (optional)</label>
-        <Input value={description} onChange={(e)=>setDescription(e.target.value)} placeholder="One–two lines about this lesson"/>
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <label htmlFor="lesson-transcript" className="text-sm block">{t("editor.transcript")}</label>
+          {transcriptFill.added > 0 && (
+            <button type="button" className="text-xs rounded-xl border px-2 py-1 hover:bg-slate-50" onClick={() => set("transcript", transcriptFill.text)}>
+              {t("editor.romanizeLines", { count: transcriptFill.added })}
+            </button>
+          )}
+        </div>
+        <textarea id="lesson-transcript" className="w-full rounded-2xl border px-3 py-2 min-h-[120px]" {...bind("transcript")} placeholder={t("editor.transcriptPlaceholder")}/>
       </div>
       <div>
-        <label className="text-sm mb-1 block">Transcript (optional)</label>
-        <textarea className="w-full rounded-2xl border px-3 py-2 min-h-[120px]" value={transcript} onChange={(e)=>setTranscript(e.target.value)} placeholder="Paste Khmer text and transliteration here"/>
+        <div className="flex items-center justify-between gap-2 mb-1">
+          <label htmlFor="lesson-vocabulary" className="text-sm block">{t("editor.vocabulary")}</label>
+          {vocabularyFill.added > 0 && (
+            <button type="button" className="text-xs rounded-xl border px-2 py-1 hover:bg-slate-50 ml-auto" onClick={() => set("vocabulary", vocabularyFill.text)}>
+              {t("editor.romanizeWords", { count: vocabularyFill.added })}
+            </button>
+          )}
+          <label className="text-xs rounded-xl border px-2 py-1 cursor-pointer hover:bg-slate-50" title={t("editor.importSheetHelp")}>
+            {t("editor.importSheet")}
+            <input type="file" accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values" className="hidden" onChange={importWordSheet} />
+          </label>
+        </div>
+        <textarea id="lesson-vocabulary" className="w-full rounded-2xl border px-3 py-2 min-h-[80px]" {...bind("vocabulary")} placeholder="- សួស្តី (suosdei) : Hello [interjection] /audio/words/suosdei.mp3" />
+        <p className="text-xs opacity-70 mt-1">
+          {t("editor.vocabularyHelp", { count: wordCount })}
+        </p>
       </div>
       <div>
-        <label className="text-sm mb-1 block">Vocabulary (optional)</label>
-        <textarea className="w-full rounded-2xl border px-3 py-2 min-h-[80px]" value={vocabulary} onChange={(e)=>setVocabulary(e.target.value)} placeholder="List key words and meanings" />
+        <label htmlFor="lesson-audioUrl" className="text-sm mb-1 block">{t("editor.audio")}</label>
+        <AudioUpload id="lesson-audioUrl" value={audioUrl} onChange={(url) => set("audioUrl", url)} />
+        <p className="text-xs opacity-70 mt-1">{t("editor.audioTip", { size: MAX_AUDIO_BYTES / 1024 / 1024 })}</p>
       </div>
       <div>
-        <label className="text-sm mb-1 block">Audio (optional)</label>
-        <div className="flex items-center gap-2">
-          <Input placeholder="https://...mp3" value={audioUrl} onChange={(e)=>setAudioUrl(e.target.value)} />
-          <input type="file" accept="audio/*" ref={fileRef} onChange={handleFile} className="hidden"/>
-          <Button type="button" onClick={() => fileRef.current?.click()}>Upload</Button>
-        </div>
-        <p className="text-xs opacity-70 mt-1">Tip: paste an MP3 URL or upload a local file (local files won’t persist after refresh).</p>
+        <label className="text-sm mb-1 block">{t("editor.cues")}</label>
+        <CueRecorder
+          key={audioUrl}
+          audioSrc={audioSrc}
+          lines={lines}
+          cues={fields.cues}
+          onChange={(cues) => set("cues", cues)}
+        />
+        <Input id="lesson-cuesUrl" aria-label={t("editor.cuesUrl")} className="mt-2" placeholder={t("editor.cuesUrl")} {...bind("cuesUrl")} />
       </div>
       <div>
-        <label className="text-sm mb-1 block">Exercises (optional)</label>
+        <label htmlFor="lesson-exercises" className="text-sm mb-1 block">{t("editor.exercises")}</label>
         <textarea
+          id="lesson-exercises"
           className="w-full rounded-2xl border px-3 py-2 min-h-[120px]"
-          value={exercises}
-          onChange={(e) => setExercises(e.target.value)}
+          {...bind("exercises")}
           placeholder={`Example:
-              1) Translate: "Hello" → ______
-              2) Fill-in-the-blank: ខ្ញុំ ___ សាលា
-              3) Match: សួស្តី ↔︎ Hello`}
+              1) Translate: "Hello" → សួស្តី | ជំរាបសួរ
+              2) Fill-in-the-blank: ខ្ញុំ ___ សាលា → ទៅ
+              hint: "to go"
+              3) Match: សួស្តី ↔︎ Hello; អរគុណ ↔︎ Thank you
+              4) Choose: How do you say "thank you"? → *អរគុណ / សួស្តី
+              5) Listen: line 2 → *ជំរាបសួរ / សួស្តី
+              6) តើអ្នកចូលចិត្តបង្អែមទេ?`}
         />
+        <p className="text-xs opacity-70 mt-1">
+          {t("editor.exercisesHelp", { count: scoredCount })}
+        </p>
       </div>
+      {lint && (
+        <div className="grid gap-1 rounded-2xl border border-amber-300 bg-amber-50/60 p-3" role="alert">
+          <p className="text-sm font-medium">{t("lint.formFound")}</p>
+          <LintFindings findings={lint.findings} onSelect={focusFinding} />
+        </div>
+      )}
       <div className="flex items-center justify-end gap-2 mt-2">
-        <Button type="button" className="border-none" onClick={()=>{
-          setTitle(""); setTopic(""); setDescription(""); setTranscript(""); setAudioUrl(""); setLevel("Beginner"); setScript("Khmer"); setId(`${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
-        }}>Clear</Button>
-        <Button type="submit" className="bg-indigo-600 text-white border-indigo-700">Save</Button>
+        {autosavedAt > 0 && !restorable && (
+          <span className="mr-auto text-xs opacity-60">{t("editor.autosaved", { time: formatDate(autosavedAt, { timeStyle: "short" }) })}</span>
+        )}
+        <Button type="button" className="border-none" onClick={clearForm}>{t("editor.clear")}</Button>
+        <Button type="submit" disabled={checking} className="bg-indigo-600 text-white border-indigo-700">
+          {checking ? t("lint.checking") : lint?.draft === draft ? t("lint.saveAnyway") : t("editor.save")}
+        </Button>
       </div>
     </form>
+    {showPreview && (
+      <section aria-label={t("editor.preview")} className="min-w-0 lg:sticky lg:top-0 lg:max-h-[80vh] lg:overflow-y-auto rounded-2xl border bg-gradient-to-br from-indigo-50 via-slate-50 to-emerald-50 p-3">
+        {renderPreview(previewLesson)}
+      </section>
+    )}
+    </div>
   );
 }
@@ -0,0 +1,215 @@
+// src/components/AudioPlayer.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Repeat, RotateCcw, Mic, X } from "lucide-react";
+import { Button } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { PLAYER_POSITIONS_KEY, readJSON, writeJSON } from "../lib/storage.js";
+
+/**
+ * Shared learner player (sticky list player + lesson detail page).
+ * - 0.5x–1.5x playback rate (remembered across lessons)
+ * - A-B segment loop
+ * - skip back 5s
+ * - shadowing: pause after each segment so the learner can repeat it aloud.
+ *   Segments are the lesson's line cues, or fixed 5s chunks without them.
+ * - remembers the position per lesson; `startAt` (seconds, from a shared link) wins over it
+ */
+
+const RATES = [0.5, 0.75, 1, 1.25, 1.5];
+const RATE_KEY = "khmer_player_rate";
+const CHUNK = 5; // seconds per shadowing segment when a lesson has no cues
+
+function savePosition(lessonId, t) {
+  if (!lessonId) return;
+  const all = readJSON(PLAYER_POSITIONS_KEY, {});
+  if (t > 0) all[lessonId] = Math.round(t * 10) / 10;
+  else delete all[lessonId];
+  writeJSON(PLAYER_POSITIONS_KEY, all);
+}
+
+/** @returns {{ start: number; end: number }[]} */
+function segmentsFor(cues, duration) {
+  if (cues?.length) {
+    return cues.map((c, i) => ({ start: c.start, end: c.end ?? cues[i + 1]?.start ?? duration ?? Infinity }));
+  }
+  if (!duration || !Number.isFinite(duration)) return [];
+  const out = [];
+  for (let t = 0; t < duration; t += CHUNK) out.push({ start: t, end: Math.min(t + CHUNK, duration) });
+  return out;
+}
+
+const fmt = (t) => (t == null ? "–" : `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`);
+
+export default function AudioPlayer({
+  src,
+  lessonId,
+  cues,
+  audioRef: externalRef,
+  autoPlay = false,
+  startAt,
+  onTime,
+  onPlayingChange,
+  onEnded,
+  className = "",
+}) {
+  const { t, formatNumber } = useI18n();
+  const localRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+  const ref = externalRef || localRef;
+  const [rate, setRate] = useState(() => readJSON(RATE_KEY, 1));
+  const [loopA, setLoopA] = useState(/** @type{number|null} */(null));
+  const [loopB, setLoopB] = useState(/** @type{number|null} */(null));
+  const [shadow, setShadow] = useState(false);
+  const [duration, setDuration] = useState(0);
+  const segRef = useRef(/** @type{{ start: number; end: number }|null} */(null));
+  const [lastSeg, setLastSeg] = useState(/** @type{{ start: number; end: number }|null} */(null));
+  const lastSavedRef = useRef(0);
+
+  const segments = segmentsFor(cues, duration);
+
+  useEffect(() => {
+    if (ref.current) ref.current.playbackRate = rate;
+    writeJSON(RATE_KEY, rate);
+  }, [rate, ref]);
+
+  // a link followed while the audio is already loaded
+  useEffect(() => {
+    const a = ref.current;
+    if (startAt != null && a && a.readyState >= 1) a.currentTime = startAt;
+  }, [startAt, ref]);
+
+  function segmentAt(t) {
+    // current or upcoming segment, so a pause at a boundary resumes with the next one
+    return segments.find((s) => s.end > t + 0.05) || null;
+  }
+
+  function handleLoaded(e) {
+    const a = e.currentTarget;
+    a.playbackRate = rate;
+    setDuration(a.duration);
+    const saved = startAt ?? readJSON(PLAYER_POSITIONS_KEY, {})[lessonId];
+    if (saved && saved < a.duration - 1) a.currentTime = saved;
+    if (autoPlay) a.play().catch(() => {});
+  }
+
+  function handleTime(e) {
+    const a = e.currentTarget;
+    const t = a.currentTime;
+    onTime?.(t);
+
+    if (loopA != null && loopB != null && t >= loopB) {
+      a.currentTime = loopA;
+      return;
+    }
+
+    if (shadow && !a.paused) {
+      const seg = segRef.current;
+      if (seg && t >= seg.end) {
+        a.pause();
+        setLastSeg(seg);
+        segRef.current = null;
+      } else if (!seg) {
+        segRef.current = segmentAt(t);
+      }
+    }
+
+    if (Math.abs(t - lastSavedRef.current) >= 2) {
+      lastSavedRef.current = t;
+      savePosition(lessonId, t);
+    }
+  }
+
+  function handlePlay(e) {
+    segRef.current = segmentAt(e.currentTarget.currentTime);
+    onPlayingChange?.(true);
+  }
+
+  function handlePause(e) {
+    savePosition(lessonId, e.currentTarget.currentTime);
+    onPlayingChange?.(false);
+  }
+
+  function handleEnded() {
+    savePosition(lessonId, 0);
+    onPlayingChange?.(false);
+    onEnded?.();
+  }
+
+  function skipBack() {
+    const a = ref.current;
+    if (a) a.currentTime = Math.max(0, a.currentTime - 5);
+  }
+
+  function repeatSegment() {
+    const a = ref.current;
+    if (!a || !lastSeg) return;
+    a.currentTime = lastSeg.start;
+    a.play().catch(() => {});
+  }
+
+  function markLoop() {
+    const t = ref.current?.currentTime ?? 0;
+    if (loopA == null || loopB != null) { setLoopA(t); setLoopB(null); }
+    else if (t > loopA) setLoopB(t);
+    else { setLoopA(t); }
+  }
+
+  return (
+    <div className={`grid gap-2 ${className}`}>
+      <audio
+        ref={ref}
+        src={src}
+        controls
+        className="block w-full"
+        onLoadedMetadata={handleLoaded}
+        onTimeUpdate={handleTime}
+        onSeeked={(e) => { segRef.current = null; onTime?.(e.currentTarget.currentTime); }}
+        onPlay={handlePlay}
+        onPause={handlePause}
+        onEnded={handleEnded}
+      />
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <Button type="button" onClick={skipBack} title={t("player.back")} className="flex items-center gap-1 py-1">
+          <RotateCcw className="w-4 h-4"/> {t("player.backShort")}
+        </Button>
+        <label className="flex items-center gap-1">
+          <span className="opacity-70">{t("player.speed")}</span>
+          <select
+            className="rounded-2xl border px-2 py-1"
+            value={rate}
+            onChange={(e) => setRate(Number(e.target.value))}
+          >
+            {RATES.map((r) => <option key={r} value={r}>{t("player.rate", { rate: formatNumber(r) })}</option>)}
+          </select>
+        </label>
+        <Button
+          type="button"
+          onClick={markLoop}
+          title={t("player.loop")}
+          className={`flex items-center gap-1 py-1 ${loopB != null ? "bg-indigo-600 text-white border-indigo-700" : ""}`}
+        >
+          <Repeat className="w-4 h-4"/>
+          {loopA == null ? "A-B" : loopB == null ? `A ${fmt(loopA)} → B?` : `${fmt(loopA)}–${fmt(loopB)}`}
+        </Button>
+        {loopA != null && (
+          <button type="button" className="p-1 rounded-lg hover:bg-slate-100" title={t("player.clearLoop")} onClick={() => { setLoopA(null); setLoopB(null); }}>
+            <X className="w-4 h-4"/>
+          </button>
+        )}
+        <Button
+          type="button"
+          onClick={() => { setShadow((v) => !v); segRef.current = null; }}
+          title={cues?.length ? t("player.shadowLines") : t("player.shadowChunks", { seconds: CHUNK })}
+          className={`flex items-center gap-1 py-1 ${shadow ? "bg-indigo-600 text-white border-indigo-700" : ""}`}
+          aria-pressed={shadow}
+        >
+          <Mic className="w-4 h-4"/> {t("player.shadowing")}
+        </Button>
+        {shadow && (
+          <Button type="button" onClick={repeatSegment} className="py-1" disabled={!lastSeg}>
+            {t("player.repeat")}
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,152 @@
+// src/components/AudioUpload.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { HardDrive, Play, Scissors, X } from "lucide-react";
+import { Badge, Button, Input } from "./ui.jsx";
+import {
+  AUDIO_TYPES, MAX_AUDIO_BYTES, decodeAudio, detectSilence, formatBytes, getAudio, isStoredAudio,
+  putAudio, trimToWav, validateAudioFile,
+} from "../lib/audioStore.js";
+import { useI18n } from "../lib/i18n.js";
+
+const fmt = (t) => `${Math.floor(t / 60)}:${(t % 60).toFixed(1).padStart(4, "0")}`;
+
+/**
+ * Audio field for the lesson form: paste a URL or upload a file. Uploads are
+ * checked, previewed, optionally trimmed, then kept in IndexedDB and passed
+ * up as an `idb:` reference (see lib/audioStore.js).
+ */
+export default function AudioUpload({ id, value, onChange }) {
+  const { t } = useI18n();
+  const fileRef = useRef(/** @type{HTMLInputElement|null} */(null));
+  const previewRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [pending, setPending] = useState(/** @type{{ file: File; url: string; buf: AudioBuffer|null }|null} */(null));
+  const [range, setRange] = useState({ start: 0, end: 0 });
+  const [stored, setStored] = useState(/** @type{{ name: string; size: number; duration?: number }|null} */(null));
+
+  useEffect(() => {
+    if (!isStoredAudio(value)) { setStored(null); return; }
+    let alive = true;
+    getAudio(value).then((a) => {
+      if (alive) setStored(a ? { name: a.name, size: a.blob.size, duration: a.duration } : null);
+    });
+    return () => { alive = false; };
+  }, [value]);
+
+  useEffect(() => () => { if (pending) URL.revokeObjectURL(pending.url); }, [pending]);
+
+  async function handleFile(e) {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    const problem = validateAudioFile(f);
+    setError(problem && t(`upload.${problem}`, { type: f.type || t("upload.unknownType"), size: formatBytes(f.size), limit: formatBytes(MAX_AUDIO_BYTES) }));
+    if (problem) return;
+    setBusy(true);
+    let buf = null;
+    try {
+      buf = await decodeAudio(f);
+      setRange(detectSilence(buf));
+    } catch {
+      // still usable as-is; the browser just can't decode it for trimming
+      setError(t("upload.undecodable"));
+    }
+    setPending({ file: f, url: URL.createObjectURL(f), buf });
+    setBusy(false);
+  }
+
+  async function accept(trim) {
+    const { file, buf } = pending;
+    const cut = trim && buf && (range.start > 0.05 || range.end < buf.duration - 0.05);
+    const blob = cut ? trimToWav(buf, range.start, range.end) : file;
+    if (blob.size >= MAX_AUDIO_BYTES) {
+      return setError(t("upload.trimmedTooBig", { size: formatBytes(blob.size), limit: formatBytes(MAX_AUDIO_BYTES) }));
+    }
+    setBusy(true);
+    try {
+      const duration = buf ? (cut ? range.end - range.start : buf.duration) : undefined;
+      onChange(await putAudio(blob, { name: file.name, duration }));
+      setPending(null);
+      setError("");
+    } catch (err) {
+      setError(t("upload.storeError", { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function previewRange() {
+    const a = previewRef.current;
+    if (!a) return;
+    a.currentTime = range.start;
+    a.play().catch(() => {});
+    const stop = () => {
+      if (a.currentTime >= range.end) { a.pause(); a.removeEventListener("timeupdate", stop); }
+    };
+    a.addEventListener("timeupdate", stop);
+  }
+
+  const setEdge = (k) => (e) => {
+    const dur = pending?.buf?.duration ?? 0;
+    const v = Math.min(dur, Math.max(0, Number(e.target.value) || 0));
+    setRange((r) => ({ ...r, [k]: v }));
+  };
+
+  return (
+    <div className="grid gap-2">
+      <div className="flex items-center gap-2">
+        {stored ? (
+          <div className="flex-1 flex items-center gap-2 rounded-2xl border px-3 py-2 text-sm min-w-0">
+            <HardDrive className="w-4 h-4 shrink-0"/>
+            <span className="truncate">{stored.name}</span>
+            <Badge>{formatBytes(stored.size)}</Badge>
+            {stored.duration != null && <Badge>{fmt(stored.duration)}</Badge>}
+            <button type="button" className="ml-auto p-1 rounded-lg hover:bg-slate-100" onClick={() => onChange("")} title={t("common.remove")}>
+              <X className="w-4 h-4"/>
+            </button>
+          </div>
+        ) : (
+          <Input id={id} placeholder="https://...mp3" value={value} onChange={(e) => onChange(e.target.value)} />
+        )}
+        <input type="file" accept={AUDIO_TYPES.join(",")} ref={fileRef} onChange={handleFile} className="hidden"/>
+        <Button type="button" disabled={busy} onClick={() => fileRef.current?.click()}>{busy ? t("upload.reading") : t("upload.upload")}</Button>
+      </div>
+      {error && <p className="text-sm text-red-700">{error}</p>}
+
+      {pending && (
+        <div className="rounded-2xl border p-3 grid gap-2">
+          <div className="text-sm flex flex-wrap items-center gap-2">
+            <span className="font-medium truncate">{pending.file.name}</span>
+            <Badge>{formatBytes(pending.file.size)}</Badge>
+            {pending.buf && <Badge>{fmt(pending.buf.duration)}</Badge>}
+          </div>
+          <audio ref={previewRef} controls src={pending.url} className="w-full"/>
+          {pending.buf && (
+            <div className="flex flex-wrap items-end gap-2 text-sm">
+              <label className="grid gap-1">{t("upload.start")}
+                <Input type="number" step="0.1" min="0" value={range.start.toFixed(1)} onChange={setEdge("start")} className="w-24"/>
+              </label>
+              <label className="grid gap-1">{t("upload.end")}
+                <Input type="number" step="0.1" min="0" value={range.end.toFixed(1)} onChange={setEdge("end")} className="w-24"/>
+              </label>
+              <Button type="button" onClick={() => setRange(detectSilence(pending.buf))}>{t("upload.detectSilence")}</Button>
+              <Button type="button" onClick={previewRange} className="flex items-center gap-1"><Play className="w-4 h-4"/> {t("upload.preview")}</Button>
+              <span className="opacity-70">→ {fmt(Math.max(0, range.end - range.start))}</span>
+            </div>
+          )}
+          <div className="flex flex-wrap justify-end gap-2">
+            <Button type="button" className="border-none" onClick={() => setPending(null)}>{t("common.cancel")}</Button>
+            <Button type="button" disabled={busy} onClick={() => accept(false)}>{t("upload.asIs")}</Button>
+            {pending.buf && (
+              <Button type="button" disabled={busy || range.end <= range.start} onClick={() => accept(true)} className="bg-indigo-600 text-white border-indigo-700 flex items-center gap-1">
+                <Scissors className="w-4 h-4"/> {t("upload.trim")}
+              </Button>
+            )}
+          </div>
+          <p className="text-xs opacity-70">{t("upload.note")}</p>
+        </div>
+      )}
+    </div>
+  );
+}
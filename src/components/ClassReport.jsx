@@ -0,0 +1,239 @@
+// src/components/ClassReport.jsx
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { ArrowLeft, Copy, Download, Plus, RefreshCw, Trash2 } from "lucide-react";
+import { Button, Card } from "./ui.jsx";
+import { ASSIGNMENT_KINDS, canAssign, classReport, formatCode, newId, reportRows } from "../lib/classroom.js";
+import { classroomRepository } from "../lib/classroomRepository.js";
+import { downloadFile, toCSV } from "../lib/importExport.js";
+import { dayKey } from "../lib/progress.js";
+import { useI18n } from "../lib/i18n.js";
+
+const STATUS_STYLES = {
+  done: "bg-emerald-50 text-emerald-900 border-emerald-200",
+  late: "bg-amber-50 text-amber-900 border-amber-200",
+  missing: "bg-red-50 text-red-900 border-red-200",
+  pending: "bg-slate-50 text-slate-600 border-slate-200",
+};
+
+/** @param {{ status: import("../lib/classroom.js").ResultStatus }} props */
+export function ResultBadge({ status }) {
+  const { label } = useI18n();
+  return <span className={`inline-flex items-center rounded-full border px-2 py-0.5 text-xs ${STATUS_STYLES[status]}`}>{label("result", status)}</span>;
+}
+
+const pct = (x) => (x == null ? "—" : `${Math.round(x * 100)}%`);
+
+/**
+ * #/class/:id – the tutor's page for one class: the join code, assignments
+ * with due dates, and every student's best result per assignment, exportable
+ * as CSV. Only the class's owner sees it.
+ */
+export default function ClassReport({ classId, user, canTeach, lessons, onOpenLesson, onBack }) {
+  const { t, label, formatDate } = useI18n();
+  const [data, setData] = useState(/** @type{{ classroom: import("../lib/classroom.js").Classroom|null; students: import("../lib/classroom.js").Student[]; results: import("../lib/classroom.js").Result[] }|null} */(null));
+  const [error, setError] = useState("");
+  const [copied, setCopied] = useState(false);
+  const [draft, setDraft] = useState({ lessonId: "", kind: /** @type{import("../lib/classroom.js").AssignmentKind} */ ("exercises"), due: "" });
+
+  const load = useCallback(async () => {
+    setError("");
+    try {
+      const classroom = await classroomRepository.getClass(classId);
+      if (!classroom) { setData({ classroom: null, students: [], results: [] }); return; }
+      const [students, results] = await Promise.all([classroomRepository.students(classId), classroomRepository.results(classId)]);
+      setData({ classroom, students, results });
+    } catch (err) {
+      console.error("Could not load class:", err);
+      setError(err.message);
+    }
+  }, [classId]);
+  useEffect(() => { load(); }, [load]);
+
+  const classroom = data?.classroom;
+  const report = useMemo(
+    () => (classroom ? classReport(classroom, data.students, data.results, lessons) : null),
+    [classroom, data, lessons]
+  );
+  const choices = lessons.filter((L) => canAssign(L, draft.kind));
+
+  async function save(next) {
+    const before = classroom;
+    setData((d) => ({ ...d, classroom: next }));
+    try {
+      const saved = await classroomRepository.saveClass(next);
+      setData((d) => ({ ...d, classroom: saved }));
+    } catch (err) {
+      setData((d) => ({ ...d, classroom: before }));
+      alert(t("class.saveError", { message: err.message }));
+    }
+  }
+
+  function addAssignment(e) {
+    e.preventDefault();
+    if (!draft.lessonId) return;
+    save({ ...classroom, assignments: [...classroom.assignments, { id: newId("asg"), ...draft }] });
+    setDraft((d) => ({ ...d, lessonId: "" }));
+  }
+
+  function removeAssignment(a) {
+    save({ ...classroom, assignments: classroom.assignments.filter((x) => x.id !== a.id) });
+  }
+
+  async function removeClass() {
+    if (!confirm(t("class.deleteConfirm", { name: classroom.name }))) return;
+    try {
+      await classroomRepository.removeClass(classroom.id);
+      onBack();
+    } catch (err) {
+      alert(t("class.saveError", { message: err.message }));
+    }
+  }
+
+  async function copyCode() {
+    try {
+      await navigator.clipboard.writeText(formatCode(classroom.code));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      prompt(t("class.code"), formatCode(classroom.code));
+    }
+  }
+
+  function exportCSV() {
+    const slug = classroom.name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, "-").replace(/^-|-$/g, "") || "class";
+    downloadFile(toCSV(reportRows(report)), `${slug}-results-${dayKey()}.csv`, "text/csv");
+  }
+
+  const header = (
+    <div className="flex items-center justify-between gap-2">
+      <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+      {classroom && canTeach && classroom.ownerId === user?.uid && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button onClick={load} className="flex items-center gap-2"><RefreshCw className="w-4 h-4"/> {t("class.refresh")}</Button>
+          <Button onClick={exportCSV} className="flex items-center gap-2"><Download className="w-4 h-4"/> {t("class.export")}</Button>
+          <Button onClick={removeClass} className="flex items-center gap-2 text-red-700"><Trash2 className="w-4 h-4"/> {t("class.delete")}</Button>
+        </div>
+      )}
+    </div>
+  );
+
+  let body;
+  if (error) body = <p className="text-sm text-red-700">{t("class.loadError", { message: error })}</p>;
+  else if (!data) body = <p className="text-sm opacity-70">{t("class.loading")}</p>;
+  else if (!classroom) body = <p className="text-sm opacity-70">{t("class.gone")}</p>;
+  else if (!canTeach || classroom.ownerId !== user?.uid) body = <p className="text-sm opacity-70">{t("class.notOwner")}</p>;
+  if (body) return <main className="mx-auto max-w-6xl px-4 py-10 grid gap-4">{header}{body}</main>;
+
+  return (
+    <main className="mx-auto max-w-6xl px-4 py-10 grid gap-4">
+      {header}
+
+      <Card className="flex flex-wrap items-center gap-3">
+        <div className="flex-1 min-w-0">
+          <h2 className="text-xl font-semibold truncate">{classroom.name}</h2>
+          <p className="text-sm opacity-70">{t("class.students", { count: data.students.length })} · {t("class.assignments", { count: classroom.assignments.length })}</p>
+        </div>
+        <div className="text-sm text-right">
+          <div className="opacity-70">{t("class.share")}</div>
+          <div className="flex items-center justify-end gap-2">
+            <span className="font-mono text-2xl tracking-widest">{formatCode(classroom.code)}</span>
+            <Button onClick={copyCode} title={t("class.copyCode")} className="text-sm py-1 flex items-center gap-1">
+              <Copy className="w-4 h-4"/> {copied ? t("class.codeCopied") : t("class.copyCode")}
+            </Button>
+          </div>
+        </div>
+      </Card>
+
+      <Card className="grid gap-3">
+        <form onSubmit={addAssignment} className="flex flex-col md:flex-row md:items-end gap-3">
+          <label className="grid gap-1 text-sm md:w-40">
+            {t("class.task")}
+            <select
+              className="w-full rounded-2xl border px-3 py-2 focus:ring focus:ring-indigo-200"
+              value={draft.kind}
+              onChange={(e) => setDraft({ ...draft, kind: /** @type{any} */ (e.target.value), lessonId: "" })}
+            >
+              {ASSIGNMENT_KINDS.map((k) => <option key={k} value={k}>{label("task", k)}</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1 text-sm flex-1 min-w-0">
+            {t("class.lesson")}
+            <select
+              className="w-full rounded-2xl border px-3 py-2 focus:ring focus:ring-indigo-200"
+              value={draft.lessonId}
+              onChange={(e) => setDraft({ ...draft, lessonId: e.target.value })}
+              required
+            >
+              <option value="" />
+              {choices.map((L) => <option key={L.id} value={L.id}>{L.title}</option>)}
+            </select>
+          </label>
+          <label className="grid gap-1 text-sm md:w-44">
+            {t("class.dueDate")}
+            <input
+              type="date"
+              className="w-full rounded-2xl border px-3 py-2 focus:ring focus:ring-indigo-200"
+              value={draft.due}
+              onChange={(e) => setDraft({ ...draft, due: e.target.value })}
+            />
+          </label>
+          <Button type="submit" className="flex items-center gap-2"><Plus className="w-4 h-4"/> {t("class.assign")}</Button>
+        </form>
+      </Card>
+
+      <Card className="overflow-x-auto">
+        {!report.assignments.length ? <p className="text-sm opacity-70">{t("class.noAssignments")}</p> : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left align-bottom">
+                <th className="p-2">{t("class.student")}</th>
+                {report.assignments.map((a) => (
+                  <th key={a.id} className="p-2 min-w-[9rem] font-normal">
+                    <div className="flex items-start gap-1">
+                      <button className="font-semibold underline text-left" onClick={() => onOpenLesson(a.lessonId)}>{a.title}</button>
+                      <button onClick={() => removeAssignment(a)} title={t("common.remove")} className="ml-auto opacity-50 hover:opacity-100">
+                        <Trash2 className="w-3 h-3"/>
+                      </button>
+                    </div>
+                    <div className="text-xs opacity-70">{label("task", a.kind)} · {a.due ? t("class.due", { date: formatDate(`${a.due}T00:00`) }) : t("class.noDue")}</div>
+                  </th>
+                ))}
+                <th className="p-2">{t("class.average")}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map(({ student, cells, average }) => (
+                <tr key={student.id} className="border-t">
+                  <td className="p-2 font-medium">{student.name}</td>
+                  {cells.map(({ status, result }, i) => (
+                    <td key={report.assignments[i].id} className="p-2" title={result ? `${result.detail} · ${t("class.attempts", { count: result.attempts })}` : undefined}>
+                      <div className="flex items-center gap-2">
+                        {result && <span>{pct(result.score)}</span>}
+                        <ResultBadge status={status} />
+                      </div>
+                    </td>
+                  ))}
+                  <td className="p-2 font-medium">{pct(average)}</td>
+                </tr>
+              ))}
+              {!report.rows.length && (
+                <tr><td colSpan={report.assignments.length + 2} className="p-2 opacity-70">{t("class.noStudents")}</td></tr>
+              )}
+            </tbody>
+            {report.rows.length > 0 && (
+              <tfoot>
+                <tr className="border-t text-xs opacity-80">
+                  <td className="p-2">{t("class.average")}</td>
+                  {report.assignments.map((a) => (
+                    <td key={a.id} className="p-2">{pct(a.average)} · {t("class.submitted", { done: a.submitted, total: report.rows.length })}</td>
+                  ))}
+                  <td />
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        )}
+      </Card>
+    </main>
+  );
+}
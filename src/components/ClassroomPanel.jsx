@@ -0,0 +1,210 @@
+// src/components/ClassroomPanel.jsx
+import React, { useEffect, useState } from "react";
+import { ArrowLeft, Lock, LogOut, Plus, Users } from "lucide-react";
+import { Badge, Button, Card, Input } from "./ui.jsx";
+import { ResultBadge } from "./ClassReport.jsx";
+import { byDue, formatCode, joinedClasses, newClassroom, normalizeCode, resultStatus, saveJoinedClasses } from "../lib/classroom.js";
+import { classroomRepository } from "../lib/classroomRepository.js";
+import { useI18n } from "../lib/i18n.js";
+
+/** A joined class with what it assigned and how this learner did. */
+function JoinedClass({ membership, learnerId, lessons, onOpenLesson, onLeave }) {
+  const { t, label, formatDate } = useI18n();
+  const [state, setState] = useState(/** @type{{ classroom: import("../lib/classroom.js").Classroom|null; results: import("../lib/classroom.js").Result[] }|null} */(null));
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    Promise.all([classroomRepository.getClass(membership.id), classroomRepository.results(membership.id, learnerId)])
+      .then(([classroom, results]) => { if (alive) setState({ classroom, results }); })
+      .catch((err) => {
+        console.error("Could not load class:", err);
+        if (alive) setError(err.message);
+      });
+    return () => { alive = false; };
+  }, [membership.id, learnerId]);
+
+  const titles = new Map(lessons.map((L) => [L.id, L.title]));
+  const assignments = byDue(state?.classroom?.assignments);
+
+  return (
+    <Card className="grid gap-3">
+      <div className="flex items-center gap-3">
+        <div className="p-2 rounded-xl bg-indigo-50 border"><Users className="w-5 h-5"/></div>
+        <div className="flex-1 min-w-0">
+          <div className="font-semibold truncate">{state?.classroom?.name || membership.name}</div>
+          <div className="text-xs opacity-70">{membership.studentName} · {formatCode(membership.code)}</div>
+        </div>
+        <Button onClick={onLeave} className="flex items-center gap-1 text-sm py-1"><LogOut className="w-4 h-4"/> {t("class.leave")}</Button>
+      </div>
+      {error ? <p className="text-sm text-red-700">{t("class.loadError", { message: error })}</p>
+        : !state ? <p className="text-sm opacity-70">{t("class.loading")}</p>
+        : !state.classroom ? <p className="text-sm opacity-70">{t("class.gone")}</p>
+        : !assignments.length ? <p className="text-sm opacity-70">{t("class.noAssignments")}</p>
+        : (
+          <ul className="grid gap-1 text-sm">
+            {assignments.map((a) => {
+              const result = state.results.find((r) => r.assignmentId === a.id);
+              return (
+                <li key={a.id} className="flex flex-wrap items-center gap-2">
+                  <button className="underline min-w-0 truncate" onClick={() => onOpenLesson(a.lessonId)}>{titles.get(a.lessonId) || a.lessonId}</button>
+                  <Badge>{label("task", a.kind)}</Badge>
+                  <span className="opacity-70">{a.due ? t("class.due", { date: formatDate(`${a.due}T00:00`) }) : t("class.noDue")}</span>
+                  <span className="ml-auto flex items-center gap-2">
+                    {result && <span className="opacity-70">{Math.round(result.score * 100)}%</span>}
+                    <ResultBadge status={resultStatus(a, result)} />
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+    </Card>
+  );
+}
+
+/**
+ * #/classes – join a class with its code and see what it assigned; tutors
+ * (editors) also create classes here and open their reports. Keyed by
+ * learner in the App, so signing in or out reloads the joined classes.
+ */
+export default function ClassroomPanel({ user, learnerId, lessons, canTeach, onOpenClass, onOpenLesson, onSignIn, onBack }) {
+  const { t } = useI18n();
+  const [joined, setJoined] = useState(() => joinedClasses(learnerId));
+  const [code, setCode] = useState("");
+  const [name, setName] = useState(user?.displayName || user?.email?.split("@")[0] || "");
+  const [message, setMessage] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [teaching, setTeaching] = useState(/** @type{import("../lib/classroom.js").Classroom[]|null} */(null));
+  const [newName, setNewName] = useState("");
+
+  const [teachError, setTeachError] = useState("");
+
+  const uid = user?.uid;
+  useEffect(() => {
+    if (!canTeach) return;
+    let alive = true;
+    classroomRepository.listClasses(uid).then(
+      (list) => { if (alive) setTeaching(list); },
+      (err) => {
+        console.error("Could not load classes:", err);
+        if (alive) setTeachError(err.message);
+      },
+    );
+    return () => { alive = false; };
+  }, [canTeach, uid]);
+
+  const updateJoined = (list) => {
+    saveJoinedClasses(learnerId, list);
+    setJoined(list);
+  };
+
+  async function join(e) {
+    e.preventDefault();
+    const wanted = normalizeCode(code);
+    if (!wanted || !name.trim()) return;
+    setBusy(true);
+    setMessage("");
+    try {
+      const c = await classroomRepository.findByCode(wanted);
+      if (!c) { setMessage(t("class.notFound", { code: formatCode(wanted) })); return; }
+      await classroomRepository.join(c.id, { id: learnerId, name: name.trim(), code: wanted });
+      updateJoined([{ id: c.id, name: c.name, code: wanted, studentName: name.trim() }, ...joined.filter((m) => m.id !== c.id)]);
+      setCode("");
+      setMessage(t("class.joined", { name: c.name }));
+    } catch (err) {
+      setMessage(t("class.saveError", { message: err.message }));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function leave(m) {
+    if (!confirm(t("class.leaveConfirm", { name: m.name }))) return;
+    updateJoined(joined.filter((x) => x.id !== m.id));
+  }
+
+  async function create(e) {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    try {
+      const c = await classroomRepository.saveClass(newClassroom(newName, uid));
+      setNewName("");
+      onOpenClass(c.id);
+    } catch (err) {
+      alert(t("class.saveError", { message: err.message }));
+    }
+  }
+
+  const mustSignIn = classroomRepository.needsSignIn && !user;
+
+  return (
+    <main className="mx-auto max-w-5xl px-4 py-10 grid gap-4">
+      <div className="flex items-center justify-between gap-2">
+        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        <h2 className="text-xl font-semibold">{t("class.title")}</h2>
+      </div>
+
+      <Card className="grid gap-3">
+        <h3 className="font-semibold">{t("class.join")}</h3>
+        {mustSignIn ? (
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span>{t("class.signInToJoin")}</span>
+            <Button onClick={onSignIn} className="flex items-center gap-2"><Lock className="w-4 h-4"/> {t("nav.signIn")}</Button>
+          </div>
+        ) : (
+          <form onSubmit={join} className="flex flex-col md:flex-row md:items-end gap-3">
+            <label className="grid gap-1 text-sm md:w-48">
+              {t("class.code")}
+              <Input value={code} onChange={(e) => setCode(e.target.value)} placeholder="ABC-234" className="uppercase tracking-widest" required />
+            </label>
+            <label className="grid gap-1 text-sm flex-1">
+              {t("class.yourName")}
+              <Input value={name} onChange={(e) => setName(e.target.value)} required />
+            </label>
+            <Button type="submit" disabled={busy} className="bg-indigo-600 text-white border-indigo-700">{t("class.joinButton")}</Button>
+          </form>
+        )}
+        {message && <p className="text-sm" role="status">{message}</p>}
+      </Card>
+
+      <section className="grid gap-3">
+        <h3 className="font-semibold">{t("class.mine")}</h3>
+        {joined.length ? joined.map((m) => (
+          <JoinedClass key={m.id} membership={m} learnerId={learnerId} lessons={lessons} onOpenLesson={onOpenLesson} onLeave={() => leave(m)} />
+        )) : <p className="text-sm opacity-70">{t("class.none")}</p>}
+      </section>
+
+      {canTeach && (
+        <section className="grid gap-3">
+          <h3 className="font-semibold">{t("class.teaching")}</h3>
+          <Card>
+            <form onSubmit={create} className="flex flex-col md:flex-row md:items-end gap-3">
+              <label className="grid gap-1 text-sm flex-1">
+                {t("class.newName")}
+                <Input value={newName} onChange={(e) => setNewName(e.target.value)} required />
+              </label>
+              <Button type="submit" className="flex items-center gap-2"><Plus className="w-4 h-4"/> {t("class.create")}</Button>
+            </form>
+          </Card>
+          {teachError ? <p className="text-sm text-red-700">{t("class.loadError", { message: teachError })}</p>
+            : !teaching ? <p className="text-sm opacity-70">{t("class.loading")}</p>
+            : !teaching.length ? <p className="text-sm opacity-70">{t("class.noneTeaching")}</p>
+            : (
+              <div className="grid gap-3 md:grid-cols-2">
+                {teaching.map((c) => (
+                  <Card key={c.id} className="flex items-center gap-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="font-semibold truncate">{c.name}</div>
+                      <div className="text-xs opacity-70">{formatCode(c.code)} · {t("class.assignments", { count: c.assignments.length })}</div>
+                    </div>
+                    <Button onClick={() => onOpenClass(c.id)} className="text-sm py-1">{t("class.results")}</Button>
+                  </Card>
+                ))}
+              </div>
+            )}
+        </section>
+      )}
+    </main>
+  );
+}
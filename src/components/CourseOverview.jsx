@@ -0,0 +1,148 @@
+// src/components/CourseOverview.jsx
+import React, { useState } from "react";
+import { ArrowDown, ArrowLeft, ArrowUp, CircleCheck, Lock, Save, X } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { assignLesson, moveLesson, unassignedLessons, unmetPrerequisites } from "../lib/curriculum.js";
+import { useI18n } from "../lib/i18n.js";
+import { isCompleted } from "../lib/progress.js";
+
+/**
+ * #/course/:id – a course's units and their lessons in order, with progress.
+ * Admins can switch to "Reorder" to move lessons within and between units.
+ */
+export default function CourseOverview({ curriculum, courseId, lessons, progress, canEdit, onSave, onOpenLesson, onOpenCourse, onBack }) {
+  const { t } = useI18n();
+  const [draft, setDraft] = useState(/** @type{import("../lib/curriculum.js").Curriculum|null} */(null));
+  const [saving, setSaving] = useState(false);
+  const curr = draft || curriculum;
+  const course = curr.courses.find((c) => c.id === courseId) || curr.courses[0];
+  const byId = new Map(lessons.map((L) => [L.id, L]));
+  const isDone = (id) => isCompleted(progress.lessons[id]);
+  const allUnits = curr.courses.flatMap((c) => c.units.map((u) => ({ ...u, courseTitle: c.title })));
+
+  async function save() {
+    setSaving(true);
+    try {
+      await onSave(draft);
+      setDraft(null);
+    } catch (err) {
+      alert(t("course.saveError", { message: err.message }));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  if (!course) {
+    return (
+      <main className="mx-auto max-w-5xl px-4 py-10">
+        <Button className="mb-4 flex items-center gap-2" onClick={onBack}><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        <Card><p>{t("course.none")}</p></Card>
+      </main>
+    );
+  }
+
+  const unitPicker = (lessonId, current) => (
+    <select
+      className="rounded-xl border px-2 py-1 text-sm"
+      value={current}
+      onChange={(e) => setDraft(assignLesson(curr, lessonId, e.target.value))}
+      title={t("course.moveTo")}
+    >
+      <option value="">{t("course.notInUnit")}</option>
+      {allUnits.map((u) => <option key={u.id} value={u.id}>{u.courseTitle} › {u.title}</option>)}
+    </select>
+  );
+
+  return (
+    <main className="mx-auto max-w-5xl px-4 py-10 grid gap-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        {canEdit && (draft ? (
+          <div className="flex items-center gap-2">
+            <Button onClick={() => setDraft(null)} className="flex items-center gap-2"><X className="w-4 h-4"/> {t("common.cancel")}</Button>
+            <Button onClick={save} disabled={saving} className="flex items-center gap-2 bg-indigo-600 text-white border-indigo-700"><Save className="w-4 h-4"/> {t("course.saveOrder")}</Button>
+          </div>
+        ) : (
+          <Button onClick={() => setDraft(curriculum)}>{t("course.reorder")}</Button>
+        ))}
+      </div>
+
+      <Card className="grid gap-2">
+        <h2 className="text-2xl font-semibold">{course.title}</h2>
+        {course.description && <p className="text-slate-700">{course.description}</p>}
+        {curr.courses.length > 1 && (
+          <div className="flex flex-wrap gap-2 mt-1">
+            {curr.courses.map((c) => (
+              <button
+                key={c.id}
+                className={`rounded-full border px-3 py-0.5 text-sm ${c.id === course.id ? "bg-indigo-600 text-white border-indigo-700" : "hover:bg-slate-50"}`}
+                onClick={() => onOpenCourse(c.id)}
+              >
+                {c.title}
+              </button>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      {course.units.map((unit) => {
+        const present = unit.lessons.filter((id) => byId.has(id));
+        const done = present.filter(isDone).length;
+        const unmet = unmetPrerequisites(curr, unit, isDone);
+        return (
+          <Card key={unit.id} className="grid gap-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <h3 className="font-semibold flex-1">{unit.title}</h3>
+              <Badge>{t("course.done", { done, total: present.length })}</Badge>
+            </div>
+            {unit.description && <p className="text-sm text-slate-600">{unit.description}</p>}
+            {unmet.length > 0 && (
+              <p className="text-sm text-amber-800 flex items-center gap-1">
+                <Lock className="w-4 h-4"/> {t("lesson.recommended", { lessons: unmet.map((u) => u.title).join(", ") })}
+              </p>
+            )}
+            <ol className="grid gap-1">
+              {unit.lessons.map((id, i) => {
+                const L = byId.get(id);
+                if (!L && !draft) return null;
+                return (
+                  <li key={id} className="flex flex-wrap items-center gap-2 rounded-xl px-2 py-1 hover:bg-slate-50">
+                    <span className="w-6 text-right text-sm opacity-60">{i + 1}.</span>
+                    {isDone(id) ? <CircleCheck className="w-4 h-4 text-emerald-600"/> : <span className="w-4"/>}
+                    <button className="flex-1 min-w-0 text-left truncate" onClick={() => L && onOpenLesson(id)} disabled={!L}>
+                      {L ? L.title : <span className="opacity-50">{t("course.missing", { id })}</span>}
+                    </button>
+                    {draft && (
+                      <>
+                        <button className="p-1 rounded-lg border hover:bg-white disabled:opacity-30" title={t("course.moveUp")} disabled={i === 0} onClick={() => setDraft(moveLesson(curr, unit.id, i, i - 1))}>
+                          <ArrowUp className="w-4 h-4"/>
+                        </button>
+                        <button className="p-1 rounded-lg border hover:bg-white disabled:opacity-30" title={t("course.moveDown")} disabled={i === unit.lessons.length - 1} onClick={() => setDraft(moveLesson(curr, unit.id, i, i + 1))}>
+                          <ArrowDown className="w-4 h-4"/>
+                        </button>
+                        {unitPicker(id, unit.id)}
+                      </>
+                    )}
+                  </li>
+                );
+              })}
+            </ol>
+          </Card>
+        );
+      })}
+
+      {draft && (
+        <Card className="grid gap-2">
+          <h3 className="font-semibold">{t("course.unassigned")}</h3>
+          {unassignedLessons(curr, lessons).map((L) => (
+            <div key={L.id} className="flex flex-wrap items-center gap-2 px-2">
+              <span className="flex-1 min-w-0 truncate">{L.title}</span>
+              {unitPicker(L.id, "")}
+            </div>
+          ))}
+          {!unassignedLessons(curr, lessons).length && <p className="text-sm opacity-70">{t("course.allAssigned")}</p>}
+        </Card>
+      )}
+    </main>
+  );
+}
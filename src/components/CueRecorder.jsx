@@ -0,0 +1,127 @@
+// src/components/CueRecorder.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Download, RotateCcw, Undo2 } from "lucide-react";
+import { Button } from "./ui.jsx";
+import { fillEnds, toVTT } from "../lib/cues.js";
+import { useI18n } from "../lib/i18n.js";
+
+/**
+ * Admin tool: play the lesson audio and tap Space (or "Mark") at the start of
+ * each transcript line. The last tap after the final line marks its end.
+ * Editing the transcript while recording keeps the taps made so far.
+ */
+export default function CueRecorder({ audioSrc, lines, cues, onChange }) {
+  const { t } = useI18n();
+  const audioRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+  const [marks, setMarks] = useState(() => (cues || []).map((c) => c.start));
+  const [lastEnd, setLastEnd] = useState(() => cues?.[cues.length - 1]?.end ?? null);
+  const [marking, setMarking] = useState(false);
+
+  // Lines added or removed mid-recording: keep the taps that still have a
+  // line; a tap for a removed line is where the new last line ends.
+  const [lineCount, setLineCount] = useState(lines.length);
+  if (lineCount !== lines.length) {
+    setLineCount(lines.length);
+    if (marks.length > lines.length) {
+      setMarks(marks.slice(0, lines.length));
+      setLastEnd(lines.length ? marks[lines.length] : null);
+    } else if (marks.length < lines.length) {
+      setLastEnd(null);
+    }
+  }
+
+  const next = marks.length; // index of the line the next tap starts
+  const done = next >= lines.length && lastEnd != null;
+
+  function mark() {
+    const t = audioRef.current?.currentTime ?? 0;
+    if (next < lines.length) setMarks((m) => [...m, t]);
+    else if (lastEnd == null) setLastEnd(t);
+  }
+
+  function undo() {
+    if (lastEnd != null) setLastEnd(null);
+    else setMarks((m) => m.slice(0, -1));
+  }
+
+  function reset() {
+    setMarks([]); setLastEnd(null);
+    if (audioRef.current) audioRef.current.currentTime = 0;
+  }
+
+  function save() {
+    const out = fillEnds(marks.map((start) => ({ start })));
+    if (lastEnd != null && out.length) out[out.length - 1] = { ...out[out.length - 1], end: lastEnd };
+    onChange(out);
+    setMarking(false);
+    audioRef.current?.pause();
+  }
+
+  function downloadVTT() {
+    const blob = new Blob([toVTT(cues, lines)], { type: "text/vtt" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = "cues.vtt"; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  // Space taps while marking (but not while typing in a field)
+  useEffect(() => {
+    if (!marking) return;
+    const onKey = (e) => {
+      if (e.code !== "Space" || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+      e.preventDefault();
+      mark();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  if (!audioSrc) return <p className="text-xs opacity-70">{t("cues.needAudio")}</p>;
+  if (!lines.length) return <p className="text-xs opacity-70">{t("cues.needTranscript")}</p>;
+
+  return (
+    <div className="grid gap-2 rounded-2xl border p-3">
+      <audio ref={audioRef} src={audioSrc} controls className="w-full" onEnded={() => { if (next >= lines.length && lastEnd == null) mark(); }} />
+      <div className="flex flex-wrap items-center gap-2">
+        {marking ? (
+          <>
+            <Button type="button" className="bg-indigo-600 text-white border-indigo-700" onClick={mark} disabled={done}>
+              {t("cues.mark")}
+            </Button>
+            <Button type="button" onClick={undo} disabled={!marks.length} className="flex items-center gap-1"><Undo2 className="w-4 h-4"/>{t("cues.undo")}</Button>
+            <Button type="button" onClick={reset} className="flex items-center gap-1"><RotateCcw className="w-4 h-4"/>{t("cues.restart")}</Button>
+            <Button type="button" onClick={save} disabled={!marks.length}>{t("cues.save")}</Button>
+            <Button type="button" className="border-none" onClick={() => setMarking(false)}>{t("common.cancel")}</Button>
+          </>
+        ) : (
+          <>
+            <Button type="button" onClick={() => { reset(); setMarking(true); audioRef.current?.play().catch(() => {}); }}>
+              {cues?.length ? t("cues.rerecord") : t("cues.record")}
+            </Button>
+            {cues?.length > 0 && (
+              <Button type="button" onClick={downloadVTT} className="flex items-center gap-1"><Download className="w-4 h-4"/>.vtt</Button>
+            )}
+          </>
+        )}
+        <span className="text-xs opacity-70 ml-auto">
+          {t("cues.timed", { timed: cues?.length || 0, count: lines.length })}
+          {cues?.length > 0 && cues.length !== lines.length && ` — ${t("cues.outdated")}`}
+        </span>
+      </div>
+      {marking && (
+        <ol className="grid gap-1 max-h-48 overflow-y-auto text-sm">
+          {lines.map((L, i) => (
+            <li key={i} className={`flex gap-2 rounded-lg px-2 py-1 ${i === next ? "bg-amber-100" : ""}`}>
+              <span className="w-14 shrink-0 tabular-nums opacity-70">{marks[i] != null ? marks[i].toFixed(2) : "—"}</span>
+              <span className="truncate">{L.km || L.en}</span>
+            </li>
+          ))}
+          <li className={`px-2 py-1 text-xs opacity-70 ${next >= lines.length && lastEnd == null ? "bg-amber-100 rounded-lg" : ""}`}>
+            {lastEnd != null ? t("cues.end", { time: lastEnd.toFixed(2) }) : t("cues.tapEnd")}
+          </li>
+        </ol>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,174 @@
+// src/components/DictationRunner.jsx
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { ArrowLeft, ArrowRight, Check, Keyboard, Lightbulb, Play, RotateCcw, Snail } from "lucide-react";
+import { Button } from "./ui.jsx";
+import KhmerKeyboard from "./KhmerKeyboard.jsx";
+import { diffDictation, dictationItems } from "../lib/dictation.js";
+import { useI18n } from "../lib/i18n.js";
+import { backspaceInto, typeInto } from "../lib/keyboard.js";
+
+const KIND_STYLE = {
+  consonant: "bg-red-100 text-red-800",
+  vowel: "bg-amber-100 text-amber-900",
+  diacritic: "bg-violet-100 text-violet-800",
+  subscript: "bg-sky-100 text-sky-800",
+  other: "bg-slate-200 text-slate-800",
+};
+// named by "dictation.kind.<kind>", counted by "dictation.count.<kind>"
+
+/** One side of the diff: the transcript with what was missed, or the answer with what was wrong. */
+function DiffLine({ ops, side }) {
+  const { t } = useI18n();
+  const shown = ops.filter((o) => (side === "expected" ? o.op !== "extra" : o.op !== "missing"));
+  return (
+    <span lang="km" className="text-xl leading-relaxed">
+      {shown.map((o, i) => {
+        const ch = side === "expected" ? o.expected : o.typed;
+        if (o.op === "same") return <span key={i}>{ch}</span>;
+        // a mark on its own would attach to the previous letter; show it on a dotted circle
+        return (
+          <mark key={i} className={`rounded px-0.5 ${KIND_STYLE[o.kind]} ${side === "typed" && o.op === "extra" ? "line-through" : ""}`} title={t(`dictation.op.${o.op}`, { kind: t(`dictation.kind.${o.kind}`) })}>
+            {o.kind === "vowel" || o.kind === "diacritic" || o.kind === "subscript" ? `◌${ch}` : ch}
+          </mark>
+        );
+      })}
+    </span>
+  );
+}
+
+/**
+ * Listening dictation built from the transcript (lib/dictation.js): play a
+ * line, type it in Khmer, compare character by character. When every line
+ * has been checked, `onScore(accuracy, lines)` reports the average, once
+ * per pass.
+ */
+export default function DictationRunner({ dialogue, cues, audioSrc, onStart, onScore }) {
+  const { t } = useI18n();
+  const items = useMemo(() => dictationItems(dialogue, cues), [dialogue, cues]);
+  const [pos, setPos] = useState(0);
+  const [answers, setAnswers] = useState(/** @type{Record<number, string>} */({}));
+  const [results, setResults] = useState(/** @type{Record<number, ReturnType<typeof diffDictation>>} */({}));
+  const [hint, setHint] = useState(false);
+  const [keyboard, setKeyboard] = useState(false);
+  // a pass is reported once, when its last line is first checked; Reset starts a new one
+  const [reported, setReported] = useState(false);
+  const inputRef = useRef(/** @type{HTMLTextAreaElement|null} */(null));
+  const clipRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+
+  useEffect(() => () => clipRef.current?.pause(), []);
+
+  if (!audioSrc) return <p className="text-slate-800">{t("dictation.noAudio")}</p>;
+  if (!items.length) return <p className="text-slate-800">{t("dictation.noTimings")}</p>;
+
+  const item = items[Math.min(pos, items.length - 1)];
+  const answer = answers[pos] || "";
+  const result = results[pos];
+  const checked = Object.values(results);
+  const average = checked.length ? checked.reduce((s, r) => s + r.accuracy, 0) / checked.length : 0;
+
+  function play(rate = 1) {
+    clipRef.current?.pause();
+    onStart?.();
+    const a = new Audio(audioSrc);
+    clipRef.current = a;
+    a.playbackRate = rate;
+    const go = () => {
+      a.currentTime = item.start;
+      a.play().catch(() => {});
+    };
+    if (item.end != null) a.addEventListener("timeupdate", () => { if (a.currentTime >= item.end) a.pause(); });
+    if (a.readyState >= 1) go(); else a.addEventListener("loadedmetadata", go, { once: true });
+  }
+
+  function setAnswer(v) {
+    setAnswers((all) => ({ ...all, [pos]: v }));
+    setResults((r) => { const { [pos]: _, ...rest } = r; return rest; });
+  }
+
+  function check() {
+    const next = { ...results, [pos]: diffDictation(item.km, answer) };
+    setResults(next);
+    if (!reported && items.every((_, i) => i in next)) {
+      setReported(true);
+      const all = Object.values(next);
+      onScore?.(all.reduce((s, r) => s + r.accuracy, 0) / all.length, all.length);
+    }
+  }
+
+  function go(i) {
+    clipRef.current?.pause();
+    setPos(i);
+    setHint(false);
+  }
+
+  function reset() {
+    setAnswers({}); setResults({}); setReported(false); go(0);
+  }
+
+  const kinds = result ? Object.entries(result.byKind) : [];
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="font-medium">{t("dictation.sentence", { n: pos + 1, total: items.length })}</span>
+        {checked.length > 0 && <span className="opacity-70">{t("dictation.average", { percent: Math.round(average * 100), count: checked.length })}</span>}
+        <Button type="button" onClick={reset} className="flex items-center gap-1 py-1"><RotateCcw className="w-4 h-4"/> {t("common.reset")}</Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button type="button" onClick={() => play()} className="flex items-center gap-2 bg-indigo-600 text-white border-indigo-700"><Play className="w-4 h-4"/> {t("common.play")}</Button>
+        <Button type="button" onClick={() => play(0.7)} className="flex items-center gap-2"><Snail className="w-4 h-4"/> {t("dictation.slower")}</Button>
+        {item.en && !hint && (
+          <Button type="button" onClick={() => setHint(true)} className="flex items-center gap-2"><Lightbulb className="w-4 h-4"/> {t("common.hint")}</Button>
+        )}
+        <Button type="button" onClick={() => setKeyboard(!keyboard)} className={`ml-auto flex items-center gap-2 ${keyboard ? "ring-1 ring-indigo-300" : ""}`} aria-pressed={keyboard}>
+          <Keyboard className="w-4 h-4"/> {t("keyboard.label")}
+        </Button>
+      </div>
+      {hint && <p lang="en" className="text-sm text-amber-700">💡 {item.en}</p>}
+
+      <textarea
+        ref={inputRef}
+        lang="km"
+        rows={2}
+        value={answer}
+        onChange={(e) => setAnswer(e.target.value)}
+        onKeyDown={(e) => { if (e.key === "Enter" && !e.shiftKey) { e.preventDefault(); if (answer) check(); } }}
+        placeholder={t("dictation.placeholder")}
+        className="w-full rounded-xl border px-3 py-2 text-xl outline-none focus:ring-2 focus:ring-indigo-300"
+      />
+      {keyboard && (
+        <KhmerKeyboard
+          onType={(text) => inputRef.current && typeInto(inputRef.current, text)}
+          onBackspace={() => inputRef.current && backspaceInto(inputRef.current)}
+        />
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <Button type="button" onClick={check} disabled={!answer} className="flex items-center gap-1"><Check className="w-4 h-4"/> {t("common.check")}</Button>
+        <Button type="button" onClick={() => go(pos - 1)} disabled={pos === 0} className="flex items-center gap-1"><ArrowLeft className="w-4 h-4"/> {t("common.previous")}</Button>
+        <Button type="button" onClick={() => go(pos + 1)} disabled={pos >= items.length - 1} className="flex items-center gap-1">{t("common.next")} <ArrowRight className="w-4 h-4"/></Button>
+      </div>
+
+      {result && (
+        <div className={`grid gap-2 rounded-2xl border p-3 ${result.mistakes ? "border-amber-300 bg-amber-50/50" : "border-emerald-400 bg-emerald-50/50"}`}>
+          <p className="text-sm font-medium">
+            {result.mistakes ? t("dictation.differences", { percent: Math.round(result.accuracy * 100), count: result.mistakes }) : t("dictation.perfect")}
+            {kinds.length > 0 && <span className="font-normal opacity-80"> ({kinds.map(([k, n]) => t(`dictation.count.${k}`, { count: n })).join(", ")})</span>}
+          </p>
+          <div className="grid gap-1 text-sm">
+            <div><span className="opacity-60 mr-2">{t("lesson.transcript")}</span><DiffLine ops={result.ops} side="expected" /></div>
+            {result.mistakes > 0 && <div><span className="opacity-60 mr-2">{t("dictation.typed")}</span><DiffLine ops={result.ops} side="typed" /></div>}
+          </div>
+          {result.mistakes > 0 && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {["vowel", "diacritic", "subscript", "consonant"].map((k) => (
+                <span key={k} className={`rounded px-1.5 py-0.5 ${KIND_STYLE[k]}`}>{t(`dictation.kind.${k}`)}</span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,234 @@
+// src/components/ExerciseRunner.jsx
+import React, { useMemo, useRef, useState } from "react";
+import { Check, Lightbulb, Play, RotateCcw, X } from "lucide-react";
+import { Button, Input } from "./ui.jsx";
+import { KeyboardToggle } from "./KhmerKeyboard.jsx";
+import { checkAnswer, isScored } from "../lib/exercises.js";
+import { useI18n } from "../lib/i18n.js";
+import { isKhmerText } from "../lib/transcript.js";
+
+/**
+ * Interactive runner for a lesson's typed exercises (`lesson.quiz`).
+ * Fill-in and translation answers are compared Khmer-aware (lib/khmer.js).
+ */
+export default function ExerciseRunner({ quiz, dialogue, cues, audioSrc, onScore }) {
+  const { t } = useI18n();
+  const [answers, setAnswers] = useState(/** @type{Record<number, any>} */({}));
+  const [results, setResults] = useState(/** @type{Record<number, boolean>} */({}));
+  const [hints, setHints] = useState(/** @type{Record<number, boolean>} */({}));
+  const [revealed, setRevealed] = useState(/** @type{Record<number, boolean>} */({}));
+  // a round is reported once, when every scored item is first checked; Reset starts a new one
+  const [reported, setReported] = useState(false);
+  const clipRef = useRef(/** @type{HTMLAudioElement|null} */(null));
+
+  const scoredIdx = quiz.map((ex, i) => (isScored(ex) ? i : -1)).filter((i) => i >= 0);
+  const correct = scoredIdx.filter((i) => results[i]).length;
+  const attempted = scoredIdx.filter((i) => i in results).length;
+
+  function setAnswer(i, v) {
+    setAnswers((a) => ({ ...a, [i]: v }));
+    setResults((r) => { const { [i]: _, ...rest } = r; return rest; });
+  }
+
+  function check(i) {
+    const ok = checkAnswer(quiz[i], answers[i]);
+    const next = { ...results, [i]: ok };
+    setResults(next);
+    if (!reported && scoredIdx.every((j) => j in next)) {
+      setReported(true);
+      onScore?.(scoredIdx.filter((j) => next[j]).length, scoredIdx.length);
+    }
+  }
+
+  function reset() {
+    setAnswers({}); setResults({}); setHints({}); setRevealed({}); setReported(false);
+  }
+
+  function playClip(ex) {
+    const cue = ex.line != null ? cues?.[ex.line] : null;
+    const src = ex.audioUrl || audioSrc;
+    const start = ex.start ?? cue?.start;
+    const end = ex.end ?? cue?.end ?? (ex.line != null ? cues?.[ex.line + 1]?.start : undefined);
+    if (!src) return;
+    clipRef.current?.pause();
+    const a = new Audio(src);
+    clipRef.current = a;
+    const go = () => {
+      if (start != null) a.currentTime = start;
+      a.play().catch(() => {});
+    };
+    if (end != null) a.addEventListener("timeupdate", () => { if (a.currentTime >= end) a.pause(); });
+    if (a.readyState >= 1) go(); else a.addEventListener("loadedmetadata", go, { once: true });
+  }
+
+  if (!quiz?.length) return <p className="text-slate-800">{t("exercise.none")}</p>;
+
+  let n = 0;
+  return (
+    <div className="grid gap-4">
+      {scoredIdx.length > 0 && (
+        <div className="flex items-center justify-between gap-2 text-sm">
+          <span className="font-medium">{t("exercise.score", { correct, total: scoredIdx.length })}</span>
+          <span className="opacity-70">{t("exercise.checked", { count: attempted })}</span>
+          <Button type="button" onClick={reset} className="flex items-center gap-1 py-1"><RotateCcw className="w-4 h-4"/> {t("common.reset")}</Button>
+        </div>
+      )}
+      <ol className="grid gap-3">
+        {quiz.map((ex, i) => {
+          if (ex.type === "note") {
+            return <li key={i} className="whitespace-pre-wrap text-slate-800">{ex.text}</li>;
+          }
+          n++;
+          const result = results[i];
+          return (
+            <li key={i} className={`grid gap-2 rounded-2xl border p-3 ${result === true ? "border-emerald-400 bg-emerald-50/50" : result === false ? "border-red-300 bg-red-50/50" : ""}`}>
+              <div className="flex items-start gap-2">
+                <span className="text-sm opacity-60 w-6 shrink-0">{n}.</span>
+                <div className="flex-1 grid gap-2">
+                  <ExercisePrompt ex={ex} dialogue={dialogue} onPlay={() => playClip(ex)} canPlay={!!(ex.audioUrl || audioSrc)} />
+                  <ExerciseInput ex={ex} value={answers[i]} onChange={(v) => setAnswer(i, v)} onSubmit={() => check(i)} />
+                  {hints[i] && ex.hint && <p className="text-sm text-amber-700">💡 {ex.hint}</p>}
+                  {revealed[i] && <p className="text-sm text-slate-600">{t("exercise.answer")} <span lang="km">{answerText(ex)}</span></p>}
+                </div>
+              </div>
+              {isScored(ex) && (
+                <div className="flex flex-wrap items-center gap-2 pl-8 text-sm">
+                  <Button type="button" className="py-1 flex items-center gap-1" onClick={() => check(i)} disabled={answers[i] == null || answers[i] === ""}>
+                    <Check className="w-4 h-4"/> {t("common.check")}
+                  </Button>
+                  {ex.hint && !hints[i] && (
+                    <Button type="button" className="py-1 flex items-center gap-1" onClick={() => setHints((h) => ({ ...h, [i]: true }))}>
+                      <Lightbulb className="w-4 h-4"/> {t("common.hint")}
+                    </Button>
+                  )}
+                  {result === false && !revealed[i] && (
+                    <Button type="button" className="py-1 border-none" onClick={() => setRevealed((r) => ({ ...r, [i]: true }))}>{t("common.showAnswer")}</Button>
+                  )}
+                  {result === true && <span className="text-emerald-700 flex items-center gap-1"><Check className="w-4 h-4"/> {t("exercise.correct")}</span>}
+                  {result === false && <span className="text-red-700 flex items-center gap-1"><X className="w-4 h-4"/> {t("exercise.wrong")}</span>}
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
+
+function answerText(ex) {
+  switch (ex.type) {
+    case "mcq":
+    case "listen":
+      return ex.options[ex.answer];
+    case "fill":
+    case "translate":
+      return ex.answers.join(" / ");
+    case "match":
+      return ex.pairs.map(([a, b]) => `${a} ↔ ${b}`).join(", ");
+    default:
+      return "";
+  }
+}
+
+function ExercisePrompt({ ex, dialogue, onPlay, canPlay }) {
+  const { t } = useI18n();
+  const kind = ex.type === "translate" ? (isKhmerText(ex.prompt) ? "translateToEn" : "translateToKm") : ex.type;
+  const label = t(`exercise.type.${kind}`);
+  return (
+    <div className="grid gap-1">
+      <span className="text-xs uppercase tracking-wide opacity-60">{label}</span>
+      {ex.type === "listen" ? (
+        <div className="flex items-center gap-2">
+          <Button type="button" className="py-1 flex items-center gap-1" onClick={onPlay} disabled={!canPlay}>
+            <Play className="w-4 h-4"/> {t("common.play")}
+          </Button>
+          {ex.prompt && <span>{ex.prompt}</span>}
+          {!ex.prompt && ex.line != null && dialogue?.[ex.line]?.speakerEn && (
+            <span className="text-sm opacity-70">{dialogue[ex.line].speakerEn}</span>
+          )}
+        </div>
+      ) : (
+        ex.prompt && <p lang={ex.type === "translate" ? "en" : "km"} className="text-slate-900">{ex.prompt}</p>
+      )}
+    </div>
+  );
+}
+
+// stable shuffle so the right-hand column doesn't jump around on re-render
+function shuffled(items, seed) {
+  const out = items.map((x, i) => ({ x, i, k: Math.sin(seed * 9301 + i * 49297) }));
+  return out.sort((a, b) => a.k - b.k);
+}
+
+function ExerciseInput({ ex, value, onChange, onSubmit }) {
+  const { t } = useI18n();
+  const rights = useMemo(
+    () => (ex.type === "match" ? shuffled(ex.pairs.map((p) => p[1]), ex.pairs.length) : []),
+    [ex]
+  );
+
+  switch (ex.type) {
+    case "mcq":
+    case "listen":
+      return (
+        <div className="flex flex-wrap gap-2">
+          {ex.options.map((o, j) => (
+            <Button
+              key={j}
+              type="button"
+              lang="km"
+              className={`py-1 ${value === j ? "bg-indigo-600 text-white border-indigo-700" : ""}`}
+              onClick={() => onChange(j)}
+            >
+              {o}
+            </Button>
+          ))}
+        </div>
+      );
+    case "fill":
+    case "translate":
+      return (
+        <div className="flex items-center gap-1">
+          <Input
+            lang="km"
+            value={value || ""}
+            onChange={(e) => onChange(e.target.value)}
+            onKeyDown={(e) => { if (e.key === "Enter") { e.preventDefault(); onSubmit(); } }}
+            placeholder={t("exercise.typeKhmer")}
+          />
+          <KeyboardToggle />
+        </div>
+      );
+    case "match":
+      return (
+        <div className="grid gap-2">
+          {ex.pairs.map(([left], j) => (
+            <div key={j} className="grid grid-cols-2 gap-2 items-center">
+              <span lang="km">{left}</span>
+              <select
+                className="rounded-2xl border px-3 py-1"
+                value={value?.[j] ?? ""}
+                onChange={(e) => onChange({ ...(value || {}), [j]: e.target.value === "" ? undefined : Number(e.target.value) })}
+              >
+                <option value="">—</option>
+                {rights.map((r) => <option key={r.i} value={r.i}>{r.x}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+      );
+    case "open":
+      return (
+        <textarea
+          lang="km"
+          className="w-full rounded-2xl border px-3 py-2 min-h-[60px]"
+          value={value || ""}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={t("exercise.openPlaceholder")}
+        />
+      );
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,127 @@
+// src/components/FlashcardReview.jsx
+import React, { useMemo, useState } from "react";
+import { ArrowLeft, Download, Layers, RotateCw, Volume2 } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { GRADES, buildDeck, deckStats, dueCards, loadReviewState, myWordsLesson, review, saveReviewState } from "../lib/srs.js";
+import { toPublicUrl } from "../lib/paths.js";
+import { downloadFile, toAnkiText } from "../lib/importExport.js";
+
+/**
+ * Flashcard review (#/review or #/review/:lessonId).
+ * Cards come from every lesson's `words` plus the learner's own words
+ * (#/review/my-words for those alone); scheduling is SM-2 (lib/srs.js).
+ */
+export default function FlashcardReview({ lessons, lessonId, onBack, userId, onReviewed }) {
+  const { t, label } = useI18n();
+  const scope = useMemo(() => {
+    const all = [...lessons, myWordsLesson(userId, t("flashcards.myWords"))];
+    return lessonId ? all.filter((L) => L.id === lessonId) : all;
+  }, [lessons, lessonId, userId, t]);
+  const deck = useMemo(() => buildDeck(scope), [scope]);
+  const [states, setStates] = useState(() => loadReviewState(userId));
+  // queue is fixed when the session starts; lapsed cards are pushed to the back
+  const [queue, setQueue] = useState(() => dueCards(deck, states).map((c) => c.id));
+  const [flipped, setFlipped] = useState(false);
+  const [reviewed, setReviewed] = useState(0);
+
+  const byId = useMemo(() => new Map(deck.map((c) => [c.id, c])), [deck]);
+  const card = byId.get(queue[0]);
+  const stats = deckStats(deck, states);
+
+  function grade(g) {
+    if (!card) return;
+    const next = { ...states, [card.id]: review(states[card.id], g) };
+    setStates(next);
+    saveReviewState(next, userId);
+    setQueue((q) => (g < 3 ? [...q.slice(1), card.id] : q.slice(1)));
+    setFlipped(false);
+    setReviewed((n) => n + 1);
+    onReviewed?.();
+  }
+
+  function restart() {
+    setQueue(dueCards(deck, states).map((c) => c.id));
+    setFlipped(false);
+    setReviewed(0);
+  }
+
+  const title = lessonId ? scope[0]?.title || t("flashcards.lesson") : t("flashcards.all");
+
+  function exportAnki() {
+    const deckName = lessonId ? `Khmer Learners::${title}` : "Khmer Learners";
+    downloadFile(toAnkiText(scope, deckName), `khmer_${lessonId || "all"}_anki.txt`);
+  }
+
+  return (
+    <main className="mx-auto max-w-3xl px-4 py-10 grid gap-4">
+      <div className="flex items-center justify-between">
+        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        <div className="flex flex-wrap gap-2 text-sm">
+          <Badge>{t("flashcards.cards", { count: stats.total })}</Badge>
+          <Badge>{t("flashcards.learned", { count: stats.learned })}</Badge>
+          <Badge>{t("flashcards.due", { count: stats.due })}</Badge>
+          <Badge>{t("flashcards.new", { count: stats.new })}</Badge>
+        </div>
+      </div>
+
+      <Card className="flex flex-wrap items-center justify-between gap-2">
+        <div className="grid gap-1">
+          <h2 className="text-xl font-semibold flex items-center gap-2"><Layers className="w-5 h-5"/> {t("nav.flashcards")}</h2>
+          <p className="text-sm opacity-70">{title}</p>
+        </div>
+        {deck.length > 0 && (
+          <Button onClick={exportAnki} className="flex items-center gap-2 text-sm" title={t("flashcards.ankiHelp")}>
+            <Download className="w-4 h-4"/> {t("flashcards.anki")}
+          </Button>
+        )}
+      </Card>
+
+      {!deck.length ? (
+        <Card><p>{t("flashcards.empty")}</p></Card>
+      ) : !card ? (
+        <Card className="grid gap-3 place-items-center py-10 text-center">
+          <p className="text-lg font-medium">{t("flashcards.allDone")}</p>
+          <p className="text-sm opacity-70">{t("flashcards.reviewed", { count: reviewed })}</p>
+          <Button onClick={restart} className="flex items-center gap-2"><RotateCw className="w-4 h-4"/> {t("flashcards.checkAgain")}</Button>
+        </Card>
+      ) : (
+        <Card className="grid gap-4 py-8">
+          <div className="text-xs opacity-60 text-center">{t("flashcards.left", { count: queue.length, lesson: card.lessonTitle })}</div>
+          <button
+            type="button"
+            className="grid gap-2 place-items-center min-h-[160px] rounded-2xl hover:bg-slate-50"
+            onClick={() => setFlipped((f) => !f)}
+            aria-label={t(flipped ? "common.hideAnswer" : "common.showAnswer")}
+          >
+            <span lang="km" className="text-4xl">{card.km}</span>
+            {flipped && (
+              <>
+                {card.roman && <span className="italic opacity-80">{card.roman}</span>}
+                <span className="text-lg">{card.en}</span>
+                {card.pos && <Badge>{card.pos}</Badge>}
+              </>
+            )}
+          </button>
+          {card.audioUrl && (
+            <Button
+              className="justify-self-center flex items-center gap-2"
+              onClick={() => new Audio(toPublicUrl(card.audioUrl)).play().catch(() => {})}
+            >
+              <Volume2 className="w-4 h-4"/> {t("common.listen")}
+            </Button>
+          )}
+          {flipped ? (
+            <div className="grid grid-cols-4 gap-2">
+              {GRADES.map((G) => (
+                <Button key={G.grade} onClick={() => grade(G.grade)}>{label("grade", G.name)}</Button>
+              ))}
+            </div>
+          ) : (
+            <Button className="bg-indigo-600 text-white border-indigo-700" onClick={() => setFlipped(true)}>{t("common.showAnswer")}</Button>
+          )}
+        </Card>
+      )}
+    </main>
+  );
+}
@@ -0,0 +1,107 @@
+// src/components/HandoutDialog.jsx
+import React, { useState } from "react";
+import { BookDown, Printer, X } from "lucide-react";
+import { Button, Card, Segmented } from "./ui.jsx";
+import { epubFile, printableHtml } from "../lib/handout.js";
+import { downloadFile } from "../lib/importExport.js";
+import { useI18n } from "../lib/i18n.js";
+
+/**
+ * Print or EPUB handouts of one lesson, or of every lesson in its level
+ * (`levelLessons`, in course order). Without `lesson`, only the level.
+ * @param {{
+ *  lesson?: import("../App.jsx").Lesson;
+ *  level: string;
+ *  levelLessons: import("../App.jsx").Lesson[];
+ *  onClose(): void;
+ * }} props
+ */
+export default function HandoutDialog({ lesson, level, levelLessons, onClose }) {
+  const i18n = useI18n();
+  const { t, label } = i18n;
+  const [scope, setScope] = useState(lesson ? "lesson" : "level");
+  const [answerKey, setAnswerKey] = useState(true);
+  const [busy, setBusy] = useState(/** @type{""|"print"|"epub"} */(""));
+  const [error, setError] = useState("");
+
+  const levelName = label("level", level);
+  const lessons = scope === "lesson" && lesson ? [lesson] : levelLessons;
+  const opts = {
+    title: scope === "lesson" && lesson ? lesson.title : t("handout.levelTitle", { level: levelName }),
+    baseUrl: window.location.href.split("#")[0],
+    answerKey,
+    i18n,
+  };
+
+  async function print() {
+    // opened before any await, or the pop-up blocker steps in
+    const win = window.open("", "_blank");
+    if (!win) return setError(t("handout.popupBlocked"));
+    setBusy("print"); setError("");
+    try {
+      const html = await printableHtml(lessons, opts);
+      win.document.open();
+      win.document.write(html);
+      win.document.close();
+      await new Promise((resolve) => win.requestAnimationFrame(resolve));
+      await win.document.fonts?.ready;
+      win.focus();
+      win.print();
+    } catch (err) {
+      console.error("Could not make the handout:", err);
+      win.close();
+      setError(t("handout.error", { message: err.message }));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  async function epub() {
+    setBusy("epub"); setError("");
+    try {
+      const bytes = await epubFile(lessons, opts);
+      const name = scope === "lesson" && lesson ? lesson.id : `khmer-${level.toLowerCase()}-lessons`;
+      downloadFile(new Blob([bytes], { type: "application/epub+zip" }), `${name}.epub`);
+    } catch (err) {
+      console.error("Could not make the handout:", err);
+      setError(t("handout.error", { message: err.message }));
+    } finally {
+      setBusy("");
+    }
+  }
+
+  const scopes = [
+    ...(lesson ? [{ value: "lesson", label: t("handout.scope.lesson") }] : []),
+    ...(levelLessons.length ? [{ value: "level", label: t("handout.scope.level", { level: levelName, count: levelLessons.length }) }] : []),
+  ];
+
+  return (
+    <div className="fixed inset-0 z-40 grid place-items-center bg-black/30 p-4">
+      <Card className="w-full max-w-md relative grid gap-3 p-6">
+        <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" onClick={onClose} title={t("common.close")}>
+          <X className="w-4 h-4"/>
+        </button>
+        <h2 className="text-lg font-semibold flex items-center gap-2"><Printer className="w-5 h-5"/> {t("handout.heading")}</h2>
+        {scopes.length > 1 && <Segmented options={scopes} value={scope} onChange={setScope} />}
+        <p className="text-sm opacity-70">{t("handout.contains")}</p>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={answerKey} onChange={(e) => setAnswerKey(e.target.checked)} />
+          {t("handout.answerKey")}
+        </label>
+        <div className="grid gap-1">
+          <Button onClick={print} disabled={!!busy || !lessons.length} className="flex items-center justify-center gap-2">
+            <Printer className="w-4 h-4"/> {busy === "print" ? t("handout.working") : t("handout.print")}
+          </Button>
+          <p className="text-xs opacity-70">{t("handout.printHint")}</p>
+        </div>
+        <div className="grid gap-1">
+          <Button onClick={epub} disabled={!!busy || !lessons.length} className="flex items-center justify-center gap-2">
+            <BookDown className="w-4 h-4"/> {busy === "epub" ? t("handout.working") : t("handout.epub")}
+          </Button>
+          <p className="text-xs opacity-70">{t("handout.epubHint")}</p>
+        </div>
+        {error && <p className="text-sm text-red-700" role="alert">{error}</p>}
+      </Card>
+    </div>
+  );
+}
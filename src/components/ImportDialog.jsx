@@ -0,0 +1,120 @@
+// src/components/ImportDialog.jsx
+import React, { useState } from "react";
+import { FileUp, X } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { describeInvalid, validateLessons } from "../lib/schema.js";
+import { useI18n } from "../lib/i18n.js";
+import { diffLessons } from "../lib/importExport.js";
+import { migrateLesson } from "../lib/lesson.js";
+
+/**
+ * Admin bulk import: pick a lessons file, see what it would add, change and
+ * remove, then apply. Lessons that fail the schema are listed and skipped.
+ * Removing lessons missing from the file is opt-in.
+ */
+export default function ImportDialog({ lessons, onApply, onClose }) {
+  const { t, label } = useI18n();
+  const [fileName, setFileName] = useState("");
+  const [report, setReport] = useState(/** @type{ReturnType<typeof validateLessons>|null} */(null));
+  const [diff, setDiff] = useState(/** @type{import("../lib/importExport.js").LessonDiff|null} */(null));
+  const [withRemovals, setWithRemovals] = useState(false);
+  const [error, setError] = useState("");
+
+  async function pick(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    setFileName(file.name); setError(""); setReport(null); setDiff(null); setWithRemovals(false);
+    try {
+      const result = validateLessons(JSON.parse(await file.text()));
+      setReport(result);
+      if (!result.fileErrors.length) setDiff(diffLessons(lessons, result.valid.map(migrateLesson)));
+    } catch (err) {
+      setError(t("import.notJson", { message: err.message }));
+    }
+  }
+
+  function apply() {
+    onApply({
+      save: [...diff.added, ...diff.changed.map((c) => c.after)],
+      remove: withRemovals ? diff.removed.map((L) => L.id) : [],
+    });
+    onClose();
+  }
+
+  const changes = diff ? diff.added.length + diff.changed.length + (withRemovals ? diff.removed.length : 0) : 0;
+
+  return (
+    <div className="fixed inset-0 z-40 grid place-items-center bg-black/30 p-4">
+      <Card className="w-full max-w-2xl relative max-h-[90vh] overflow-y-auto p-6 grid gap-3">
+        <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" onClick={onClose} title={t("common.close")}>
+          <X className="w-4 h-4"/>
+        </button>
+        <h2 className="text-lg font-semibold flex items-center gap-2"><FileUp className="w-5 h-5"/> {t("import.title")}</h2>
+        <label className="text-sm grid gap-1">
+          {t("import.pick")}
+          <input type="file" accept="application/json,.json" onChange={pick} className="text-sm" />
+        </label>
+        {fileName && <p className="text-xs opacity-70">{fileName}</p>}
+        {error && <p className="text-sm text-red-700">{error}</p>}
+
+        {report && (report.fileErrors.length > 0 || report.invalid.length > 0) && (
+          <div className="rounded-2xl border border-amber-300 bg-amber-50 p-3 text-sm grid gap-1">
+            {report.fileErrors.map((msg) => <p key={msg} className="text-red-700">{msg}</p>)}
+            {report.invalid.length > 0 && (
+              <>
+                <p className="font-medium">{t("import.skipped", { count: report.invalid.length })}</p>
+                <ul className="list-disc pl-5 grid gap-0.5">
+                  {report.invalid.map((x) => <li key={x.index} className="break-words">{describeInvalid(x)}</li>)}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {diff && (
+          <div className="grid gap-3 text-sm">
+            <div className="flex flex-wrap gap-2">
+              <Badge>{t("import.countNew", { count: diff.added.length })}</Badge>
+              <Badge>{t("import.countChanged", { count: diff.changed.length })}</Badge>
+              <Badge>{t("import.countUnchanged", { count: diff.unchanged.length })}</Badge>
+              <Badge>{t("import.countNotInFile", { count: diff.removed.length })}</Badge>
+            </div>
+            {diff.added.length > 0 && (
+              <section>
+                <h3 className="font-medium text-emerald-800">{t("import.new")}</h3>
+                <ul className="pl-2">{diff.added.map((L) => <li key={L.id}>+ {L.title}</li>)}</ul>
+              </section>
+            )}
+            {diff.changed.length > 0 && (
+              <section>
+                <h3 className="font-medium text-indigo-800">{t("import.changed")}</h3>
+                <ul className="pl-2">
+                  {diff.changed.map(({ after, fields }) => (
+                    <li key={after.id}>~ {after.title} <span className="opacity-60">({fields.map((f) => label("field", f)).join(", ")})</span></li>
+                  ))}
+                </ul>
+              </section>
+            )}
+            {diff.removed.length > 0 && (
+              <section>
+                <label className="flex items-center gap-2 font-medium text-red-800">
+                  <input type="checkbox" checked={withRemovals} onChange={(e) => setWithRemovals(e.target.checked)} />
+                  {t("import.removeMissing")}
+                </label>
+                <ul className={`pl-2 ${withRemovals ? "" : "opacity-50"}`}>{diff.removed.map((L) => <li key={L.id}>− {L.title}</li>)}</ul>
+              </section>
+            )}
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <Button type="button" className="border-none" onClick={onClose}>{t("common.cancel")}</Button>
+          <Button type="button" onClick={apply} disabled={!changes} className="bg-indigo-600 text-white border-indigo-700">
+            {changes ? t("import.applyCount", { count: changes }) : t("import.apply")}
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+}
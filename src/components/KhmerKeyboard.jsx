@@ -0,0 +1,178 @@
+// src/components/KhmerKeyboard.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { ArrowBigUp, Delete, Keyboard, X } from "lucide-react";
+import { Button, Segmented } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { NIDA_BY_CODE, NIDA_ROWS, PHONETIC, backspaceInto, isMark, isTextField, phoneticStep, typeInto, useKhmerKeyboard } from "../lib/keyboard.js";
+import { COENG } from "../lib/khmer.js";
+
+const keyClass = "min-w-0 rounded-lg border bg-white px-1 py-1.5 text-center shadow-sm hover:bg-indigo-50 active:bg-indigo-100";
+
+/** Keep the caret in the input the keyboard is typing into. */
+const keepFocus = (e) => e.preventDefault();
+
+/**
+ * On-screen NiDA Khmer keyboard. Calls `onType(text)` / `onBackspace()`;
+ * lib/keyboard.js typeInto/backspaceInto put them into a field.
+ * Shift applies to the next key only, like on a phone.
+ */
+export default function KhmerKeyboard({ onType, onBackspace, className = "" }) {
+  const { t } = useI18n();
+  const [shift, setShift] = useState(false);
+
+  function press(text) {
+    onType(text);
+    setShift(false);
+  }
+
+  return (
+    <div className={`grid gap-1 rounded-2xl border bg-slate-100 p-2 select-none ${className}`} role="group" aria-label={t("keyboard.label")}>
+      {NIDA_ROWS.map((row, r) => (
+        <div key={r} className="grid gap-1" style={{ gridTemplateColumns: "repeat(13, minmax(0, 1fr))", paddingLeft: `${r * 2}%` }}>
+          {row.map(([key, base, shifted]) => {
+            const ch = shift ? shifted : base;
+            return (
+              <button
+                key={key}
+                type="button"
+                tabIndex={-1}
+                className={`${keyClass} relative ${ch === COENG ? "bg-indigo-50 border-indigo-300" : ""}`}
+                title={ch === COENG ? t("keyboard.coeng") : undefined}
+                onMouseDown={keepFocus}
+                onClick={() => press(ch)}
+              >
+                <span lang="km" className="text-lg leading-none">{isMark(ch) ? `◌${ch}` : ch}</span>
+                <span className="absolute left-1 top-0.5 text-[9px] uppercase opacity-40">{key}</span>
+              </button>
+            );
+          })}
+        </div>
+      ))}
+      <div className="grid grid-cols-6 gap-1">
+        <button
+          type="button"
+          tabIndex={-1}
+          className={`${keyClass} flex items-center justify-center gap-1 text-sm ${shift ? "bg-indigo-600 text-white border-indigo-700 hover:bg-indigo-600" : ""}`}
+          onMouseDown={keepFocus}
+          onClick={() => setShift(!shift)}
+          aria-pressed={shift}
+        >
+          <ArrowBigUp className="w-4 h-4"/> {t("keyboard.shift")}
+        </button>
+        <button type="button" tabIndex={-1} className={`${keyClass} col-span-4 text-sm`} onMouseDown={keepFocus} onClick={() => press(" ")}>
+          {t("keyboard.space")}
+        </button>
+        <button type="button" tabIndex={-1} className={`${keyClass} flex items-center justify-center`} title={t("keyboard.backspace")} onMouseDown={keepFocus} onClick={onBackspace}>
+          <Delete className="w-4 h-4"/>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const TYPING = ["off", "nida", "phonetic"];
+
+/** Opens or closes the keyboard dock; `focus` is the field to type into. */
+export function KeyboardToggle({ focus, className = "", children }) {
+  const { t } = useI18n();
+  const [pref, update] = useKhmerKeyboard();
+  return (
+    <button
+      type="button"
+      className={`p-1 rounded-lg hover:bg-slate-100 ${pref.open ? "text-indigo-700" : "text-slate-500"} ${className}`}
+      title={pref.open ? t("keyboard.hide") : t("keyboard.show")}
+      aria-pressed={pref.open}
+      onMouseDown={keepFocus}
+      onClick={() => { update({ open: !pref.open }); focus?.current?.focus(); }}
+    >
+      <Keyboard className="w-4 h-4"/>{children}
+    </button>
+  );
+}
+
+/**
+ * The on-screen keyboard docked to the bottom of the page. It types into
+ * whichever text input or textarea had focus last, and while it's open the
+ * physical keyboard can type Khmer by NiDA position or phonetically.
+ */
+export function KhmerKeyboardDock() {
+  const { t } = useI18n();
+  const [pref, update] = useKhmerKeyboard();
+  const [target, setTarget] = useState(/** @type{HTMLInputElement|HTMLTextAreaElement|null} */(null));
+  const dockRef = useRef(/** @type{HTMLDivElement|null} */(null));
+  const pending = useRef("");
+
+  useEffect(() => {
+    if (!pref.open) return;
+    if (isTextField(document.activeElement)) setTarget(/** @type{any} */(document.activeElement));
+    const onFocus = (e) => {
+      pending.current = "";
+      if (isTextField(e.target) && !dockRef.current?.contains(e.target)) setTarget(e.target);
+    };
+    const onDown = () => { pending.current = ""; };
+    document.addEventListener("focusin", onFocus);
+    document.addEventListener("mousedown", onDown);
+    return () => { document.removeEventListener("focusin", onFocus); document.removeEventListener("mousedown", onDown); };
+  }, [pref.open]);
+
+  useEffect(() => {
+    if (!pref.open || pref.typing === "off") return;
+    const onKey = (e) => {
+      if (!isTextField(e.target) || e.ctrlKey || e.metaKey || e.altKey || e.isComposing) return;
+      if (pref.typing === "nida") {
+        const keys = NIDA_BY_CODE[e.code];
+        if (!keys) return;
+        e.preventDefault();
+        typeInto(e.target, e.shiftKey ? keys[1] : keys[0]);
+        return;
+      }
+      if (e.key === "Shift") return;
+      const step = e.key.length === 1 ? phoneticStep(pending.current, e.key) : null;
+      if (!step) { pending.current = ""; return; }
+      e.preventDefault();
+      typeInto(e.target, step.text, step.replace);
+      pending.current = step.pending;
+    };
+    document.addEventListener("keydown", onKey, true);
+    return () => document.removeEventListener("keydown", onKey, true);
+  }, [pref.open, pref.typing]);
+
+  if (!pref.open) return null;
+  const field = target?.isConnected ? target : null;
+  const label = field && (field.getAttribute("aria-label") || field.placeholder || t("keyboard.textField"));
+
+  function type(text) {
+    if (!field) return;
+    field.focus();
+    typeInto(field, text);
+  }
+
+  return (
+    <div ref={dockRef} className="fixed inset-x-0 bottom-0 z-50 border-t bg-white/95 backdrop-blur shadow-lg">
+      <div className="mx-auto max-w-3xl grid gap-2 p-2">
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Keyboard className="w-4 h-4"/>
+          <span className="flex-1 min-w-0 truncate opacity-70">
+            {field ? <>{t("keyboard.typingInto")} <span className="font-medium">{label}</span></> : t("keyboard.pickField")}
+          </span>
+          <span className="opacity-70">{t("keyboard.typing")}</span>
+          <Segmented options={TYPING.map((value) => ({ value, label: t(`keyboard.typing.${value}`) }))} value={pref.typing} onChange={(typing) => update({ typing })} />
+          <Button type="button" className="p-1 border-none" title={t("keyboard.close")} onMouseDown={keepFocus} onClick={() => update({ open: false })}>
+            <X className="w-4 h-4"/>
+          </Button>
+        </div>
+        {pref.typing === "phonetic" && (
+          <details className="text-xs">
+            <summary className="cursor-pointer opacity-70">{t("keyboard.phoneticKeys")}</summary>
+            <div className="mt-1 flex flex-wrap gap-x-3 gap-y-1">
+              {Object.entries(PHONETIC).map(([latin, km]) => (
+                <span key={latin}><code>{latin}</code> <span lang="km" className="text-base">{isMark(km) ? `◌${km}` : km}</span></span>
+              ))}
+            </div>
+          </details>
+        )}
+        <KhmerKeyboard onType={type} onBackspace={() => { if (field) { field.focus(); backspaceInto(field); } }} />
+      </div>
+    </div>
+  );
+}
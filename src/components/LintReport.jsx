@@ -0,0 +1,114 @@
+// src/components/LintReport.jsx
+import React, { useEffect, useState } from "react";
+import { AlertCircle, AlertTriangle, ListChecks, X } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { hasErrors, lintAudio, lintLessons } from "../lib/lint.js";
+import { lessonRepository } from "../lib/lessonRepository.js";
+import { migrateLesson } from "../lib/lesson.js";
+import { useI18n } from "../lib/i18n.js";
+
+/**
+ * Findings as buttons: the field, line and problem. Picking one goes to it.
+ * @param {{ findings: import("../lib/lint.js").Finding[]; onSelect(f: import("../lib/lint.js").Finding): void }} props
+ */
+export function LintFindings({ findings, onSelect }) {
+  const { t, label } = useI18n();
+  return (
+    <ul className="grid gap-1 text-sm">
+      {findings.map((f, i) => (
+        <li key={i}>
+          <button type="button" className="w-full flex items-start gap-2 rounded-xl px-2 py-1 text-left hover:bg-slate-50" onClick={() => onSelect(f)}>
+            {f.severity === "error"
+              ? <AlertCircle className="w-4 h-4 mt-0.5 shrink-0 text-red-600" role="img" aria-label={label("severity", "error")}/>
+              : <AlertTriangle className="w-4 h-4 mt-0.5 shrink-0 text-amber-600" role="img" aria-label={label("severity", "warning")}/>}
+            <span className="shrink-0 font-medium">{t(`field.${f.field}`)}{f.line ? `, ${t("lint.line", { line: f.line })}` : ""}</span>
+            <span className="min-w-0 break-words">{t(`lint.${f.rule}`, { text: f.text ?? "", ...f.vars })}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const count = (findings, severity) => findings.filter((f) => f.severity === severity).length;
+
+/**
+ * Editors' batch check of every stored lesson (lessons the schema rejected
+ * included, so duplicate ids show up). Audio is loaded one file at a time
+ * when asked for, since that needs the network.
+ */
+export default function LintReport({ onEdit, onClose }) {
+  const { t } = useI18n();
+  const [results, setResults] = useState(/** @type{ReturnType<typeof lintLessons>|null} */(null));
+  const [error, setError] = useState("");
+  const [withAudio, setWithAudio] = useState(true);
+  const [audioProgress, setAudioProgress] = useState({ done: 0, total: 0 });
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const raw = await lessonRepository.list();
+        const checked = lintLessons(raw.filter((L) => L && typeof L === "object").map(migrateLesson));
+        if (!alive) return;
+        setResults(checked);
+        if (!withAudio) return;
+        setAudioProgress({ done: 0, total: checked.length });
+        for (let i = 0; i < checked.length; i++) {
+          const more = await lintAudio(checked[i].lesson);
+          if (!alive) return;
+          if (more.length) {
+            setResults((prev) => prev.map((r, j) => (j === i ? { ...r, findings: [...more, ...r.findings] } : r)));
+          }
+          setAudioProgress({ done: i + 1, total: checked.length });
+        }
+      } catch (err) {
+        console.error("Could not check lessons:", err);
+        if (alive) setError(err.message);
+      }
+    })();
+    return () => { alive = false; };
+  }, [withAudio]);
+
+  const withFindings = (results || []).filter((r) => r.findings.length);
+  const all = withFindings.flatMap((r) => r.findings);
+  const checkingAudio = withAudio && audioProgress.done < audioProgress.total;
+
+  return (
+    <div className="fixed inset-0 z-40 grid place-items-center bg-black/30 p-4">
+      <Card className="w-full max-w-3xl relative max-h-[90vh] overflow-y-auto p-6 grid gap-3">
+        <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" onClick={onClose} title={t("common.close")}>
+          <X className="w-4 h-4"/>
+        </button>
+        <h2 className="text-lg font-semibold flex items-center gap-2"><ListChecks className="w-5 h-5"/> {t("lint.heading")}</h2>
+        <p className="text-sm opacity-70">{t("lint.source")}</p>
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={withAudio} onChange={(e) => setWithAudio(e.target.checked)} />
+          {t("lint.checkAudio")}
+        </label>
+
+        {error && <p className="text-sm text-red-700">{t("lint.loadError", { message: error })}</p>}
+        {!results && !error && <p className="text-sm opacity-70">{t("lint.checking")}</p>}
+        {results && (
+          <div className="flex flex-wrap items-center gap-2 text-sm">
+            <Badge>{t("lint.errors", { count: count(all, "error") })}</Badge>
+            <Badge>{t("lint.warnings", { count: count(all, "warning") })}</Badge>
+            {checkingAudio && <span className="opacity-70" role="status">{t("lint.checkingAudio", audioProgress)}</span>}
+          </div>
+        )}
+        {results && !withFindings.length && !checkingAudio && <p className="text-sm">{t("lint.clean")}</p>}
+
+        {withFindings.map(({ lesson, index, findings }) => (
+          <section key={`${lesson.id}-${index}`} className={`rounded-2xl border p-3 grid gap-2 ${hasErrors(findings) ? "border-red-200" : ""}`}>
+            <div className="flex items-center gap-2">
+              <h3 className="font-semibold flex-1 min-w-0 truncate">{lesson.title || lesson.id}</h3>
+              <span className="text-xs opacity-70">{t("lint.errors", { count: count(findings, "error") })} · {t("lint.warnings", { count: count(findings, "warning") })}</span>
+              <Button className="text-sm py-1" onClick={() => onEdit(lesson, findings[0])}>{t("lint.fix")}</Button>
+            </div>
+            <LintFindings findings={findings} onSelect={(f) => onEdit(lesson, f)} />
+          </section>
+        ))}
+      </Card>
+    </div>
+  );
+}
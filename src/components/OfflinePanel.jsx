@@ -0,0 +1,135 @@
+// src/components/OfflinePanel.jsx
+import React, { useEffect, useState } from "react";
+import { ArrowLeft, CloudDownload, HardDrive, RefreshCw, Trash2, WifiOff } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { formatBytes } from "../lib/audioStore.js";
+import {
+  clearPacks, downloadLessons, lastSyncedAt, lessonSignature, removePack,
+  requestPersistentStorage, storageUsage, useOnline, usePacks,
+} from "../lib/offline.js";
+import { useI18n } from "../lib/i18n.js";
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced"];
+
+/** #/offline – downloaded lessons, download a whole level, storage usage, sync. */
+export default function OfflinePanel({ lessons, onSync, onBack }) {
+  const online = useOnline();
+  const packs = usePacks();
+  const { t, label, formatDate } = useI18n();
+  const [usage, setUsage] = useState({ usage: 0, quota: 0, persisted: false });
+  const [busy, setBusy] = useState(/** @type{string|null} */(null)); // level being downloaded, or "sync"
+  const [progress, setProgress] = useState({ done: 0, total: 0 });
+
+  useEffect(() => {
+    storageUsage().then(setUsage).catch(() => {});
+  }, [packs]);
+
+  async function downloadLevel(level) {
+    const todo = lessons.filter((L) => L.level === level && !packs[L.id]);
+    setBusy(level);
+    const failed = await downloadLessons(todo, (done, total) => setProgress({ done, total }));
+    setBusy(null);
+    if (failed.length) alert(t("offline.failed", { lessons: failed.join("\n") }));
+  }
+
+  async function sync() {
+    setBusy("sync");
+    try { await onSync(); } finally { setBusy(null); }
+  }
+
+  async function persist() {
+    const ok = await requestPersistentStorage();
+    if (!ok) alert(t("offline.persistRefused"));
+    setUsage(await storageUsage());
+  }
+
+  const saved = lessons.filter((L) => packs[L.id]);
+  const orphans = Object.values(packs).filter((p) => !lessons.some((L) => L.id === p.lesson.id));
+  const packBytes = Object.values(packs).reduce((n, p) => n + p.bytes, 0);
+  const synced = lastSyncedAt();
+
+  return (
+    <main className="mx-auto max-w-5xl px-4 py-10 grid gap-4">
+      <div className="flex items-center justify-between gap-2">
+        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        <div className="flex items-center gap-2">
+          {!online && <Badge><WifiOff className="w-3 h-3 mr-1"/> {t("offline.offline")}</Badge>}
+          <Button onClick={sync} disabled={!online || !!busy} className="flex items-center gap-2">
+            <RefreshCw className={`w-4 h-4 ${busy === "sync" ? "animate-spin" : ""}`}/> {t("offline.sync")}
+          </Button>
+        </div>
+      </div>
+
+      <Card className="grid gap-2">
+        <h3 className="font-semibold flex items-center gap-2"><HardDrive className="w-5 h-5"/> {t("offline.storage")}</h3>
+        <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+          <div className="h-full bg-indigo-500" style={{ width: `${usage.quota ? Math.min(100, (usage.usage / usage.quota) * 100) : 0}%` }} />
+        </div>
+        <div className="text-sm flex flex-wrap gap-x-4 gap-y-1">
+          <span>{usage.quota ? t("offline.usedOf", { used: formatBytes(usage.usage), quota: formatBytes(usage.quota) }) : t("offline.used", { used: formatBytes(usage.usage) })}</span>
+          <span className="opacity-70">{t("offline.packBytes", { size: formatBytes(packBytes) })}</span>
+          <span className="opacity-70">{t("offline.lastSynced", { date: synced ? formatDate(synced, { dateStyle: "medium", timeStyle: "short" }) : t("offline.never") })}</span>
+        </div>
+        {usage.persisted ? (
+          <p className="text-xs opacity-70">{t("offline.persisted")}</p>
+        ) : (
+          <div className="flex flex-wrap items-center gap-2 text-xs">
+            <span className="opacity-70">{t("offline.notPersisted")}</span>
+            <Button type="button" onClick={persist} className="text-xs py-1">{t("offline.persist")}</Button>
+          </div>
+        )}
+      </Card>
+
+      <Card className="grid gap-3">
+        <h3 className="font-semibold">{t("offline.downloadLevel")}</h3>
+        <div className="grid gap-2 sm:grid-cols-3">
+          {LEVELS.map((level) => {
+            const all = lessons.filter((L) => L.level === level);
+            const have = all.filter((L) => packs[L.id]).length;
+            if (!all.length) return null;
+            return (
+              <div key={level} className="rounded-2xl border p-3 grid gap-2">
+                <div className="flex justify-between text-sm">
+                  <span className="font-medium">{label("level", level)}</span>
+                  <span className="opacity-70">{have}/{all.length}</span>
+                </div>
+                <Button
+                  onClick={() => downloadLevel(level)}
+                  disabled={!online || !!busy || have === all.length}
+                  className="flex items-center justify-center gap-2 text-sm py-1"
+                >
+                  <CloudDownload className="w-4 h-4"/>
+                  {busy === level ? `${progress.done}/${progress.total}` : have === all.length ? t("offline.downloaded") : t("offline.downloadAll")}
+                </Button>
+              </div>
+            );
+          })}
+        </div>
+      </Card>
+
+      <Card className="grid gap-2">
+        <div className="flex items-center justify-between gap-2">
+          <h3 className="font-semibold">{t("offline.lessons")}</h3>
+          {(saved.length > 0 || orphans.length > 0) && (
+            <Button onClick={() => confirm(t("offline.confirmClear")) && clearPacks()} className="text-sm py-1 flex items-center gap-2">
+              <Trash2 className="w-4 h-4"/> {t("offline.clear")}
+            </Button>
+          )}
+        </div>
+        {!saved.length && !orphans.length && <p className="text-sm opacity-70">{t("offline.none")}</p>}
+        {[...saved.map((L) => ({ L, pack: packs[L.id], stale: lessonSignature(L) !== packs[L.id].sig })),
+          ...orphans.map((pack) => ({ L: pack.lesson, pack, stale: false, gone: true }))].map(({ L, pack, stale, gone }) => (
+          <div key={L.id} className="flex flex-wrap items-center gap-2 rounded-xl px-2 py-1 hover:bg-slate-50">
+            <span className="flex-1 min-w-0 truncate">{L.title}</span>
+            {stale && <Badge>{t("offline.stale")}</Badge>}
+            {gone && <Badge>{t("offline.gone")}</Badge>}
+            <span className="text-xs opacity-60">{formatBytes(pack.bytes)} · {formatDate(pack.savedAt)}</span>
+            <button className="p-1.5 rounded-lg hover:bg-red-50 border hover:border-red-300" title={t("offline.remove")} onClick={() => removePack(L.id)}>
+              <Trash2 className="w-4 h-4"/>
+            </button>
+          </div>
+        ))}
+      </Card>
+    </main>
+  );
+}
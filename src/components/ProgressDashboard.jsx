@@ -0,0 +1,137 @@
+// src/components/ProgressDashboard.jsx
+import React, { useMemo, useRef } from "react";
+import { ArrowLeft, Download, Flame, Layers, PlayCircle, Trophy, Upload } from "lucide-react";
+import { Badge, Button, Card } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { completionBy, continueLesson, exportBundle, importBundle, isCompleted, streaks } from "../lib/progress.js";
+import { buildDeck, deckStats, loadReviewState, myWordsLesson } from "../lib/srs.js";
+import { PLAYER_POSITIONS_KEY, readJSON } from "../lib/storage.js";
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced"];
+
+const Stat = ({ icon, label, value }) => (
+  <Card className="flex items-center gap-3">
+    <div className="p-2 rounded-xl bg-indigo-50 border">{icon}</div>
+    <div>
+      <div className="text-2xl font-semibold leading-none">{value}</div>
+      <div className="text-xs opacity-70 mt-1">{label}</div>
+    </div>
+  </Card>
+);
+
+const Bar = ({ label, done, total }) => (
+  <div className="grid gap-1">
+    <div className="flex justify-between text-sm">
+      <span>{label}</span>
+      <span className="opacity-70">{done}/{total}</span>
+    </div>
+    <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+      <div className="h-full bg-emerald-500" style={{ width: `${total ? (done / total) * 100 : 0}%` }} />
+    </div>
+  </div>
+);
+
+const fmtTime = (t) => `${Math.floor(t / 60)}:${String(Math.floor(t % 60)).padStart(2, "0")}`;
+
+/** #/progress – streaks, completion per level/topic, continue where you left off. */
+export default function ProgressDashboard({ lessons, progress, onProgressChange, onOpenLesson, onBack }) {
+  const { t, label, formatNumber, formatDate } = useI18n();
+  const fileRef = useRef(/** @type{HTMLInputElement|null} */(null));
+  const streak = streaks(progress.activity);
+  const byLevel = completionBy(lessons, progress, "level");
+  const byTopic = completionBy(lessons, progress, "topic");
+  const next = continueLesson(lessons, progress);
+  const positions = readJSON(PLAYER_POSITIONS_KEY, {});
+  const cards = useMemo(
+    () => deckStats(buildDeck([...lessons, myWordsLesson(progress.learnerId, t("flashcards.myWords"))]), loadReviewState(progress.learnerId)),
+    [lessons, progress, t]
+  );
+  const completed = lessons.filter((L) => isCompleted(progress.lessons[L.id])).length;
+  const recent = lessons
+    .filter((L) => progress.lessons[L.id])
+    .sort((a, b) => progress.lessons[b.id].lastOpened - progress.lessons[a.id].lastOpened)
+    .slice(0, 6);
+
+  function handleExport() {
+    const blob = new Blob([JSON.stringify(exportBundle(progress), null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url; a.download = "khmer_progress.json"; a.click();
+    URL.revokeObjectURL(url);
+  }
+
+  async function handleImport(e) {
+    const f = e.target.files?.[0];
+    e.target.value = "";
+    if (!f) return;
+    try {
+      const merged = importBundle(progress, JSON.parse(await f.text()));
+      onProgressChange(merged);
+      alert(t("progress.imported"));
+    } catch (err) {
+      alert(t(err instanceof SyntaxError ? "progress.notJson" : "progress.notExport"));
+    }
+  }
+
+  return (
+    <main className="mx-auto max-w-5xl px-4 py-10 grid gap-4">
+      <div className="flex items-center justify-between gap-2">
+        <Button onClick={onBack} className="flex items-center gap-2"><ArrowLeft className="w-4 h-4"/> {t("common.back")}</Button>
+        <div className="flex items-center gap-2">
+          <Button onClick={handleExport} className="flex items-center gap-2"><Download className="w-4 h-4"/> {t("progress.export")}</Button>
+          <input type="file" accept="application/json,.json" ref={fileRef} onChange={handleImport} className="hidden"/>
+          <Button onClick={() => fileRef.current?.click()} className="flex items-center gap-2"><Upload className="w-4 h-4"/> {t("nav.import")}</Button>
+        </div>
+      </div>
+
+      <div className="grid gap-4 grid-cols-2 md:grid-cols-4">
+        <Stat icon={<Flame className="w-5 h-5"/>} label={t("progress.streak", { best: streak.longest })} value={formatNumber(streak.current)} />
+        <Stat icon={<Trophy className="w-5 h-5"/>} label={t("progress.lessonsDone", { count: lessons.length })} value={formatNumber(completed)} />
+        <Stat icon={<Layers className="w-5 h-5"/>} label={t("progress.wordsLearned", { due: cards.due })} value={formatNumber(cards.learned)} />
+        <Stat icon={<Layers className="w-5 h-5"/>} label={t("progress.reviews")} value={formatNumber(progress.reviews)} />
+      </div>
+
+      {next && (
+        <Card className="flex flex-wrap items-center gap-3">
+          <PlayCircle className="w-6 h-6 text-indigo-600"/>
+          <div className="flex-1 min-w-0">
+            <div className="text-xs opacity-70">{t("progress.continueTitle")}</div>
+            <div className="font-medium truncate">{next.title}</div>
+            {positions[next.id] > 0 && <div className="text-xs opacity-70">{t("progress.audioAt", { time: fmtTime(positions[next.id]) })}</div>}
+          </div>
+          <Button onClick={() => onOpenLesson(next.id)} className="bg-indigo-600 text-white border-indigo-700">{t("progress.continue")}</Button>
+        </Card>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        <Card className="grid gap-3">
+          <h3 className="font-semibold">{t("progress.byLevel")}</h3>
+          {LEVELS.filter((k) => byLevel[k]).map((k) => <Bar key={k} label={label("level", k)} {...byLevel[k]} />)}
+        </Card>
+        <Card className="grid gap-3">
+          <h3 className="font-semibold">{t("progress.byTopic")}</h3>
+          {Object.entries(byTopic)
+            .sort((a, b) => a[0].localeCompare(b[0]))
+            .map(([k, v]) => <Bar key={k} label={label("topic", k)} {...v} />)}
+        </Card>
+      </div>
+
+      <Card className="grid gap-2">
+        <h3 className="font-semibold">{t("progress.recent")}</h3>
+        {!recent.length && <p className="text-sm opacity-70">{t("progress.noRecent")}</p>}
+        {recent.map((L) => {
+          const P = progress.lessons[L.id];
+          return (
+            <button key={L.id} className="flex flex-wrap items-center gap-2 text-left rounded-xl px-2 py-1 hover:bg-slate-50" onClick={() => onOpenLesson(L.id)}>
+              <span className="flex-1 min-w-0 truncate">{L.title}</span>
+              {P.listenedAt && <Badge>{t("progress.listened")}</Badge>}
+              {P.score && <Badge>{t("progress.exercises", { correct: P.score.correct, total: P.score.total })}</Badge>}
+              {P.dictation && <Badge>{t("progress.dictation", { percent: Math.round(P.dictation.accuracy * 100) })}</Badge>}
+              <span className="text-xs opacity-60">{formatDate(P.lastOpened)}</span>
+            </button>
+          );
+        })}
+      </Card>
+    </main>
+  );
+}
@@ -0,0 +1,315 @@
+// src/components/PronunciationPractice.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Mic, Play, Square, Trash2, X } from "lucide-react";
+import { Button, Segmented } from "./ui.jsx";
+import { decodeAudio } from "../lib/audioStore.js";
+import { useI18n } from "../lib/i18n.js";
+import { MAX_TAKES, deleteTake, listTakes, saveTake } from "../lib/recordings.js";
+import { cutClip, envelope, lineRange, loadReference, pitchContour, pitchMatch, playClips, relativeSemitones, trimClip } from "../lib/pronunciation.js";
+
+const MAX_SECONDS = 30;
+const REF_COLOR = "#4f46e5";
+const MINE_COLOR = "#059669";
+
+const VIEWS = ["wave", "pitch"];
+const SECONDS = { minimumFractionDigits: 1, maximumFractionDigits: 1 };
+
+/** Outline and pitch of a clip with its silent ends cut, so two of them line up. */
+function analyse(clip) {
+  const trimmed = trimClip(clip);
+  return { clip: trimmed, env: envelope(trimmed), pitch: pitchContour(trimmed) };
+}
+
+function sizeCanvas(canvas) {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width = Math.round(canvas.clientWidth * dpr);
+  canvas.height = Math.round(canvas.clientHeight * dpr);
+  const g = canvas.getContext("2d");
+  g.setTransform(dpr, 0, 0, dpr, 0, 0);
+  g.clearRect(0, 0, canvas.clientWidth, canvas.clientHeight);
+  return { g, w: canvas.clientWidth, h: canvas.clientHeight };
+}
+
+/** Reference on top, the learner below, each stretched from first to last sound. */
+function drawWaveforms(canvas, lanes) {
+  const { g, w, h } = sizeCanvas(canvas);
+  const laneH = h / lanes.length;
+  lanes.forEach(({ env, color }, i) => {
+    const mid = laneH * i + laneH / 2;
+    g.fillStyle = "#e2e8f0";
+    g.fillRect(0, mid, w, 1);
+    if (!env) return;
+    g.fillStyle = color;
+    const bar = w / env.length;
+    env.forEach((v, b) => {
+      const half = Math.max(0.5, v * (laneH / 2 - 4));
+      g.fillRect(b * bar, mid - half, Math.max(1, bar - 0.5), half * 2);
+    });
+  });
+}
+
+/** Both pitch contours on one axis, in semitones around each voice's own median. */
+function drawPitch(canvas, lines) {
+  const { g, w, h } = sizeCanvas(canvas);
+  const range = 12;
+  const y = (semi) => h / 2 - (Math.max(-range, Math.min(range, semi)) / range) * (h / 2 - 6);
+  g.fillStyle = "#e2e8f0";
+  for (const s of [-range / 2, 0, range / 2]) g.fillRect(0, y(s), w, 1);
+  for (const { pitch, color } of lines) {
+    if (!pitch?.length) continue;
+    const semis = relativeSemitones(pitch);
+    g.strokeStyle = color;
+    g.lineWidth = 2.5;
+    g.lineJoin = "round";
+    g.beginPath();
+    let drawing = false;
+    semis.forEach((s, i) => {
+      if (s == null) { drawing = false; return; }
+      const x = (i / Math.max(1, semis.length - 1)) * w;
+      if (drawing) g.lineTo(x, y(s)); else g.moveTo(x, y(s));
+      drawing = true;
+    });
+    g.stroke();
+  }
+}
+
+/**
+ * Record yourself saying one transcript line and compare with the lesson
+ * audio: back-to-back playback and the two clips drawn one above the other
+ * (waveform) or overlaid (pitch). Takes stay in this browser (lib/recordings.js).
+ */
+export default function PronunciationPractice({ lessonId, index, line, cues, audioSrc, userId, onStart, onClose }) {
+  const { t, formatNumber, formatDate } = useI18n();
+  const [takes, setTakes] = useState(/** @type{import("../lib/recordings.js").Take[]} */([]));
+  const [selectedId, setSelectedId] = useState("");
+  const [reference, setReference] = useState(/** @type{{ status: string; data?: ReturnType<typeof analyse> }} */({ status: "loading" }));
+  const [mine, setMine] = useState(/** @type{{ id: string; data: ReturnType<typeof analyse> }|null} */(null));
+  const [view, setView] = useState("wave");
+  const [recordingSince, setRecordingSince] = useState(0);
+  const [elapsed, setElapsed] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [error, setError] = useState("");
+  const canvasRef = useRef(/** @type{HTMLCanvasElement|null} */(null));
+  const recorderRef = useRef(/** @type{MediaRecorder|null} */(null));
+  const playerRef = useRef(/** @type{ReturnType<typeof playClips>|null} */(null));
+
+  useEffect(() => {
+    let alive = true;
+    listTakes(userId, lessonId, index)
+      .then((list) => {
+        if (!alive) return;
+        setTakes(list);
+        setSelectedId((id) => id || list[0]?.id || "");
+      })
+      .catch((err) => console.error("Could not load recordings:", err));
+    return () => { alive = false; };
+  }, [userId, lessonId, index]);
+
+  useEffect(() => {
+    if (!audioSrc) return;
+    let alive = true;
+    loadReference(audioSrc)
+      .then((buf) => {
+        if (!alive) return;
+        const range = lineRange(cues, index, buf.duration);
+        setReference(range ? { status: "ready", data: analyse(cutClip(buf, range.start, range.end)) } : { status: "untimed" });
+      })
+      .catch((err) => {
+        console.error("Could not analyse the lesson audio:", err);
+        if (alive) setReference({ status: "error" });
+      });
+    return () => { alive = false; };
+  }, [audioSrc, cues, index]);
+
+  const selected = takes.find((take) => take.id === selectedId);
+  useEffect(() => {
+    if (!selected) return;
+    let alive = true;
+    decodeAudio(selected.blob)
+      .then((buf) => { if (alive) setMine({ id: selected.id, data: analyse(cutClip(buf)) }); })
+      .catch((err) => {
+        console.error("Could not decode the recording:", err);
+        if (alive) setError(t("practice.cantPlay"));
+      });
+    return () => { alive = false; };
+  }, [selected, t]);
+
+  useEffect(() => {
+    if (!recordingSince) return;
+    const id = setInterval(() => setElapsed((Date.now() - recordingSince) / 1000), 200);
+    return () => clearInterval(id);
+  }, [recordingSince]);
+
+  useEffect(() => () => {
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+    playerRef.current?.stop();
+  }, []);
+
+  const ref = audioSrc ? reference : { status: "none" };
+  const refData = ref.status === "ready" ? ref.data : undefined;
+  const mineData = mine && mine.id === selectedId ? mine.data : undefined;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const draw = () => {
+      if (view === "pitch") {
+        drawPitch(canvas, [{ pitch: refData?.pitch, color: REF_COLOR }, { pitch: mineData?.pitch, color: MINE_COLOR }]);
+      } else {
+        drawWaveforms(canvas, [{ env: refData?.env, color: REF_COLOR }, { env: mineData?.env, color: MINE_COLOR }]);
+      }
+    };
+    draw();
+    window.addEventListener("resize", draw);
+    return () => window.removeEventListener("resize", draw);
+  }, [view, refData, mineData]);
+
+  async function startRecording() {
+    setError("");
+    if (!navigator.mediaDevices?.getUserMedia || typeof MediaRecorder === "undefined") {
+      setError(t("practice.cantRecord"));
+      return;
+    }
+    stopPlayback();
+    onStart?.();
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      console.error("Microphone unavailable:", err);
+      setError(t("practice.noMicrophone"));
+      return;
+    }
+    const recorder = new MediaRecorder(stream);
+    const chunks = [];
+    const started = Date.now();
+    const limit = setTimeout(() => { if (recorder.state === "recording") recorder.stop(); }, MAX_SECONDS * 1000);
+    recorder.ondataavailable = (e) => { if (e.data.size) chunks.push(e.data); };
+    recorder.onstop = async () => {
+      clearTimeout(limit);
+      stream.getTracks().forEach((track) => track.stop());
+      setRecordingSince(0);
+      const blob = new Blob(chunks, { type: recorder.mimeType || "audio/webm" });
+      if (!blob.size) return;
+      try {
+        const take = await saveTake(userId, lessonId, index, blob, (Date.now() - started) / 1000);
+        setTakes((list) => [take, ...list].slice(0, MAX_TAKES));
+        setSelectedId(take.id);
+      } catch (err) {
+        console.error("Could not save the recording:", err);
+        setError(t("practice.saveError"));
+      }
+    };
+    recorderRef.current = recorder;
+    recorder.start();
+    setElapsed(0);
+    setRecordingSince(started);
+  }
+
+  function stopRecording() {
+    if (recorderRef.current?.state === "recording") recorderRef.current.stop();
+  }
+
+  function stopPlayback() {
+    playerRef.current?.stop();
+    playerRef.current = null;
+    setPlaying(false);
+  }
+
+  function play(clips) {
+    stopPlayback();
+    onStart?.();
+    const player = playClips(clips.filter(Boolean));
+    playerRef.current = player;
+    setPlaying(true);
+    player.done.then(() => { if (playerRef.current === player) setPlaying(false); });
+  }
+
+  async function remove(id) {
+    try {
+      await deleteTake(id);
+      const rest = takes.filter((take) => take.id !== id);
+      setTakes(rest);
+      if (id === selectedId) setSelectedId(rest[0]?.id || "");
+    } catch (err) {
+      console.error("Could not delete the recording:", err);
+    }
+  }
+
+  const match = refData && mineData ? pitchMatch(refData.pitch, mineData.pitch) : null;
+  const refNote = ref.status === "ready" ? "" : t(`practice.refNote.${ref.status}`);
+  const seconds = (s) => t("practice.seconds", { seconds: formatNumber(s, SECONDS) });
+
+  return (
+    <div className="grid gap-3">
+      <div className="flex items-start gap-2">
+        <div className="flex-1 min-w-0">
+          <h3 className="font-semibold">{t("practice.title", { line: index + 1 })}</h3>
+          <p lang="km" className="text-lg text-slate-900">{line?.km}</p>
+          {line?.en && <p lang="en" className="text-sm text-slate-600">{line.en}</p>}
+        </div>
+        <button type="button" className="p-1 rounded-lg hover:bg-slate-100" title={t("common.close")} onClick={onClose}>
+          <X className="w-4 h-4"/>
+        </button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {recordingSince ? (
+          <Button type="button" onClick={stopRecording} className="flex items-center gap-2 bg-red-600 text-white border-red-700">
+            <Square className="w-4 h-4"/> {t("practice.stopAt", { time: seconds(elapsed) })}
+          </Button>
+        ) : (
+          <Button type="button" onClick={startRecording} className="flex items-center gap-2 bg-indigo-600 text-white border-indigo-700">
+            <Mic className="w-4 h-4"/> {t("practice.record")}
+          </Button>
+        )}
+        {playing ? (
+          <Button type="button" onClick={stopPlayback} className="flex items-center gap-2"><Square className="w-4 h-4"/> {t("practice.stop")}</Button>
+        ) : (
+          <>
+            <Button type="button" disabled={!refData || !mineData} onClick={() => play([refData.clip, mineData.clip])} className="flex items-center gap-2">
+              <Play className="w-4 h-4"/> {t("practice.playBoth")}
+            </Button>
+            <Button type="button" disabled={!refData} onClick={() => play([refData.clip])} className="flex items-center gap-2">
+              <Play className="w-4 h-4" style={{ color: REF_COLOR }}/> {t("practice.reference")}
+            </Button>
+            <Button type="button" disabled={!mineData} onClick={() => play([mineData.clip])} className="flex items-center gap-2">
+              <Play className="w-4 h-4" style={{ color: MINE_COLOR }}/> {t("practice.mine")}
+            </Button>
+          </>
+        )}
+        <Segmented options={VIEWS.map((value) => ({ value, label: t(`practice.view.${value}`) }))} value={view} onChange={setView} className="ml-auto" />
+      </div>
+
+      {error && <p className="text-sm text-red-700">{error}</p>}
+      {refNote && <p className="text-sm text-slate-600">{refNote}</p>}
+
+      <canvas ref={canvasRef} className="w-full h-40 rounded-xl border bg-white" aria-label={t(`practice.canvas.${view}`)} />
+      <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-sm">
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: REF_COLOR }}/> {t("practice.reference")}{refData && ` · ${seconds(refData.clip.duration)}`}</span>
+        <span className="flex items-center gap-1"><span className="inline-block w-3 h-3 rounded-sm" style={{ background: MINE_COLOR }}/> {t("practice.you")}{mineData && ` · ${seconds(mineData.clip.duration)}`}</span>
+        {match != null && (
+          <span className="ml-auto font-medium" title={t("practice.matchHint")}>
+            {t("practice.match", { percent: Math.round(match * 100) })}
+          </span>
+        )}
+      </div>
+
+      {takes.length > 0 && (
+        <ul className="grid gap-1 text-sm">
+          {takes.map((take, i) => (
+            <li key={take.id} className={`flex items-center gap-2 rounded-xl px-2 py-1 ${take.id === selectedId ? "bg-emerald-50 ring-1 ring-emerald-300" : ""}`}>
+              <button type="button" className="flex-1 text-left hover:underline" onClick={() => setSelectedId(take.id)} aria-pressed={take.id === selectedId}>
+                {t("practice.take", { n: takes.length - i })} · {formatDate(take.createdAt, { timeStyle: "short" })} · {seconds(take.duration)}
+              </button>
+              <button type="button" className="p-1 rounded-lg hover:bg-slate-100" title={t("practice.delete")} onClick={() => remove(take.id)}>
+                <Trash2 className="w-4 h-4"/>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <p className="text-xs opacity-60">{t("practice.kept", { count: MAX_TAKES })}</p>
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+// src/components/RevisionHistory.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { History, RotateCcw } from "lucide-react";
+import { Badge, Button } from "./ui.jsx";
+import { lessonChanges } from "../lib/revisions.js";
+import { useI18n } from "../lib/i18n.js";
+
+const CONTEXT = 2;
+
+/** Changed lines with a little context; long unchanged stretches fold away. */
+function LinesDiff({ lines }) {
+  const { t } = useI18n();
+  const keep = lines.map((l, i) => l.op !== "same" || lines.slice(Math.max(0, i - CONTEXT), i + CONTEXT + 1).some((n) => n.op !== "same"));
+  const out = [];
+  for (let i = 0; i < lines.length; i++) {
+    if (keep[i]) {
+      const l = lines[i];
+      out.push(
+        <div key={i} className={l.op === "add" ? "bg-emerald-50 text-emerald-900" : l.op === "del" ? "bg-red-50 text-red-900 line-through" : "opacity-60"}>
+          <span className="select-none inline-block w-4">{l.op === "add" ? "+" : l.op === "del" ? "−" : ""}</span>{l.text || " "}
+        </div>,
+      );
+      continue;
+    }
+    let j = i;
+    while (j < lines.length && !keep[j]) j++;
+    out.push(<div key={i} className="text-xs opacity-50 italic">{t("history.unchanged", { count: j - i })}</div>);
+    i = j - 1;
+  }
+  return <div className="rounded-xl border bg-white p-2 font-mono text-xs whitespace-pre-wrap break-words">{out}</div>;
+}
+
+/**
+ * Saved versions of a lesson (newest first) with what changed since each,
+ * compared with the editor's current form. Restoring loads a version into the
+ * form; it only replaces the lesson once saved.
+ */
+export default function RevisionHistory({ load, current, onRestore }) {
+  const { t, label, formatDate } = useI18n();
+  const [revisions, setRevisions] = useState(/** @type{import("../App.jsx").Lesson[]|null} */(null));
+  const [error, setError] = useState("");
+  const [selected, setSelected] = useState(-1);
+
+  useEffect(() => {
+    let alive = true;
+    load()
+      .then((list) => { if (alive) setRevisions(list); })
+      .catch((err) => {
+        console.error("Could not load revisions:", err);
+        if (alive) setError(err.message);
+      });
+    return () => { alive = false; };
+  }, [load]);
+
+  const revision = revisions?.[selected];
+  const changes = useMemo(() => (revision ? lessonChanges(revision, current) : []), [revision, current]);
+
+  if (error) return <p className="text-sm text-red-700">{t("history.loadError", { message: error })}</p>;
+  if (!revisions) return <p className="text-sm opacity-70">{t("history.loading")}</p>;
+  if (!revisions.length) return <p className="text-sm opacity-70">{t("history.empty")}</p>;
+
+  // level, script and status values have labels; lists show their length
+  const show = (field, v) => {
+    if (v == null || v === "") return "—";
+    if (Array.isArray(v)) return t("history.items", { count: v.length });
+    return label(field, String(v));
+  };
+
+  return (
+    <div className="grid gap-3">
+      <ul className="grid gap-1 text-sm max-h-48 overflow-y-auto">
+        {revisions.map((r, i) => (
+          <li key={`${r.rev}-${i}`}>
+            <button
+              type="button"
+              className={`w-full flex items-center gap-2 rounded-xl px-2 py-1 text-left hover:bg-slate-50 ${i === selected ? "bg-indigo-50 ring-1 ring-indigo-300" : ""}`}
+              onClick={() => setSelected(i === selected ? -1 : i)}
+              aria-pressed={i === selected}
+            >
+              <History className="w-4 h-4 opacity-60"/>
+              <span className="font-medium">{t("history.revision", { rev: r.rev ?? 0 })}</span>
+              <span className="opacity-70">{r.updatedAt ? formatDate(r.updatedAt, { dateStyle: "medium", timeStyle: "short" }) : t("history.publishedFile")}</span>
+              <span className="flex-1 min-w-0 truncate opacity-70">{r.title}</span>
+              {r.status === "draft" && <Badge>{label("status", "draft")}</Badge>}
+            </button>
+          </li>
+        ))}
+      </ul>
+      {revision && (
+        <div className="grid gap-2 rounded-2xl border p-3 bg-slate-50/60">
+          <div className="flex items-center justify-between gap-2">
+            <h4 className="text-sm font-semibold">
+              {changes.length
+                ? t("history.changedSince", { rev: revision.rev ?? 0, fields: changes.map((c) => t(`field.${c.field}`)).join(", ") })
+                : t("history.sameAs", { rev: revision.rev ?? 0 })}
+            </h4>
+            {changes.length > 0 && (
+              <Button type="button" className="flex items-center gap-1 text-sm py-1" onClick={() => onRestore(revision)}>
+                <RotateCcw className="w-4 h-4"/> {t("history.restore")}
+              </Button>
+            )}
+          </div>
+          {changes.map((c) => (
+            <div key={c.field} className="grid gap-1 text-sm">
+              <span className="font-medium">{t(`field.${c.field}`)}</span>
+              {c.lines ? <LinesDiff lines={c.lines} /> : (
+                <p className="break-words">
+                  <span className="bg-red-50 text-red-900 line-through px-1 rounded">{show(c.field, c.before)}</span>
+                  {" → "}
+                  <span className="bg-emerald-50 text-emerald-900 px-1 rounded">{show(c.field, c.after)}</span>
+                </p>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// src/components/Romanized.jsx
+import React from "react";
+import { Segmented } from "./ui.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { ROMANIZATION_SYSTEMS, romanize, useRomanization } from "../lib/romanize.js";
+
+const KHMER = /[\u1780-\u17FF]/;
+
+/** The generated romanization of `text`, when the learner turned it on and there's Khmer in it. */
+export function Romanized({ text, className = "block text-sm italic text-slate-500" }) {
+  const [system] = useRomanization();
+  if (!system || !KHMER.test(text || "")) return null;
+  return <span lang="km-Latn" className={className}>{romanize(text, system)}</span>;
+}
+
+/** "Romanization: Off | UNGEGN | ALA-LC", remembered across lessons. */
+export function RomanizationToggle({ className = "" }) {
+  const { t } = useI18n();
+  const [system, setSystem] = useRomanization();
+  // the systems' names are the same in every language
+  const options = [
+    { value: "", label: t("romanization.off") },
+    ...Object.entries(ROMANIZATION_SYSTEMS).map(([value, label]) => ({ value, label })),
+  ];
+  return (
+    <div className={`flex items-center gap-2 text-sm ${className}`}>
+      <span className="opacity-70">{t("romanization.label")}</span>
+      <Segmented options={options} value={system} onChange={setSystem} />
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// src/components/SignInDialog.jsx
+import React, { useState } from "react";
+import { Lock, X } from "lucide-react";
+import { Button, Card, Input } from "./ui.jsx";
+import { authErrorMessage } from "../lib/auth.js";
+import { useI18n } from "../lib/i18n.js";
+
+/** Email/password sign-in for editors and admins. */
+export default function SignInDialog({ provider, onSignIn, onClose }) {
+  const { t } = useI18n();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    setBusy(true); setError("");
+    try {
+      await onSignIn(email, password);
+      onClose();
+    } catch (err) {
+      setError(authErrorMessage(err, t));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-40 grid place-items-center bg-black/30 p-4">
+      <Card className="w-full max-w-sm relative p-6">
+        <button className="absolute right-3 top-3 p-1 rounded-lg hover:bg-slate-100" onClick={onClose} title={t("common.close")}>
+          <X className="w-4 h-4"/>
+        </button>
+        <h2 className="text-lg font-semibold mb-3 flex items-center gap-2"><Lock className="w-5 h-5"/> {t("nav.signIn")}</h2>
+        <form onSubmit={handleSubmit} className="grid gap-3">
+          <div>
+            <label className="text-sm mb-1 block" htmlFor="signin-email">{t("signIn.email")}</label>
+            <Input id="signin-email" type="email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} required />
+          </div>
+          <div>
+            <label className="text-sm mb-1 block" htmlFor="signin-password">{t("signIn.password")}</label>
+            <Input id="signin-password" type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} required={provider !== "mock"} />
+          </div>
+          {provider === "mock" && (
+            <p className="text-xs opacity-70">{t("signIn.mockHint")}</p>
+          )}
+          {provider === "firebase-emulator" && (
+            <p className="text-xs opacity-70">{t("signIn.emulator")}</p>
+          )}
+          {error && <p className="text-sm text-red-700">{error}</p>}
+          <Button type="submit" disabled={busy} className="bg-indigo-600 text-white border-indigo-700">
+            {busy ? t("signIn.busy") : t("nav.signIn")}
+          </Button>
+        </form>
+      </Card>
+    </div>
+  );
+}
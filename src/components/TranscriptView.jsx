@@ -0,0 +1,91 @@
+// src/components/TranscriptView.jsx
+import React, { useEffect, useRef, useState } from "react";
+import { Mic } from "lucide-react";
+import { Segmented } from "./ui.jsx";
+import { Romanized } from "./Romanized.jsx";
+import { SegmentedText } from "./WordLookup.jsx";
+import { useI18n } from "../lib/i18n.js";
+import { useRomanization } from "../lib/romanize.js";
+
+const MODES = ["km", "both", "en"];
+
+/**
+ * Dialogue view of a lesson transcript.
+ * - `lines` come from parseTranscript / lesson.dialogue.
+ * - Learners can show only Khmer, only English, or both side by side.
+ * - With romanization turned on, the generated one replaces the hand-typed
+ *   "(roman)" under each Khmer line.
+ * - With a `lexicon`, Khmer lines are split into words that open a definition
+ *   when tapped (components/WordLookup.jsx).
+ * - With a timing track, `activeIndex` is highlighted and clicking a timed
+ *   line calls `onSeek(i)`.
+ * - With `onPractice`, Khmer lines get a microphone button that calls
+ *   `onPractice(i)`; `practiceIndex` marks the line being practised.
+ */
+export default function TranscriptView({ lines, cues, activeIndex = -1, onSeek, lexicon, userId, onPractice, practiceIndex = -1 }) {
+  const { t } = useI18n();
+  const [mode, setMode] = useState("both");
+  const [romanization] = useRomanization();
+  const listRef = useRef(/** @type{HTMLOListElement|null} */(null));
+
+  useEffect(() => {
+    if (activeIndex < 0) return;
+    const el = listRef.current?.children[activeIndex];
+    el?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+  }, [activeIndex]);
+
+  if (!lines?.length) {
+    return <p className="text-slate-800">{t("transcript.none")}</p>;
+  }
+
+  const showKm = mode !== "en";
+  const showEn = mode !== "km";
+
+  return (
+    <div className="grid gap-3">
+      <Segmented options={MODES.map((value) => ({ value, label: t(`transcript.show.${value}`) }))} value={mode} onChange={setMode} className="justify-self-start" />
+      <ol ref={listRef} className="grid gap-2">
+        {lines.map((L, i) => {
+          const timed = !!onSeek && cues?.[i] != null;
+          const practicable = !!onPractice && !!L.km;
+          return (
+            <li
+              key={i}
+              className={`relative grid gap-x-4 gap-y-1 rounded-xl px-3 py-2 transition ${
+                i === activeIndex ? "bg-amber-100 ring-1 ring-amber-300" : "odd:bg-slate-50/60"
+              } ${showKm && showEn ? "md:grid-cols-2" : ""} ${timed ? "cursor-pointer hover:bg-indigo-50" : ""} ${practicable ? "pr-10" : ""}`}
+              onClick={timed ? () => onSeek(i) : undefined}
+              aria-current={i === activeIndex ? "true" : undefined}
+            >
+              {showKm && (
+                <div lang="km" className="text-slate-900">
+                  {L.speaker && <span className="font-semibold mr-1">{L.speaker}៖</span>}
+                  {!L.km ? <span className="opacity-50">—</span> : lexicon ? <SegmentedText text={L.km} lexicon={lexicon} userId={userId} /> : L.km}
+                  {L.roman && !romanization && <span className="ml-1 text-sm opacity-70">({L.roman})</span>}
+                  <Romanized text={L.km} />
+                </div>
+              )}
+              {showEn && (
+                <div lang="en" className="text-slate-700">
+                  {L.speakerEn && <span className="font-semibold mr-1">{L.speakerEn}:</span>}
+                  {L.en || <span className="opacity-50">—</span>}
+                </div>
+              )}
+              {practicable && (
+                <button
+                  type="button"
+                  className={`absolute right-2 top-2 p-1 rounded-lg hover:bg-white ${i === practiceIndex ? "text-indigo-700 bg-white ring-1 ring-indigo-300" : "text-slate-500"}`}
+                  title={t("transcript.practise")}
+                  onClick={(e) => { e.stopPropagation(); onPractice(i); }}
+                  aria-pressed={i === practiceIndex}
+                >
+                  <Mic className="w-4 h-4"/>
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    </div>
+  );
+}
@@ -0,0 +1,59 @@
+// src/components/VocabularyList.jsx
+import React from "react";
+import { Volume2 } from "lucide-react";
+import { useI18n } from "../lib/i18n.js";
+import { toPublicUrl } from "../lib/paths.js";
+import { romanize, useRomanization } from "../lib/romanize.js";
+
+function playClip(url) {
+  new Audio(toPublicUrl(url)).play().catch(() => {});
+}
+
+/**
+ * Vocabulary table for LessonDetail; falls back to the legacy text.
+ * The romanization column is the hand-typed one unless the learner picked a system.
+ */
+export default function VocabularyList({ words, text }) {
+  const { t } = useI18n();
+  const [romanization] = useRomanization();
+  if (!words?.length) {
+    return <p className="whitespace-pre-wrap text-slate-800">{text || t("vocab.none")}</p>;
+  }
+  return (
+    <div className="grid gap-2">
+      <table className="w-full text-sm">
+        <thead className="text-left opacity-70">
+          <tr>
+            <th className="py-1 pr-3 font-medium">{t("vocab.khmer")}</th>
+            <th className="py-1 pr-3 font-medium">{t("vocab.roman")}</th>
+            <th className="py-1 pr-3 font-medium">{t("vocab.english")}</th>
+            <th className="py-1 font-medium">{t("vocab.type")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {words.map((w) => (
+            <tr key={w.km} className="border-t align-top">
+              <td lang="km" className="py-1.5 pr-3 text-base whitespace-nowrap">
+                {w.km}
+                {w.audioUrl && (
+                  <button type="button" className="ml-1 p-1 rounded-lg hover:bg-slate-100 align-middle" title={t("common.listen")} onClick={() => playClip(w.audioUrl)}>
+                    <Volume2 className="w-4 h-4"/>
+                  </button>
+                )}
+              </td>
+              <td className="py-1.5 pr-3 italic opacity-80">{romanization ? romanize(w.km, romanization) : w.roman || ""}</td>
+              <td className="py-1.5 pr-3">{w.en}</td>
+              <td className="py-1.5 opacity-70">{w.pos || ""}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {text && (
+        <details className="text-sm">
+          <summary className="cursor-pointer opacity-70">{t("vocab.notes")}</summary>
+          <p className="whitespace-pre-wrap text-slate-800 mt-2">{text}</p>
+        </details>
+      )}
+    </div>
+  );
+}
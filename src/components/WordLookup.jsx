@@ -0,0 +1,115 @@
+// src/components/WordLookup.jsx
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { CircleCheck, Plus, Volume2, X } from "lucide-react";
+import { Badge, Button } from "./ui.jsx";
+import { segmentKhmer } from "../lib/segment.js";
+import { ROMANIZATION_SYSTEMS, romanize, useRomanization } from "../lib/romanize.js";
+import { addMyWord, loadMyWords } from "../lib/srs.js";
+import { useI18n } from "../lib/i18n.js";
+import { toPublicUrl } from "../lib/paths.js";
+
+/** Meaning, romanization and "add to my flashcards" for one word. */
+function WordPopover({ entry, userId, onClose }) {
+  const { t } = useI18n();
+  const ref = useRef(/** @type{HTMLDivElement|null} */(null));
+  const [system] = useRomanization();
+  const fromLesson = entry.senses.find((s) => s.lessonId);
+  const [saved, setSaved] = useState(() => loadMyWords(userId).some((w) => w.km === entry.km));
+  const roman = entry.senses.find((s) => s.roman)?.roman;
+  const audioUrl = entry.senses.find((s) => s.audioUrl)?.audioUrl;
+
+  useEffect(() => {
+    // the word itself toggles the popover, so only clicks outside both close it
+    const onDown = (e) => { if (!ref.current?.parentElement?.contains(e.target)) onClose(); };
+    const onKey = (e) => { if (e.key === "Escape") onClose(); };
+    document.addEventListener("mousedown", onDown);
+    document.addEventListener("keydown", onKey);
+    return () => { document.removeEventListener("mousedown", onDown); document.removeEventListener("keydown", onKey); };
+  }, [onClose]);
+
+  function save() {
+    const first = entry.senses[0];
+    addMyWord({
+      km: entry.km,
+      en: [...new Set(entry.senses.map((s) => s.en))].join("; "),
+      ...(roman ? { roman } : {}),
+      ...(first.pos ? { pos: first.pos } : {}),
+      ...(audioUrl ? { audioUrl } : {}),
+    }, userId);
+    setSaved(true);
+  }
+
+  return (
+    <div
+      ref={ref}
+      role="dialog"
+      className="absolute left-0 top-full z-30 mt-1 w-72 max-w-[80vw] rounded-2xl border bg-white p-3 shadow-lg grid gap-2 text-left cursor-auto"
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex items-start gap-2">
+        <div className="flex-1 min-w-0">
+          <div lang="km" className="text-2xl">{entry.km}</div>
+          <div className="text-sm italic text-slate-600">
+            {roman || romanize(entry.km, system || "ungegn")}
+            {!roman && <span className="not-italic opacity-60"> · {ROMANIZATION_SYSTEMS[system || "ungegn"]}</span>}
+          </div>
+        </div>
+        {audioUrl && (
+          <button type="button" className="p-1 rounded-lg hover:bg-slate-100" title={t("common.listen")} onClick={() => new Audio(toPublicUrl(audioUrl)).play().catch(() => {})}>
+            <Volume2 className="w-4 h-4"/>
+          </button>
+        )}
+        <button type="button" className="p-1 rounded-lg hover:bg-slate-100" title={t("common.close")} onClick={onClose}>
+          <X className="w-4 h-4"/>
+        </button>
+      </div>
+      <ul lang="en" className="grid gap-1 text-sm">
+        {entry.senses.map((s, i) => (
+          <li key={i} className="flex flex-wrap items-center gap-1">
+            <span>{s.en}</span>
+            {s.pos && <Badge>{s.pos}</Badge>}
+            {s.lessonTitle && <span className="text-xs opacity-60">· {s.lessonTitle}</span>}
+          </li>
+        ))}
+      </ul>
+      {fromLesson || saved ? (
+        <p className="text-xs text-emerald-700 flex items-center gap-1">
+          <CircleCheck className="w-4 h-4"/> {t("word.inFlashcards", { deck: fromLesson ? fromLesson.lessonTitle : t("flashcards.myWords") })}
+        </p>
+      ) : (
+        <Button type="button" onClick={save} className="text-sm py-1 flex items-center justify-center gap-2">
+          <Plus className="w-4 h-4"/> {t("word.add")}
+        </Button>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Khmer text with word boundaries shown; tapping a known word opens its
+ * definition. Words the lexicon doesn't know stay plain text.
+ */
+export function SegmentedText({ text, lexicon, userId }) {
+  const segments = useMemo(() => segmentKhmer(text, lexicon), [text, lexicon]);
+  const [open, setOpen] = useState(-1);
+  const close = useCallback(() => setOpen(-1), []);
+  return (
+    <>
+      {segments.map((seg, i) => (seg.entry ? (
+        <span key={i} className="relative inline-block">
+          <button
+            type="button"
+            className={`mx-px rounded border-b border-dotted border-slate-400 hover:bg-indigo-100 ${open === i ? "bg-indigo-100" : ""}`}
+            onClick={(e) => { e.stopPropagation(); setOpen(open === i ? -1 : i); }}
+            aria-expanded={open === i}
+          >
+            {seg.text}
+          </button>
+          {open === i && <WordPopover entry={seg.entry} userId={userId} onClose={close} />}
+        </span>
+      ) : (
+        <span key={i}>{seg.text}</span>
+      )))}
+    </>
+  );
+}
@@ -0,0 +1,66 @@
+// src/components/ui.jsx
+import React from "react";
+
+// ===== Small UI Primitives =====
+export const Badge = ({ children }) => (
+  <span className="inline-flex items-center rounded-full border px-2 py-0.5 text-xs opacity-80">
+    {children}
+  </span>
+);
+
+export const Input = ({ className = "", ...props }) => (
+  <input
+    className={`w-full rounded-2xl border px-3 py-2 outline-none focus:ring focus:ring-indigo-200 ${className}`}
+    {...props}
+  />
+);
+
+export const Button = ({ className = "", children, ...props }) => (
+  <button
+    className={`rounded-2xl border shadow-sm px-3 py-2 hover:shadow transition active:scale-[.99] ${className}`}
+    {...props}
+  >
+    {children}
+  </button>
+);
+
+// const Card = ({ className = "", children }) => (
+//   <div className={`rounded-2xl border bg-white/70 backdrop-blur p-4 shadow-sm ${className}`}>{children}</div>
+// );
+
+export const Card = ({ className = "", children }) => (
+  <div className={`rounded-2xl border bg-white/70 backdrop-blur p-4 shadow ${className}`}>
+    {children}
+  </div>
+);
+
+// Pill-style toggle group, e.g. Khmer | Both | English
+export const Segmented = ({ options, value, onChange, className = "" }) => (
+  <div className={`inline-flex rounded-2xl border overflow-hidden text-sm ${className}`} role="group">
+    {options.map((o) => (
+      <button
+        key={o.value}
+        type="button"
+        className={`px-3 py-1 ${value === o.value ? "bg-indigo-600 text-white" : "hover:bg-slate-50"}`}
+        aria-pressed={value === o.value}
+        onClick={() => onChange(o.value)}
+      >
+        {o.label}
+      </button>
+    ))}
+  </div>
+);
+
+// Text with <mark>ed [start, end) ranges, e.g. search hits
+export const Highlight = ({ text, ranges = [] }) => {
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([s, e], i) => {
+    if (s < at) return;
+    if (s > at) parts.push(text.slice(at, s));
+    parts.push(<mark key={i} className="bg-amber-200 rounded px-0.5">{text.slice(s, e)}</mark>);
+    at = e;
+  });
+  parts.push(text.slice(at));
+  return <>{parts}</>;
+};
@@ -0,0 +1,170 @@
+// src/lib/audioStore.js
+import { useEffect, useState } from "react";
+import { emulators, getFirebaseApp, hostPort } from "./firebase.js";
+import { idbStore } from "./idb.js";
+import { toPublicUrl } from "./paths.js";
+
+/**
+ * Uploaded lesson audio.
+ * - Drafts keep the file in IndexedDB and reference it as `idb:<id>` in
+ *   lesson.audioUrl; useAudioSrc() turns that into a blob URL for playback.
+ * - Publishing (saving to Firestore) uploads it to Firebase Storage and
+ *   swaps in the download URL, see publishLessonAudio().
+ * - Trimming re-encodes to 16-bit WAV, the only format browsers can write,
+ *   so a trimmed file can be much bigger than the original upload.
+ */
+
+/** storage.rules only accepts files under this size. */
+export const MAX_AUDIO_BYTES = 20 * 1024 * 1024;
+export const AUDIO_TYPES = ["audio/mpeg", "audio/mp4", "audio/x-m4a", "audio/aac", "audio/ogg", "audio/webm", "audio/wav", "audio/x-wav", "audio/wave"];
+const EXT = { "audio/mpeg": "mp3", "audio/mp4": "m4a", "audio/x-m4a": "m4a", "audio/aac": "aac", "audio/ogg": "ogg", "audio/webm": "webm", "audio/wav": "wav", "audio/x-wav": "wav", "audio/wave": "wav" };
+
+const IDB_PREFIX = "idb:";
+export const isStoredAudio = (u) => typeof u === "string" && u.startsWith(IDB_PREFIX);
+
+/** @param {File} file @returns {""|"type"|"size"} what is wrong with it ("upload.<problem>"), or "" if it's fine */
+export function validateAudioFile(file) {
+  if (!AUDIO_TYPES.includes(file.type)) return "type";
+  if (file.size >= MAX_AUDIO_BYTES) return "size";
+  return "";
+}
+
+export function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  return `${(n / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// ===== IndexedDB =====
+const tx = idbStore("khmer_audio", "assets", (db) => db.createObjectStore("assets"));
+
+/** @typedef {{ blob: Blob; name: string; type: string; duration?: number; createdAt: number }} AudioAsset */
+
+/** Save a blob; returns the `idb:<id>` reference to put in lesson.audioUrl. */
+export async function putAudio(blob, { name = "audio", duration } = {}) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  /** @type{AudioAsset} */
+  const asset = { blob, name, type: blob.type, duration, createdAt: Date.now() };
+  await tx("readwrite", (s) => s.put(asset, id));
+  return IDB_PREFIX + id;
+}
+
+/** @returns {Promise<AudioAsset|undefined>} */
+export function getAudio(ref) {
+  return tx("readonly", (s) => s.get(ref.slice(IDB_PREFIX.length)));
+}
+
+export function deleteAudio(ref) {
+  return tx("readwrite", (s) => s.delete(ref.slice(IDB_PREFIX.length)));
+}
+
+/** Playable URL for lesson.audioUrl, including `idb:` references ("" while loading or if missing). */
+export function useAudioSrc(audioUrl) {
+  const stored = isStoredAudio(audioUrl);
+  const [blobUrl, setBlobUrl] = useState("");
+  useEffect(() => {
+    if (!stored) return;
+    let url = "";
+    let alive = true;
+    getAudio(audioUrl)
+      .then((a) => {
+        if (!alive || !a) return;
+        url = URL.createObjectURL(a.blob);
+        setBlobUrl(url);
+      })
+      .catch((err) => console.error("Could not load stored audio:", err));
+    return () => { alive = false; setBlobUrl(""); if (url) URL.revokeObjectURL(url); };
+  }, [audioUrl, stored]);
+  return stored ? blobUrl : toPublicUrl(audioUrl);
+}
+
+// ===== Decoding, silence detection, trimming =====
+/** @param {Blob} blob @returns {Promise<AudioBuffer>} */
+export async function decodeAudio(blob) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  try {
+    return await ctx.decodeAudioData(await blob.arrayBuffer());
+  } finally {
+    ctx.close();
+  }
+}
+
+/**
+ * Where the sound starts and stops: the first and last 10 ms window whose
+ * peak is above `threshold` (0.02 ≈ -34 dBFS), padded by `pad` seconds.
+ * @param {AudioBuffer} buf
+ */
+export function detectSilence(buf, { threshold = 0.02, pad = 0.1 } = {}) {
+  const win = Math.max(1, Math.floor(buf.sampleRate * 0.01));
+  const chans = Array.from({ length: buf.numberOfChannels }, (_, c) => buf.getChannelData(c));
+  const loud = (i) => {
+    const end = Math.min(buf.length, i + win);
+    for (const ch of chans) for (let j = i; j < end; j++) if (Math.abs(ch[j]) > threshold) return true;
+    return false;
+  };
+  let first = 0;
+  while (first < buf.length && !loud(first)) first += win;
+  if (first >= buf.length) return { start: 0, end: buf.duration }; // all silence: leave it alone
+  let last = Math.floor((buf.length - 1) / win) * win;
+  while (last > first && !loud(last)) last -= win;
+  const start = Math.max(0, first / buf.sampleRate - pad);
+  const end = Math.min(buf.duration, (last + win) / buf.sampleRate + pad);
+  return { start, end };
+}
+
+/** Cut [start, end) seconds out of `buf` and encode it as a WAV blob. */
+export function trimToWav(buf, start, end) {
+  const from = Math.max(0, Math.floor(start * buf.sampleRate));
+  const to = Math.min(buf.length, Math.ceil(end * buf.sampleRate));
+  const n = Math.max(0, to - from);
+  const chans = Math.min(2, buf.numberOfChannels);
+  const bytes = 44 + n * chans * 2;
+  const view = new DataView(new ArrayBuffer(bytes));
+  const str = (o, s) => [...s].forEach((c, i) => view.setUint8(o + i, c.charCodeAt(0)));
+  str(0, "RIFF"); view.setUint32(4, bytes - 8, true); str(8, "WAVE");
+  str(12, "fmt "); view.setUint32(16, 16, true); view.setUint16(20, 1, true);
+  view.setUint16(22, chans, true); view.setUint32(24, buf.sampleRate, true);
+  view.setUint32(28, buf.sampleRate * chans * 2, true); view.setUint16(32, chans * 2, true);
+  view.setUint16(34, 16, true);
+  str(36, "data"); view.setUint32(40, n * chans * 2, true);
+  const data = Array.from({ length: chans }, (_, c) => buf.getChannelData(c));
+  let o = 44;
+  for (let i = from; i < to; i++) {
+    for (let c = 0; c < chans; c++) {
+      const s = Math.max(-1, Math.min(1, data[c][i]));
+      view.setInt16(o, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+      o += 2;
+    }
+  }
+  return new Blob([view], { type: "audio/wav" });
+}
+
+// ===== Firebase Storage =====
+let storagePromise = null;
+function getStorage() {
+  storagePromise ??= Promise.all([getFirebaseApp(), import("firebase/storage")]).then(([app, mod]) => {
+    const storage = mod.getStorage(app);
+    if (emulators.storage) mod.connectStorageEmulator(storage, ...hostPort(emulators.storage));
+    return { storage, mod };
+  });
+  return storagePromise;
+}
+
+/** Upload to `audio/<lessonId>/<name>` and return the download URL. */
+export async function uploadAudio(blob, lessonId, name = "audio") {
+  const { storage, mod } = await getStorage();
+  const ext = EXT[blob.type] || "bin";
+  const base = name.replace(/\.[^.]+$/, "").replace(/[^\w-]+/g, "_") || "audio";
+  const ref = mod.ref(storage, `audio/${lessonId}/${Date.now()}-${base}.${ext}`);
+  await mod.uploadBytes(ref, blob, { contentType: blob.type });
+  return mod.getDownloadURL(ref);
+}
+
+/** If the lesson's audio only lives in this browser, upload it and point the lesson at the copy. */
+export async function publishLessonAudio(lesson) {
+  if (!isStoredAudio(lesson.audioUrl)) return lesson;
+  const asset = await getAudio(lesson.audioUrl);
+  if (!asset) throw new Error("The uploaded audio is missing from this browser. Upload it again.");
+  return { ...lesson, audioUrl: await uploadAudio(asset.blob, lesson.id, asset.name) };
+}
@@ -0,0 +1,180 @@
+// src/lib/auth.js
+import { useEffect, useState } from "react";
+import { emulators, getFirebaseApp, isFirebaseConfigured } from "./firebase.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Sign-in + roles.
+ * - Roles: viewer < editor < admin. Firebase users get theirs from the
+ *   `role` custom claim (set with the Admin SDK or in the emulator UI);
+ *   anyone without one is a viewer.
+ * - Providers are interchangeable: "firebase" (real or emulator), "mock"
+ *   (local, for development and tests) and "none" (sign-in disabled).
+ *   Pick one with VITE_AUTH_PROVIDER; by default Firebase when configured,
+ *   the mock in `vite dev`, otherwise none.
+ * - The UI checks `can()` before every mutating action. Real enforcement of
+ *   writes belongs to the backend's security rules.
+ */
+
+/** @typedef {"viewer" | "editor" | "admin"} Role */
+/** @typedef {{ uid: string; email: string; displayName?: string; role: Role }} AuthUser */
+/** @typedef {{
+ *  name: string;
+ *  subscribe(cb: (user: AuthUser | null) => void): () => void;
+ *  signIn(email: string, password: string): Promise<AuthUser>;
+ *  signOut(): Promise<void>;
+ * }} AuthProvider
+ */
+
+export const ROLES = /** @type{Role[]} */ (["viewer", "editor", "admin"]);
+
+const PERMISSIONS = {
+  "lesson:write": "editor",  // upsertLesson (add + edit)
+  "lesson:delete": "admin",  // removeLesson
+  "lesson:export": "editor", // exportJSON
+  "curriculum:write": "admin", // reorder lessons in units
+  "lesson:import": "admin",  // bulk import from a lessons file
+  "lesson:preview": "admin", // open drafts at #/lesson/:id?draft
+  "class:teach": "editor",   // create classes, assign lessons, see results
+  "lesson:lint": "editor",   // batch content check of every lesson
+};
+
+function rank(role) {
+  return Math.max(0, ROLES.indexOf(role));
+}
+
+/** @param {AuthUser|null} user @param {Role} role */
+export function hasRole(user, role) {
+  return !!user && rank(user.role) >= rank(role);
+}
+
+/** @param {AuthUser|null} user @param {keyof typeof PERMISSIONS} action */
+export function can(user, action) {
+  const needed = PERMISSIONS[action];
+  if (!needed) throw new Error(`Unknown action: ${action}`);
+  return hasRole(user, needed);
+}
+
+const toRole = (r) => (ROLES.includes(r) ? r : "viewer");
+
+// ===== Firebase Auth (or the Auth emulator) =====
+/** @returns {AuthProvider} */
+export function createFirebaseAuthProvider() {
+  let authPromise = null;
+  const getAuth = () => {
+    authPromise ??= Promise.all([getFirebaseApp(), import("firebase/auth")]).then(([app, mod]) => {
+      const auth = mod.getAuth(app);
+      if (emulators.auth) mod.connectAuthEmulator(auth, emulators.auth, { disableWarnings: true });
+      return { auth, mod };
+    });
+    return authPromise;
+  };
+
+  const toUser = async (u) => {
+    if (!u) return null;
+    const token = await u.getIdTokenResult();
+    return { uid: u.uid, email: u.email || "", displayName: u.displayName || undefined, role: toRole(token.claims.role) };
+  };
+
+  return {
+    name: emulators.auth ? "firebase-emulator" : "firebase",
+    subscribe(cb) {
+      let unsub = () => {};
+      let alive = true;
+      getAuth()
+        .then(({ auth, mod }) => {
+          if (!alive) return;
+          // id-token changes also fire when custom claims are refreshed
+          unsub = mod.onIdTokenChanged(auth, (u) => toUser(u).then(cb));
+        })
+        .catch((err) => { console.error("Auth unavailable:", err); cb(null); });
+      return () => { alive = false; unsub(); };
+    },
+    async signIn(email, password) {
+      const { auth, mod } = await getAuth();
+      const cred = await mod.signInWithEmailAndPassword(auth, email, password);
+      return toUser(cred.user);
+    },
+    async signOut() {
+      const { auth, mod } = await getAuth();
+      await mod.signOut(auth);
+    },
+  };
+}
+
+// ===== Local mock provider (dev + tests) =====
+const MOCK_KEY = "khmer_mock_auth_user";
+
+/** An error with a Firebase-style `code`, so authErrorMessage() can word it. */
+const authError = (code, message) => Object.assign(new Error(message), { code });
+
+/**
+ * Any password works; the role comes from the email's local part:
+ * admin@… → admin, editor@… → editor, anything else → viewer.
+ * @returns {AuthProvider}
+ */
+export function createMockAuthProvider() {
+  const listeners = new Set();
+  const emit = (u) => listeners.forEach((cb) => cb(u));
+  return {
+    name: "mock",
+    subscribe(cb) {
+      listeners.add(cb);
+      cb(readJSON(MOCK_KEY, null));
+      return () => listeners.delete(cb);
+    },
+    async signIn(email) {
+      const e = String(email || "").trim().toLowerCase();
+      if (!/^[^@\s]+@[^@\s]+$/.test(e)) throw authError("auth/invalid-email", "Enter an email address.");
+      const local = e.split("@")[0];
+      /** @type{AuthUser} */
+      const user = { uid: `mock-${local}`, email: e, role: toRole(local) };
+      writeJSON(MOCK_KEY, user);
+      emit(user);
+      return user;
+    },
+    async signOut() {
+      try { localStorage.removeItem(MOCK_KEY); } catch { /* ignore */ }
+      emit(null);
+    },
+  };
+}
+
+/** @returns {AuthProvider} */
+export function createNoAuthProvider() {
+  return {
+    name: "none",
+    subscribe(cb) { cb(null); return () => {}; },
+    async signIn() { throw authError("auth/not-configured", "Sign-in is not configured for this site."); },
+    async signOut() {},
+  };
+}
+
+function selectProvider() {
+  const choice = import.meta.env.VITE_AUTH_PROVIDER;
+  if (choice === "firebase" || (!choice && isFirebaseConfigured())) return createFirebaseAuthProvider();
+  if (choice === "mock" || (!choice && import.meta.env.DEV)) return createMockAuthProvider();
+  return createNoAuthProvider();
+}
+
+export const authProvider = selectProvider();
+
+// error codes with an "auth.<code>" message
+const KNOWN_ERRORS = new Set(["invalid-credential", "invalid-email", "user-disabled", "too-many-requests", "network-request-failed", "not-configured"]);
+
+/**
+ * What to tell the user about a failed sign-in.
+ * @param {any} err
+ * @param {(key: string) => string} t from useI18n()
+ */
+export function authErrorMessage(err, t) {
+  const code = String(err?.code || "").replace(/^auth\//, "");
+  return KNOWN_ERRORS.has(code) ? t(`auth.${code}`) : err?.message || t("auth.failed");
+}
+
+/** Current user + sign-in/out, for components. */
+export function useAuth(provider = authProvider) {
+  const [state, setState] = useState(/** @type{{ user: AuthUser|null; loading: boolean }} */({ user: null, loading: true }));
+  useEffect(() => provider.subscribe((user) => setState({ user, loading: false })), [provider]);
+  return { ...state, provider: provider.name, signIn: provider.signIn, signOut: provider.signOut };
+}
@@ -0,0 +1,189 @@
+// src/lib/classroom.js
+import { isScored } from "./exercises.js";
+import { dayKey } from "./progress.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Classes for tutoring groups (pure helpers; storage is classroomRepository.js).
+ * - An editor creates a class and shares its join code. Students join with the
+ *   code and a name.
+ * - An assignment is a lesson's exercises or its dictation, due on a day.
+ * - When a student scores one, the result goes to every class they joined that
+ *   assigned it. Each (assignment, student) pair keeps its best score.
+ * - Results are late when first submitted after the due day, and missing once
+ *   the day has passed without one.
+ */
+
+/** @typedef {"exercises"|"dictation"} AssignmentKind */
+/** @typedef {{ id: string; lessonId: string; kind: AssignmentKind; due: string }} Assignment  due: "YYYY-MM-DD" */
+/** @typedef {{
+ *  id: string;
+ *  name: string;
+ *  code: string;
+ *  ownerId: string;
+ *  assignments: Assignment[];
+ *  createdAt: string;
+ *  updatedAt?: string;
+ * }} Classroom */
+/** @typedef {{ id: string; name: string; code: string; joinedAt: string }} Student  code: the join code they used */
+/** @typedef {{
+ *  assignmentId: string;
+ *  studentId: string;
+ *  score: number;      // best so far, 0..1
+ *  detail: string;     // "7/10" for exercises, "4 lines" for dictation
+ *  attempts: number;
+ *  firstAt: string;    // ISO time of the first submission
+ *  lastAt: string;
+ * }} Result */
+/** @typedef {"done"|"late"|"missing"|"pending"} ResultStatus */
+
+export const ASSIGNMENT_KINDS = /** @type{AssignmentKind[]} */ (["exercises", "dictation"]);
+
+// no 0/O or 1/I/L, so codes survive being read aloud or copied from a board
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 6;
+
+export function newJoinCode(random = Math.random) {
+  let code = "";
+  for (let i = 0; i < CODE_LENGTH; i++) code += CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)];
+  return code;
+}
+
+/** "abc 234", "ABC-234" → "ABC234" */
+export function normalizeCode(input) {
+  return String(input || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+/** Display form of a code, in two halves: "ABC-234". */
+export function formatCode(code) {
+  return code.length === CODE_LENGTH ? `${code.slice(0, 3)}-${code.slice(3)}` : code;
+}
+
+export const newId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/** @returns {Classroom} */
+export function newClassroom(name, ownerId) {
+  return { id: newId("class"), name: name.trim(), code: newJoinCode(), ownerId, assignments: [], createdAt: new Date().toISOString() };
+}
+
+/**
+ * Whether a lesson has something to score for this kind: graded exercises, or
+ * a transcript and audio for dictation (the same checks as the lesson page).
+ * @param {import("../App.jsx").Lesson} L
+ * @param {AssignmentKind} kind
+ */
+export function canAssign(L, kind) {
+  if (kind === "dictation") return !!(L.dialogue?.length && L.audioUrl);
+  return (L.quiz || []).some(isScored);
+}
+
+/** @param {Classroom} c @param {string} lessonId @param {AssignmentKind} kind */
+export function assignmentsFor(c, lessonId, kind) {
+  return (c.assignments || []).filter((a) => a.lessonId === lessonId && a.kind === kind);
+}
+
+/**
+ * Fold a new attempt into the stored result, keeping the best score.
+ * @param {Result|null} prev
+ * @param {{ assignmentId: string; studentId: string; score: number; detail: string }} attempt
+ * @returns {Result}
+ */
+export function mergeResult(prev, attempt, now = new Date().toISOString()) {
+  if (!prev) return { ...attempt, attempts: 1, firstAt: now, lastAt: now };
+  const better = attempt.score > prev.score;
+  return {
+    ...prev,
+    score: better ? attempt.score : prev.score,
+    detail: better ? attempt.detail : prev.detail,
+    attempts: prev.attempts + 1,
+    lastAt: now,
+  };
+}
+
+/**
+ * @param {Assignment} a
+ * @param {Result|undefined} result
+ * @returns {ResultStatus}
+ */
+export function resultStatus(a, result, now = Date.now()) {
+  if (result) return a.due && dayKey(result.firstAt) > a.due ? "late" : "done";
+  return a.due && dayKey(now) > a.due ? "missing" : "pending";
+}
+
+/** Soonest due first; assignments without a due date last. @param {Assignment[]} list */
+export function byDue(list) {
+  return [...(list || [])].sort((a, b) => (a.due || "9999").localeCompare(b.due || "9999"));
+}
+
+/** @typedef {{
+ *  assignments: (Assignment & { title: string; submitted: number; average: number|null })[];
+ *  rows: { student: Student; cells: { status: ResultStatus; result?: Result }[]; average: number|null }[];
+ * }} ClassReport */
+
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+/**
+ * Students × assignments, in byDue() order. Averages only count submitted
+ * results; a missing one isn't scored as zero.
+ * @param {Classroom} c
+ * @param {Student[]} students
+ * @param {Result[]} results
+ * @param {import("../App.jsx").Lesson[]} lessons
+ * @returns {ClassReport}
+ */
+export function classReport(c, students, results, lessons, now = Date.now()) {
+  const byKey = new Map(results.map((r) => [`${r.assignmentId}|${r.studentId}`, r]));
+  const titles = new Map(lessons.map((L) => [L.id, L.title]));
+  const assignments = byDue(c.assignments);
+  const roster = [...students].sort((a, b) => a.name.localeCompare(b.name));
+  const rows = roster.map((student) => {
+    const cells = assignments.map((a) => {
+      const result = byKey.get(`${a.id}|${student.id}`);
+      return { status: resultStatus(a, result, now), result };
+    });
+    return { student, cells, average: mean(cells.filter((x) => x.result).map((x) => x.result.score)) };
+  });
+  return {
+    assignments: assignments.map((a, i) => {
+      const scores = rows.map((r) => r.cells[i].result?.score).filter((s) => s != null);
+      return { ...a, title: titles.get(a.lessonId) || a.lessonId, submitted: scores.length, average: mean(scores) };
+    }),
+    rows,
+  };
+}
+
+/**
+ * One row per student and assignment, for a spreadsheet to pivot.
+ * @param {ClassReport} report
+ * @returns {string[][]}
+ */
+export function reportRows(report) {
+  const rows = [["Student", "Student ID", "Lesson", "Lesson ID", "Kind", "Due", "Status", "Score %", "Detail", "Attempts", "First submitted", "Last submitted"]];
+  for (const { student, cells } of report.rows) {
+    report.assignments.forEach((a, i) => {
+      const { status, result } = cells[i];
+      rows.push([
+        student.name, student.id, a.title, a.lessonId, a.kind, a.due || "", status,
+        result ? String(Math.round(result.score * 100)) : "",
+        result?.detail || "", result ? String(result.attempts) : "",
+        result?.firstAt || "", result?.lastAt || "",
+      ]);
+    });
+  }
+  return rows;
+}
+
+// ===== Classes joined on this browser =====
+const JOINED_KEY = "khmer_joined_classes_v1"; // { [learnerId]: { id, name, code, studentName }[] }
+
+/** @typedef {{ id: string; name: string; code: string; studentName: string }} Membership */
+
+/** @returns {Membership[]} */
+export function joinedClasses(learnerId) {
+  return readJSON(JOINED_KEY, {})[learnerId] || [];
+}
+
+/** @param {string} learnerId @param {Membership[]} list */
+export function saveJoinedClasses(learnerId, list) {
+  writeJSON(JOINED_KEY, { ...readJSON(JOINED_KEY, {}), [learnerId]: list });
+}
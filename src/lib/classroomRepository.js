@@ -0,0 +1,229 @@
+// src/lib/classroomRepository.js
+import { emulators, getFirebaseApp, hostPort, isFirebaseConfigured } from "./firebase.js";
+import { readJSON, writeJSON } from "./storage.js";
+import { assignmentsFor, joinedClasses, mergeResult, normalizeCode } from "./classroom.js";
+
+/**
+ * Where classes, their students and results live. Same backends as lessons
+ * (see lessonRepository.js), minus the read-only static file:
+ * - local:     this browser's localStorage, for trying it out on one device
+ * - firestore: `classes/{id}`, with `students/{uid}` and `results/{assignment}_{uid}`
+ *              subcollections, and `classCodes/{code}` pointing at each class
+ *              (or the Firestore emulator)
+ * Joining and submitting on Firestore need a signed-in student, so the rules
+ * can tie each result to its author. Classes can't be listed by others, so a
+ * student finds one only through its code, and must write the code to join.
+ */
+
+/** @typedef {import("./classroom.js").Classroom} Classroom */
+/** @typedef {import("./classroom.js").Student} Student */
+/** @typedef {import("./classroom.js").Result} Result */
+/** @typedef {{
+ *  name: string;
+ *  needsSignIn: boolean;
+ *  listClasses(ownerId: string): Promise<Classroom[]>;
+ *  getClass(id: string): Promise<Classroom|null>;
+ *  findByCode(code: string): Promise<{ id: string; name: string }|null>;
+ *  saveClass(c: Classroom): Promise<Classroom>;
+ *  removeClass(id: string): Promise<void>;
+ *  join(classId: string, student: { id: string; name: string; code: string }): Promise<Student>;
+ *  students(classId: string): Promise<Student[]>;
+ *  submit(classId: string, attempt: { assignmentId: string; studentId: string; score: number; detail: string }): Promise<Result>;
+ *  results(classId: string, studentId?: string): Promise<Result[]>;
+ * }} ClassroomRepository
+ */
+
+const resultId = (assignmentId, studentId) => `${assignmentId}_${studentId}`;
+
+// ===== localStorage =====
+const STORAGE_KEY = "khmer_classes_v1";
+
+/** @returns {{ classes: Record<string, Classroom>; students: Record<string, Record<string, Student>>; results: Record<string, Record<string, Result>> }} */
+function loadLocal() {
+  const raw = readJSON(STORAGE_KEY, {});
+  return { classes: raw.classes || {}, students: raw.students || {}, results: raw.results || {} };
+}
+
+/** @returns {ClassroomRepository} */
+export function createLocalClassroomRepository() {
+  const update = (fn) => {
+    const d = loadLocal();
+    const out = fn(d);
+    writeJSON(STORAGE_KEY, d);
+    return out;
+  };
+  return {
+    name: "local",
+    needsSignIn: false,
+    async listClasses(ownerId) {
+      return Object.values(loadLocal().classes)
+        .filter((c) => c.ownerId === ownerId)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async getClass(id) {
+      return loadLocal().classes[id] || null;
+    },
+    async findByCode(code) {
+      const wanted = normalizeCode(code);
+      const c = Object.values(loadLocal().classes).find((x) => x.code === wanted);
+      return c ? { id: c.id, name: c.name } : null;
+    },
+    async saveClass(c) {
+      const saved = { ...c, updatedAt: new Date().toISOString() };
+      update((d) => { d.classes[c.id] = saved; });
+      return saved;
+    },
+    async removeClass(id) {
+      update((d) => { delete d.classes[id]; delete d.students[id]; delete d.results[id]; });
+    },
+    async join(classId, { id, name, code }) {
+      return update((d) => {
+        if (!d.classes[classId]) throw new Error("This class no longer exists.");
+        if (d.classes[classId].code !== normalizeCode(code)) throw new Error("This join code is not for this class.");
+        const roster = (d.students[classId] ||= {});
+        roster[id] = { id, name, code: normalizeCode(code), joinedAt: roster[id]?.joinedAt || new Date().toISOString() };
+        return roster[id];
+      });
+    },
+    async students(classId) {
+      return Object.values(loadLocal().students[classId] || {});
+    },
+    async submit(classId, attempt) {
+      return update((d) => {
+        const results = (d.results[classId] ||= {});
+        const key = resultId(attempt.assignmentId, attempt.studentId);
+        return (results[key] = mergeResult(results[key] || null, attempt));
+      });
+    },
+    async results(classId, studentId) {
+      const all = Object.values(loadLocal().results[classId] || {});
+      return studentId ? all.filter((r) => r.studentId === studentId) : all;
+    },
+  };
+}
+
+// ===== Firestore =====
+/**
+ * @param {{ collection?: string; codes?: string }} [opts]
+ * @returns {ClassroomRepository}
+ */
+export function createFirestoreClassroomRepository({ collection = "classes", codes = "classCodes" } = {}) {
+  let dbPromise = null;
+  const getDb = () => {
+    dbPromise ??= Promise.all([getFirebaseApp(), import("firebase/firestore")]).then(([app, mod]) => {
+      const db = mod.getFirestore(app);
+      if (emulators.firestore) mod.connectFirestoreEmulator(db, ...hostPort(emulators.firestore));
+      return { db, mod };
+    });
+    return dbPromise;
+  };
+  // Firestore rejects `undefined` values
+  const clean = (x) => JSON.parse(JSON.stringify(x));
+  const toClass = (d) => ({ ...d.data(), id: d.id });
+
+  return {
+    name: emulators.firestore ? "firestore-emulator" : "firestore",
+    needsSignIn: true,
+    async listClasses(ownerId) {
+      const { db, mod } = await getDb();
+      const q = mod.query(mod.collection(db, collection), mod.where("ownerId", "==", ownerId));
+      return (await mod.getDocs(q)).docs.map(toClass).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+    async getClass(id) {
+      const { db, mod } = await getDb();
+      const snap = await mod.getDoc(mod.doc(db, collection, id));
+      return snap.exists() ? toClass(snap) : null;
+    },
+    async findByCode(code) {
+      const { db, mod } = await getDb();
+      const snap = await mod.getDoc(mod.doc(db, codes, normalizeCode(code) || "-"));
+      return snap.exists() ? { id: snap.data().classId, name: snap.data().name } : null;
+    },
+    async saveClass(c) {
+      const { db, mod } = await getDb();
+      const saved = { ...c, updatedAt: new Date().toISOString() };
+      // the code document is rewritten with every save, which also keeps its name current
+      const batch = mod.writeBatch(db);
+      batch.set(mod.doc(db, collection, c.id), clean(saved));
+      batch.set(mod.doc(db, codes, c.code), { classId: c.id, name: c.name, ownerId: c.ownerId });
+      await batch.commit();
+      return saved;
+    },
+    async removeClass(id) {
+      // students and results stay behind as orphans; the rules keep them private
+      const { db, mod } = await getDb();
+      const snap = await mod.getDoc(mod.doc(db, collection, id));
+      const batch = mod.writeBatch(db);
+      if (snap.exists()) batch.delete(mod.doc(db, codes, snap.data().code));
+      batch.delete(mod.doc(db, collection, id));
+      await batch.commit();
+    },
+    async join(classId, { id, name, code }) {
+      const { db, mod } = await getDb();
+      const ref = mod.doc(db, collection, classId, "students", id);
+      return mod.runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const student = { id, name, code: normalizeCode(code), joinedAt: snap.exists() ? snap.data().joinedAt : new Date().toISOString() };
+        tx.set(ref, student);
+        return student;
+      });
+    },
+    async students(classId) {
+      const { db, mod } = await getDb();
+      return (await mod.getDocs(mod.collection(db, collection, classId, "students"))).docs.map((d) => ({ ...d.data(), id: d.id }));
+    },
+    async submit(classId, attempt) {
+      const { db, mod } = await getDb();
+      const ref = mod.doc(db, collection, classId, "results", resultId(attempt.assignmentId, attempt.studentId));
+      return mod.runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const saved = mergeResult(snap.exists() ? snap.data() : null, attempt);
+        tx.set(ref, clean(saved));
+        return saved;
+      });
+    },
+    async results(classId, studentId) {
+      const { db, mod } = await getDb();
+      const col = mod.collection(db, collection, classId, "results");
+      const q = studentId ? mod.query(col, mod.where("studentId", "==", studentId)) : col;
+      return (await mod.getDocs(q)).docs.map((d) => d.data());
+    },
+  };
+}
+
+/**
+ * Follows VITE_LESSON_BACKEND, so lessons and classes are kept together:
+ * Firestore when chosen or (by default) when Firebase is configured,
+ * otherwise this browser.
+ * @returns {ClassroomRepository}
+ */
+function selectRepository() {
+  const choice = import.meta.env.VITE_LESSON_BACKEND;
+  if (choice === "firestore" || (!choice && isFirebaseConfigured())) return createFirestoreClassroomRepository();
+  return createLocalClassroomRepository();
+}
+
+export const classroomRepository = selectRepository();
+
+/**
+ * Send a scored attempt to every class this learner joined that assigned it.
+ * Failures are logged, not thrown: the learner's own progress is already saved.
+ * @param {string} studentId
+ * @param {string} lessonId
+ * @param {import("./classroom.js").AssignmentKind} kind
+ * @param {number} score 0..1
+ * @param {string} detail
+ */
+export async function submitToJoinedClasses(studentId, lessonId, kind, score, detail) {
+  for (const m of joinedClasses(studentId)) {
+    try {
+      const c = await classroomRepository.getClass(m.id);
+      if (!c) continue;
+      for (const a of assignmentsFor(c, lessonId, kind)) {
+        await classroomRepository.submit(c.id, { assignmentId: a.id, studentId, score, detail });
+      }
+    } catch (err) {
+      console.error(`Could not send the result to class ${m.name}:`, err);
+    }
+  }
+}
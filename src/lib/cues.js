@@ -0,0 +1,127 @@
+// src/lib/cues.js
+import { useEffect, useState } from "react";
+import { toPublicUrl } from "./paths.js";
+
+/**
+ * Timing track for transcript lines (karaoke-style highlighting).
+ * - Cue i belongs to dialogue line i.
+ * - Stored inline as `lesson.cues`, or as a WebVTT / LRC sidecar next to
+ *   the mp3 and referenced by `lesson.cuesUrl` (e.g. "/audio/numbers.vtt").
+ */
+
+/** @typedef {{ start: number; end?: number }} Cue */
+
+function parseClock(s) {
+  // "01:02:03.450", "02:03.450", "02:03,45"
+  const parts = s.trim().replace(",", ".").split(":").map(Number);
+  if (parts.some((n) => Number.isNaN(n))) return NaN;
+  return parts.reduce((acc, n) => acc * 60 + n, 0);
+}
+
+function formatClock(t, sep = ".") {
+  const ms = Math.round((t || 0) * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  const s = Math.floor((ms % 60000) / 1000);
+  const pad = (n, w = 2) => String(n).padStart(w, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${pad(ms % 1000, 3)}`;
+}
+
+/**
+ * @param {string} text WebVTT file contents
+ * @returns {Cue[]}
+ */
+export function parseVTT(text) {
+  const cues = [];
+  for (const line of String(text || "").replace(/\r\n?/g, "\n").split("\n")) {
+    const m = line.match(/^\s*([\d:.,]+)\s*-->\s*([\d:.,]+)/);
+    if (!m) continue;
+    const start = parseClock(m[1]);
+    const end = parseClock(m[2]);
+    if (!Number.isNaN(start)) cues.push(Number.isNaN(end) ? { start } : { start, end });
+  }
+  return cues;
+}
+
+/**
+ * @param {string} text LRC file contents ("[mm:ss.xx] line")
+ * @returns {Cue[]}
+ */
+export function parseLRC(text) {
+  const cues = [];
+  for (const line of String(text || "").split(/\r?\n/)) {
+    const m = line.match(/^\s*\[(\d+:\d+(?:[.:]\d+)?)\]/);
+    if (!m) continue;
+    // LRC is always mm:ss, some tools write the fraction as ":xx"
+    const [mm, ss, frac] = m[1].split(/[:.]/);
+    const start = parseClock(`${mm}:${ss}${frac ? `.${frac}` : ""}`);
+    if (!Number.isNaN(start)) cues.push({ start });
+  }
+  return fillEnds(cues);
+}
+
+/** Give every cue an end: the next cue's start. */
+export function fillEnds(cues) {
+  return cues.map((c, i) => (c.end != null || !cues[i + 1] ? c : { ...c, end: cues[i + 1].start }));
+}
+
+/**
+ * @param {Cue[]} cues
+ * @param {{ km?: string; en?: string }[]} [lines] optional text for each cue
+ */
+export function toVTT(cues, lines = []) {
+  const body = fillEnds(cues)
+    .map((c, i) => {
+      const end = c.end ?? c.start + 5;
+      const L = lines[i] || {};
+      const text = [L.km, L.en].filter(Boolean).join("\n") || `Line ${i + 1}`;
+      return `${i + 1}\n${formatClock(c.start)} --> ${formatClock(end)}\n${text}`;
+    })
+    .join("\n\n");
+  return `WEBVTT\n\n${body}\n`;
+}
+
+/** Parse a sidecar by its extension (.vtt or .lrc). */
+export function parseCueFile(url, text) {
+  return /\.lrc(\?|$)/i.test(url) ? parseLRC(text) : parseVTT(text);
+}
+
+/**
+ * Index of the cue playing at time t, or -1.
+ * @param {Cue[]} cues
+ * @param {number} t
+ */
+export function activeCueIndex(cues, t) {
+  if (!cues?.length) return -1;
+  let idx = -1;
+  for (let i = 0; i < cues.length; i++) {
+    if (cues[i] && cues[i].start <= t) idx = i;
+    else if (cues[i] && cues[i].start > t) break;
+  }
+  if (idx === -1) return -1;
+  const end = cues[idx].end;
+  return end != null && t >= end ? -1 : idx;
+}
+
+/**
+ * Cues for a lesson: inline `lesson.cues` win, else the `cuesUrl` sidecar.
+ * @param {{ cues?: Cue[]; cuesUrl?: string } | null} lesson
+ * @returns {Cue[]}
+ */
+export function useLessonCues(lesson) {
+  const [loaded, setLoaded] = useState(/** @type{{ url: string; cues: Cue[] }|null} */(null));
+  const url = lesson?.cues?.length ? "" : lesson?.cuesUrl || "";
+
+  useEffect(() => {
+    if (!url) return;
+    let alive = true;
+    fetch(toPublicUrl(url))
+      .then((r) => (r.ok ? r.text() : ""))
+      .then((text) => { if (alive) setLoaded({ url, cues: parseCueFile(url, text) }); })
+      .catch((err) => console.error("Could not load cues:", err));
+    return () => { alive = false; };
+  }, [url]);
+
+  if (lesson?.cues?.length) return lesson.cues;
+  return loaded?.url === url ? loaded.cues : [];
+}
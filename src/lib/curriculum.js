@@ -0,0 +1,136 @@
+// src/lib/curriculum.js
+
+/**
+ * Courses → units → ordered lessons.
+ * - Stored apart from the lessons (public/curriculum.json, or the repository's
+ *   curriculum document) so reordering never rewrites lesson content.
+ * - A unit may list `requires`: units to finish first. Prerequisites are
+ *   advice shown to the learner, not a lock.
+ * - Without a curriculum, defaultCurriculum() builds one course per level
+ *   ordered by the "Lesson 3 : …" / "Conversation 7 : …" numbers in titles.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {{ id: string; title: string; description?: string; lessons: string[]; requires?: string[] }} Unit */
+/** @typedef {{ id: string; title: string; description?: string; level?: Lesson["level"]; units: Unit[] }} Course */
+/** @typedef {{ version: 1; courses: Course[]; rev?: number; updatedAt?: string }} Curriculum */
+/** @typedef {{ course: Course; unit: Unit; index: number }} Placement */
+
+const LEVELS = ["Beginner", "Intermediate", "Advanced"];
+const KIND_ORDER = ["lesson", "conversation"];
+
+/** "Conversation 7 : …" → ["conversation", 7] */
+function titleOrder(title) {
+  const m = /^\s*([A-Za-z]+)\s*(\d+)/.exec(title || "");
+  return m ? [m[1].toLowerCase(), Number(m[2])] : ["~", Infinity];
+}
+
+function compareTitles(a, b) {
+  const [ka, na] = titleOrder(a.title);
+  const [kb, nb] = titleOrder(b.title);
+  const ia = KIND_ORDER.indexOf(ka), ib = KIND_ORDER.indexOf(kb);
+  if (ka !== kb) return (ia === -1 ? 99 : ia) - (ib === -1 ? 99 : ib) || ka.localeCompare(kb);
+  return na - nb || a.title.localeCompare(b.title);
+}
+
+const slug = (s) => s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+
+/** @param {Lesson[]} lessons @returns {Curriculum} */
+export function defaultCurriculum(lessons) {
+  const courses = LEVELS.map((level) => {
+    const mine = lessons.filter((L) => L.level === level).sort(compareTitles);
+    return {
+      id: slug(level),
+      title: `${level} Khmer`,
+      level,
+      units: mine.length ? [{ id: `${slug(level)}-lessons`, title: "Lessons", lessons: mine.map((L) => L.id) }] : [],
+    };
+  });
+  return { version: 1, courses: courses.filter((c) => c.units.length) };
+}
+
+/** Every placed lesson, in course order. @returns {(Placement & { id: string })[]} */
+export function lessonSequence(curr) {
+  const out = [];
+  for (const course of curr.courses) {
+    for (const unit of course.units) {
+      unit.lessons.forEach((id, index) => out.push({ id, course, unit, index }));
+    }
+  }
+  return out;
+}
+
+/** A level's lessons in course order; lessons no unit places come last. */
+export function lessonsInLevel(curr, lessons, level) {
+  const order = new Map(lessonSequence(curr).map((p, i) => [p.id, i]));
+  const rank = (L) => order.get(L.id) ?? Infinity;
+  return lessons
+    .filter((L) => L.level === level)
+    .map((L, i) => ({ L, i }))
+    .sort((a, b) => rank(a.L) - rank(b.L) || a.i - b.i)
+    .map(({ L }) => L);
+}
+
+/** Where a lesson sits, plus the lessons before and after it (skipping ids with no lesson). */
+export function neighbors(curr, lessonId, lessons) {
+  const known = new Set(lessons.map((L) => L.id));
+  const seq = lessonSequence(curr).filter((p) => known.has(p.id));
+  const i = seq.findIndex((p) => p.id === lessonId);
+  if (i === -1) return { placement: null, prev: null, next: null };
+  const byId = (id) => lessons.find((L) => L.id === id) || null;
+  return {
+    placement: seq[i],
+    prev: i > 0 ? byId(seq[i - 1].id) : null,
+    next: i < seq.length - 1 ? byId(seq[i + 1].id) : null,
+  };
+}
+
+export function findUnit(curr, unitId) {
+  for (const course of curr.courses) {
+    const unit = course.units.find((u) => u.id === unitId);
+    if (unit) return { course, unit };
+  }
+  return null;
+}
+
+/**
+ * Required units that aren't finished yet.
+ * @param {(lessonId: string) => boolean} isDone
+ * @returns {Unit[]}
+ */
+export function unmetPrerequisites(curr, unit, isDone) {
+  return (unit.requires || [])
+    .map((id) => findUnit(curr, id)?.unit)
+    .filter((u) => u && !u.lessons.every(isDone));
+}
+
+/** Lessons not placed in any unit. */
+export function unassignedLessons(curr, lessons) {
+  const placed = new Set(lessonSequence(curr).map((p) => p.id));
+  return lessons.filter((L) => !placed.has(L.id));
+}
+
+// ===== Editing (immutable) =====
+function mapUnits(curr, fn) {
+  return { ...curr, courses: curr.courses.map((c) => ({ ...c, units: c.units.map((u) => fn(u, c)) })) };
+}
+
+/** Move the lesson at `from` to `to` within a unit. */
+export function moveLesson(curr, unitId, from, to) {
+  return mapUnits(curr, (u) => {
+    if (u.id !== unitId || to < 0 || to >= u.lessons.length) return u;
+    const lessons = u.lessons.slice();
+    const [id] = lessons.splice(from, 1);
+    lessons.splice(to, 0, id);
+    return { ...u, lessons };
+  });
+}
+
+/** Take a lesson out of whatever unit holds it and append it to `unitId` ("" just removes it). */
+export function assignLesson(curr, lessonId, unitId) {
+  return mapUnits(curr, (u) => {
+    const lessons = u.lessons.filter((id) => id !== lessonId);
+    if (u.id === unitId) lessons.push(lessonId);
+    return { ...u, lessons };
+  });
+}
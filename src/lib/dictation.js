@@ -0,0 +1,99 @@
+// src/lib/dictation.js
+import { COENG, canonicalKhmer, normalizeKhmer } from "./khmer.js";
+
+/**
+ * Listening dictation generated from a lesson's transcript.
+ * - Every dialogue line with Khmer text and a cue is a sentence to play and
+ *   type; no authoring needed.
+ * - Answers are compared character by character (a subscript, COENG + its
+ *   consonant, counts as one character). Spaces, zero-width spaces and
+ *   punctuation are ignored, and typing-order differences are folded away
+ *   first, so only real spelling differences show.
+ */
+
+/** @typedef {{ line: number; km: string; en?: string; start: number; end?: number }} DictationItem */
+/** @typedef {"consonant"|"vowel"|"diacritic"|"subscript"|"other"} CharKind */
+/** @typedef {{ op: "same"|"wrong"|"missing"|"extra"; expected?: string; typed?: string; kind: CharKind }} DiffOp */
+
+/**
+ * @param {{ km?: string; en?: string }[]} dialogue
+ * @param {import("./cues.js").Cue[]} cues
+ * @returns {DictationItem[]}
+ */
+export function dictationItems(dialogue = [], cues = []) {
+  return dialogue.flatMap((L, i) => {
+    const cue = cues[i];
+    if (!cue || !/[\u1780-\u17FF]/.test(L.km || "")) return [];
+    const end = cue.end ?? cues[i + 1]?.start;
+    return [{ line: i, km: L.km, en: L.en, start: cue.start, ...(end != null ? { end } : {}) }];
+  });
+}
+
+/** @returns {CharKind} */
+export function charKind(ch) {
+  if (ch.length === 2 && ch[0] === COENG) return "subscript";
+  const c = ch.charCodeAt(0);
+  if (c >= 0x1780 && c <= 0x17b3) return "consonant"; // with the independent vowels: they stand alone the same way
+  if (c >= 0x17b6 && c <= 0x17c5) return "vowel";
+  if ((c >= 0x17c6 && c <= 0x17d3) || c === 0x17dd) return "diacritic";
+  return "other";
+}
+
+/** Comparable characters of an answer, subscripts kept whole. */
+export function dictationChars(s) {
+  const t = canonicalKhmer(String(s || "").replace(/\u200B|\u200C|\u200D|\u2060|\uFEFF/g, ""))
+    .replace(/[\s.,!?;:'"“”‘’()\u17D4\u17D5\u17D6-]+/g, ""); // ។ ៕ ៖
+  const out = [];
+  for (let i = 0; i < t.length; i++) {
+    if (t[i] === COENG && t[i + 1] >= "\u1780" && t[i + 1] <= "\u17A2") {
+      out.push(t[i] + t[i + 1]);
+      i++;
+    } else {
+      out.push(t[i]);
+    }
+  }
+  return out;
+}
+
+// COENG DA/TA, Khmer/Arabic digits and letter case don't count as mistakes
+const same = (a, b) => a === b || normalizeKhmer(a) === normalizeKhmer(b);
+
+/**
+ * Character diff of a typed answer against the transcript line.
+ * @param {string} expected
+ * @param {string} typed
+ * @returns {{ ops: DiffOp[]; mistakes: number; accuracy: number; byKind: Partial<Record<CharKind, number>> }}
+ */
+export function diffDictation(expected, typed) {
+  const a = dictationChars(expected);
+  const b = dictationChars(typed);
+  // d[i][j]: edits to turn a[0..i) into b[0..j)
+  const d = Array.from({ length: a.length + 1 }, (_, i) => Array.from({ length: b.length + 1 }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + (same(a[i - 1], b[j - 1]) ? 0 : 1));
+    }
+  }
+  /** @type{DiffOp[]} */
+  const ops = [];
+  let i = a.length, j = b.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && d[i][j] === d[i - 1][j - 1] + (same(a[i - 1], b[j - 1]) ? 0 : 1)) {
+      const op = same(a[i - 1], b[j - 1]) ? "same" : "wrong";
+      ops.unshift({ op, expected: a[i - 1], typed: b[j - 1], kind: charKind(a[i - 1]) });
+      i--; j--;
+    } else if (i > 0 && d[i][j] === d[i - 1][j] + 1) {
+      ops.unshift({ op: "missing", expected: a[i - 1], kind: charKind(a[i - 1]) });
+      i--;
+    } else {
+      ops.unshift({ op: "extra", typed: b[j - 1], kind: charKind(b[j - 1]) });
+      j--;
+    }
+  }
+  const mistakes = d[a.length][b.length];
+  /** @type{Partial<Record<CharKind, number>>} */
+  const byKind = {};
+  for (const o of ops) if (o.op !== "same") byKind[o.kind] = (byKind[o.kind] || 0) + 1;
+  const accuracy = a.length ? Math.max(0, 1 - mistakes / a.length) : b.length ? 0 : 1;
+  return { ops, mistakes, accuracy, byKind };
+}
@@ -0,0 +1,86 @@
+// src/lib/dictation.test.js
+import { describe, expect, it } from "vitest";
+import { charKind, dictationChars, dictationItems, diffDictation } from "./dictation.js";
+
+const COENG = "្";
+
+describe("dictationChars", () => {
+  it("keeps a subscript (COENG + consonant) as one character", () => {
+    expect(dictationChars("ខ្ញុំ")).toEqual(["ខ", `${COENG}ញ`, "ុ", "ំ"]);
+    expect(dictationChars("ស្ត្រី")).toEqual(["ស", `${COENG}ត`, `${COENG}រ`, "ី"]);
+  });
+
+  it("drops spaces, zero-width spaces and punctuation", () => {
+    expect(dictationChars("ខ្ញុំ​ទៅ ផ្សារ។")).toEqual(dictationChars("ខ្ញុំទៅផ្សារ"));
+    expect(dictationChars("“បាទ!”")).toEqual(dictationChars("បាទ"));
+  });
+
+  it("folds typing order, so a vowel typed before the subscript reads the same", () => {
+    expect(dictationChars("សី្ត")).toEqual(dictationChars("ស្តី"));
+  });
+});
+
+describe("charKind", () => {
+  it.each([
+    ["ក", "consonant"],
+    ["អ", "consonant"],
+    [`${COENG}ក`, "subscript"],
+    ["ា", "vowel"],
+    ["ំ", "diacritic"],
+    ["a", "other"],
+  ])("%s is a %s", (ch, kind) => {
+    expect(charKind(ch)).toBe(kind);
+  });
+});
+
+describe("diffDictation", () => {
+  it("accepts an exact answer", () => {
+    expect(diffDictation("ខ្ញុំទៅ", "ខ្ញុំ ទៅ")).toMatchObject({ mistakes: 0, accuracy: 1, byKind: {} });
+  });
+
+  it("doesn't count COENG DA for COENG TA", () => {
+    expect(diffDictation("ស្តី", "ស្ដី").mistakes).toBe(0);
+  });
+
+  it("reports a wrong subscript as one subscript mistake", () => {
+    const diff = diffDictation("ស្តី", "ស្ថី");
+    expect(diff.mistakes).toBe(1);
+    expect(diff.byKind).toEqual({ subscript: 1 });
+    expect(diff.ops[1]).toEqual({ op: "wrong", expected: `${COENG}ត`, typed: `${COENG}ថ`, kind: "subscript" });
+  });
+
+  it("reports a left-out subscript as missing", () => {
+    const diff = diffDictation("ខ្ញុំ", "ខុំ");
+    expect(diff.ops.map((o) => o.op)).toEqual(["same", "missing", "same", "same"]);
+    expect(diff.byKind).toEqual({ subscript: 1 });
+    expect(diff.accuracy).toBe(0.75);
+  });
+
+  it("reports a subscript typed where a consonant belongs", () => {
+    const diff = diffDictation("សតី", "ស្តី");
+    expect(diff.ops[1]).toMatchObject({ op: "wrong", expected: "ត", typed: `${COENG}ត`, kind: "consonant" });
+  });
+
+  it("reports extra characters", () => {
+    const diff = diffDictation("ទៅ", "ទៅៗ");
+    expect(diff.ops.at(-1)).toMatchObject({ op: "extra", typed: "ៗ" });
+    expect(diff.mistakes).toBe(1);
+  });
+
+  it("scores empty answers", () => {
+    expect(diffDictation("", "").accuracy).toBe(1);
+    expect(diffDictation("", "ក").accuracy).toBe(0);
+    expect(diffDictation("ក", "").accuracy).toBe(0);
+  });
+});
+
+describe("dictationItems", () => {
+  it("takes the Khmer lines that have a cue, ending at the next cue", () => {
+    const dialogue = [{ km: "សួស្តី", en: "Hello" }, { en: "English only" }, { km: "បាទ" }, { km: "ទេ" }];
+    const cues = [{ start: 0 }, { start: 2 }, { start: 3, end: 4 }];
+    expect(dictationItems(dialogue, cues)).toEqual([
+      { line: 0, km: "សួស្តី", en: "Hello", start: 0, end: 2 },
+      { line: 2, km: "បាទ", en: undefined, start: 3, end: 4 },
+    ]);
+  });
+});
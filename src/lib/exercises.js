@@ -0,0 +1,208 @@
+// src/lib/exercises.js
+import { sameKhmer } from "./khmer.js";
+
+/**
+ * Typed exercises.
+ * - Legacy lessons keep `exercises` as free text; `quiz` is the typed list and
+ *   migrateExercises derives it, like `dialogue` and `words`.
+ * - Text that isn't an exercise (fun facts, culture notes) is kept as
+ *   { type: "note" } so nothing from the old field is lost.
+ *
+ * Authoring format (one exercise per line, "hint:" on the next line):
+ *   1) Translate: "Hello" → សួស្តី | ជំរាបសួរ
+ *   2) Fill-in-the-blank: ខ្ញុំ ___ សាលា → ទៅ
+ *   3) Match: សួស្តី ↔ Hello; អរគុណ ↔ Thank you
+ *   4) Choose: How do you say "thank you"? → *អរគុណ / សួស្តី / លាហើយ
+ *   5) Listen: line 3 → *option / option      (plays transcript line 3)
+ *      (the answer is marked with *; without one, the question isn't scored)
+ *   6) តើអ្នកចូលចិត្តបង្អែមទេ?                 (open question, not scored)
+ */
+
+/** @typedef {(
+ *  | { type: "mcq"; prompt: string; options: string[]; answer: number; hint?: string }
+ *  | { type: "fill"; prompt: string; answers: string[]; hint?: string }
+ *  | { type: "translate"; prompt: string; answers: string[]; hint?: string }
+ *  | { type: "match"; prompt?: string; pairs: [string, string][]; hint?: string }
+ *  | { type: "listen"; prompt?: string; line?: number; audioUrl?: string; start?: number; end?: number; options: string[]; answer: number; hint?: string }
+ *  | { type: "open"; prompt: string; hint?: string }
+ *  | { type: "note"; text: string }
+ * )} Exercise
+ */
+
+export const EXERCISE_TYPES = ["mcq", "fill", "translate", "match", "listen", "open", "note"];
+
+/** Exercises that have an answer key and count toward the score. */
+export function isScored(ex) {
+  return ex && ex.type !== "open" && ex.type !== "note";
+}
+
+const NUMBER_RE = /^\s*(?:\d+[.)]|[-•*])\s*/;
+const ARROW_RE = /\s*(?:→|->|=>)\s*/;
+const KIND_RE = /^(translate|fill(?:[- ]in[- ]the[- ]blank)?|match|choose|multiple choice|listen(?: and choose)?)\s*:\s*/i;
+const BLANK_RE = /^_+$/;
+
+const unquote = (s) => s.trim().replace(/^["“'](.*)["”']$/, "$1").trim();
+
+/** `answer` is -1 when no option is marked with `*`. */
+function parseOptions(s) {
+  const raw = s.split(/\s+\/\s+/).map((o) => o.trim()).filter(Boolean);
+  const answer = raw.findIndex((o) => o.startsWith("*"));
+  const options = raw.map((o) => o.replace(/^\*/, "").trim());
+  return { options, answer };
+}
+
+function parseLine(kind, body) {
+  const [prompt, rest = ""] = body.split(ARROW_RE);
+  const key = rest.trim();
+  const hasKey = key && !BLANK_RE.test(key);
+  const k = kind.toLowerCase();
+
+  if (k === "match") {
+    const pairs = body
+      .split(/\s*;\s*/)
+      .map((p) => p.split(/\s*(?:↔︎?|<->|=)\s*/))
+      .filter((p) => p.length === 2 && p[0] && p[1])
+      .map(([a, b]) => [a.trim(), b.trim()]);
+    return pairs.length ? { type: "match", pairs } : { type: "open", prompt: body };
+  }
+  if (!hasKey) return { type: "open", prompt: `${kind}: ${body}` };
+
+  if (k.startsWith("fill")) {
+    return { type: "fill", prompt: prompt.trim(), answers: key.split(/\s*\|\s*/) };
+  }
+  if (k === "translate") {
+    return { type: "translate", prompt: unquote(prompt), answers: key.split(/\s*\|\s*/) };
+  }
+  // a choice with no answer marked can't be scored; lint flags it (unmarkedChoices)
+  const choice = parseOptions(key);
+  if (choice.answer === -1) return { type: "open", prompt: `${kind}: ${body}` };
+  if (k.startsWith("listen")) {
+    const m = prompt.match(/line\s+(\d+)/i);
+    return { type: "listen", ...(m ? { line: Number(m[1]) - 1 } : { prompt: prompt.trim() }), ...choice };
+  }
+  return { type: "mcq", prompt: prompt.trim(), ...choice };
+}
+
+/**
+ * Choose and Listen lines whose options have no `*` on the answer, which
+ * parseExercises() keeps as unscored open questions.
+ * @param {string} text
+ * @returns {{ line: number; text: string }[]} 1-based lines
+ */
+export function unmarkedChoices(text) {
+  const out = [];
+  String(text || "").replace(/\r\n?/g, "\n").split("\n").forEach((raw, i) => {
+    const body = raw.trim().replace(NUMBER_RE, "");
+    const kind = body.match(KIND_RE);
+    if (!kind || !/^(choose|multiple choice|listen)/i.test(kind[1])) return;
+    const key = (body.slice(kind[0].length).split(ARROW_RE)[1] || "").trim();
+    if (key && !BLANK_RE.test(key) && parseOptions(key).answer === -1) out.push({ line: i + 1, text: body });
+  });
+  return out;
+}
+
+/**
+ * Parse the legacy free-text exercises (and the authoring format above).
+ * @param {string} text
+ * @returns {Exercise[]}
+ */
+export function parseExercises(text) {
+  if (!text || typeof text !== "string") return [];
+  /** @type{Exercise[]} */
+  const out = [];
+  /** @type{string[]} */
+  let note = [];
+  const flushNote = () => {
+    const t = note.join("\n").trim();
+    if (t) out.push({ type: "note", text: t });
+    note = [];
+  };
+
+  for (const raw of text.replace(/\r\n?/g, "\n").split("\n")) {
+    const line = raw.trim();
+    const hint = line.match(/^hint\s*:\s*(.+)$/i);
+    if (hint && out.length && out[out.length - 1].type !== "note" && !note.length) {
+      out[out.length - 1].hint = hint[1].trim();
+      continue;
+    }
+    const body = line.replace(NUMBER_RE, "");
+    const kind = body.match(KIND_RE);
+    if (kind) {
+      flushNote();
+      out.push(parseLine(kind[1], body.slice(kind[0].length)));
+    } else if (/[?？]\s*$/.test(body) && body.length < 200) {
+      flushNote();
+      out.push({ type: "open", prompt: body });
+    } else {
+      note.push(raw.replace(/\s+$/, ""));
+    }
+  }
+  flushNote();
+  return out;
+}
+
+/**
+ * Back to the authoring text format.
+ * @param {Exercise[]} items
+ */
+export function serializeExercises(items) {
+  let n = 0;
+  const opts = (ex) => ex.options.map((o, i) => (i === ex.answer ? `*${o}` : o)).join(" / ");
+  return (items || [])
+    .map((ex) => {
+      if (ex.type === "note") return ex.text;
+      n++;
+      let line;
+      switch (ex.type) {
+        case "translate": line = `Translate: "${ex.prompt}" → ${ex.answers.join(" | ")}`; break;
+        case "fill": line = `Fill-in-the-blank: ${ex.prompt} → ${ex.answers.join(" | ")}`; break;
+        case "match": line = `Match: ${ex.pairs.map(([a, b]) => `${a} ↔ ${b}`).join("; ")}`; break;
+        case "mcq": line = `Choose: ${ex.prompt} → ${opts(ex)}`; break;
+        case "listen": line = `Listen: ${ex.line != null ? `line ${ex.line + 1}` : ex.prompt || ""} → ${opts(ex)}`; break;
+        default: line = ex.prompt;
+      }
+      return `${n}) ${line}${ex.hint ? `\nhint: ${ex.hint}` : ""}`;
+    })
+    .join("\n\n");
+}
+
+/**
+ * Backward-compatible migration between `exercises` text and `quiz`.
+ * @template {{ exercises?: string; quiz?: Exercise[] }} T
+ * @param {T} lesson
+ * @returns {T}
+ */
+export function migrateExercises(lesson) {
+  if (!lesson) return lesson;
+  const hasQuiz = Array.isArray(lesson.quiz) && lesson.quiz.length > 0;
+  if (hasQuiz && !lesson.exercises) {
+    return { ...lesson, exercises: serializeExercises(lesson.quiz) };
+  }
+  if (!hasQuiz && lesson.exercises) {
+    return { ...lesson, quiz: parseExercises(lesson.exercises) };
+  }
+  return lesson;
+}
+
+// ===== Answer checking =====
+
+/**
+ * @param {Exercise} ex
+ * @param {any} response  option index (mcq/listen), text (fill/translate),
+ *                        or { [leftIndex]: rightIndex } (match)
+ * @returns {boolean}
+ */
+export function checkAnswer(ex, response) {
+  switch (ex.type) {
+    case "mcq":
+    case "listen":
+      return response === ex.answer;
+    case "fill":
+    case "translate":
+      return typeof response === "string" && ex.answers.some((a) => sameKhmer(a, response));
+    case "match":
+      return ex.pairs.every((_, i) => response?.[i] === i);
+    default:
+      return false;
+  }
+}
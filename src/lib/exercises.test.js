@@ -0,0 +1,61 @@
+// src/lib/exercises.test.js
+import { describe, expect, it } from "vitest";
+import { checkAnswer, isScored, parseExercises, serializeExercises, unmarkedChoices } from "./exercises.js";
+import { lintLesson } from "./lint.js";
+
+describe("parseExercises", () => {
+  it("reads every authoring form", () => {
+    const quiz = parseExercises([
+      "1) Translate: \"Hello\" → សួស្តី | ជំរាបសួរ",
+      "2) Fill-in-the-blank: ខ្ញុំ ___ សាលា → ទៅ",
+      "hint: to go",
+      "3) Match: សួស្តី ↔ Hello; អរគុណ ↔ Thank you",
+      "4) Choose: How do you say \"thank you\"? → អរគុណ / *សួស្តី",
+      "5) Listen: line 3 → *បាទ / ទេ",
+      "6) តើអ្នកចូលចិត្តបង្អែមទេ?",
+      "A note about tea.",
+    ].join("\n"));
+    expect(quiz).toEqual([
+      { type: "translate", prompt: "Hello", answers: ["សួស្តី", "ជំរាបសួរ"] },
+      { type: "fill", prompt: "ខ្ញុំ ___ សាលា", answers: ["ទៅ"], hint: "to go" },
+      { type: "match", pairs: [["សួស្តី", "Hello"], ["អរគុណ", "Thank you"]] },
+      { type: "mcq", prompt: "How do you say \"thank you\"?", options: ["អរគុណ", "សួស្តី"], answer: 1 },
+      { type: "listen", line: 2, options: ["បាទ", "ទេ"], answer: 0 },
+      { type: "open", prompt: "តើអ្នកចូលចិត្តបង្អែមទេ?" },
+      { type: "note", text: "A note about tea." },
+    ]);
+  });
+
+  it("doesn't score a choice with no answer marked", () => {
+    const [mcq, listen] = parseExercises("Choose: Which is hello? → សួស្តី / អរគុណ\nListen: line 1 → បាទ / ទេ");
+    expect(mcq).toEqual({ type: "open", prompt: "Choose: Which is hello? → សួស្តី / អរគុណ" });
+    expect(listen.type).toBe("open");
+    expect(isScored(mcq)).toBe(false);
+  });
+
+  it("round-trips through serializeExercises", () => {
+    const text = "1) Choose: Which is hello? → *សួស្តី / អរគុណ\n2) Translate: \"Thank you\" → អរគុណ";
+    expect(parseExercises(serializeExercises(parseExercises(text)))).toEqual(parseExercises(text));
+  });
+
+  it("checks typed answers Khmer-aware", () => {
+    const [ex] = parseExercises("Translate: \"Hello\" → សួស្តី | ជំរាបសួរ");
+    expect(checkAnswer(ex, " ជំរាបសួរ ")).toBe(true);
+    expect(checkAnswer(ex, "អរគុណ")).toBe(false);
+  });
+});
+
+describe("unmarkedChoices", () => {
+  it("finds Choose and Listen lines without a *, with their line", () => {
+    const text = "Choose: A? → *x / y\n\n2) Choose: B? → x / y\nListen: line 2 → a / b\nTranslate: \"a\" → b\nChoose: C? → ___";
+    expect(unmarkedChoices(text)).toEqual([
+      { line: 3, text: "Choose: B? → x / y" },
+      { line: 4, text: "Listen: line 2 → a / b" },
+    ]);
+  });
+
+  it("shows up as a lint warning on the exercises field", () => {
+    const findings = lintLesson({ id: "x", title: "X", audioUrl: "a.mp3", transcript: "សួស្តី", exercises: "Choose: A? → x / y" });
+    expect(findings).toContainEqual({ rule: "exercise.noAnswer", severity: "warning", field: "exercises", line: 1, text: "Choose: A? → x / y" });
+  });
+});
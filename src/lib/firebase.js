@@ -0,0 +1,45 @@
+// src/lib/firebase.js
+
+/**
+ * Firebase app, configured from Vite env vars (see .env.example).
+ * - Nothing is loaded until a feature asks for it, and nothing at all when
+ *   VITE_FIREBASE_PROJECT_ID is unset.
+ * - VITE_FIREBASE_*_EMULATOR points the SDK at the local emulators.
+ */
+
+const env = import.meta.env;
+
+export const firebaseConfig = {
+  apiKey: env.VITE_FIREBASE_API_KEY,
+  authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: env.VITE_FIREBASE_STORAGE_BUCKET,
+  appId: env.VITE_FIREBASE_APP_ID,
+};
+
+export const emulators = {
+  auth: env.VITE_FIREBASE_AUTH_EMULATOR || "",           // e.g. http://127.0.0.1:9099
+  firestore: env.VITE_FIREBASE_FIRESTORE_EMULATOR || "", // e.g. 127.0.0.1:8080
+  storage: env.VITE_FIREBASE_STORAGE_EMULATOR || "",     // e.g. 127.0.0.1:9199
+};
+
+export function isFirebaseConfigured() {
+  return !!firebaseConfig.projectId;
+}
+
+let appPromise = null;
+
+/** @returns {Promise<import("firebase/app").FirebaseApp>} */
+export function getFirebaseApp() {
+  if (!isFirebaseConfigured()) return Promise.reject(new Error("Firebase is not configured"));
+  appPromise ??= import("firebase/app").then(({ initializeApp, getApps }) =>
+    getApps()[0] || initializeApp(firebaseConfig)
+  );
+  return appPromise;
+}
+
+/** "127.0.0.1:8080" or "http://127.0.0.1:8080" -> ["127.0.0.1", 8080] */
+export function hostPort(s) {
+  const [host, port] = s.replace(/^https?:\/\//, "").split(":");
+  return [host, Number(port)];
+}
@@ -0,0 +1,330 @@
+// src/lib/handout.js
+import fontRegularUrl from "@fontsource/noto-sans-khmer/files/noto-sans-khmer-khmer-400-normal.woff?url";
+import fontBoldUrl from "@fontsource/noto-sans-khmer/files/noto-sans-khmer-khmer-700-normal.woff?url";
+import { isScored } from "./exercises.js";
+import { qrSvg } from "./qr.js";
+import { formatRoute } from "./routes.js";
+import { zipStored } from "./zip.js";
+
+/**
+ * Lesson handouts for paper and e-readers: a print page (Print → Save as PDF
+ * gives the PDF) and an EPUB 3 book, for one lesson or several.
+ * Each lesson has its numbered transcript, a vocabulary table and the
+ * exercises laid out for pen and paper, plus a QR code back to
+ * `#/lesson/:id` for the audio. The answer key is kept apart: its own pages
+ * in print, its own chapter in the EPUB.
+ * Noto Sans Khmer (SIL OFL) is embedded in both, so Khmer shapes correctly
+ * where no Khmer font is installed; Latin text uses the reader's font.
+ * The markup is XHTML, which browsers read as HTML too.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {import("./exercises.js").Exercise} Exercise */
+/** @typedef {{
+ *  t(key: string, vars?: Record<string, string|number>): string;
+ *  label(kind: string, value: string): string;
+ *  lang: string;
+ * }} HandoutI18n */
+/** @typedef {{
+ *  title: string;        // book / page title
+ *  baseUrl: string;      // the app's address without the hash, for the QR links
+ *  answerKey?: boolean;  // default true
+ *  i18n: HandoutI18n;
+ * }} HandoutOptions */
+
+const FONTS = [
+  { url: fontRegularUrl, weight: 400, file: "NotoSansKhmer-Regular.woff" },
+  { url: fontBoldUrl, weight: 700, file: "NotoSansKhmer-Bold.woff" },
+];
+// the Khmer blocks, joiners and the dotted circle, as in the font subset
+const KHMER_RANGE = "U+1780-17FF, U+19E0-19FF, U+200C-200D, U+25CC";
+
+const esc = (s) => String(s ?? "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+const LETTERS = "abcdefghijklmnopqrstuvwxyz";
+const letter = (i) => LETTERS[i] || String(i + 1);
+
+/** The lesson page's full address. */
+export const lessonUrl = (baseUrl, L) => baseUrl + formatRoute({ page: "lesson", id: L.id });
+
+/** Exercises are numbered 1, 2, …; notes aren't. */
+function numbered(quiz) {
+  let n = 0;
+  return (quiz || []).map((ex) => ({ ex, n: ex.type === "note" ? 0 : ++n }));
+}
+
+/**
+ * The right-hand column of a match exercise in a fixed, scrambled order
+ * (sorted, or rotated when sorting leaves it as it was), so print and key agree.
+ * @returns {number[]} indexes into pairs
+ */
+function matchOrder(pairs) {
+  const order = pairs.map((_, i) => i).sort((a, b) => pairs[a][1].localeCompare(pairs[b][1]));
+  if (pairs.length > 1 && order.every((v, i) => v === i)) order.push(order.shift());
+  return order;
+}
+
+const options = (opts) => `<ol class="options">${opts.map((o, i) => `<li><span class="letter">${letter(i)}.</span> ${esc(o)}</li>`).join("")}</ol>`;
+const answerLines = (count) => `<div class="answer-lines">${'<p class="answer-line"> </p>'.repeat(count)}</div>`;
+
+/** One exercise, laid out to be done on paper. */
+function exerciseHtml(ex, n, t) {
+  if (ex.type === "note") return `<p class="note">${esc(ex.text).replace(/\n/g, "<br/>")}</p>`;
+  const head = (body) => `<p class="prompt"><span class="num">${n}.</span> ${body}</p>`;
+  let body = "";
+  switch (ex.type) {
+    case "mcq":
+      body = head(esc(ex.prompt)) + options(ex.options);
+      break;
+    case "listen":
+      body = head(ex.line != null ? esc(t("handout.listen", { line: ex.line + 1 })) : esc(ex.prompt)) + options(ex.options);
+      break;
+    case "fill": {
+      const blanked = esc(ex.prompt).replace(/_{2,}/g, '<span class="blank"> </span>');
+      body = head(blanked) + (/_{2,}/.test(ex.prompt) ? "" : answerLines(1));
+      break;
+    }
+    case "translate":
+      body = head(`${esc(t("handout.translate"))} “${esc(ex.prompt)}”`) + answerLines(1);
+      break;
+    case "match": {
+      const order = matchOrder(ex.pairs);
+      body = head(esc(ex.prompt || t("handout.match")))
+        + `<table class="match"><tbody>${ex.pairs.map((p, i) => `<tr><td>${i + 1}. ${esc(p[0])}</td><td class="gap"> </td><td>${letter(i)}. ${esc(ex.pairs[order[i]][1])}</td></tr>`).join("")}</tbody></table>`;
+      break;
+    }
+    default: // open
+      body = head(esc(ex.prompt)) + answerLines(2);
+  }
+  const hint = ex.hint ? `<p class="hint">${esc(t("handout.hint", { hint: ex.hint }))}</p>` : "";
+  return `<div class="exercise">${body}${hint}</div>`;
+}
+
+/** What goes in the answer key for one exercise. */
+function answerText(ex) {
+  switch (ex.type) {
+    case "mcq":
+    case "listen":
+      return `${letter(ex.answer)}. ${ex.options[ex.answer] ?? ""}`;
+    case "fill":
+    case "translate":
+      return ex.answers.join(" / ");
+    case "match": {
+      const order = matchOrder(ex.pairs);
+      return ex.pairs.map((_, i) => `${i + 1} ${letter(order.indexOf(i))}`).join(", ");
+    }
+    default:
+      return "";
+  }
+}
+
+/**
+ * One lesson's handout pages.
+ * @param {Lesson} L
+ * @param {HandoutOptions} opts
+ */
+export function lessonSection(L, { baseUrl, i18n: { t, label } }) {
+  const url = lessonUrl(baseUrl, L);
+  const meta = [label("level", L.level), L.topic && label("topic", L.topic)].filter(Boolean).join(" · ");
+  const parts = [
+    `<header class="lesson-head"><div class="qr">${qrSvg(url, { title: t("handout.qr", { url }) })}<p>${esc(t("handout.scan"))}</p></div>`,
+    `<h1>${esc(L.title)}</h1>`,
+    meta && `<p class="meta">${esc(meta)}</p>`,
+    L.description && `<p class="description">${esc(L.description)}</p>`,
+    `<p class="url"><a href="${esc(url)}">${esc(url)}</a></p></header>`,
+  ];
+
+  const dialogue = L.dialogue || [];
+  if (dialogue.length) {
+    parts.push(`<h2>${esc(t("lesson.transcript"))}</h2><table class="transcript"><tbody>`);
+    dialogue.forEach((d, i) => {
+      const km = d.km ? `${d.speaker ? `<span class="speaker">${esc(d.speaker)}:</span> ` : ""}<span lang="km">${esc(d.km)}</span>${d.roman ? `<br/><span class="roman">${esc(d.roman)}</span>` : ""}` : "";
+      const en = d.en ? `${d.speakerEn ? `<span class="speaker">${esc(d.speakerEn)}:</span> ` : ""}${esc(d.en)}` : "";
+      parts.push(`<tr><th scope="row" title="${esc(t("handout.line"))}">${i + 1}</th><td class="km">${km}</td><td class="en">${en}</td></tr>`);
+    });
+    parts.push("</tbody></table>");
+  }
+
+  const words = L.words || [];
+  if (words.length) {
+    const hasRoman = words.some((w) => w.roman);
+    const hasPos = words.some((w) => w.pos);
+    const cols = [t("handout.khmer"), hasRoman && t("handout.roman"), t("handout.meaning"), hasPos && t("handout.pos")].filter(Boolean);
+    parts.push(`<h2>${esc(t("lesson.vocabulary"))}</h2><table class="vocabulary"><thead><tr>${cols.map((c) => `<th scope="col">${esc(c)}</th>`).join("")}</tr></thead><tbody>`);
+    for (const w of words) {
+      parts.push(`<tr><td class="km" lang="km">${esc(w.km)}</td>${hasRoman ? `<td class="roman">${esc(w.roman)}</td>` : ""}<td>${esc(w.en)}</td>${hasPos ? `<td>${esc(w.pos)}</td>` : ""}</tr>`);
+    }
+    parts.push("</tbody></table>");
+  }
+
+  const quiz = numbered(L.quiz);
+  if (quiz.length) {
+    parts.push(`<h2>${esc(t("lesson.exercises"))}</h2>`);
+    for (const { ex, n } of quiz) parts.push(exerciseHtml(ex, n, t));
+  }
+  return `<section class="lesson">${parts.filter(Boolean).join("\n")}</section>`;
+}
+
+/**
+ * The answer key for some lessons, lesson by lesson.
+ * @param {Lesson[]} lessons
+ * @param {HandoutOptions} opts
+ */
+export function answerKeySection(lessons, { i18n: { t } }) {
+  const parts = [];
+  for (const L of lessons) {
+    const answers = numbered(L.quiz).filter(({ ex }) => isScored(ex));
+    if (!answers.length) continue;
+    parts.push(`<h2>${esc(L.title)}</h2><ol class="answers">`);
+    for (const { ex, n } of answers) parts.push(`<li value="${n}">${esc(answerText(ex))}</li>`);
+    parts.push("</ol>");
+  }
+  if (!parts.length) parts.push(`<p>${esc(t("handout.noAnswers"))}</p>`);
+  return `<section class="answer-key"><h1>${esc(t("handout.answers"))}</h1>\n${parts.join("\n")}</section>`;
+}
+
+const STYLE = `
+body { font-family: "Noto Sans Khmer", "Helvetica Neue", Arial, sans-serif; line-height: 1.5; color: #000; }
+[lang="km"], .km { font-family: "Noto Sans Khmer", serif; line-height: 1.9; }
+h1 { font-size: 1.5em; margin: 0 0 0.2em; }
+h2 { font-size: 1.15em; margin: 1.2em 0 0.4em; border-bottom: 1px solid #999; page-break-after: avoid; break-after: avoid; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #bbb; padding: 0.25em 0.5em; vertical-align: top; text-align: left; }
+tr { page-break-inside: avoid; break-inside: avoid; }
+.lesson-head { overflow: hidden; }
+.qr { float: right; width: 7.5em; margin: 0 0 0.5em 1em; text-align: center; font-size: 0.7em; }
+.qr svg { width: 100%; height: auto; display: block; }
+.meta, .url, .roman, .hint { color: #444; font-size: 0.85em; }
+.url a { color: inherit; word-break: break-all; }
+.transcript th { width: 2em; text-align: right; color: #666; font-weight: normal; }
+.transcript .km { width: 50%; }
+.speaker { font-weight: bold; }
+.exercise { margin: 0.6em 0; page-break-inside: avoid; break-inside: avoid; }
+.prompt { margin: 0; }
+.num { font-weight: bold; }
+.options { list-style: none; margin: 0.2em 0 0 1.5em; padding: 0; }
+.letter { display: inline-block; width: 1.5em; }
+.blank { display: inline-block; min-width: 6em; border-bottom: 1px solid #000; }
+.answer-line { border-bottom: 1px solid #999; height: 1.8em; margin: 0 0 0 1.5em; }
+.match { width: auto; margin-left: 1.5em; }
+.match td { border: none; padding: 0.1em 0.5em; }
+.match .gap { width: 3em; }
+.note { font-style: italic; }
+.hint { margin: 0.1em 0 0 1.5em; }
+.answers li { margin: 0.15em 0; }
+`;
+
+const PRINT_STYLE = `
+@page { size: A4; margin: 16mm 14mm; }
+body { margin: 0 auto; max-width: 48em; padding: 1em; font-size: 11pt; }
+.lesson + .lesson, .answer-key { page-break-before: always; break-before: page; }
+@media print { body { padding: 0; max-width: none; } a { text-decoration: none; } }
+`;
+
+const fontFaces = (src) => FONTS.map((f) => `@font-face { font-family: "Noto Sans Khmer"; font-weight: ${f.weight}; src: url("${src(f)}") format("woff"); unicode-range: ${KHMER_RANGE}; }`).join("\n");
+
+async function loadFonts() {
+  return Promise.all(FONTS.map(async (f) => {
+    const res = await fetch(f.url);
+    if (!res.ok) throw new Error(`${f.file}: HTTP ${res.status}`);
+    return { ...f, data: new Uint8Array(await res.arrayBuffer()) };
+  }));
+}
+
+function base64(bytes) {
+  let s = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) s += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(s);
+}
+
+/**
+ * A standalone page to print (or print to PDF): fonts inlined as data URLs,
+ * one lesson per page run, the answer key on its own pages.
+ * @param {Lesson[]} lessons
+ * @param {HandoutOptions} opts
+ * @returns {Promise<string>}
+ */
+export async function printableHtml(lessons, opts) {
+  const fonts = await loadFonts();
+  const faces = fontFaces((f) => `data:font/woff;base64,${base64(fonts.find((x) => x.file === f.file).data)}`);
+  const body = lessons.map((L) => lessonSection(L, opts));
+  if (opts.answerKey !== false) body.push(answerKeySection(lessons, opts));
+  return `<!DOCTYPE html>
+<html lang="${esc(opts.i18n.lang)}">
+<head>
+<meta charset="utf-8"/>
+<title>${esc(opts.title)}</title>
+<style>${faces}${STYLE}${PRINT_STYLE}</style>
+</head>
+<body>
+${body.join("\n")}
+</body>
+</html>
+`;
+}
+
+const xhtml = (lang, title, body) => `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="${esc(lang)}" xml:lang="${esc(lang)}">
+<head>
+<meta charset="utf-8"/>
+<title>${esc(title)}</title>
+<link rel="stylesheet" type="text/css" href="style.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+/**
+ * An EPUB 3 book: a contents page, a chapter per lesson, the answer key last.
+ * @param {Lesson[]} lessons
+ * @param {HandoutOptions} opts
+ * @returns {Promise<Uint8Array>}
+ */
+export async function epubFile(lessons, opts) {
+  const { title, i18n: { t, lang } } = opts;
+  const fonts = await loadFonts();
+  const chapters = lessons.map((L, i) => ({ id: `lesson-${i + 1}`, title: L.title, body: lessonSection(L, opts) }));
+  if (opts.answerKey !== false) chapters.push({ id: "answers", title: t("handout.answers"), body: answerKeySection(lessons, opts) });
+  const languages = [lang, lang === "km" ? "en" : "km"];
+  const modified = new Date().toISOString().replace(/\.\d+Z$/, "Z");
+  const id = crypto.randomUUID?.() || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+  const nav = xhtml(lang, title, `<nav epub:type="toc" id="toc"><h1>${esc(t("handout.contents"))}</h1><ol>${chapters.map((c) => `<li><a href="${c.id}.xhtml">${esc(c.title)}</a></li>`).join("")}</ol></nav>`);
+  const opf = `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${esc(lang)}">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${esc(id)}</dc:identifier>
+<dc:title>${esc(title)}</dc:title>
+${languages.map((l) => `<dc:language>${l}</dc:language>`).join("\n")}
+<dc:publisher>${esc(t("app.title"))}</dc:publisher>
+<meta property="dcterms:modified">${modified}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+<item id="style" href="style.css" media-type="text/css"/>
+${fonts.map((f, i) => `<item id="font-${i}" href="fonts/${f.file}" media-type="font/woff"/>`).join("\n")}
+${chapters.map((c) => `<item id="${c.id}" href="${c.id}.xhtml" media-type="application/xhtml+xml"${c.body.includes("<svg") ? ' properties="svg"' : ""}/>`).join("\n")}
+</manifest>
+<spine>
+<itemref idref="nav"/>
+${chapters.map((c) => `<itemref idref="${c.id}"/>`).join("\n")}
+</spine>
+</package>
+`;
+  const container = `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`;
+  return zipStored([
+    { name: "mimetype", data: "application/epub+zip" },
+    { name: "META-INF/container.xml", data: container },
+    { name: "OEBPS/content.opf", data: opf },
+    { name: "OEBPS/nav.xhtml", data: nav },
+    { name: "OEBPS/style.css", data: fontFaces((f) => `fonts/${f.file}`) + STYLE },
+    ...fonts.map((f) => ({ name: `OEBPS/fonts/${f.file}`, data: f.data })),
+    ...chapters.map((c) => ({ name: `OEBPS/${c.id}.xhtml`, data: xhtml(lang, c.title, c.body) })),
+  ]);
+}
@@ -0,0 +1,55 @@
+// src/lib/handout.test.js
+import { readFileSync } from "node:fs";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { epubFile } from "./handout.js";
+import { migrateLesson } from "./lesson.js";
+
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8")).map(migrateLesson);
+const i18n = { t: (key) => key, label: (_, value) => value, lang: "en" };
+const opts = { title: "Handout", baseUrl: "https://example.org/", i18n };
+const FONT = new Uint8Array([0x77, 0x4f, 0x46, 0x46]); // "wOFF"
+
+/** Names of the local file headers, in archive order. */
+function entryNames(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const names = [];
+  for (let at = 0; view.getUint32(at, true) === 0x04034b50;) {
+    const nameLength = view.getUint16(at + 26, true);
+    names.push(new TextDecoder().decode(bytes.subarray(at + 30, at + 30 + nameLength)));
+    at += 30 + nameLength + view.getUint16(at + 28, true) + view.getUint32(at + 18, true);
+  }
+  return names;
+}
+
+describe("epubFile", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("starts with an uncompressed mimetype, as EPUB readers expect", async () => {
+    vi.stubGlobal("fetch", async () => new Response(FONT));
+    const epub = await epubFile(lessons.slice(0, 2), opts);
+    const view = new DataView(epub.buffer, epub.byteOffset, epub.byteLength);
+    expect(view.getUint32(0, true)).toBe(0x04034b50);
+    expect(view.getUint16(8, true)).toBe(0); // stored
+    expect(view.getUint16(28, true)).toBe(0); // no extra field
+    const text = (from, to) => new TextDecoder().decode(epub.subarray(from, to));
+    expect(text(30, 38)).toBe("mimetype");
+    expect(text(38, 38 + view.getUint32(18, true))).toBe("application/epub+zip");
+  });
+
+  it("has the container, package, fonts, a chapter per lesson and the answer key", async () => {
+    vi.stubGlobal("fetch", async () => new Response(FONT));
+    const names = entryNames(await epubFile(lessons.slice(0, 2), opts));
+    expect(names.slice(0, 4)).toEqual(["mimetype", "META-INF/container.xml", "OEBPS/content.opf", "OEBPS/nav.xhtml"]);
+    expect(names).toEqual(expect.arrayContaining([
+      "OEBPS/fonts/NotoSansKhmer-Regular.woff", "OEBPS/fonts/NotoSansKhmer-Bold.woff",
+      "OEBPS/lesson-1.xhtml", "OEBPS/lesson-2.xhtml", "OEBPS/answers.xhtml",
+    ]));
+    const without = entryNames(await epubFile(lessons.slice(0, 2), { ...opts, answerKey: false }));
+    expect(without).not.toContain("OEBPS/answers.xhtml");
+  });
+
+  it("fails when a font can't be loaded", async () => {
+    vi.stubGlobal("fetch", async () => new Response("", { status: 404 }));
+    await expect(epubFile(lessons.slice(0, 1), opts)).rejects.toThrow(/HTTP 404/);
+  });
+});
@@ -0,0 +1,117 @@
+// src/lib/i18n.js
+import { useEffect, useMemo, useState } from "react";
+import { readJSON, writeJSON } from "./storage.js";
+import { toKhmerDigits } from "./khmer.js";
+import en from "./messages.en.json";
+import km from "./messages.km.json";
+
+/**
+ * Interface language (English or Khmer) for the app's own text; lesson
+ * content is never translated.
+ * - Messages live in messages.<lang>.json, flat keys like "nav.progress".
+ *   A message can use {name} placeholders and, for counts, plural forms
+ *   keyed by Intl.PluralRules ({ "one": …, "other": … } with {count}).
+ *   Missing Khmer messages fall back to English.
+ * - Lesson metadata gets labels too: label("level", "Beginner"),
+ *   label("topic", "Food"). Topics without a message show as written.
+ * - Numbers and dates are formatted for the language; Khmer uses Khmer digits.
+ * - The choice is remembered per user (signed-in uid, else the local learner
+ *   id); the App tells the hook who is using it with useLanguageOwner().
+ */
+
+/** @typedef {"en"|"km"} Language */
+
+export const LANGUAGES = /** @type{{ value: Language; label: string }[]} */ ([
+  { value: "en", label: "English" },
+  { value: "km", label: "\u1781\u17D2\u1798\u17C2\u179A" }, // ខ្មែរ
+]);
+
+// topics with a label, suggested in the lesson form
+export const TOPICS = Object.keys(en).filter((k) => k.startsWith("topic.")).map((k) => k.slice("topic.".length));
+
+const CATALOGS = { en, km };
+const LOCALES = { en: "en", km: "km-KH" };
+
+const PREF_KEY = "khmer_ui_language_v1"; // { user: id, byUser: { [id]: Language } }
+const EVENT = "khmer-ui-language";
+
+/** @returns {{ user: string; byUser: Record<string, Language> }} */
+function readPref() {
+  return { user: "", byUser: {}, ...readJSON(PREF_KEY, {}) };
+}
+
+function writePref(pref) {
+  writeJSON(PREF_KEY, pref);
+  window.dispatchEvent(new Event(EVENT));
+}
+
+/** @returns {Language} */
+function browserLanguage() {
+  return /^km\b/i.test(navigator.language || "") ? "km" : "en";
+}
+
+/** Formatting and message lookup for one language. */
+export function createI18n(/** @type{Language} */ lang) {
+  const locale = LOCALES[lang];
+  const plural = new Intl.PluralRules(locale);
+  const digits = (s) => (lang === "km" ? toKhmerDigits(s) : s);
+  const numbers = lang === "km" ? { numberingSystem: "khmr" } : {};
+
+  function formatNumber(n, opts) {
+    return digits(new Intl.NumberFormat(locale, { ...numbers, ...opts }).format(n));
+  }
+
+  function formatDate(d, opts = { dateStyle: "medium" }) {
+    return digits(new Intl.DateTimeFormat(locale, { ...numbers, ...opts }).format(new Date(d)));
+  }
+
+  /**
+   * @param {string} key
+   * @param {Record<string, string|number>} [vars]
+   */
+  function t(key, vars = {}) {
+    let msg = CATALOGS[lang][key] ?? en[key] ?? key;
+    if (typeof msg === "object") msg = msg[plural.select(Number(vars.count ?? 0))] ?? msg.other;
+    return msg.replace(/\{(\w+)\}/g, (m, name) => {
+      const v = vars[name];
+      if (v == null) return m;
+      return typeof v === "number" ? formatNumber(v) : String(v);
+    });
+  }
+
+  /** Label for a metadata value ("level", "script", "status", "role", "topic", "task", "result", "severity", "field", "grade"). */
+  function label(kind, value) {
+    if (!value) return "";
+    return CATALOGS[lang][`${kind}.${value}`] ?? en[`${kind}.${value}`] ?? value;
+  }
+
+  return { lang, locale, t, label, formatNumber, formatDate };
+}
+
+/** @returns {ReturnType<typeof createI18n> & { setLang(lang: Language): void }} */
+export function useI18n() {
+  const [pref, setPref] = useState(readPref);
+  useEffect(() => {
+    const reload = () => setPref(readPref());
+    window.addEventListener(EVENT, reload);
+    return () => window.removeEventListener(EVENT, reload);
+  }, []);
+  const lang = pref.byUser[pref.user] || browserLanguage();
+  return useMemo(() => ({
+    ...createI18n(lang),
+    setLang(next) {
+      const p = readPref();
+      writePref({ ...p, byUser: { ...p.byUser, [p.user]: next } });
+    },
+  }), [lang]);
+}
+
+/** Switches the interface to `userId`'s language whenever they sign in or out. */
+export function useLanguageOwner(userId) {
+  useEffect(() => {
+    const p = readPref();
+    if (p.user !== userId) writePref({ ...p, user: userId });
+  }, [userId]);
+  const { lang } = useI18n();
+  useEffect(() => { document.documentElement.lang = lang; }, [lang]);
+}
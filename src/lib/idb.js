@@ -0,0 +1,43 @@
+// src/lib/idb.js
+
+/**
+ * One IndexedDB object store, opened on first use. Shared by the audio
+ * drafts (audioStore.js) and learner recordings (recordings.js).
+ */
+
+/**
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {(db: IDBDatabase) => void} upgrade creates the store (version 1)
+ * @returns {<T>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T>|void) => Promise<T|undefined>}
+ *   runs `fn` in a transaction and resolves with its request's result once
+ *   the transaction completes
+ */
+export function idbStore(dbName, storeName, upgrade) {
+  let dbPromise = null;
+
+  function openDB() {
+    dbPromise ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => upgrade(req.result);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      dbPromise = null; // try again next time
+      throw err;
+    });
+    return dbPromise;
+  }
+
+  return async function tx(mode, fn) {
+    const db = await openDB();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(storeName, mode);
+      const req = fn(t.objectStore(storeName));
+      t.oncomplete = () => resolve(req?.result);
+      t.onerror = () => reject(t.error);
+      // a full disk (QuotaExceededError) aborts the transaction without a request error
+      t.onabort = () => reject(t.error || new DOMException("The transaction was aborted.", "AbortError"));
+    });
+  };
+}
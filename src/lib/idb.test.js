@@ -0,0 +1,60 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { idbStore } from "./idb.js";
+
+/** Just enough of indexedDB to drive one transaction by hand. */
+function fakeIndexedDB() {
+  const transactions = [];
+  const db = {
+    transaction() {
+      const t = { error: null, objectStore: () => ({ put: () => ({ result: "key" }) }) };
+      transactions.push(t);
+      return t;
+    },
+  };
+  const indexedDB = {
+    open() {
+      const req = { result: db };
+      queueMicrotask(() => req.onsuccess());
+      return req;
+    },
+  };
+  return { indexedDB, transactions };
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve));
+
+describe("idbStore", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("resolves with the request's result when the transaction completes", async () => {
+    const fake = fakeIndexedDB();
+    vi.stubGlobal("indexedDB", fake.indexedDB);
+    const tx = idbStore("test", "items", () => {});
+    const done = tx("readwrite", (s) => s.put("value"));
+    await tick();
+    fake.transactions[0].oncomplete();
+    await expect(done).resolves.toBe("key");
+  });
+
+  it("rejects when the transaction is aborted, e.g. over quota", async () => {
+    const fake = fakeIndexedDB();
+    vi.stubGlobal("indexedDB", fake.indexedDB);
+    const tx = idbStore("test", "items", () => {});
+    const done = tx("readwrite", (s) => s.put("value"));
+    await tick();
+    const t = fake.transactions[0];
+    t.error = new DOMException("Quota exceeded", "QuotaExceededError");
+    t.onabort();
+    await expect(done).rejects.toMatchObject({ name: "QuotaExceededError" });
+  });
+
+  it("rejects an abort without an error too", async () => {
+    const fake = fakeIndexedDB();
+    vi.stubGlobal("indexedDB", fake.indexedDB);
+    const tx = idbStore("test", "items", () => {});
+    const done = tx("readwrite", (s) => s.put("value"));
+    await tick();
+    fake.transactions[0].onabort();
+    await expect(done).rejects.toMatchObject({ name: "AbortError" });
+  });
+});
@@ -0,0 +1,179 @@
+// src/lib/importExport.js
+import { isKhmerText } from "./transcript.js";
+
+/**
+ * Bulk lesson import/export.
+ * - diffLessons() compares an imported file with the current lessons so the
+ *   admin sees what would be added, changed and removed before applying.
+ * - parseDelimited()/rowsToWords() read vocabulary spreadsheets (CSV or TSV,
+ *   with or without a header row) into VocabItems.
+ * - toAnkiText() writes a deck Anki imports as-is (File → Import, "Notes in
+ *   plain text"): the `#` header lines tell it the separator, note type, deck
+ *   and which column holds the tags.
+ * - toCSV() writes rows for spreadsheets (class reports).
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {import("./vocabulary.js").VocabItem} VocabItem */
+/** @typedef {{ added: Lesson[]; changed: { before: Lesson; after: Lesson; fields: string[] }[]; removed: Lesson[]; unchanged: Lesson[] }} LessonDiff */
+
+// bookkeeping the repository sets; a difference here alone isn't a change
+const IGNORED_FIELDS = new Set(["rev", "updatedAt"]);
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * @param {Lesson[]} current
+ * @param {Lesson[]} incoming already migrated, so derived fields compare equal
+ * @returns {LessonDiff}
+ */
+export function diffLessons(current, incoming) {
+  const byId = new Map(current.map((L) => [L.id, L]));
+  const incomingIds = new Set(incoming.map((L) => L.id));
+  /** @type{LessonDiff} */
+  const diff = { added: [], changed: [], removed: [], unchanged: [] };
+  for (const after of incoming) {
+    const before = byId.get(after.id);
+    if (!before) { diff.added.push(after); continue; }
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    const fields = [...keys].filter((k) => !IGNORED_FIELDS.has(k) && !same(before[k], after[k]));
+    if (fields.length) diff.changed.push({ before, after, fields });
+    else diff.unchanged.push(after);
+  }
+  diff.removed = current.filter((L) => !incomingIds.has(L.id));
+  return diff;
+}
+
+// ===== CSV / TSV vocabulary =====
+/**
+ * Split CSV or TSV text into rows. Quoted fields may hold separators,
+ * newlines and "" escapes. The separator is guessed from the first line.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseDelimited(text) {
+  const src = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const first = src.split("\n", 1)[0];
+  const sep = first.includes("\t") ? "\t" : first.split(";").length > first.split(",").length ? ";" : ",";
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && !field) quoted = true;
+    else if (ch === sep) { row.push(field.trim()); field = ""; }
+    else if (ch === "\n") { row.push(field.trim()); rows.push(row); row = []; field = ""; }
+    else field += ch;
+  }
+  if (field || row.length) { row.push(field.trim()); rows.push(row); }
+  return rows.filter((r) => r.some(Boolean));
+}
+
+// header names we understand, per VocabItem field
+const COLUMN_NAMES = {
+  km: ["km", "khmer", "word", "ខ្មែរ", "front"],
+  roman: ["roman", "romanization", "romanisation", "transliteration", "pronunciation"],
+  en: ["en", "english", "meaning", "translation", "back"],
+  pos: ["pos", "part of speech", "type"],
+  audioUrl: ["audio", "audiourl", "audio url", "sound"],
+};
+
+/**
+ * Rows → words. With a header row, columns are matched by name; without one
+ * we expect Khmer, English, then optional romanization, part of speech, audio.
+ * Rows missing Khmer or English are skipped and reported.
+ * @param {string[][]} rows
+ * @returns {{ words: VocabItem[]; skipped: number[] }} skipped: 1-based row numbers
+ */
+export function rowsToWords(rows) {
+  if (!rows.length) return { words: [], skipped: [] };
+  const head = rows[0].map((h) => h.toLowerCase().trim());
+  const named = Object.fromEntries(
+    Object.entries(COLUMN_NAMES).map(([field, names]) => [field, head.findIndex((h) => names.includes(h))])
+  );
+  const hasHeader = named.km !== -1 && named.en !== -1;
+  const cols = hasHeader ? named : { km: 0, en: 1, roman: 2, pos: 3, audioUrl: 4 };
+  /** @type{VocabItem[]} */
+  const words = [];
+  const skipped = [];
+  const seen = new Set();
+  rows.slice(hasHeader ? 1 : 0).forEach((r, i) => {
+    const get = (field) => (cols[field] >= 0 ? r[cols[field]] || "" : "").trim();
+    const km = get("km"), en = get("en");
+    if (!km || !en || !isKhmerText(km)) { skipped.push(i + (hasHeader ? 2 : 1)); return; }
+    if (seen.has(km)) return;
+    seen.add(km);
+    /** @type{VocabItem} */
+    const w = { km, en };
+    if (get("roman")) w.roman = get("roman");
+    if (get("pos")) w.pos = get("pos").toLowerCase();
+    if (get("audioUrl")) w.audioUrl = get("audioUrl");
+    words.push(w);
+  });
+  return { words, skipped };
+}
+
+// ===== Anki =====
+const ankiField = (s) => String(s || "").replace(/[\t\n]/g, " ").replace(/&/g, "&amp;").replace(/</g, "&lt;");
+const ankiTag = (s) => String(s || "").trim().replace(/\s+/g, "_").replace(/[^\p{L}\p{N}_:-]/gu, "");
+
+/**
+ * Anki plain-text notes: Khmer on the front, meaning (with romanization and
+ * part of speech) on the back, tagged with the lesson and level.
+ * @param {Lesson[]} lessons
+ * @param {string} deck
+ */
+export function toAnkiText(lessons, deck = "Khmer Learners") {
+  const lines = [
+    "#separator:tab",
+    "#html:true",
+    "#notetype:Basic",
+    `#deck:${deck.replace(/\n/g, " ")}`,
+    "#columns:Front\tBack\tTags",
+    "#tags column:3",
+  ];
+  const seen = new Set();
+  for (const L of lessons) {
+    const tags = ["khmer-learners", `lesson:${ankiTag(L.id)}`, ankiTag(L.level)].filter(Boolean).join(" ");
+    for (const w of L.words || []) {
+      if (seen.has(w.km)) continue;
+      seen.add(w.km);
+      const back = [
+        ankiField(w.en),
+        w.roman ? `<br><i>${ankiField(w.roman)}</i>` : "",
+        w.pos ? ` <small>(${ankiField(w.pos)})</small>` : "",
+      ].join("");
+      lines.push([ankiField(w.km), back, tags].join("\t"));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+// a leading =, +, -, @, tab or CR can make a spreadsheet run the cell as a
+// formula; plain negative numbers are left alone
+const csvCell = (v) => {
+  let s = String(v ?? "");
+  if (/^[=+\-@\t\r]/.test(s) && !/^-\d+(\.\d+)?$/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+/**
+ * RFC 4180 CSV with CRLF line ends. The byte order mark makes Excel read it
+ * as UTF-8, so Khmer names survive.
+ * @param {(string|number)[][]} rows
+ */
+export function toCSV(rows) {
+  return "\uFEFF" + rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/** Save text (or a Blob) as a file through a temporary link. */
+export function downloadFile(text, filename, type = "text/plain") {
+  const blob = text instanceof Blob ? text : new Blob([text], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,98 @@
+// src/lib/importExport.test.js
+import { describe, expect, it } from "vitest";
+import { diffLessons, parseDelimited, rowsToWords, toAnkiText, toCSV } from "./importExport.js";
+
+const cell = (v) => toCSV([[v]]).slice(1, -2); // without the BOM and CRLF
+
+describe("toCSV", () => {
+  it.each([
+    ["=HYPERLINK(\"x\")", "\"'=HYPERLINK(\"\"x\"\")\""],
+    ["+1+1", "'+1+1"],
+    ["-1+1", "'-1+1"],
+    ["@SUM(A1)", "'@SUM(A1)"],
+    ["\t=1+1", "'\t=1+1"],
+    ["\r=1+1", "\"'\r=1+1\""],
+  ])("neutralizes the formula %j", (value, out) => {
+    expect(cell(value)).toBe(out);
+  });
+
+  it.each([["-5", "-5"], ["-2.5", "-2.5"], [42, "42"], ["សួស្តី", "សួស្តី"], ["a-b", "a-b"], ["", ""], [null, ""]])(
+    "leaves %j as it is",
+    (value, out) => {
+      expect(cell(value)).toBe(out);
+    },
+  );
+
+  it("quotes commas, quotes and line breaks, and reads back", () => {
+    const rows = [["name", "note"], ["Dara", "says \"hi\", then\nleaves"]];
+    const csv = toCSV(rows);
+    expect(csv.startsWith("\uFEFF")).toBe(true);
+    expect(parseDelimited(csv)).toEqual(rows);
+  });
+});
+
+describe("diffLessons", () => {
+  const a = { id: "a", title: "A", level: "Beginner", rev: 3, updatedAt: "2024-01-01" };
+  const b = { id: "b", title: "B", level: "Beginner" };
+
+  it("sorts lessons into added, changed, removed and unchanged", () => {
+    const c = { id: "c", title: "C", level: "Advanced" };
+    const diff = diffLessons([a, b], [{ ...a, title: "A2", topic: "Food" }, c]);
+    expect(diff.added).toEqual([c]);
+    expect(diff.changed).toEqual([{ before: a, after: { ...a, title: "A2", topic: "Food" }, fields: ["title", "topic"] }]);
+    expect(diff.removed).toEqual([b]);
+    expect(diff.unchanged).toEqual([]);
+  });
+
+  it("ignores the revision and timestamp the repository keeps", () => {
+    const diff = diffLessons([a], [{ ...a, rev: 1, updatedAt: undefined }]);
+    expect(diff.unchanged).toHaveLength(1);
+    expect(diff.changed).toEqual([]);
+  });
+
+  it("treats a missing field and an undefined one alike, but not a changed list", () => {
+    expect(diffLessons([b], [{ ...b, topic: undefined }]).unchanged).toHaveLength(1);
+    const diff = diffLessons([{ ...b, words: [{ km: "ក", en: "a" }] }], [{ ...b, words: [{ km: "ក", en: "b" }] }]);
+    expect(diff.changed[0].fields).toEqual(["words"]);
+  });
+});
+
+describe("rowsToWords", () => {
+  it("matches header columns by name, in any order", () => {
+    const rows = [["English", "Pronunciation", "Khmer", "Type"], ["hello", "suosdei", "សួស្តី", "Phrase"]];
+    expect(rowsToWords(rows)).toEqual({ words: [{ km: "សួស្តី", en: "hello", roman: "suosdei", pos: "phrase" }], skipped: [] });
+  });
+
+  it("reads Khmer, English, romanization, part of speech and audio without a header", () => {
+    const rows = [["សួស្តី", "hello", "suosdei", "phrase", "audio/hello.mp3"], ["អរគុណ", "thank you"]];
+    expect(rowsToWords(rows).words).toEqual([
+      { km: "សួស្តី", en: "hello", roman: "suosdei", pos: "phrase", audioUrl: "audio/hello.mp3" },
+      { km: "អរគុណ", en: "thank you" },
+    ]);
+  });
+
+  it("skips rows without Khmer or English, by their row number, and repeated words", () => {
+    const rows = [["km", "en"], ["សួស្តី", "hello"], ["", "orphan"], ["hello", "not Khmer"], ["សួស្តី", "hi"], ["អរគុណ", ""]];
+    expect(rowsToWords(rows)).toEqual({ words: [{ km: "សួស្តី", en: "hello" }], skipped: [3, 4, 6] });
+  });
+
+  it("reads a parsed TSV file", () => {
+    expect(rowsToWords(parseDelimited("khmer\tmeaning\nទឹក\twater\n")).words).toEqual([{ km: "ទឹក", en: "water" }]);
+  });
+});
+
+describe("toAnkiText", () => {
+  it("writes the Anki header, then one note per word with lesson and level tags", () => {
+    const text = toAnkiText([
+      { id: "food 1", level: "Beginner", words: [{ km: "បាយ", en: "rice", roman: "bay", pos: "noun" }, { km: "ទឹក", en: "water\tdrink <b>" }] },
+      { id: "more", level: "Intermediate", words: [{ km: "បាយ", en: "cooked rice" }] },
+    ], "My\ndeck");
+    const lines = text.split("\n");
+    expect(lines.slice(0, 6)).toEqual(["#separator:tab", "#html:true", "#notetype:Basic", "#deck:My deck", "#columns:Front\tBack\tTags", "#tags column:3"]);
+    expect(lines.slice(6)).toEqual([
+      "បាយ\trice<br><i>bay</i> <small>(noun)</small>\tkhmer-learners lesson:food_1 Beginner",
+      "ទឹក\twater drink &lt;b>\tkhmer-learners lesson:food_1 Beginner",
+      "",
+    ]);
+  });
+});
@@ -0,0 +1,139 @@
+// src/lib/keyboard.js
+import { useEffect, useState } from "react";
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Built-in Khmer keyboard for learners without a Khmer input method.
+ * - NIDA_ROWS is the NiDA layout (the Cambodian national standard, the one
+ *   Windows, macOS and Android ship): [key, base, shift] for each key.
+ * - J is COENG: typed before a consonant it makes that consonant a subscript
+ *   (ស + ្ + ត → ស្ត).
+ * - With the keyboard open, the physical keyboard can type Khmer too: by
+ *   NiDA key position, or phonetically (PHONETIC: "kh" → ខ, "s+t" → ស្ត).
+ * - typeInto()/backspaceInto() edit any input or textarea at its caret and
+ *   fire a normal input event, so React's onChange sees the change.
+ */
+
+export const NIDA_ROWS = [
+  [
+    ["`", "\u00AB", "\u00BB"], ["1", "\u17E1", "!"], ["2", "\u17E2", "\u17D7"], ["3", "\u17E3", "\""], // « »  ១ !  ២ ៗ  ៣ "
+    ["4", "\u17E4", "\u17DB"], ["5", "\u17E5", "%"], ["6", "\u17E6", "\u17CD"], ["7", "\u17E7", "\u17D0"], // ៤ ៛  ៥ %  ៦ ៍  ៧ ័
+    ["8", "\u17E8", "\u17CF"], ["9", "\u17E9", "("], ["0", "\u17E0", ")"], ["-", "\u17A5", "\u17CC"], // ៨ ៏  ៩ (  ០ )  ឥ ៌
+    ["=", "\u17B2", "="], // ឲ =
+  ],
+  [
+    ["q", "\u1786", "\u1788"], ["w", "\u17B9", "\u17BA"], ["e", "\u17C1", "\u17C2"], ["r", "\u179A", "\u17AC"], // ឆ ឈ  ឹ ឺ  េ ែ  រ ឬ
+    ["t", "\u178F", "\u1791"], ["y", "\u1799", "\u17BD"], ["u", "\u17BB", "\u17BC"], ["i", "\u17B7", "\u17B8"], // ត ទ  យ ួ  ុ ូ  ិ ី
+    ["o", "\u17C4", "\u17C5"], ["p", "\u1795", "\u1797"], ["[", "\u17C0", "\u17BF"], ["]", "\u17AA", "\u17A7"], // ោ ៅ  ផ ភ  ៀ ឿ  ឪ ឧ
+    ["\\", "\u17AE", "\u17AD"], // ឮ ឭ
+  ],
+  [
+    ["a", "\u17B6", "\u17B6\u17C6"], ["s", "\u179F", "\u17C3"], ["d", "\u178A", "\u178C"], ["f", "\u1790", "\u1792"], // ា ាំ  ស ៃ  ដ ឌ  ថ ធ
+    ["g", "\u1784", "\u17A2"], ["h", "\u17A0", "\u17C7"], ["j", "\u17D2", "\u1789"], ["k", "\u1780", "\u1782"], // ង អ  ហ ះ  ្ ញ  ក គ
+    ["l", "\u179B", "\u17A1"], [";", "\u17BE", "\u17C4\u17C7"], ["'", "\u17CB", "\u17C9"], // ល ឡ  ើ ោះ  ់ ៉
+  ],
+  [
+    ["z", "\u178B", "\u178D"], ["x", "\u1781", "\u1783"], ["c", "\u1785", "\u1787"], ["v", "\u179C", "\u17C1\u17C7"], // ឋ ឍ  ខ ឃ  ច ជ  វ េះ
+    ["b", "\u1794", "\u1796"], ["n", "\u1793", "\u178E"], ["m", "\u1798", "\u17C6"], [",", "\u17BB\u17C6", "\u17BB\u17C7"], // ប ព  ន ណ  ម ំ  ុំ ុះ
+    [".", "\u17D4", "\u17D5"], ["/", "\u17CA", "?"], // ។ ៕  ៊ ?
+  ],
+];
+
+/** Marks that sit on a consonant; keys show them on a dotted circle. */
+export function isMark(s) {
+  const c = s.charCodeAt(0);
+  return (c >= 0x17b6 && c <= 0x17d3) || c === 0x17dd;
+}
+
+const CODES = { "`": "Backquote", "-": "Minus", "=": "Equal", "[": "BracketLeft", "]": "BracketRight", "\\": "Backslash", ";": "Semicolon", "'": "Quote", ",": "Comma", ".": "Period", "/": "Slash" };
+const codeOf = (key) => CODES[key] || (/\d/.test(key) ? `Digit${key}` : `Key${key.toUpperCase()}`);
+
+/** KeyboardEvent.code → [base, shift], so NiDA works whatever layout the OS has. */
+export const NIDA_BY_CODE = Object.fromEntries(NIDA_ROWS.flat().map(([key, base, shift]) => [codeOf(key), [base, shift]]));
+
+/**
+ * Phonetic typing, loosely after UNGEGN. Longer keys extend the shorter one
+ * just typed ("k" ក, then "h" turns it into ខ).
+ */
+export const PHONETIC = {
+  // consonants; a capital letter gives the second-series partner
+  k: "\u1780", kh: "\u1781", K: "\u1782", Kh: "\u1783", g: "\u1782", gh: "\u1783", // k ក  kh ខ  K គ  Kh ឃ  g គ  gh ឃ
+  ng: "\u1784", c: "\u1785", ch: "\u1786", C: "\u1787", Ch: "\u1788", j: "\u1787", // ng ង  c ច  ch ឆ  C ជ  Ch ឈ  j ជ
+  jh: "\u1788", nh: "\u1789", d: "\u178A", dh: "\u178B", D: "\u178C", Dh: "\u178D", // jh ឈ  nh ញ  d ដ  dh ឋ  D ឌ  Dh ឍ
+  N: "\u178E", t: "\u178F", th: "\u1790", T: "\u1791", Th: "\u1792", n: "\u1793", // N ណ  t ត  th ថ  T ទ  Th ធ  n ន
+  b: "\u1794", ph: "\u1795", p: "\u1796", P: "\u1796", Ph: "\u1797", m: "\u1798", // b ប  ph ផ  p ព  P ព  Ph ភ  m ម
+  y: "\u1799", r: "\u179A", l: "\u179B", v: "\u179C", w: "\u179C", s: "\u179F", // y យ  r រ  l ល  v វ  w វ  s ស
+  h: "\u17A0", L: "\u17A1", q: "\u17A2", // h ហ  L ឡ  q អ
+  // vowels
+  a: "\u17B6", ae: "\u17C2", ai: "\u17C3", ao: "\u17C5", au: "\u17C5", i: "\u17B7", // a ា  ae ែ  ai ៃ  ao ៅ  au ៅ  i ិ
+  ii: "\u17B8", ie: "\u17C0", e: "\u17C1", eu: "\u17B9", euu: "\u17BA", o: "\u17C4", // ii ី  ie ៀ  e េ  eu ឹ  euu ឺ  o ោ
+  oe: "\u17BE", oea: "\u17BF", u: "\u17BB", uu: "\u17BC", ua: "\u17BD", // oe ើ  oea ឿ  u ុ  uu ូ  ua ួ
+  // signs, subscript, punctuation
+  M: "\u17C6", H: "\u17C7", "'": "\u17CB", "+": "\u17D2", ".": "\u17D4", // M ំ  H ះ  ' ់  + ្  . ។
+};
+
+/**
+ * One phonetic keystroke. `pending` is the Latin typed for the previous
+ * Khmer (which `replace` characters undo), null when there's no mapping.
+ * @returns {{ text: string; replace: number; pending: string }|null}
+ */
+export function phoneticStep(pending, key) {
+  const joined = pending + key;
+  if (pending && PHONETIC[joined]) return { text: PHONETIC[joined], replace: PHONETIC[pending].length, pending: joined };
+  const own = PHONETIC[key] ? key : PHONETIC[key.toLowerCase()] ? key.toLowerCase() : "";
+  return own ? { text: PHONETIC[own], replace: 0, pending: own } : null;
+}
+
+/** Text fields the keyboard types into. */
+export function isTextField(el) {
+  if (el instanceof HTMLTextAreaElement) return !el.readOnly && !el.disabled;
+  return el instanceof HTMLInputElement && (el.type === "text" || el.type === "search") && !el.readOnly && !el.disabled;
+}
+
+function setFieldValue(el, value, caret) {
+  // React remembers the value it rendered; going through the prototype setter makes the input event count as a change
+  const proto = el instanceof HTMLTextAreaElement ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  Object.getOwnPropertyDescriptor(proto, "value").set.call(el, value);
+  el.dispatchEvent(new Event("input", { bubbles: true }));
+  el.setSelectionRange(caret, caret);
+}
+
+/** Type `text` at the caret, replacing the selection and the `replace` characters before it. */
+export function typeInto(el, text, replace = 0) {
+  const { value } = el;
+  const start = Math.max(0, (el.selectionStart ?? value.length) - replace);
+  const end = el.selectionEnd ?? value.length;
+  setFieldValue(el, value.slice(0, start) + text + value.slice(end), start + text.length);
+}
+
+/** Delete the selection, or the character before the caret. */
+export function backspaceInto(el) {
+  const { value } = el;
+  const start = el.selectionStart ?? value.length;
+  const end = el.selectionEnd ?? value.length;
+  const from = start === end ? Math.max(0, start - 1) : start;
+  setFieldValue(el, value.slice(0, from) + value.slice(end), from);
+}
+
+// ===== Preference =====
+const PREF_KEY = "khmer_keyboard_v1";
+
+/** @typedef {"off"|"nida"|"phonetic"} TypingMode what the physical keyboard types while the on-screen one is open */
+/** @typedef {{ open: boolean; typing: TypingMode }} KeyboardPref */
+
+const DEFAULT_PREF = { open: false, typing: "off" };
+
+/** Whether the on-screen keyboard is open, shared by every toggle and the dock. */
+export function useKhmerKeyboard() {
+  const [pref, setPref] = useState(() => ({ ...DEFAULT_PREF, ...readJSON(PREF_KEY, {}) }));
+  useEffect(() => {
+    const reload = () => setPref({ ...DEFAULT_PREF, ...readJSON(PREF_KEY, {}) });
+    window.addEventListener("khmer-keyboard", reload);
+    return () => window.removeEventListener("khmer-keyboard", reload);
+  }, []);
+  const update = (patch) => {
+    writeJSON(PREF_KEY, { ...DEFAULT_PREF, ...readJSON(PREF_KEY, {}), ...patch });
+    window.dispatchEvent(new Event("khmer-keyboard"));
+  };
+  return /** @type{[KeyboardPref, (patch: Partial<KeyboardPref>) => void]} */ ([pref, update]);
+}
@@ -0,0 +1,122 @@
+// src/lib/khmer.js
+
+/**
+ * Khmer Unicode helpers.
+ * The same word can be typed several ways that look identical on screen:
+ * zero-width spaces between words, a vowel typed before the subscript
+ * (COENG) consonant, "េ + ី" instead of "ើ", Khmer vs. Arabic digits.
+ * normalizeKhmer folds those to one canonical form for comparison.
+ */
+
+export const COENG = "\u17D2";
+const ZERO_WIDTH = /\u200B|\u200C|\u200D|\u2060|\uFEFF/g;
+const KHMER_DIGITS = "០១២៣៤៥៦៧៨៩";
+
+const isBase = (c) => c >= "\u1780" && c <= "\u17B3"; // consonants + independent vowels
+const isConsonant = (c) => c >= "\u1780" && c <= "\u17A2";
+const isShifter = (c) => c === "\u17C9" || c === "\u17CA"; // MUUSIKATOAN, TRIISAP
+const isVowel = (c) => c >= "\u17B6" && c <= "\u17C5";
+const isSign = (c) => (c >= "\u17C6" && c <= "\u17D1") || c === "\u17D3" || c === "\u17DD";
+
+// legacy two-part vowels typed as separate code points
+const SPLIT_VOWELS = [
+  ["\u17C1\u17B8", "\u17BE"], // េ + ី → ើ
+  ["\u17C1\u17B6", "\u17C4"], // េ + ា → ោ
+];
+
+export function toArabicDigits(s) {
+  return s.replace(/[\u17E0-\u17E9]/g, (d) => String(KHMER_DIGITS.indexOf(d)));
+}
+
+export function toKhmerDigits(s) {
+  return String(s).replace(/[0-9]/g, (d) => KHMER_DIGITS[Number(d)]);
+}
+
+/**
+ * Put every syllable's marks in the canonical order:
+ * base, COENG+consonant (COENG RO last), register shifter, vowel, other signs.
+ */
+export function reorderClusters(s) {
+  let out = "";
+  let i = 0;
+  while (i < s.length) {
+    const c = s[i];
+    if (!isBase(c)) { out += c; i++; continue; }
+    const coengs = [], shifters = [], vowels = [], signs = [];
+    i++;
+    while (i < s.length) {
+      const d = s[i];
+      if (d === COENG && isConsonant(s[i + 1] || "")) { coengs.push(d + s[i + 1]); i += 2; }
+      else if (isShifter(d)) { shifters.push(d); i++; }
+      else if (isVowel(d)) { vowels.push(d); i++; }
+      else if (isSign(d)) { signs.push(d); i++; }
+      else break;
+    }
+    coengs.sort((a, b) => (a === COENG + "\u179A") - (b === COENG + "\u179A")); // COENG RO last
+    out += c + coengs.join("") + shifters.join("") + vowels.join("") + signs.join("");
+  }
+  return out;
+}
+
+/** NFC, split vowels joined, marks in canonical order; spelling otherwise untouched. */
+export function canonicalKhmer(s) {
+  let t = String(s || "").normalize("NFC");
+  for (const [from, to] of SPLIT_VOWELS) t = t.split(from).join(to);
+  return reorderClusters(t);
+}
+
+/**
+ * Canonical form for comparing Khmer (or mixed) answers.
+ * @param {string} s
+ * @param {{ keepPunctuation?: boolean }} [opts]
+ */
+export function normalizeKhmer(s, { keepPunctuation = false } = {}) {
+  let t = canonicalKhmer(String(s || "").replace(ZERO_WIDTH, ""));
+  t = t.replace(/\u17D2\u178A/g, "\u17D2\u178F"); // COENG DA and COENG TA are written interchangeably
+  t = toArabicDigits(t).toLowerCase();
+  if (!keepPunctuation) t = t.replace(/[\s.,!?;:'"“”‘’()។៕៖-]+/g, " ");
+  // Khmer has no spaces between words; a learner's extra space is not a mistake
+  t = t.replace(/([\u1780-\u17FF])\s+(?=[\u1780-\u17FF])/g, "$1");
+  return t.replace(/\s+/g, " ").trim();
+}
+
+// independent vowels and inherent-vowel signs Unicode discourages
+const DEPRECATED = new Set(["\u17A3", "\u17A4", "\u17B4", "\u17B5", "\u17D8"]); // ឣ ឤ ឴ ឵ ៘
+
+/** @typedef {"orphanMark"|"coeng"|"twoVowels"|"splitVowel"|"deprecated"} KhmerIssue */
+
+/**
+ * Spots Khmer that renders wrong (dotted circles, marks on the wrong letter):
+ * a vowel or sign with no letter to sit on, COENG not followed by a
+ * consonant, two vowels on one syllable, a vowel typed in two halves, or a
+ * deprecated character.
+ * @param {string} s
+ * @returns {{ index: number; issue: KhmerIssue }[]}
+ */
+export function khmerSequenceIssues(s) {
+  const out = [];
+  let inCluster = false;
+  let vowel = "";
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (DEPRECATED.has(c)) { out.push({ index: i, issue: "deprecated" }); inCluster = false; continue; }
+    if (isBase(c)) { inCluster = true; vowel = ""; continue; }
+    const isMark = c === COENG || isShifter(c) || isVowel(c) || isSign(c);
+    if (!isMark) { inCluster = false; continue; }
+    if (!inCluster) { out.push({ index: i, issue: "orphanMark" }); continue; }
+    if (c === COENG) {
+      if (isConsonant(s[i + 1] || "")) i++;
+      else out.push({ index: i, issue: "coeng" });
+    } else if (isVowel(c)) {
+      if (vowel && SPLIT_VOWELS.some(([from]) => from === vowel + c)) out.push({ index: i - 1, issue: "splitVowel" });
+      else if (vowel) out.push({ index: i, issue: "twoVowels" });
+      vowel = c;
+    }
+  }
+  return out;
+}
+
+/** True when two answers are the same once normalized. */
+export function sameKhmer(a, b) {
+  return normalizeKhmer(a) === normalizeKhmer(b);
+}
@@ -0,0 +1,17 @@
+// src/lib/lesson.js
+import { migrateTranscript } from "./transcript.js";
+import { migrateVocabulary } from "./vocabulary.js";
+import { migrateExercises } from "./exercises.js";
+
+/**
+ * Bring any stored lesson (old flat-string format or new structured one) up to
+ * the current shape. Safe to run more than once.
+ */
+export function migrateLesson(lesson) {
+  return migrateExercises(migrateVocabulary(migrateTranscript(lesson)));
+}
+
+/** Lessons from before drafts existed have no status and count as published. */
+export function isPublished(lesson) {
+  return (lesson?.status ?? "published") === "published";
+}
@@ -0,0 +1,96 @@
+// Runs against the Firestore and Auth emulators: `npm run test:emulators`.
+// Skipped by plain `npm test`, which has no emulator to talk to.
+import process from "node:process";
+import { beforeAll, describe, expect, it, vi } from "vitest";
+
+const { FIRESTORE_EMULATOR_HOST, FIREBASE_AUTH_EMULATOR_HOST, GCLOUD_PROJECT } = process.env;
+
+/**
+ * The Auth emulator takes unsigned custom tokens, which is how the test
+ * signs in with a `role` claim for firestore.rules.
+ */
+function unsignedCustomToken(uid, claims) {
+  const part = (o) => btoa(JSON.stringify(o)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+  const now = Math.floor(Date.now() / 1000);
+  return `${part({ alg: "none", typ: "JWT" })}.${part({
+    iss: "test@demo-khmer.iam.gserviceaccount.com",
+    sub: "test@demo-khmer.iam.gserviceaccount.com",
+    aud: "https://identitytoolkit.googleapis.com/google.identity.identitytoolkit.v1.IdentityToolkit",
+    iat: now,
+    exp: now + 3600,
+    uid,
+    claims,
+  })}.`;
+}
+
+describe.skipIf(!FIRESTORE_EMULATOR_HOST)("Firestore lesson repository (emulator)", () => {
+  /** @type {import("./lessonRepository.js")} */
+  let mod;
+  /** @type {import("./lessonRepository.js").LessonRepository} */
+  let repo;
+  /** @returns {import("../App.jsx").Lesson} */
+  const lesson = (id, title) => ({
+    id, title, script: "Khmer", level: "Beginner", status: "published",
+    transcript: "សួស្ដី\nHello", vocabulary: "សួស្ដី - hello", exercises: "",
+  });
+
+  beforeAll(async () => {
+    vi.stubEnv("VITE_FIREBASE_PROJECT_ID", GCLOUD_PROJECT || "demo-khmer");
+    vi.stubEnv("VITE_FIREBASE_API_KEY", "demo");
+    vi.stubEnv("VITE_FIREBASE_FIRESTORE_EMULATOR", FIRESTORE_EMULATOR_HOST);
+    vi.stubEnv("VITE_FIREBASE_AUTH_EMULATOR", `http://${FIREBASE_AUTH_EMULATOR_HOST || "127.0.0.1:9099"}`);
+    vi.stubEnv("VITE_LESSON_BACKEND", "firestore");
+    // imported after the env is set: firebase.js reads it once
+    const { getFirebaseApp } = await import("./firebase.js");
+    const auth = await import("firebase/auth");
+    const a = auth.getAuth(await getFirebaseApp());
+    auth.connectAuthEmulator(a, `http://${FIREBASE_AUTH_EMULATOR_HOST || "127.0.0.1:9099"}`, { disableWarnings: true });
+    await auth.signInWithCustomToken(a, unsignedCustomToken("test-admin", { role: "admin" }));
+    mod = await import("./lessonRepository.js");
+    repo = mod.createFirestoreRepository();
+  }, 30000);
+
+  it("numbers revisions and keeps the replaced version", async () => {
+    const id = `rev-${Date.now()}`;
+    const first = await repo.save(lesson(id, "First"));
+    expect(first.rev).toBe(1);
+    const second = await repo.save({ ...first, title: "Second" }, { baseRev: 1 });
+    expect(second.rev).toBe(2);
+    expect((await repo.revisions(id)).map((L) => [L.rev, L.title])).toEqual([[1, "First"]]);
+    expect((await repo.list()).find((L) => L.id === id)).toMatchObject({ rev: 2, title: "Second" });
+  });
+
+  it("lists drafts only when asked to", async () => {
+    const id = `draft-${Date.now()}`;
+    await repo.save({ ...lesson(id, "Draft"), status: "draft" });
+    expect((await repo.list()).map((L) => L.id)).not.toContain(id);
+    expect((await repo.list({ drafts: true })).map((L) => L.id)).toContain(id);
+  });
+
+  it("refuses a save based on an old revision, with the current version", async () => {
+    const id = `conflict-${Date.now()}`;
+    const base = await repo.save(lesson(id, "Base"));
+    await repo.save({ ...base, title: "Theirs" }, { baseRev: base.rev });
+    const stale = repo.save({ ...base, title: "Mine" }, { baseRev: base.rev });
+    await expect(stale).rejects.toBeInstanceOf(mod.ConflictError);
+    await expect(stale).rejects.toMatchObject({ current: { rev: 2, title: "Theirs" } });
+    // "keep mine" overwrites on purpose
+    const forced = await repo.save({ ...base, title: "Mine" }, { baseRev: base.rev, force: true });
+    expect(forced).toMatchObject({ rev: 3, title: "Mine" });
+  });
+
+  it("treats a lesson deleted meanwhile as a conflict", async () => {
+    const id = `deleted-${Date.now()}`;
+    const saved = await repo.save(lesson(id, "Gone soon"));
+    await repo.remove(id, { baseRev: saved.rev });
+    await expect(repo.save({ ...saved, title: "Edit" }, { baseRev: saved.rev }))
+      .rejects.toMatchObject({ name: "ConflictError", current: null });
+  });
+
+  it("refuses to delete a lesson changed since it was loaded", async () => {
+    const id = `remove-${Date.now()}`;
+    const saved = await repo.save(lesson(id, "One"));
+    await repo.save({ ...saved, title: "Two" }, { baseRev: saved.rev });
+    await expect(repo.remove(id, { baseRev: saved.rev })).rejects.toBeInstanceOf(mod.ConflictError);
+  });
+});
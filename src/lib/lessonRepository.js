@@ -0,0 +1,300 @@
+// src/lib/lessonRepository.js
+import { publishLessonAudio } from "./audioStore.js";
+import { emulators, getFirebaseApp, hostPort, isFirebaseConfigured } from "./firebase.js";
+import { readJSON, writeJSONOrThrow } from "./storage.js";
+import { MAX_REVISIONS } from "./revisions.js";
+
+/**
+ * Where lessons live. Every backend has the same shape, so the app doesn't
+ * care which one it talks to:
+ * - static:    public/lessons.json, read-only (GitHub Pages)
+ * - local:     localStorage drafts layered over another repository
+ * - firestore: the `lessons` collection (or the Firestore emulator)
+ *
+ * The curriculum (courses and units, see curriculum.js) is one more document
+ * in the same backend.
+ *
+ * Each saved lesson carries a revision number `rev`. A save names the
+ * revision it was based on; if someone else saved in between, the backend
+ * throws a ConflictError holding their version instead of overwriting it.
+ * The version a save replaces is kept, newest first in revisions(id), so
+ * editors can compare and restore (the last MAX_REVISIONS per lesson).
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {import("./curriculum.js").Curriculum} Curriculum */
+/** @typedef {{ baseRev?: number; force?: boolean }} SaveOptions */
+/** @typedef {{ drafts?: boolean }} ListOptions  drafts: include them (editors); only Firestore leaves them out */
+/** @typedef {{
+ *  name: string;
+ *  readOnly: boolean;
+ *  list(opts?: ListOptions): Promise<Lesson[]>;
+ *  save(lesson: Lesson, opts?: SaveOptions): Promise<Lesson>;
+ *  remove(id: string, opts?: SaveOptions): Promise<void>;
+ *  revisions(id: string): Promise<Lesson[]>;
+ *  loadCurriculum(): Promise<Curriculum|null>;
+ *  saveCurriculum(c: Curriculum, opts?: SaveOptions): Promise<Curriculum>;
+ * }} LessonRepository
+ */
+
+export class ConflictError extends Error {
+  /**
+   * @param {Lesson|Curriculum|null} current what the backend has now (null if it was deleted)
+   * @param {string} [what]
+   */
+  constructor(current, what = "lesson") {
+    super(current ? `This ${what} was changed by someone else.` : `This ${what} was deleted by someone else.`);
+    this.name = "ConflictError";
+    this.current = current;
+  }
+}
+
+export class ReadOnlyError extends Error {
+  constructor(name) {
+    super(`The ${name} lesson source is read-only.`);
+    this.name = "ReadOnlyError";
+  }
+}
+
+const revOf = (L) => L?.rev ?? 0;
+
+function checkRev(current, opts, what) {
+  if (opts?.force || opts?.baseRev === undefined) return;
+  if (revOf(current) !== opts.baseRev) throw new ConflictError(current, what);
+}
+
+function stamp(lesson, current) {
+  return { ...lesson, rev: revOf(current) + 1, updatedAt: new Date().toISOString() };
+}
+
+// ===== Static JSON (read-only) =====
+/** @returns {LessonRepository} */
+export function createStaticRepository(url = "./lessons.json", curriculumUrl = "./curriculum.json") {
+  return {
+    name: "static",
+    readOnly: true,
+    async list() {
+      const r = await fetch(`${url}?ts=${Date.now()}`, { cache: "no-store" });
+      if (!r.ok) throw new Error(`Could not load ${url} (${r.status})`);
+      const data = await r.json();
+      return Array.isArray(data) ? data : Array.isArray(data?.lessons) ? data.lessons : [];
+    },
+    async save() { throw new ReadOnlyError("static"); },
+    async remove() { throw new ReadOnlyError("static"); },
+    async revisions() { return []; },
+    async loadCurriculum() {
+      const r = await fetch(`${curriculumUrl}?ts=${Date.now()}`, { cache: "no-store" });
+      if (r.status === 404) return null;
+      if (!r.ok) throw new Error(`Could not load ${curriculumUrl} (${r.status})`);
+      return r.json();
+    },
+    async saveCurriculum() { throw new ReadOnlyError("static"); },
+  };
+}
+
+// ===== localStorage drafts =====
+const STORAGE_KEY = "khmer_lessons_v1";
+const CURRICULUM_KEY = "khmer_curriculum_v1";
+const REVISIONS_KEY = "khmer_lesson_revisions_v1"; // { [lessonId]: Lesson[] }, newest first
+
+/** @returns {{ lessons: Record<string, Lesson>; deleted: Record<string, number> }} */
+function loadDrafts() {
+  const raw = readJSON(STORAGE_KEY, null);
+  // v1 was a plain array snapshot of every lesson
+  if (Array.isArray(raw)) return { lessons: Object.fromEntries(raw.map((L) => [L.id, L])), deleted: {} };
+  return { lessons: raw?.lessons || {}, deleted: raw?.deleted || {} };
+}
+
+// throws when localStorage is full, so a save that didn't stick is reported
+function saveDrafts(d) {
+  writeJSONOrThrow(STORAGE_KEY, d);
+}
+
+/**
+ * Drafts saved in this browser, shown on top of `base` (usually the static file).
+ * @param {LessonRepository} [base]
+ * @returns {LessonRepository}
+ */
+export function createLocalDraftRepository(base) {
+  return {
+    name: base ? `local+${base.name}` : "local",
+    readOnly: false,
+    async list() {
+      const d = loadDrafts();
+      const upstream = base ? await base.list().catch((err) => { console.error(err); return []; }) : [];
+      const seen = new Set();
+      const out = [];
+      for (const L of upstream) {
+        seen.add(L.id);
+        if (d.deleted[L.id] != null) continue;
+        out.push(d.lessons[L.id] || L);
+      }
+      // new drafts first, like upsertLesson does
+      const fresh = Object.values(d.lessons).filter((L) => !seen.has(L.id));
+      return [...fresh.reverse(), ...out];
+    },
+    async save(lesson, opts) {
+      const d = loadDrafts();
+      const current = d.lessons[lesson.id] || null;
+      if (current || opts?.baseRev) checkRev(current, opts);
+      // the first local edit of a published lesson replaces the upstream version
+      const previous = current || (base ? (await base.list().catch(() => [])).find((L) => L.id === lesson.id) : null);
+      const saved = stamp(lesson, current || { rev: opts?.baseRev });
+      // history first: if storage is full, nothing has changed yet
+      if (previous) {
+        const all = readJSON(REVISIONS_KEY, {});
+        writeJSONOrThrow(REVISIONS_KEY, { ...all, [lesson.id]: [previous, ...(all[lesson.id] || [])].slice(0, MAX_REVISIONS) });
+      }
+      d.lessons[lesson.id] = saved;
+      delete d.deleted[lesson.id];
+      saveDrafts(d);
+      return saved;
+    },
+    async remove(id, opts) {
+      const d = loadDrafts();
+      const current = d.lessons[id] || null;
+      if (current) checkRev(current, opts);
+      delete d.lessons[id];
+      d.deleted[id] = Date.now();
+      saveDrafts(d);
+    },
+    async revisions(id) {
+      return readJSON(REVISIONS_KEY, {})[id] || [];
+    },
+    async loadCurriculum() {
+      const draft = readJSON(CURRICULUM_KEY, null);
+      if (draft) return draft;
+      return base ? base.loadCurriculum().catch((err) => { console.error(err); return null; }) : null;
+    },
+    async saveCurriculum(c, opts) {
+      const current = readJSON(CURRICULUM_KEY, null);
+      if (current || opts?.baseRev) checkRev(current, opts, "curriculum");
+      const saved = stamp(c, current || { rev: opts?.baseRev });
+      writeJSONOrThrow(CURRICULUM_KEY, saved);
+      return saved;
+    },
+  };
+}
+
+// ===== Firestore =====
+/**
+ * `lessons/{id}` documents (replaced versions in `lessons/{id}/revisions/{rev}`)
+ * and `meta/curriculum`. While the collection is still empty, list()
+ * returns `seed` (the static file) so a new project isn't blank; the first
+ * save or delete copies those lessons in before applying the change.
+ * Audio uploaded into this browser is moved to Firebase Storage on save.
+ * Drafts are only readable by editors (see firestore.rules), so everyone
+ * else lists published lessons only; lessons are always written with a
+ * status so that query finds them.
+ * @param {{ collection?: string; seed?: LessonRepository }} [opts]
+ * @returns {LessonRepository}
+ */
+export function createFirestoreRepository({ collection = "lessons", seed } = {}) {
+  let dbPromise = null;
+  const getDb = () => {
+    dbPromise ??= Promise.all([getFirebaseApp(), import("firebase/firestore")]).then(([app, mod]) => {
+      const db = mod.getFirestore(app);
+      if (emulators.firestore) mod.connectFirestoreEmulator(db, ...hostPort(emulators.firestore));
+      return { db, mod };
+    });
+    return dbPromise;
+  };
+  // Firestore rejects `undefined` values
+  const clean = (L) => JSON.parse(JSON.stringify(L));
+  const withStatus = (L) => ({ ...L, status: L.status || "published" });
+  let seeded = null;
+  const ensureSeeded = async ({ db, mod }) => {
+    if (!seeded) return;
+    const batch = mod.writeBatch(db);
+    for (const L of seeded) batch.set(mod.doc(db, collection, L.id), clean(withStatus(L)));
+    await batch.commit();
+    seeded = null;
+  };
+
+  return {
+    name: emulators.firestore ? "firestore-emulator" : "firestore",
+    readOnly: false,
+    async list({ drafts = false } = {}) {
+      const { db, mod } = await getDb();
+      const all = mod.collection(db, collection);
+      const snap = await mod.getDocs(drafts ? all : mod.query(all, mod.where("status", "==", "published")));
+      if (snap.empty && seed) {
+        const lessons = await seed.list();
+        // only a full listing knows the collection is empty
+        if (drafts) seeded = lessons;
+        return lessons;
+      }
+      seeded = null;
+      return snap.docs
+        .map((d) => ({ ...d.data(), id: d.id }))
+        .sort((a, b) => String(b.updatedAt || "").localeCompare(String(a.updatedAt || "")));
+    },
+    async save(lesson, opts) {
+      const { db, mod } = await getDb();
+      await ensureSeeded({ db, mod });
+      lesson = withStatus(await publishLessonAudio(lesson));
+      const ref = mod.doc(db, collection, lesson.id);
+      return mod.runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists() ? { ...snap.data(), id: snap.id } : null;
+        if (current || opts?.baseRev) checkRev(current, opts);
+        const saved = stamp(lesson, current || { rev: opts?.baseRev });
+        tx.set(ref, clean(saved));
+        if (current) tx.set(mod.doc(db, collection, lesson.id, "revisions", String(revOf(current))), clean(current));
+        return saved;
+      });
+    },
+    async revisions(id) {
+      const { db, mod } = await getDb();
+      const q = mod.query(mod.collection(db, collection, id, "revisions"), mod.orderBy("rev", "desc"), mod.limit(MAX_REVISIONS));
+      return (await mod.getDocs(q)).docs.map((d) => ({ ...d.data(), id }));
+    },
+    async remove(id, opts) {
+      const { db, mod } = await getDb();
+      await ensureSeeded({ db, mod });
+      const ref = mod.doc(db, collection, id);
+      await mod.runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        if (!snap.exists()) return;
+        checkRev({ ...snap.data(), id }, opts);
+        tx.delete(ref);
+      });
+    },
+    async loadCurriculum() {
+      const { db, mod } = await getDb();
+      const snap = await mod.getDoc(mod.doc(db, "meta", "curriculum"));
+      if (snap.exists()) return snap.data();
+      return seed ? seed.loadCurriculum() : null;
+    },
+    async saveCurriculum(c, opts) {
+      const { db, mod } = await getDb();
+      const ref = mod.doc(db, "meta", "curriculum");
+      return mod.runTransaction(db, async (tx) => {
+        const snap = await tx.get(ref);
+        const current = snap.exists() ? snap.data() : null;
+        if (current || opts?.baseRev) checkRev(current, opts, "curriculum");
+        const saved = stamp(c, current || { rev: opts?.baseRev });
+        tx.set(ref, clean(saved));
+        return saved;
+      });
+    },
+  };
+}
+
+/**
+ * Pick the backend from VITE_LESSON_BACKEND (static | local | firestore).
+ * Default: Firestore when Firebase is configured, otherwise local drafts over
+ * the static file.
+ * @returns {LessonRepository}
+ */
+function selectRepository() {
+  const choice = import.meta.env.VITE_LESSON_BACKEND;
+  const staticRepo = createStaticRepository();
+  if (choice === "static") return staticRepo;
+  if (choice === "firestore" || (!choice && isFirebaseConfigured())) {
+    return createFirestoreRepository({ seed: staticRepo });
+  }
+  return createLocalDraftRepository(staticRepo);
+}
+
+export const lessonRepository = selectRepository();
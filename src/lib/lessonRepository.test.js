@@ -0,0 +1,42 @@
+// src/lib/lessonRepository.test.js
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { createLocalDraftRepository } from "./lessonRepository.js";
+
+/** A Map-backed localStorage that can be made to run out of space. */
+function fakeLocalStorage() {
+  const items = new Map();
+  return {
+    full: false,
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem(k, v) {
+      if (this.full) throw new DOMException("Quota exceeded", "QuotaExceededError");
+      items.set(k, String(v));
+    },
+    removeItem: (k) => items.delete(k),
+  };
+}
+
+const lesson = (title) => ({ id: "greetings", title, script: "Khmer", level: "Beginner", transcript: "សួស្ដី\nHello" });
+
+describe("local draft repository", () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("saves and lists a draft", async () => {
+    vi.stubGlobal("localStorage", fakeLocalStorage());
+    const repo = createLocalDraftRepository();
+    await expect(repo.save(lesson("One"))).resolves.toMatchObject({ rev: 1, title: "One" });
+    expect((await repo.list()).map((L) => L.title)).toEqual(["One"]);
+  });
+
+  it("rejects a save when storage is full and keeps what was there", async () => {
+    const storage = fakeLocalStorage();
+    vi.stubGlobal("localStorage", storage);
+    const repo = createLocalDraftRepository();
+    const first = await repo.save(lesson("One"));
+    storage.full = true;
+    await expect(repo.save({ ...first, title: "Two" }, { baseRev: first.rev })).rejects.toMatchObject({ name: "QuotaExceededError" });
+    storage.full = false;
+    expect((await repo.list()).map((L) => [L.rev, L.title])).toEqual([[1, "One"]]);
+    expect(await repo.revisions("greetings")).toEqual([]);
+  });
+});
@@ -0,0 +1,198 @@
+// src/lib/lint.js
+import { getAudio, isStoredAudio } from "./audioStore.js";
+import { unmarkedChoices } from "./exercises.js";
+import { khmerSequenceIssues } from "./khmer.js";
+import { toPublicUrl } from "./paths.js";
+import { parseTranscript } from "./transcript.js";
+import { parseVocabulary } from "./vocabulary.js";
+
+/**
+ * Lesson content checks, for the lesson form (on save) and the batch report.
+ * The schema (schema.js) says whether a lesson can load; this says whether it
+ * reads well:
+ * - transcript lines with no translation (or no Khmer)
+ * - Khmer and Latin letters in one word; ":" typed for ះ
+ * - Khmer that renders wrong (see khmerSequenceIssues)
+ * - missing or unreachable audio, audio without a transcript
+ * - choices with no answer marked, which aren't scored
+ * - duplicate lesson ids
+ * - images without alt text, speakers and words without an English label
+ * Each finding names the form field (and line) to fix; messages are "lint.<rule>".
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {"title"|"description"|"transcript"|"vocabulary"|"exercises"|"audioUrl"|"id"} LintField */
+/** @typedef {{
+ *  rule: string;
+ *  severity: "error"|"warning";
+ *  field: LintField;
+ *  line?: number;        // 1-based line in the field's text
+ *  text?: string;        // the offending bit, as typed
+ *  vars?: Record<string, string|number>;
+ * }} Finding */
+
+const TEXT_FIELDS = /** @type{LintField[]} */ (["title", "description", "transcript", "vocabulary", "exercises"]);
+
+const KHMER = /[\u1780-\u17FF]/;
+const LATIN = /[A-Za-z]/;
+const WORD_RE = /[\p{L}\p{M}]+/gu;
+// ":" typed between Khmer letters instead of REAHMUK (ះ)
+const ASCII_COLON_RE = /[\u1780-\u17D3]:(?=[\u1780-\u17FF])/g;
+const IMG_NO_ALT_RE = /<img\b(?![^>]*\balt\s*=\s*["'][^"']*\S)[^>]*>|!\[\s*\]\([^)]*\)/gi;
+const BULLET_RE = /^\s*(?:[-•*]|\d+[.)])\s+/;
+
+const lines = (s) => String(s || "").replace(/\r\n?/g, "\n").split("\n");
+
+/** Findings that look at one line of text at a time. */
+function lintText(field, text, out) {
+  lines(text).forEach((raw, i) => {
+    const line = i + 1;
+    for (const [word] of raw.matchAll(WORD_RE)) {
+      if (KHMER.test(word) && LATIN.test(word)) out.push({ rule: "mixedScript", severity: "warning", field, line, text: word });
+    }
+    for (const m of raw.matchAll(ASCII_COLON_RE)) {
+      out.push({ rule: "asciiColon", severity: "error", field, line, text: raw.slice(Math.max(0, m.index - 6), m.index + 8).trim() });
+    }
+    for (const { index, issue } of khmerSequenceIssues(raw)) {
+      out.push({ rule: `khmer.${issue}`, severity: issue === "splitVowel" ? "warning" : "error", field, line, text: raw.slice(Math.max(0, index - 4), index + 3) });
+    }
+    for (const m of raw.matchAll(IMG_NO_ALT_RE)) out.push({ rule: "imageAlt", severity: "error", field, line, text: m[0].slice(0, 40) });
+  });
+}
+
+/** Line number of the first line at or after `from` that contains `needle`. */
+function locate(textLines, needle, from) {
+  if (!needle) return -1;
+  for (let i = from; i < textLines.length; i++) if (textLines[i].includes(needle)) return i;
+  return -1;
+}
+
+/** Lines missing their other half, once the transcript pairs at least one. */
+function lintTranscript(L, out) {
+  const dialogue = parseTranscript(L.transcript || "");
+  if (!dialogue.some((d) => d.km && d.en)) return;
+  const textLines = lines(L.transcript);
+  let cursor = 0;
+  for (const d of dialogue) {
+    const at = locate(textLines, d.km || d.en, cursor);
+    const line = at >= 0 ? at + 1 : undefined;
+    if (at >= 0) cursor = at + 1;
+    if (!d.en) out.push({ rule: "unpaired.en", severity: "warning", field: "transcript", line, text: d.km });
+    else if (!d.km) out.push({ rule: "unpaired.km", severity: "warning", field: "transcript", line, text: d.en });
+    else if (d.speaker && !d.speakerEn) out.push({ rule: "speakerLabel", severity: "warning", field: "transcript", line, vars: { speaker: d.speaker } });
+  }
+}
+
+/** Bulleted Khmer headwords the vocabulary parser can't find a meaning for. */
+function lintVocabulary(L, out) {
+  const textLines = lines(L.vocabulary);
+  textLines.forEach((raw, i) => {
+    if (!BULLET_RE.test(raw) || !KHMER.test(raw) || /^\s{2,}/.test(raw)) return;
+    let block = raw;
+    for (let j = i + 1; j < textLines.length && /^\s{2,}\S/.test(textLines[j]); j++) block += "\n" + textLines[j];
+    if (!parseVocabulary(block).length) out.push({ rule: "wordMeaning", severity: "warning", field: "vocabulary", line: i + 1, text: raw.replace(BULLET_RE, "").trim() });
+  });
+}
+
+/**
+ * Checks that need nothing but the lesson itself.
+ * @param {Lesson} L
+ * @param {{ takenIds?: Iterable<string> }} [opts] ids of the other lessons
+ * @returns {Finding[]}
+ */
+export function lintLesson(L, { takenIds = [] } = {}) {
+  /** @type{Finding[]} */
+  const out = [];
+  if (new Set(takenIds).has(L.id)) out.push({ rule: "duplicateId", severity: "error", field: "id", text: L.id });
+  for (const field of TEXT_FIELDS) lintText(field, L[field], out);
+  lintTranscript(L, out);
+  lintVocabulary(L, out);
+  for (const { line, text } of unmarkedChoices(L.exercises)) out.push({ rule: "exercise.noAnswer", severity: "warning", field: "exercises", line, text });
+  if (!L.audioUrl) out.push({ rule: "audio.missing", severity: "warning", field: "audioUrl" });
+  else if (!parseTranscript(L.transcript || "").length) out.push({ rule: "audio.noTranscript", severity: "warning", field: "transcript" });
+  return out;
+}
+
+/**
+ * Every lesson's findings, duplicate ids included (the first lesson with an
+ * id keeps it; later ones are flagged).
+ * @param {Lesson[]} lessons
+ * @returns {{ lesson: Lesson; index: number; findings: Finding[] }[]}
+ */
+export function lintLessons(lessons) {
+  const seen = new Set();
+  return lessons.map((lesson, index) => {
+    const findings = lintLesson(lesson, { takenIds: seen });
+    seen.add(lesson.id);
+    return { lesson, index, findings };
+  });
+}
+
+const AUDIO_TIMEOUT = 8000;
+
+/**
+ * Whether audio loads: `idb:` uploads must still be in this browser, other
+ * URLs must load as media (which works across origins without CORS).
+ * @returns {Promise<boolean|null>} null when it can't tell (offline, slow)
+ */
+export async function audioReachable(url) {
+  if (isStoredAudio(url)) return !!(await getAudio(url).catch(() => null));
+  if (typeof navigator !== "undefined" && !navigator.onLine) return null;
+  return new Promise((resolve) => {
+    const audio = new Audio();
+    const done = (ok) => {
+      clearTimeout(timer);
+      audio.removeAttribute("src");
+      audio.load();
+      resolve(ok);
+    };
+    const timer = setTimeout(() => done(null), AUDIO_TIMEOUT);
+    audio.preload = "metadata";
+    audio.onloadedmetadata = () => done(true);
+    audio.onerror = () => done(false);
+    audio.src = toPublicUrl(url);
+  });
+}
+
+/**
+ * The lesson audio and every word's audio that fails to load. The URLs are
+ * checked at once, so this takes at most AUDIO_TIMEOUT however many there are.
+ * @param {Lesson} L
+ * @returns {Promise<Finding[]>}
+ */
+export async function lintAudio(L) {
+  const textLines = lines(L.vocabulary);
+  const checks = [];
+  if (L.audioUrl) {
+    checks.push(audioReachable(L.audioUrl).then((ok) => ok === false && { rule: "audio.unreachable", severity: "error", field: "audioUrl", text: L.audioUrl }));
+  }
+  for (const w of parseVocabulary(L.vocabulary || "")) {
+    if (!w.audioUrl) continue;
+    checks.push(audioReachable(w.audioUrl).then((ok) => {
+      if (ok !== false) return null;
+      const at = locate(textLines, w.audioUrl, 0);
+      return { rule: "audio.wordUnreachable", severity: "error", field: "vocabulary", line: at >= 0 ? at + 1 : undefined, text: w.audioUrl };
+    }));
+  }
+  return /** @type{Finding[]} */ ((await Promise.all(checks)).filter(Boolean));
+}
+
+export const hasErrors = (findings) => findings.some((f) => f.severity === "error");
+
+/**
+ * Move the caret to a finding: focus the form field and select its line.
+ * Form fields have the id `lesson-<field>`.
+ * @param {Finding} f
+ */
+export function focusFinding(f) {
+  const el = /** @type{HTMLInputElement|HTMLTextAreaElement|null} */ (document.getElementById(`lesson-${f.field}`));
+  if (!el) return;
+  el.scrollIntoView({ block: "center", behavior: "smooth" });
+  if (f.line && "setSelectionRange" in el) {
+    // selecting before focusing scrolls a textarea to the line
+    const all = lines(el.value);
+    const start = all.slice(0, f.line - 1).reduce((n, l) => n + l.length + 1, 0);
+    el.setSelectionRange(start, start + (all[f.line - 1] || "").length);
+  }
+  el.focus({ preventScroll: true });
+}
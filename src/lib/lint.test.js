@@ -0,0 +1,71 @@
+// src/lib/lint.test.js
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { migrateLesson } from "./lesson.js";
+import { hasErrors, lintLesson, lintLessons } from "./lint.js";
+
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8")).map(migrateLesson);
+
+const lesson = (fields) => ({ id: "test", title: "Test", script: "Khmer", level: "Beginner", audioUrl: "audio/test.mp3", ...fields });
+const rules = (findings) => findings.map((f) => f.rule);
+
+describe("lintLesson", () => {
+  it("finds only warnings in a lesson that reads well", () => {
+    const L = lessons.find((x) => x.id === "intro-phrases");
+    expect(hasErrors(lintLesson(L))).toBe(false);
+  });
+
+  it("flags \":\" typed for REAHMUK inside Khmer", () => {
+    const findings = lintLesson(lesson({ transcript: "ខ្ញុំចង់ញ៉ាំ:ាយ\nI want to eat" }));
+    expect(findings).toContainEqual(expect.objectContaining({ rule: "asciiColon", severity: "error", field: "transcript", line: 1 }));
+  });
+
+  it("leaves a colon after a speaker name or before Latin text alone", () => {
+    const findings = lintLesson(lesson({
+      transcript: "មករា: សួស្តី\nMakara: Hello",
+      vocabulary: "- អគារ : Building\n- ខូច:Broken",
+    }));
+    expect(rules(findings)).not.toContain("asciiColon");
+  });
+
+  it("flags lines missing their translation or their Khmer", () => {
+    const transcript = "សួស្តី\nHello\n\nអរគុណ\n\nGoodbye";
+    const findings = lintLesson(lesson({ transcript })).filter((f) => f.rule.startsWith("unpaired"));
+    expect(findings).toEqual([
+      expect.objectContaining({ rule: "unpaired.en", field: "transcript", line: 4, text: "អរគុណ" }),
+      expect.objectContaining({ rule: "unpaired.km", field: "transcript", line: 6, text: "Goodbye" }),
+    ]);
+  });
+
+  it("doesn't ask for pairs in a transcript that has none", () => {
+    const findings = lintLesson(lesson({ transcript: "សួស្តី\n\nអរគុណ" }));
+    expect(rules(findings).filter((r) => r.startsWith("unpaired"))).toEqual([]);
+  });
+
+  it("flags Khmer and Latin letters in one word", () => {
+    const findings = lintLesson(lesson({ title: "សួស្តីhello" }));
+    expect(findings).toContainEqual(expect.objectContaining({ rule: "mixedScript", field: "title", text: "សួស្តីhello" }));
+  });
+
+  it("flags choices with no answer marked", () => {
+    const findings = lintLesson(lesson({ exercises: "1) Translate: \"Hi\" → សួស្តី\n2) Choose: Which is hello? → សួស្តី / លាហើយ" }));
+    expect(findings).toContainEqual(expect.objectContaining({ rule: "exercise.noAnswer", field: "exercises", line: 2 }));
+  });
+
+  it("flags a missing audio file, and audio without a transcript", () => {
+    expect(rules(lintLesson(lesson({ audioUrl: "" })))).toContain("audio.missing");
+    expect(rules(lintLesson(lesson({ transcript: "" })))).toContain("audio.noTranscript");
+  });
+
+  it("flags an id another lesson has", () => {
+    expect(lintLesson(lesson({}), { takenIds: ["test"] })).toContainEqual(expect.objectContaining({ rule: "duplicateId", field: "id" }));
+  });
+});
+
+describe("lintLessons", () => {
+  it("lets the first lesson keep its id and flags the later ones", () => {
+    const report = lintLessons([lesson({ title: "A" }), lesson({ title: "B" })]);
+    expect(rules(report[0].findings)).not.toContain("duplicateId");
+    expect(rules(report[1].findings)).toContain("duplicateId");
+  });
+});
@@ -0,0 +1,164 @@
+// src/lib/offline.js
+import { useEffect, useState } from "react";
+import { toPublicUrl } from "./paths.js";
+import { isStoredAudio } from "./audioStore.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Offline lesson packs.
+ * - A pack is one lesson's JSON plus every file it plays (lesson audio, cue
+ *   sidecar, word audio). Files go into the Cache API under PACK_CACHE, where
+ *   the service worker (src/sw.js) serves them; the lesson JSON and sizes are
+ *   kept in localStorage.
+ * - Each pack remembers a signature of the lesson it was built from.
+ *   syncPacks() rebuilds packs whose lesson changed once we're back online.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {{ lesson: Lesson; sig: string; urls: string[]; bytes: number; savedAt: number }} Pack */
+
+export const PACK_CACHE = "khmer-packs-v1"; // same name as in src/sw.js
+const PACKS_KEY = "khmer_offline_packs_v1"; // { [lessonId]: Pack }
+const SYNC_KEY = "khmer_offline_synced_at";
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !import.meta.env.PROD) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`).catch((err) => {
+      console.error("Service worker registration failed:", err);
+    });
+  });
+}
+
+/** @returns {Record<string, Pack>} */
+export function loadPacks() {
+  return readJSON(PACKS_KEY, {});
+}
+
+function savePacks(packs) {
+  writeJSON(PACKS_KEY, packs);
+  window.dispatchEvent(new Event("khmer-packs"));
+}
+
+/** Cheap content signature, to notice when a lesson changed. */
+export function lessonSignature(L) {
+  const s = JSON.stringify(L);
+  let h = 5381;
+  for (let i = 0; i < s.length; i++) h = ((h << 5) + h + s.charCodeAt(i)) | 0;
+  return (h >>> 0).toString(36);
+}
+
+/** Everything a lesson plays, as absolute-or-base URLs. */
+export function lessonAssetUrls(L) {
+  const urls = [L.audioUrl, L.cuesUrl, ...(L.words || []).map((w) => w.audioUrl)]
+    .filter((u) => u && !isStoredAudio(u)) // IndexedDB audio is already local
+    .map(toPublicUrl);
+  return [...new Set(urls)];
+}
+
+async function cacheUrl(cache, url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch {
+    // cross-origin without CORS: store an opaque copy (size unknown)
+    res = await fetch(url, { mode: "no-cors" });
+  }
+  if (!res.ok && res.type !== "opaque") throw new Error(`${url}: ${res.status}`);
+  const size = Number(res.headers.get("Content-Length")) || 0;
+  await cache.put(url, res);
+  return size;
+}
+
+/** Download a lesson for offline use. */
+export async function downloadLesson(L) {
+  const cache = await caches.open(PACK_CACHE);
+  const urls = lessonAssetUrls(L);
+  let bytes = new Blob([JSON.stringify(L)]).size;
+  for (const u of urls) bytes += await cacheUrl(cache, u);
+  const packs = loadPacks();
+  packs[L.id] = { lesson: L, sig: lessonSignature(L), urls, bytes, savedAt: Date.now() };
+  savePacks(packs);
+  return packs[L.id];
+}
+
+/** Download several lessons (e.g. a whole level); `onProgress(done, total)`. */
+export async function downloadLessons(lessons, onProgress) {
+  const failed = [];
+  for (let i = 0; i < lessons.length; i++) {
+    try { await downloadLesson(lessons[i]); } catch (err) { failed.push(`${lessons[i].title}: ${err.message}`); }
+    onProgress?.(i + 1, lessons.length);
+  }
+  return failed;
+}
+
+export async function removePack(id) {
+  const packs = loadPacks();
+  const pack = packs[id];
+  if (!pack) return;
+  delete packs[id];
+  // keep files another pack still uses
+  const stillUsed = new Set(Object.values(packs).flatMap((p) => p.urls));
+  const cache = await caches.open(PACK_CACHE);
+  await Promise.all(pack.urls.filter((u) => !stillUsed.has(u)).map((u) => cache.delete(u)));
+  savePacks(packs);
+}
+
+export async function clearPacks() {
+  await caches.delete(PACK_CACHE);
+  savePacks({});
+}
+
+/**
+ * Re-download packs whose lesson changed in `lessons` (the fresh list).
+ * Lessons that disappeared keep their pack; the learner can remove it.
+ * @returns {Promise<{ updated: string[]; failed: string[] }>}
+ */
+export async function syncPacks(lessons) {
+  const packs = loadPacks();
+  const byId = new Map(lessons.map((L) => [L.id, L]));
+  const stale = Object.keys(packs)
+    .map((id) => byId.get(id))
+    .filter((L) => L && lessonSignature(L) !== packs[L.id].sig);
+  const failed = await downloadLessons(stale);
+  writeJSON(SYNC_KEY, Date.now());
+  return { updated: stale.map((L) => L.title), failed };
+}
+
+export const lastSyncedAt = () => readJSON(SYNC_KEY, 0);
+
+/** Browser storage estimate + whether it's protected from eviction. */
+export async function storageUsage() {
+  const est = (await navigator.storage?.estimate?.()) || {};
+  const persisted = (await navigator.storage?.persisted?.()) || false;
+  return { usage: est.usage || 0, quota: est.quota || 0, persisted };
+}
+
+export async function requestPersistentStorage() {
+  return (await navigator.storage?.persist?.()) || false;
+}
+
+export function useOnline() {
+  const [online, setOnline] = useState(() => navigator.onLine);
+  useEffect(() => {
+    const on = () => setOnline(true);
+    const off = () => setOnline(false);
+    window.addEventListener("online", on);
+    window.addEventListener("offline", off);
+    return () => { window.removeEventListener("online", on); window.removeEventListener("offline", off); };
+  }, []);
+  return online;
+}
+
+/** The saved packs, kept current across components and tabs. */
+export function usePacks() {
+  const [packs, setPacks] = useState(loadPacks);
+  useEffect(() => {
+    const reload = () => setPacks(loadPacks());
+    const onStorage = (e) => { if (e.key === PACKS_KEY) reload(); };
+    window.addEventListener("khmer-packs", reload);
+    window.addEventListener("storage", onStorage);
+    return () => { window.removeEventListener("khmer-packs", reload); window.removeEventListener("storage", onStorage); };
+  }, []);
+  return packs;
+}
@@ -0,0 +1,10 @@
+// src/lib/paths.js
+
+/** Resolve "/audio/x.mp3" against the Vite base (GitHub Pages subpath). */
+export function toPublicUrl(u) {
+  if (!u) return "";
+  if (/^(https?:|blob:|data:)/i.test(u)) return u; // already absolute
+  const base = (import.meta.env.BASE_URL || "/").replace(/\/+$/, "");
+  const rel  = u.replace(/^\.?\//, ""); // strip leading ./ or /
+  return `${base}/${rel}`;
+}
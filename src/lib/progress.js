@@ -0,0 +1,256 @@
+// src/lib/progress.js
+import { useCallback, useState } from "react";
+import { PLAYER_POSITIONS_KEY, readJSON, writeJSON } from "./storage.js";
+import { loadMyWords, loadReviewState, saveMyWords, saveReviewState } from "./srs.js";
+
+/**
+ * Per-learner progress, kept in localStorage.
+ * - lessons opened, audio listened to the end, exercise and dictation scores
+ * - one activity counter per day (drives streaks)
+ * - flashcard stats come from the SRS state of the same learner
+ * Export/import bundles all of it into one JSON file so learners can move
+ * between browsers.
+ */
+
+/** @typedef {{
+ *  opens: number;
+ *  firstOpened: number;
+ *  lastOpened: number;
+ *  listenedAt?: number;           // audio played to the end
+ *  score?: { correct: number; total: number; best: number; at: number };
+ *  dictation?: { accuracy: number; lines: number; best: number; at: number }; // accuracy 0–1, characters right
+ * }} LessonProgress
+ */
+
+/** @typedef {{
+ *  version: 1;
+ *  learnerId: string;
+ *  lessons: Record<string, LessonProgress>;
+ *  activity: Record<string, number>; // "YYYY-MM-DD" -> events that day
+ *  reviews: number;                  // flashcards graded, all time
+ * }} Progress
+ */
+
+const LEARNER_KEY = "khmer_learner_id";
+const PROGRESS_KEY = "khmer_progress_v1";
+const EXPORT_FORMAT = "khmer-learner-progress";
+
+export function getLearnerId() {
+  let id = readJSON(LEARNER_KEY, "");
+  if (!id) {
+    id = `learner-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    writeJSON(LEARNER_KEY, id);
+  }
+  return id;
+}
+
+/** @returns {Progress} */
+export function emptyProgress(learnerId) {
+  return { version: 1, learnerId, lessons: {}, activity: {}, reviews: 0 };
+}
+
+export function loadProgress(learnerId) {
+  return { ...emptyProgress(learnerId), ...readJSON(`${PROGRESS_KEY}:${learnerId}`, {}) };
+}
+
+export function saveProgress(p) {
+  writeJSON(`${PROGRESS_KEY}:${p.learnerId}`, p);
+}
+
+export function dayKey(t = Date.now()) {
+  const d = new Date(t);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function touch(p, now) {
+  const k = dayKey(now);
+  return { ...p.activity, [k]: (p.activity[k] || 0) + 1 };
+}
+
+function lessonEntry(p, id, now) {
+  return p.lessons[id] || { opens: 0, firstOpened: now, lastOpened: now };
+}
+
+// ===== Events (pure: Progress -> Progress) =====
+export function lessonOpened(p, id, now = Date.now()) {
+  const L = lessonEntry(p, id, now);
+  return {
+    ...p,
+    lessons: { ...p.lessons, [id]: { ...L, opens: L.opens + 1, lastOpened: now } },
+    activity: touch(p, now),
+  };
+}
+
+export function audioCompleted(p, id, now = Date.now()) {
+  const L = lessonEntry(p, id, now);
+  return { ...p, lessons: { ...p.lessons, [id]: { ...L, listenedAt: now } }, activity: touch(p, now) };
+}
+
+export function exerciseScored(p, id, correct, total, now = Date.now()) {
+  const L = lessonEntry(p, id, now);
+  const best = Math.max(L.score?.best ?? 0, total ? correct / total : 0);
+  return {
+    ...p,
+    lessons: { ...p.lessons, [id]: { ...L, score: { correct, total, best, at: now } } },
+    activity: touch(p, now),
+  };
+}
+
+export function dictationScored(p, id, accuracy, lines, now = Date.now()) {
+  const L = lessonEntry(p, id, now);
+  const best = Math.max(L.dictation?.best ?? 0, accuracy);
+  return {
+    ...p,
+    lessons: { ...p.lessons, [id]: { ...L, dictation: { accuracy, lines, best, at: now } } },
+    activity: touch(p, now),
+  };
+}
+
+export function cardReviewed(p, now = Date.now()) {
+  return { ...p, reviews: p.reviews + 1, activity: touch(p, now) };
+}
+
+// ===== Derived stats =====
+
+/** A lesson counts as done once its audio was heard to the end or its exercises or dictation were scored. */
+export function isCompleted(entry) {
+  return !!(entry && (entry.listenedAt || entry.score || entry.dictation));
+}
+
+/** @returns {{ current: number; longest: number }} */
+export function streaks(activity, now = Date.now()) {
+  const days = Object.keys(activity).filter((k) => activity[k] > 0).sort();
+  if (!days.length) return { current: 0, longest: 0 };
+  const toNum = (k) => Math.round(new Date(`${k}T00:00:00`).getTime() / 86400000);
+  let longest = 1, run = 1;
+  for (let i = 1; i < days.length; i++) {
+    run = toNum(days[i]) - toNum(days[i - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  }
+  // the current streak survives until the end of the day after the last activity
+  const gap = toNum(dayKey(now)) - toNum(days[days.length - 1]);
+  return { current: gap <= 1 ? run : 0, longest };
+}
+
+/**
+ * Completion grouped by a lesson field.
+ * @param {{ id: string; level?: string; topic?: string }[]} lessons
+ * @param {Progress} p
+ * @param {"level"|"topic"} by  topics like "Market, Food" count toward each part
+ */
+export function completionBy(lessons, p, by) {
+  /** @type{Record<string, { done: number; total: number }>} */
+  const out = {};
+  for (const L of lessons) {
+    const keys = by === "topic" ? (L.topic || "Other").split(/\s*,\s*/) : [L[by] || "Other"];
+    for (const k of keys) {
+      out[k] ??= { done: 0, total: 0 };
+      out[k].total++;
+      if (isCompleted(p.lessons[L.id])) out[k].done++;
+    }
+  }
+  return out;
+}
+
+/** Most recently opened lesson that isn't finished yet (or the latest one). */
+export function continueLesson(lessons, p) {
+  const byRecent = lessons
+    .filter((L) => p.lessons[L.id])
+    .sort((a, b) => p.lessons[b.id].lastOpened - p.lessons[a.id].lastOpened);
+  return byRecent.find((L) => !isCompleted(p.lessons[L.id])) || byRecent[0] || null;
+}
+
+// ===== Export / import =====
+export function exportBundle(p) {
+  return {
+    format: EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    progress: p,
+    flashcards: loadReviewState(p.learnerId),
+    myWords: loadMyWords(p.learnerId),
+    positions: readJSON(PLAYER_POSITIONS_KEY, {}),
+  };
+}
+
+/** The later of two results, keeping the best of both. */
+function mergeResult(a, b) {
+  if (!a || !b) return a || b;
+  return { ...(b.at > a.at ? b : a), best: Math.max(a.best, b.best) };
+}
+
+/** Merge two progress records; nothing already learned here is lost. */
+export function mergeProgress(a, b) {
+  const lessons = { ...a.lessons };
+  for (const [id, L] of Object.entries(b.lessons || {})) {
+    const cur = lessons[id];
+    if (!cur) { lessons[id] = L; continue; }
+    lessons[id] = {
+      opens: Math.max(cur.opens, L.opens),
+      firstOpened: Math.min(cur.firstOpened, L.firstOpened),
+      lastOpened: Math.max(cur.lastOpened, L.lastOpened),
+      listenedAt: cur.listenedAt || L.listenedAt,
+      score: mergeResult(cur.score, L.score),
+      dictation: mergeResult(cur.dictation, L.dictation),
+    };
+  }
+  const activity = { ...a.activity };
+  for (const [k, n] of Object.entries(b.activity || {})) activity[k] = Math.max(activity[k] || 0, n);
+  return { ...a, lessons, activity, reviews: Math.max(a.reviews, b.reviews || 0) };
+}
+
+/**
+ * Apply an exported bundle to the current learner and return the merged progress.
+ * @throws {Error} when the file isn't a progress export
+ */
+export function importBundle(current, bundle) {
+  if (!bundle || bundle.format !== EXPORT_FORMAT || !bundle.progress) {
+    throw new Error("This file is not a Khmer Learners progress export.");
+  }
+  const merged = mergeProgress(current, bundle.progress);
+  saveProgress(merged);
+
+  const cards = loadReviewState(current.learnerId);
+  for (const [id, s] of Object.entries(bundle.flashcards || {})) {
+    if (!cards[id] || (s.last || 0) > (cards[id].last || 0)) cards[id] = s;
+  }
+  saveReviewState(cards, current.learnerId);
+
+  const mine = loadMyWords(current.learnerId);
+  const added = (bundle.myWords || []).filter((w) => !mine.some((m) => m.km === w.km));
+  if (added.length) saveMyWords([...mine, ...added], current.learnerId);
+
+  writeJSON(PLAYER_POSITIONS_KEY, { ...(bundle.positions || {}), ...readJSON(PLAYER_POSITIONS_KEY, {}) });
+  return merged;
+}
+
+// ===== Hook =====
+
+/**
+ * Progress for the learner on this browser, persisted on every change.
+ * Switching learner (signing in or out) loads that learner's record.
+ * @param {string} learnerId
+ */
+export function useProgress(learnerId) {
+  const [progress, setProgress] = useState(() => loadProgress(learnerId));
+  if (progress.learnerId !== learnerId) setProgress(loadProgress(learnerId));
+
+  const apply = useCallback((fn) => {
+    setProgress((p) => {
+      const next = fn(p);
+      saveProgress(next);
+      return next;
+    });
+  }, []);
+
+  return {
+    progress,
+    setProgress,
+    opened: useCallback((id) => apply((p) => lessonOpened(p, id)), [apply]),
+    listened: useCallback((id) => apply((p) => audioCompleted(p, id)), [apply]),
+    scored: useCallback((id, c, t) => apply((p) => exerciseScored(p, id, c, t)), [apply]),
+    dictated: useCallback((id, accuracy, lines) => apply((p) => dictationScored(p, id, accuracy, lines)), [apply]),
+    reviewed: useCallback(() => apply((p) => cardReviewed(p)), [apply]),
+  };
+}
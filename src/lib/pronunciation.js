@@ -0,0 +1,223 @@
+// src/lib/pronunciation.js
+import { decodeAudio, detectSilence } from "./audioStore.js";
+
+/**
+ * Audio analysis for pronunciation practice, all in the browser.
+ * - A clip is a mono AudioBuffer look-alike (so detectSilence works on it):
+ *   the reference line cut out of the lesson audio, or a learner's take.
+ * - envelope() gives the waveform outline, pitchContour() the voice pitch
+ *   (autocorrelation), pitchMatch() a rough 0–1 score of how alike two pitch
+ *   shapes are, whatever the speakers' voice ranges.
+ */
+
+/** @typedef {{ sampleRate: number; length: number; duration: number; numberOfChannels: 1; getChannelData: () => Float32Array }} Clip */
+
+const MIN_HZ = 70;
+const MAX_HZ = 450;
+
+/** @param {Float32Array} samples @param {number} sampleRate @returns {Clip} */
+export function makeClip(samples, sampleRate) {
+  return {
+    sampleRate,
+    length: samples.length,
+    duration: samples.length / sampleRate,
+    numberOfChannels: 1,
+    getChannelData: () => samples,
+  };
+}
+
+/** [start, end) seconds of `buf`, mixed down to mono. @param {AudioBuffer|Clip} buf @returns {Clip} */
+export function cutClip(buf, start = 0, end = buf.duration) {
+  const from = Math.max(0, Math.floor(start * buf.sampleRate));
+  const to = Math.min(buf.length, Math.ceil(end * buf.sampleRate));
+  const out = new Float32Array(Math.max(0, to - from));
+  for (let c = 0; c < buf.numberOfChannels; c++) {
+    const ch = buf.getChannelData(c);
+    for (let i = 0; i < out.length; i++) out[i] += ch[from + i] / buf.numberOfChannels;
+  }
+  return makeClip(out, buf.sampleRate);
+}
+
+/** The clip without leading and trailing silence, so two clips line up at the first sound. */
+export function trimClip(clip) {
+  const { start, end } = detectSilence(clip, { pad: 0.05 });
+  return cutClip(clip, start, end);
+}
+
+/** Where dialogue line `i` sits in the lesson audio, or null without a cue. */
+export function lineRange(cues, i, duration) {
+  const cue = cues?.[i];
+  if (!cue) return null;
+  const end = cue.end ?? cues[i + 1]?.start ?? duration;
+  return end > cue.start ? { start: cue.start, end: Math.min(end, duration) } : null;
+}
+
+const decoded = new Map();
+
+/** Decoded lesson audio, fetched once per URL. @returns {Promise<AudioBuffer>} */
+export function loadReference(src) {
+  if (!decoded.has(src)) {
+    const p = fetch(src)
+      .then((r) => {
+        if (!r.ok) throw new Error(`HTTP ${r.status}`);
+        return r.blob();
+      })
+      .then(decodeAudio);
+    p.catch(() => decoded.delete(src));
+    decoded.set(src, p);
+  }
+  return decoded.get(src);
+}
+
+/**
+ * Loudest sample in each of `bins` equal slices, scaled so the clip's
+ * loudest slice is 1.
+ * @param {Clip} clip
+ */
+export function envelope(clip, bins = 300) {
+  const data = clip.getChannelData();
+  const out = new Float32Array(bins);
+  const per = data.length / bins;
+  let max = 0;
+  for (let b = 0; b < bins; b++) {
+    let peak = 0;
+    for (let i = Math.floor(b * per), end = Math.floor((b + 1) * per); i < end; i++) peak = Math.max(peak, Math.abs(data[i]));
+    out[b] = peak;
+    max = Math.max(max, peak);
+  }
+  if (max > 0) for (let b = 0; b < bins; b++) out[b] /= max;
+  return out;
+}
+
+/**
+ * Pitch every `step` seconds in Hz, null where the frame is quiet or
+ * unvoiced. Normalised autocorrelation over a 40 ms window of the clip
+ * downsampled to ~11 kHz, then a 3-frame median to drop octave spikes.
+ * @param {Clip} clip
+ * @returns {(number|null)[]}
+ */
+export function pitchContour(clip, step = 0.01) {
+  const src = clip.getChannelData();
+  const factor = Math.max(1, Math.floor(clip.sampleRate / 11025));
+  const rate = clip.sampleRate / factor;
+  const x = new Float32Array(Math.floor(src.length / factor));
+  for (let i = 0; i < x.length; i++) {
+    let s = 0;
+    for (let j = 0; j < factor; j++) s += src[i * factor + j];
+    x[i] = s / factor;
+  }
+  const win = Math.round(rate * 0.04);
+  const hop = Math.max(1, Math.round(rate * step));
+  const minLag = Math.floor(rate / MAX_HZ);
+  const maxLag = Math.ceil(rate / MIN_HZ);
+
+  const frames = [];
+  let loudest = 0;
+  for (let at = 0; at + win + maxLag <= x.length; at += hop) {
+    let e = 0;
+    for (let j = 0; j < win; j++) e += x[at + j] * x[at + j];
+    const rms = Math.sqrt(e / win);
+    frames.push({ at, rms });
+    loudest = Math.max(loudest, rms);
+  }
+
+  const raw = frames.map(({ at, rms }) => {
+    if (rms < loudest * 0.1) return null;
+    const r = new Float32Array(maxLag + 1);
+    let best = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      let xy = 0, xx = 0, yy = 0;
+      for (let j = 0; j < win; j++) {
+        const a = x[at + j], b = x[at + j + lag];
+        xy += a * b; xx += a * a; yy += b * b;
+      }
+      r[lag] = xx && yy ? xy / Math.sqrt(xx * yy) : 0;
+      best = Math.max(best, r[lag]);
+    }
+    if (best < 0.6) return null;
+    // the shortest lag that's nearly as good as the best one: avoids picking a multiple of the period
+    for (let lag = minLag + 1; lag < maxLag; lag++) {
+      if (r[lag] >= best * 0.9 && r[lag] >= r[lag - 1] && r[lag] >= r[lag + 1]) return rate / lag;
+    }
+    return null;
+  });
+
+  return raw.map((v, i) => {
+    const around = [raw[i - 1], v, raw[i + 1]].filter((n) => n != null);
+    if (v == null || around.length < 2) return v;
+    return around.sort((a, b) => a - b)[around.length === 3 ? 1 : 0];
+  });
+}
+
+/** Semitones above or below the contour's own median, so voices of any range compare. */
+export function relativeSemitones(contour) {
+  const voiced = contour.filter((v) => v != null).sort((a, b) => a - b);
+  if (!voiced.length) return contour.map(() => null);
+  const median = voiced[Math.floor(voiced.length / 2)];
+  return contour.map((v) => (v == null ? null : 12 * Math.log2(v / median)));
+}
+
+function resampleVoiced(semis, n) {
+  const voiced = semis.filter((v) => v != null);
+  if (voiced.length < n) return voiced;
+  return Array.from({ length: n }, (_, i) => voiced[Math.floor((i * voiced.length) / n)]);
+}
+
+/**
+ * How alike two pitch shapes are, 0–1 (null if either has too little voice).
+ * Compares relative-semitone contours with dynamic time warping, so speaking
+ * faster or slower doesn't count against the learner.
+ */
+export function pitchMatch(a, b) {
+  const x = resampleVoiced(relativeSemitones(a), 60);
+  const y = resampleVoiced(relativeSemitones(b), 60);
+  if (x.length < 5 || y.length < 5) return null;
+  let prev = new Float64Array(y.length + 1).fill(Infinity);
+  let prevLen = new Float64Array(y.length + 1);
+  prev[0] = 0;
+  for (let i = 1; i <= x.length; i++) {
+    const cur = new Float64Array(y.length + 1).fill(Infinity);
+    const curLen = new Float64Array(y.length + 1);
+    for (let j = 1; j <= y.length; j++) {
+      const steps = [[prev[j - 1], prevLen[j - 1]], [prev[j], prevLen[j]], [cur[j - 1], curLen[j - 1]]];
+      const [cost, len] = steps.reduce((m, s) => (s[0] < m[0] ? s : m));
+      cur[j] = cost + Math.abs(x[i - 1] - y[j - 1]);
+      curLen[j] = len + 1;
+    }
+    prev = cur;
+    prevLen = curLen;
+  }
+  // an average gap of 5 semitones or more is no match at all
+  const avg = prev[y.length] / prevLen[y.length];
+  return Math.max(0, Math.min(1, 1 - avg / 5));
+}
+
+/**
+ * Play clips one after another with a short pause between them.
+ * @param {Clip[]} clips
+ * @returns {{ stop: () => void; done: Promise<void> }}
+ */
+export function playClips(clips, gap = 0.4) {
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  const ctx = new Ctx();
+  let at = ctx.currentTime + 0.05;
+  let last = null;
+  for (const clip of clips) {
+    if (!clip?.length) continue;
+    const buffer = ctx.createBuffer(1, clip.length, clip.sampleRate);
+    buffer.copyToChannel(clip.getChannelData(), 0);
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.connect(ctx.destination);
+    node.start(at);
+    at += clip.duration + gap;
+    last = node;
+  }
+  let finish = () => {};
+  const done = new Promise((resolve) => {
+    finish = resolve;
+    if (!last) resolve();
+    else last.onended = () => resolve();
+  }).finally(() => ctx.close().catch(() => {}));
+  return { stop: () => finish(), done };
+}
@@ -0,0 +1,230 @@
+// src/lib/qr.js
+
+/**
+ * A small QR code encoder for the links printed on handouts: byte mode,
+ * error correction level M (survives ~15% damage), versions 1–10, which is
+ * up to 213 bytes of UTF-8 — plenty for a lesson URL. Follows ISO/IEC 18004;
+ * the mask is picked by the standard's penalty score.
+ */
+
+// [data codewords per block, blocks] for each version at level M, and ECC codewords per block
+const BLOCKS_M = [
+  null,
+  { ecc: 10, groups: [[16, 1]] },
+  { ecc: 16, groups: [[28, 1]] },
+  { ecc: 26, groups: [[44, 1]] },
+  { ecc: 18, groups: [[32, 2]] },
+  { ecc: 24, groups: [[43, 2]] },
+  { ecc: 16, groups: [[27, 4]] },
+  { ecc: 18, groups: [[31, 4]] },
+  { ecc: 22, groups: [[38, 2], [39, 2]] },
+  { ecc: 22, groups: [[36, 3], [37, 2]] },
+  { ecc: 26, groups: [[43, 4], [44, 1]] },
+];
+const ALIGNMENT = [null, [], [6, 18], [6, 22], [6, 26], [6, 30], [6, 34], [6, 22, 38], [6, 24, 42], [6, 26, 46], [6, 28, 50]];
+const MAX_VERSION = 10;
+const LEVEL_M = 0; // format bits for level M
+
+// GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+const EXP = new Uint8Array(512);
+const LOG = new Uint8Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  EXP[i] = EXP[i + 255] = x;
+  LOG[x] = i;
+  x = (x << 1) ^ (x & 0x80 ? 0x11d : 0);
+}
+const mul = (a, b) => (a && b ? EXP[LOG[a] + LOG[b]] : 0);
+
+/** Reed–Solomon error correction codewords for one block. */
+function reedSolomon(data, degree) {
+  let gen = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(gen.length + 1).fill(0);
+    gen.forEach((c, j) => { next[j] ^= c; next[j + 1] ^= mul(c, EXP[i]); });
+    gen = next;
+  }
+  const rem = [...data, ...new Array(degree).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const coef = rem[i];
+    if (coef) gen.forEach((g, j) => { rem[i + j] ^= mul(g, coef); });
+  }
+  return rem.slice(data.length);
+}
+
+const dataCapacity = (version) => BLOCKS_M[version].groups.reduce((n, [len, count]) => n + len * count, 0);
+
+/** Mode, length, bytes, terminator and padding, as data codewords. */
+function encodeData(bytes, version) {
+  const bits = [];
+  const put = (value, length) => { for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1); };
+  put(0b0100, 4);
+  put(bytes.length, version < 10 ? 8 : 16);
+  for (const b of bytes) put(b, 8);
+  const capacity = dataCapacity(version) * 8;
+  put(0, Math.min(4, capacity - bits.length));
+  put(0, (8 - (bits.length % 8)) % 8);
+  const out = [];
+  for (let i = 0; i < bits.length; i += 8) out.push(bits.slice(i, i + 8).reduce((n, b) => (n << 1) | b, 0));
+  for (let pad = 0xec; out.length < capacity / 8; pad ^= 0xec ^ 0x11) out.push(pad);
+  return out;
+}
+
+/** Split into blocks, add error correction, interleave. */
+function codewords(data, version) {
+  const { ecc, groups } = BLOCKS_M[version];
+  const blocks = [];
+  let at = 0;
+  for (const [len, count] of groups) {
+    for (let i = 0; i < count; i++) { blocks.push(data.slice(at, at + len)); at += len; }
+  }
+  const eccs = blocks.map((b) => reedSolomon(b, ecc));
+  const out = [];
+  const longest = Math.max(...blocks.map((b) => b.length));
+  for (let i = 0; i < longest; i++) for (const b of blocks) if (i < b.length) out.push(b[i]);
+  for (let i = 0; i < ecc; i++) for (const e of eccs) out.push(e[i]);
+  return out;
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+/** BCH remainder of `value` by `poly` (degree `degree`), appended. */
+function bch(value, poly, degree) {
+  let rem = value;
+  for (let i = 0; i < degree; i++) rem = (rem << 1) ^ ((rem >>> (degree - 1)) & 1 ? poly : 0);
+  return (value << degree) | (rem & ((1 << degree) - 1));
+}
+
+function buildMatrix(version, words, mask) {
+  const size = version * 4 + 17;
+  const dark = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fixed = Array.from({ length: size }, () => new Array(size).fill(false));
+  const set = (x, y, on) => { dark[y][x] = on; fixed[y][x] = true; };
+
+  for (let i = 0; i < size; i++) { set(6, i, i % 2 === 0); set(i, 6, i % 2 === 0); }
+  for (const [cx, cy] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+    for (let dy = -4; dy <= 4; dy++) {
+      for (let dx = -4; dx <= 4; dx++) {
+        const x = cx + dx, y = cy + dy;
+        const ring = Math.max(Math.abs(dx), Math.abs(dy));
+        if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, ring !== 2 && ring !== 4);
+      }
+    }
+  }
+  const align = ALIGNMENT[version];
+  const last = align.length - 1;
+  align.forEach((cx, i) => align.forEach((cy, j) => {
+    if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+    for (let dy = -2; dy <= 2; dy++) for (let dx = -2; dx <= 2; dx++) set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+  }));
+
+  const format = bch((LEVEL_M << 3) | mask, 0x537, 10) ^ 0x5412;
+  const bit = (v, i) => ((v >>> i) & 1) === 1;
+  for (let i = 0; i <= 5; i++) set(8, i, bit(format, i));
+  set(8, 7, bit(format, 6));
+  set(8, 8, bit(format, 7));
+  set(7, 8, bit(format, 8));
+  for (let i = 9; i < 15; i++) set(14 - i, 8, bit(format, i));
+  for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bit(format, i));
+  for (let i = 8; i < 15; i++) set(8, size - 15 + i, bit(format, i));
+  set(8, size - 8, true);
+  if (version >= 7) {
+    const info = bch(version, 0x1f25, 12);
+    for (let i = 0; i < 18; i++) {
+      const a = size - 11 + (i % 3), b = Math.floor(i / 3);
+      set(a, b, bit(info, i));
+      set(b, a, bit(info, i));
+    }
+  }
+
+  // data, two columns at a time from the right, snaking up and down
+  let i = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((right + 1) & 2) === 0;
+    for (let v = 0; v < size; v++) {
+      const y = upward ? size - 1 - v : v;
+      for (let j = 0; j < 2; j++) {
+        const x = right - j;
+        if (fixed[y][x]) continue;
+        const on = i < words.length * 8 && bit(words[i >>> 3], 7 - (i & 7));
+        i++;
+        dark[y][x] = on !== MASKS[mask](x, y);
+      }
+    }
+  }
+  return dark;
+}
+
+/** The standard's penalty: runs, 2×2 blocks, finder look-alikes, dark/light balance. */
+function penalty(m) {
+  const size = m.length;
+  let score = 0;
+  const lines = [m, m.map((_, x) => m.map((row) => row[x]))];
+  for (const grid of lines) {
+    for (const row of grid) {
+      let run = 1;
+      for (let x = 1; x <= size; x++) {
+        if (x < size && row[x] === row[x - 1]) { run++; continue; }
+        if (run >= 5) score += run - 2;
+        run = 1;
+      }
+      const s = row.map((d) => (d ? 1 : 0)).join("");
+      for (const p of ["10111010000", "00001011101"]) for (let at = s.indexOf(p); at !== -1; at = s.indexOf(p, at + 1)) score += 40;
+    }
+  }
+  let darkCount = 0;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (m[y][x]) darkCount++;
+      if (x < size - 1 && y < size - 1 && m[y][x] === m[y][x + 1] && m[y][x] === m[y + 1][x] && m[y][x] === m[y + 1][x + 1]) score += 3;
+    }
+  }
+  const total = size * size;
+  score += Math.max(0, Math.ceil(Math.abs(darkCount * 20 - total * 10) / total) - 1) * 10;
+  return score;
+}
+
+/**
+ * Modules of the QR code for `text`, row by row (true = dark), without the
+ * quiet zone.
+ * @param {string} text
+ * @returns {boolean[][]}
+ */
+export function qrMatrix(text) {
+  const bytes = new TextEncoder().encode(text);
+  let version = 1;
+  while (version <= MAX_VERSION && 4 + (version < 10 ? 8 : 16) + bytes.length * 8 > dataCapacity(version) * 8) version++;
+  if (version > MAX_VERSION) throw new Error(`Too long for a QR code (${bytes.length} bytes)`);
+  const words = codewords(encodeData(bytes, version), version);
+  let best = null, bestScore = Infinity;
+  for (let mask = 0; mask < MASKS.length; mask++) {
+    const m = buildMatrix(version, words, mask);
+    const score = penalty(m);
+    if (score < bestScore) { best = m; bestScore = score; }
+  }
+  return best;
+}
+
+/**
+ * The QR code as an SVG element string, with the 4-module quiet zone.
+ * @param {string} text
+ * @param {{ title?: string }} [opts] accessible name
+ */
+export function qrSvg(text, { title = "" } = {}) {
+  const m = qrMatrix(text);
+  const size = m.length + 8;
+  let d = "";
+  m.forEach((row, y) => row.forEach((on, x) => { if (on) d += `M${x + 4} ${y + 4}h1v1h-1z`; }));
+  const esc = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img"${title ? ` aria-label="${esc(title)}"` : ""}>`
+    + `<rect width="${size}" height="${size}" fill="#fff"/><path d="${d}" fill="#000"/></svg>`;
+}
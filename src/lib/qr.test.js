@@ -0,0 +1,185 @@
+// src/lib/qr.test.js
+import { describe, expect, it } from "vitest";
+import { qrMatrix, qrSvg } from "./qr.js";
+
+// Read back per ISO/IEC 18004, independently of qr.js: function patterns,
+// format and version information, then the data in its zigzag order.
+
+// level M: [data codewords per block, blocks], ECC codewords per block
+const BLOCKS = {
+  1: { ecc: 10, groups: [[16, 1]] },
+  2: { ecc: 16, groups: [[28, 1]] },
+  3: { ecc: 26, groups: [[44, 1]] },
+  5: { ecc: 24, groups: [[43, 2]] },
+  7: { ecc: 18, groups: [[31, 4]] },
+  8: { ecc: 22, groups: [[38, 2], [39, 2]] },
+  10: { ecc: 26, groups: [[43, 4], [44, 1]] },
+};
+const ALIGNMENT = { 1: [], 2: [6, 18], 3: [6, 22], 5: [6, 30], 7: [6, 22, 38], 8: [6, 24, 42], 10: [6, 28, 50] };
+
+// format information for level M, masks 0–7, before reading the mask out
+const FORMAT_M = [0x5412, 0x5125, 0x5e7c, 0x5b4b, 0x45f9, 0x40ce, 0x4f97, 0x4aa0];
+const VERSION_INFO = { 7: 0x07c94, 8: 0x085bc, 10: 0x0a4d3 };
+
+const MASKS = [
+  (r, c) => (r + c) % 2 === 0,
+  (r) => r % 2 === 0,
+  (r, c) => c % 3 === 0,
+  (r, c) => (r + c) % 3 === 0,
+  (r, c) => (Math.floor(r / 2) + Math.floor(c / 3)) % 2 === 0,
+  (r, c) => ((r * c) % 2) + ((r * c) % 3) === 0,
+  (r, c) => (((r * c) % 2) + ((r * c) % 3)) % 2 === 0,
+  (r, c) => (((r + c) % 2) + ((r * c) % 3)) % 2 === 0,
+];
+
+const bitsOf = (m, cells) => cells.reduce((n, [r, c]) => (n << 1) | (m[r][c] ? 1 : 0), 0);
+
+/** The two copies of the format information, most significant bit first. */
+function formatInfo(m) {
+  const size = m.length;
+  const first = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  const second = [];
+  for (let i = 0; i < 7; i++) second.push([size - 1 - i, 8]);
+  for (let i = 0; i < 8; i++) second.push([8, size - 8 + i]);
+  return [bitsOf(m, first), bitsOf(m, second)];
+}
+
+/** The two copies of the version information (18 bits, most significant first). */
+function versionInfo(m) {
+  const size = m.length;
+  const below = [], right = [];
+  for (let i = 17; i >= 0; i--) {
+    below.push([size - 11 + (i % 3), Math.floor(i / 3)]);
+    right.push([Math.floor(i / 3), size - 11 + (i % 3)]);
+  }
+  return [bitsOf(m, below), bitsOf(m, right)];
+}
+
+function functionModules(version) {
+  const size = version * 4 + 17;
+  const taken = Array.from({ length: size }, () => new Array(size).fill(false));
+  const fill = (r0, c0, h, w) => { for (let r = r0; r < r0 + h; r++) for (let c = c0; c < c0 + w; c++) taken[r][c] = true; };
+  fill(0, 0, 9, 9); // finder, separator, format
+  fill(0, size - 8, 9, 8);
+  fill(size - 8, 0, 8, 9);
+  fill(6, 0, 1, size); // timing
+  fill(0, 6, size, 1);
+  const align = ALIGNMENT[version];
+  const last = align.length - 1;
+  align.forEach((r, i) => align.forEach((c, j) => {
+    // all combinations except the three under the finder patterns
+    if (!(i === 0 && (j === 0 || j === last)) && !(i === last && j === 0)) fill(r - 2, c - 2, 5, 5);
+  }));
+  if (version >= 7) { fill(size - 11, 0, 3, 6); fill(0, size - 11, 6, 3); }
+  return taken;
+}
+
+/** All codewords in placement order, unmasked. */
+function readCodewords(m, version, mask) {
+  const size = m.length;
+  const taken = functionModules(version);
+  const bits = [];
+  let up = true;
+  for (let right = size - 1; right > 0; right -= 2) {
+    if (right === 6) right--; // skip the vertical timing pattern
+    for (let v = 0; v < size; v++) {
+      const r = up ? size - 1 - v : v;
+      for (const c of [right, right - 1]) if (!taken[r][c]) bits.push(m[r][c] !== MASKS[mask](r, c));
+    }
+    up = !up;
+  }
+  const words = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) words.push(bits.slice(i, i + 8).reduce((n, b) => (n << 1) | (b ? 1 : 0), 0));
+  return words;
+}
+
+/** Undo the interleaving: data and ECC codewords per block. */
+function deinterleave(words, version) {
+  const { ecc, groups } = BLOCKS[version];
+  const lengths = groups.flatMap(([len, count]) => new Array(count).fill(len));
+  const blocks = lengths.map(() => ({ data: [], ecc: [] }));
+  let at = 0;
+  for (let i = 0; i < Math.max(...lengths); i++) blocks.forEach((b, j) => { if (i < lengths[j]) b.data.push(words[at++]); });
+  for (let i = 0; i < ecc; i++) for (const b of blocks) b.ecc.push(words[at++]);
+  return blocks;
+}
+
+// GF(256) for checking the Reed–Solomon syndromes
+const EXP = [], LOG = [];
+for (let i = 0, x = 1; i < 255; i++) { EXP[i] = x; LOG[x] = i; x = (x << 1) ^ (x & 0x80 ? 0x11d : 0); }
+const mul = (a, b) => (a && b ? EXP[(LOG[a] + LOG[b]) % 255] : 0);
+/** A valid codeword evaluates to 0 at α^0 … α^(ecc-1). */
+function syndromes(codeword, ecc) {
+  return Array.from({ length: ecc }, (_, i) => codeword.reduce((s, c) => mul(s, EXP[i]) ^ c, 0));
+}
+
+function decode(m) {
+  const version = (m.length - 17) / 4;
+  const [format, formatCopy] = formatInfo(m);
+  const mask = FORMAT_M.indexOf(format);
+  const blocks = deinterleave(readCodewords(m, version, mask), version);
+  const data = blocks.flatMap((b) => b.data);
+  const bits = data.flatMap((w) => [7, 6, 5, 4, 3, 2, 1, 0].map((i) => (w >>> i) & 1));
+  const take = (n) => bits.splice(0, n).reduce((v, b) => (v << 1) | b, 0);
+  const mode = take(4);
+  const length = take(version < 10 ? 8 : 16);
+  const bytes = Array.from({ length }, () => take(8));
+  return { version, format, formatCopy, mask, blocks, data, mode, text: new TextDecoder().decode(new Uint8Array(bytes)), bytes: length };
+}
+
+describe("qrMatrix", () => {
+  it.each([
+    [1, 14],
+    [5, 84],
+    [7, 122],
+    [8, 140],
+    [10, 213],
+  ])("encodes a version %i code that reads back", (version, length) => {
+    const text = `https://example.org/#/lesson/${"x".repeat(length)}`.slice(0, length);
+    const m = qrMatrix(text);
+    expect(m).toHaveLength(version * 4 + 17);
+    const d = decode(m);
+    expect(d.version).toBe(version);
+    expect(d.mode).toBe(0b0100); // byte mode
+    expect(d.text).toBe(text);
+    for (const b of d.blocks) expect(syndromes([...b.data, ...b.ecc], b.ecc.length).every((s) => s === 0)).toBe(true);
+  });
+
+  it("writes level M format information, twice, with the mask it used", () => {
+    for (const text of ["a", "https://example.org/#/lesson/greetings", "សួស្តី"]) {
+      const d = decode(qrMatrix(text));
+      expect(FORMAT_M).toContain(d.format);
+      expect(d.formatCopy).toBe(d.format);
+      expect(d.text).toBe(text);
+    }
+  });
+
+  it("pads with 0xEC 0x11 after the terminator", () => {
+    const d = decode(qrMatrix("hi"));
+    // mode + length + 2 bytes + terminator = 4 codewords, then padding to 16
+    expect(d.data.slice(4)).toEqual([0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11, 0xec, 0x11]);
+  });
+
+  it.each([7, 8, 10])("writes the version information of version %i", (version) => {
+    const length = { 7: 122, 8: 140, 10: 213 }[version];
+    const m = qrMatrix("x".repeat(length));
+    expect(versionInfo(m)).toEqual([VERSION_INFO[version], VERSION_INFO[version]]);
+  });
+
+  it("picks the smallest version that fits", () => {
+    expect(qrMatrix("x".repeat(14))).toHaveLength(21);
+    expect(qrMatrix("x".repeat(15))).toHaveLength(25);
+  });
+
+  it("refuses text past version 10", () => {
+    expect(() => qrMatrix("x".repeat(214))).toThrow(/Too long/);
+  });
+});
+
+describe("qrSvg", () => {
+  it("adds the quiet zone and an escaped accessible name", () => {
+    const svg = qrSvg("a", { title: "Lesson \"1\" & more" });
+    expect(svg).toContain('viewBox="0 0 29 29"');
+    expect(svg).toContain('aria-label="Lesson &quot;1&quot; &amp; more"');
+  });
+});
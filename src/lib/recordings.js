@@ -0,0 +1,46 @@
+// src/lib/recordings.js
+import { idbStore } from "./idb.js";
+
+/**
+ * Learner recordings for pronunciation practice.
+ * - Kept in IndexedDB on this device only (khmer_recordings), one record per
+ *   take, looked up by learner + lesson + transcript line.
+ * - Only the last MAX_TAKES takes of a line are kept.
+ */
+
+/** @typedef {{ id: string; lineKey: string; blob: Blob; type: string; duration: number; createdAt: number }} Take */
+
+export const MAX_TAKES = 5;
+const tx = idbStore("khmer_recordings", "takes", (db) => {
+  const store = db.createObjectStore("takes", { keyPath: "id" });
+  store.createIndex("lineKey", "lineKey");
+});
+
+const lineKey = (userId, lessonId, line) => `${userId}|${lessonId}|${line}`;
+
+/** Takes for one line, newest first. @returns {Promise<Take[]>} */
+export async function listTakes(userId, lessonId, line) {
+  const takes = await tx("readonly", (s) => s.index("lineKey").getAll(lineKey(userId, lessonId, line)));
+  return (takes || []).sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/** Store a take and drop the oldest beyond MAX_TAKES. @returns {Promise<Take>} */
+export async function saveTake(userId, lessonId, line, blob, duration) {
+  /** @type{Take} */
+  const take = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    lineKey: lineKey(userId, lessonId, line),
+    blob,
+    type: blob.type,
+    duration,
+    createdAt: Date.now(),
+  };
+  await tx("readwrite", (s) => s.put(take));
+  const old = (await listTakes(userId, lessonId, line)).slice(MAX_TAKES);
+  if (old.length) await tx("readwrite", (s) => { old.forEach((t) => s.delete(t.id)); });
+  return take;
+}
+
+export function deleteTake(id) {
+  return tx("readwrite", (s) => s.delete(id));
+}
@@ -0,0 +1,86 @@
+// src/lib/revisions.js
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Lesson editing history.
+ * - Revisions: every save keeps the version it replaced, in the lesson
+ *   repository (lessonRepository.revisions). lessonChanges() lists what
+ *   differs between two versions, line by line for the long text fields.
+ * - Autosave: the editor's unsaved form, kept in this browser per lesson
+ *   ("new" for a lesson not saved yet) until it is saved or discarded.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {{ op: "same"|"add"|"del"; text: string }} LineDiff */
+/** @typedef {{ field: string; before: any; after: any; lines?: LineDiff[] }} FieldChange */
+
+export const MAX_REVISIONS = 20;
+
+// the fields an editor edits; derived ones (dialogue, words, quiz) follow from these
+// (labelled by the "field.<name>" messages)
+export const EDITABLE_FIELDS = [
+  "title", "status", "level", "script", "topic", "description",
+  "transcript", "vocabulary", "exercises", "audioUrl", "cues", "cuesUrl",
+];
+const MULTILINE = new Set(["transcript", "vocabulary", "exercises"]);
+
+/**
+ * Line diff (longest common subsequence).
+ * @returns {LineDiff[]}
+ */
+export function diffLines(a = "", b = "") {
+  const x = String(a).split("\n");
+  const y = String(b).split("\n");
+  // lcs[i][j]: common lines of x[i..] and y[j..]
+  const lcs = Array.from({ length: x.length + 1 }, () => new Array(y.length + 1).fill(0));
+  for (let i = x.length - 1; i >= 0; i--) {
+    for (let j = y.length - 1; j >= 0; j--) {
+      lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+  /** @type{LineDiff[]} */
+  const out = [];
+  let i = 0, j = 0;
+  while (i < x.length || j < y.length) {
+    if (i < x.length && j < y.length && x[i] === y[j]) { out.push({ op: "same", text: x[i] }); i++; j++; }
+    else if (j < y.length && (i >= x.length || lcs[i][j + 1] >= lcs[i + 1][j])) { out.push({ op: "add", text: y[j] }); j++; }
+    else { out.push({ op: "del", text: x[i] }); i++; }
+  }
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+/**
+ * What changed from `before` to `after`, in editor field order.
+ * @param {Partial<Lesson>} before
+ * @param {Partial<Lesson>} after
+ * @returns {FieldChange[]}
+ */
+export function lessonChanges(before, after) {
+  return EDITABLE_FIELDS
+    .filter((field) => !same(before[field], after[field]))
+    .map((field) => ({
+      field,
+      before: before[field],
+      after: after[field],
+      ...(MULTILINE.has(field) ? { lines: diffLines(before[field] || "", after[field] || "") } : {}),
+    }));
+}
+
+// ===== Autosave =====
+const AUTOSAVE_KEY = "khmer_editor_autosave_v1";
+
+/** @returns {{ lesson: Lesson; savedAt: number }|null} */
+export function loadAutosave(key) {
+  return readJSON(AUTOSAVE_KEY, {})[key] || null;
+}
+
+export function saveAutosave(key, lesson) {
+  writeJSON(AUTOSAVE_KEY, { ...readJSON(AUTOSAVE_KEY, {}), [key]: { lesson, savedAt: Date.now() } });
+}
+
+export function clearAutosave(key) {
+  const { [key]: _, ...rest } = readJSON(AUTOSAVE_KEY, {});
+  writeJSON(AUTOSAVE_KEY, rest);
+}
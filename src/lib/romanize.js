@@ -0,0 +1,266 @@
+// src/lib/romanize.js
+import { useEffect, useState } from "react";
+import { COENG, canonicalKhmer } from "./khmer.js";
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * Khmer → Latin transliteration.
+ * - Two systems: UNGEGN (the official geographic-names system: the two
+ *   consonant series show in the vowels, "ជំរាបសួរ" → "chumréabsuŏr") and
+ *   ALA-LC (library transliteration, letter by letter: "jaṃrāpsuar").
+ * - Text is split into orthographic syllables: initial consonant with its
+ *   subscripts, register shifter, vowel, signs, and a final consonant when the
+ *   next consonant carries no vowel of its own. Subscripts always open a new
+ *   syllable, so "សួស្ដី" reads suŏ + sdei; the letters come out the same.
+ * - A subscript that isn't a sonorant decides the series (ស្ពាន → spéan);
+ *   MUUSIKATOAN/TRIISAP override it.
+ * - asciiRomanization() drops the diacritics, which is what lessons use for
+ *   hand-typed "(suosdei)" notes and what search matches against.
+ */
+
+/** @typedef {"ungegn"|"alalc"} RomanizationSystem */
+
+export const ROMANIZATION_SYSTEMS = /** @type{const} */ ({ ungegn: "UNGEGN", alalc: "ALA-LC" });
+
+// U+1780–U+17A2: [UNGEGN, ALA-LC, series]
+const CONSONANTS = [
+  ["k", "k", 1], ["kh", "kh", 1], ["k", "g", 2], ["kh", "gh", 2], ["ng", "ṅ", 2], // ក ខ គ ឃ ង
+  ["ch", "c", 1], ["chh", "ch", 1], ["ch", "j", 2], ["chh", "jh", 2], ["nh", "ñ", 2], // ច ឆ ជ ឈ ញ
+  ["d", "ṭ", 1], ["th", "ṭh", 1], ["d", "ḍ", 2], ["th", "ḍh", 2], ["n", "ṇ", 1], // ដ ឋ ឌ ឍ ណ
+  ["t", "t", 1], ["th", "th", 1], ["t", "d", 2], ["th", "dh", 2], ["n", "n", 2], // ត ថ ទ ធ ន
+  ["b", "p", 1], ["ph", "ph", 1], ["p", "b", 2], ["ph", "bh", 2], ["m", "m", 2], // ប ផ ព ភ ម
+  ["y", "y", 2], ["r", "r", 2], ["l", "l", 2], ["v", "v", 2], // យ រ ល វ
+  ["s", "ś", 1], ["s", "ṣ", 1], ["s", "s", 1], ["h", "h", 1], ["l", "ḷ", 1], ["'", "\u02BC", 1], // ឝ ឞ ស ហ ឡ អ
+];
+const SONORANTS = new Set(["\u1784", "\u1789", "\u178E", "\u1793", "\u1798", "\u1799", "\u179A", "\u179B", "\u179C"]); // ង ញ ណ ន ម យ រ ល វ
+const QA = "\u17A2"; // អ, silent at the start of a word
+
+// U+17A3–U+17B3 independent vowels: [UNGEGN, ALA-LC]
+const INDEPENDENT = [
+  ["â", "a"], ["a", "ā"], ["ĕ", "i"], ["ei", "ī"], ["ŏ", "u"], ["ŏk", "uk"], ["u", "ū"], ["âu", "ūv"], // ឣ ឤ ឥ ឦ ឧ ឨ ឩ ឪ
+  ["rœ\u0306", "ṛ"], ["rœ", "ṝ"], ["lœ\u0306", "ḷ"], ["lœ", "ḹ"], ["ê", "e"], ["ai", "ai"], ["ao", "o"], ["ao", "o"], ["âu", "au"], // ឫ ឬ ឭ ឮ ឯ ឰ ឱ ឲ ឳ
+];
+
+// U+17B6–U+17C5 dependent vowels: [UNGEGN 1st series, UNGEGN 2nd series, ALA-LC]; "" is the inherent vowel
+const VOWELS = {
+  "": ["â", "ô", "a"],
+  "\u17B6": ["a", "éa", "ā"], // ា
+  "\u17B7": ["ĕ", "ĭ", "i"], // ិ
+  "\u17B8": ["ei", "i", "ī"], // ី
+  "\u17B9": ["œ\u0306", "œ\u0306", "ẏ"], // ឹ
+  "\u17BA": ["œ", "œ", "ȳ"], // ឺ
+  "\u17BB": ["ŏ", "ŭ", "u"], // ុ
+  "\u17BC": ["o", "u", "ū"], // ូ
+  "\u17BD": ["uŏ", "uŏ", "ua"], // ួ
+  "\u17BE": ["aeu", "eu", "oe"], // ើ
+  "\u17BF": ["œă", "œă", "ẏa"], // ឿ
+  "\u17C0": ["iĕ", "iĕ", "ia"], // ៀ
+  "\u17C1": ["é", "é", "e"], // េ
+  "\u17C2": ["ê", "ê", "ae"], // ែ
+  "\u17C3": ["ai", "ey", "ai"], // ៃ
+  "\u17C4": ["ao", "o", "o"], // ោ
+  "\u17C5": ["au", "ŏu", "au"], // ៅ
+};
+
+const NIKAHIT = "\u17C6", REAHMUK = "\u17C7", YUUKALEAKPINTU = "\u17C8";
+const MUUSIKATOAN = "\u17C9", TRIISAP = "\u17CA", BANTOC = "\u17CB", ROBAT = "\u17CC", TOANDAKHIAT = "\u17CD";
+const LEK_TOO = "\u17D7"; // ៗ repeats the word before it
+
+// UNGEGN vowels that change before ំ / ះ / ់, per series
+const UNGEGN_COMBOS = {
+  [NIKAHIT]: ["âm", "um"],
+  ["\u17B6" + NIKAHIT]: ["âm", "ŏâm"], // ាំ
+  ["\u17BB" + NIKAHIT]: ["om", "um"], // ុំ
+  ["\u17B6" + NIKAHIT + "\u1784"]: ["ă", "eă"], // ាំង, before the final ង
+  [REAHMUK]: ["ah", "eăh"],
+  ["\u17B6" + REAHMUK]: ["ah", "eăh"], // ាះ
+  ["\u17BB" + REAHMUK]: ["ŏh", "ŭh"], // ុះ
+  ["\u17C4" + REAHMUK]: ["aôh", "uŏh"], // ោះ
+  [BANTOC]: ["ă", "ŏ"], // inherent vowel before a final with ់
+  ["\u17B6" + BANTOC]: ["ă", "oă"], // ា before a final with ់
+};
+
+const PUNCTUATION = { "\u17D4": ".", "\u17D5": ".", "\u17D6": ":", "\u17D8": "...", "\u17DB": "\u17DB" };
+const ZERO_WIDTH = /\u200B|\u200C|\u200D|\u2060|\uFEFF/;
+
+const isConsonant = (c) => c >= "\u1780" && c <= "\u17A2";
+const isIndependent = (c) => c >= "\u17A3" && c <= "\u17B3";
+const isVowel = (c) => c >= "\u17B6" && c <= "\u17C5";
+const isSign = (c) => (c >= "\u17C6" && c <= "\u17D1") || c === "\u17D3" || c === "\u17DD";
+const consonant = (c) => CONSONANTS[c.charCodeAt(0) - 0x1780];
+
+/** @typedef {{ init: string; subs: string[]; shifter?: string; vowel: string; independent?: string; signs: string[]; final?: string; finalSubs: string[]; finalSigns: string[]; wordStart: boolean }} Syllable */
+
+/**
+ * Does the consonant at `i` close the syllable before it? It does unless it
+ * carries a vowel or sign, or the next consonant is the one closing (with ់).
+ * With subscripts it only does at the end of a word ("វត្ត" → vôtt).
+ */
+function isFinalAt(s, i) {
+  if (!isConsonant(s[i] || "")) return false;
+  const next = s[i + 1] || "";
+  if (next === BANTOC || next === TOANDAKHIAT) return true;
+  if (next === COENG) {
+    let j = i + 1;
+    while (s[j] === COENG && isConsonant(s[j + 1] || "")) j += 2;
+    const after = s[j] || "";
+    return !(after === COENG || isVowel(after) || isSign(after) || isConsonant(after) || isIndependent(after));
+  }
+  if (isConsonant(next) && s[i + 2] === BANTOC) return false;
+  return !(isVowel(next) || isSign(next));
+}
+
+/** @returns {(Syllable|string)[]} syllables, and plain text between them */
+function syllables(text) {
+  const s = canonicalKhmer(text);
+  /** @type{(Syllable|string)[]} */
+  const out = [];
+  let i = 0;
+  let wordStart = true;
+  while (i < s.length) {
+    const c = s[i];
+    if (!isConsonant(c) && !isIndependent(c)) {
+      out.push(c);
+      wordStart = c !== LEK_TOO;
+      i++;
+      continue;
+    }
+    /** @type{Syllable} */
+    const syl = { init: c, subs: [], vowel: "", signs: [], finalSubs: [], finalSigns: [], wordStart };
+    i++;
+    if (isIndependent(c)) syl.independent = c;
+    else {
+      while (s[i] === COENG && isConsonant(s[i + 1] || "")) { syl.subs.push(s[i + 1]); i += 2; }
+      if (s[i] === MUUSIKATOAN || s[i] === TRIISAP) syl.shifter = s[i++];
+      if (isVowel(s[i] || "")) syl.vowel = s[i++];
+    }
+    while (isSign(s[i] || "") && s[i] !== MUUSIKATOAN && s[i] !== TRIISAP) syl.signs.push(s[i++]);
+    // ំ and ះ close the syllable, except for the final ង in ាំង
+    const closed = syl.signs.includes(REAHMUK) || (syl.signs.includes(NIKAHIT) && !(syl.vowel === "\u17B6" && s[i] === "\u1784"));
+    if (!closed && isFinalAt(s, i)) {
+      syl.final = s[i++];
+      while (s[i] === COENG && isConsonant(s[i + 1] || "")) { syl.finalSubs.push(s[i + 1]); i += 2; }
+      while (isSign(s[i] || "")) syl.finalSigns.push(s[i++]);
+    }
+    out.push(syl);
+    wordStart = false;
+  }
+  return out;
+}
+
+function seriesOf(syl) {
+  if (syl.shifter === MUUSIKATOAN) return 1;
+  if (syl.shifter === TRIISAP) return 2;
+  const decisive = syl.subs.filter((c) => !SONORANTS.has(c)).pop();
+  return consonant(decisive || syl.init)[2];
+}
+
+function ungegnSyllable(syl) {
+  const finalSilent = syl.finalSigns.includes(TOANDAKHIAT);
+  const final = syl.final && !finalSilent ? [syl.final, ...syl.finalSubs].map((c) => consonant(c)[0]).join("") : "";
+  if (syl.independent) return INDEPENDENT[syl.independent.charCodeAt(0) - 0x17A3][0] + final;
+  const series = seriesOf(syl);
+  const onset = (syl.init === QA && syl.wordStart ? "" : consonant(syl.init)[0]) + syl.subs.map((c) => consonant(c)[0]).join("");
+  if (syl.signs.includes(TOANDAKHIAT)) return ""; // the whole letter is silent
+  const coda = syl.signs.includes(NIKAHIT) ? NIKAHIT : syl.signs.includes(REAHMUK) ? REAHMUK : syl.final && syl.finalSigns.includes(BANTOC) ? BANTOC : "";
+  let vowel = coda && (UNGEGN_COMBOS[syl.vowel + coda + (syl.final || "")] || UNGEGN_COMBOS[syl.vowel + coda])?.[series - 1];
+  if (!vowel) {
+    vowel = VOWELS[syl.vowel][series - 1];
+    if (coda === NIKAHIT) vowel += "m";
+    if (coda === REAHMUK) vowel += "h";
+  }
+  if (syl.signs.includes(YUUKALEAKPINTU)) vowel = series === 1 ? "ă" : "eă";
+  return onset + vowel + final;
+}
+
+function alalcSyllable(syl) {
+  const final = syl.final ? [syl.final, ...syl.finalSubs].map((c) => consonant(c)[1]).join("") : "";
+  const marks = (signs) => signs.map((c) => (c === NIKAHIT ? "ṃ" : c === REAHMUK || c === YUUKALEAKPINTU ? "ḥ" : c === ROBAT ? "r" : "")).join("");
+  if (syl.independent) return INDEPENDENT[syl.independent.charCodeAt(0) - 0x17A3][1] + marks(syl.signs) + final;
+  const onset = consonant(syl.init)[1] + syl.subs.map((c) => consonant(c)[1]).join("");
+  return onset + VOWELS[syl.vowel][2] + marks(syl.signs) + final + marks(syl.finalSigns);
+}
+
+/**
+ * Romanize Khmer text; anything that isn't Khmer passes through unchanged.
+ * Khmer digits become 0–9 and zero-width spaces between words become spaces.
+ * @param {string} text
+ * @param {RomanizationSystem} [system]
+ */
+export function romanize(text, system = "ungegn") {
+  const one = system === "alalc" ? alalcSyllable : ungegnSyllable;
+  let out = "";
+  let word = ""; // the last word, for ៗ
+  let newWord = true;
+  for (const part of syllables(String(text || ""))) {
+    if (typeof part !== "string") {
+      const r = one(part);
+      if (newWord) { word = ""; newWord = false; }
+      out += r; word += r;
+      continue;
+    }
+    newWord = true;
+    if (part === LEK_TOO) out += word ? ` ${word}` : "";
+    else if (part >= "\u17E0" && part <= "\u17E9") out += String(part.charCodeAt(0) - 0x17E0);
+    else if (PUNCTUATION[part]) out += PUNCTUATION[part];
+    else if (ZERO_WIDTH.test(part)) out += " ";
+    else out += part;
+  }
+  return out.replace(/ {2,}/g, " ");
+}
+
+/** Romanization without diacritics, e.g. for "(roman)" notes: "suŏsdei" → "suosdei". */
+export function asciiRomanization(text, system = "ungegn") {
+  return romanize(text, system)
+    .replace(/œ/g, "oe")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036F\u02BC]/g, "");
+}
+
+// ===== Authoring =====
+const KHMER_CHAR = /[\u1780-\u17FF]/;
+const TRAILING_ROMAN = /\([A-Za-z][A-Za-z' -]*\)\s*$/;
+const ENTRY_RE = /^(\s*(?:[-\u2022*]|\d+[.)])\s*)([\u1780-\u17FF\u200B]+(?: [\u1780-\u17FF\u200B]+)*)(?![\u1780-\u17FF\u200B]| [\u1780-\u17FF]|\s*\()/; // "- សួស្តី : …" without "(…)"
+const SPEAKER_RE = /^([^:\u17D6]{1,30}[:\u17D6]\s*)/;
+
+/**
+ * Add "(roman)" where a lesson's text has Khmer without one: after the
+ * headword of a vocabulary entry, at the end of a Khmer transcript line.
+ * @param {string} text
+ * @param {"vocabulary"|"transcript"} kind
+ * @returns {{ text: string; added: number }}
+ */
+export function fillRomanizations(text, kind) {
+  let added = 0;
+  const lines = String(text || "").split("\n").map((line) => {
+    if (kind === "vocabulary") {
+      const m = ENTRY_RE.exec(line);
+      if (!m) return line;
+      added++;
+      return `${m[1]}${m[2]} (${asciiRomanization(m[2]).trim()})${line.slice(m[0].length)}`;
+    }
+    const body = line.replace(SPEAKER_RE, "");
+    if (!KHMER_CHAR.test(body) || TRAILING_ROMAN.test(line) || /[A-Za-z]/.test(body)) return line;
+    added++;
+    return `${line.trimEnd()} (${asciiRomanization(body).replace(/[^A-Za-z' -]+/g, " ").replace(/\s+/g, " ").trim()})`;
+  });
+  return { text: lines.join("\n"), added };
+}
+
+// ===== Learner preference =====
+const PREF_KEY = "khmer_romanization_v1";
+
+/** "" (off), "ungegn" or "alalc", shared by every component showing Khmer. */
+export function useRomanization() {
+  const [system, setSystem] = useState(() => readJSON(PREF_KEY, ""));
+  useEffect(() => {
+    const reload = () => setSystem(readJSON(PREF_KEY, ""));
+    window.addEventListener("khmer-romanization", reload);
+    return () => window.removeEventListener("khmer-romanization", reload);
+  }, []);
+  const set = (next) => {
+    writeJSON(PREF_KEY, next);
+    window.dispatchEvent(new Event("khmer-romanization"));
+  };
+  return /** @type{[RomanizationSystem|"", (s: RomanizationSystem|"") => void]} */ ([system, set]);
+}
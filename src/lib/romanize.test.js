@@ -0,0 +1,40 @@
+// src/lib/romanize.test.js
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { asciiRomanization, romanize } from "./romanize.js";
+import corpus from "./romanize.corpus.json";
+
+// Words from public/lessons.json with their UNGEGN and ALA-LC forms, checked
+// by hand against the two systems' tables.
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8"));
+
+describe("romanization corpus", () => {
+  it("only has words from the lessons", () => {
+    for (const { km, lesson } of corpus) {
+      expect(JSON.stringify(lessons.find((L) => L.id === lesson)), km).toContain(km);
+    }
+  });
+
+  it.each(corpus)("UNGEGN: $km → $ungegn", ({ km, ungegn }) => {
+    expect(romanize(km)).toBe(ungegn);
+  });
+
+  it.each(corpus)("ALA-LC: $km → $alalc", ({ km, alalc }) => {
+    expect(romanize(km, "alalc")).toBe(alalc);
+  });
+});
+
+describe("romanize", () => {
+  it("passes other text through and converts digits and punctuation", () => {
+    expect(romanize("លេខ ១០។")).toBe("lékh 10.");
+    expect(romanize("Hello")).toBe("Hello");
+  });
+
+  it("repeats the word before ៗ", () => {
+    expect(romanize("ខ្លះៗ")).toBe("khlah khlah");
+  });
+
+  it("drops diacritics for ASCII notes", () => {
+    expect(asciiRomanization("ជំរាបសួរ")).toBe("chumreabsuor");
+  });
+});
@@ -0,0 +1,136 @@
+// src/lib/routes.js
+import { useEffect, useMemo, useState } from "react";
+
+/**
+ * Hash routes (GitHub Pages friendly), parsed and written in one place:
+ *
+ *   #/?q=greet&level=Beginner&script=Khmer   lesson list with its search and filters
+ *   #/lesson/:id                             lesson page
+ *   #/lesson/:id/line/12?t=42                …scrolled to line 12, audio cued at 0:42
+ *   #/lesson/:id?draft                       a draft, for admins
+ *   #/course/:id  #/review[/:id]  #/progress  #/offline
+ *   #/classes  #/class/:id                   joined classes; a class's report, for its tutor
+ *
+ * Lines are numbered from 1, as shown. Typing in the search replaces the
+ * history entry instead of adding one. Going back or forward restores the
+ * page's scroll position; following a link starts at the top. A hash that
+ * can't be parsed shows the lesson list.
+ */
+
+/** @typedef {"home"|"lesson"|"course"|"review"|"progress"|"offline"|"classes"|"class"} Page */
+/** @typedef {{
+ *  page: Page;
+ *  id?: string;
+ *  line?: number;     // 1-based transcript line
+ *  t?: number;        // seconds into the lesson audio
+ *  draft?: boolean;
+ *  q?: string;
+ *  level?: string;
+ *  script?: string;
+ * }} Route */
+
+const PAGES = ["lesson", "course", "review", "progress", "offline", "classes", "class"];
+const QUERY = { home: ["q", "level", "script"], lesson: ["t", "draft"] };
+
+/** @returns {Route} */
+export function parseRoute(hash = "") {
+  const [path, query = ""] = hash.replace(/^#/, "").split("?");
+  const [, page = "", id, sub, subId] = path.split("/");
+  const params = new URLSearchParams(query);
+  if (!PAGES.includes(page)) {
+    /** @type{Route} */
+    const home = { page: "home" };
+    for (const k of QUERY.home) if (params.get(k)) home[k] = params.get(k);
+    return home;
+  }
+  /** @type{Route} */
+  const route = { page: /** @type{Page} */ (page) };
+  if (id) {
+    try {
+      route.id = decodeURIComponent(id);
+    } catch {
+      return { page: "home" }; // malformed escape, e.g. a truncated link "#/lesson/%E0"
+    }
+  }
+  if (page === "lesson") {
+    const line = Number(subId);
+    if (sub === "line" && Number.isInteger(line) && line > 0) route.line = line;
+    const t = Number(params.get("t"));
+    if (params.get("t") && Number.isFinite(t) && t >= 0) route.t = t;
+    if (params.has("draft")) route.draft = true;
+  }
+  return route;
+}
+
+/** @param {Route} route */
+export function formatRoute(route) {
+  const { page, id } = route;
+  let path = "#/";
+  if (page !== "home") path += page + (id ? `/${encodeURIComponent(id)}` : "");
+  if (page === "lesson" && route.line) path += `/line/${route.line}`;
+  const params = new URLSearchParams();
+  for (const k of QUERY[page] || []) {
+    const v = route[k];
+    if (v === true) params.set(k, "");
+    else if (v != null && v !== "" && v !== false) params.set(k, String(v));
+  }
+  const query = params.toString().replace(/=(?=&|$)/g, ""); // "draft", not "draft="
+  return query ? `${path}?${query}` : path;
+}
+
+// How the next hash change happened: a link, a replaced entry, or back/forward.
+let navigation = /** @type{"push"|"replace"|"pop"} */ ("pop");
+const scrollPositions = new Map(); // href → scrollY, for this tab
+let lastList = /** @type{Route} */ ({ page: "home" });
+
+const currentHash = () => window.location.hash || "#/";
+
+/**
+ * @param {Route} route
+ * @param {{ replace?: boolean }} [opts] replace the current history entry (search typing)
+ */
+export function goTo(route, { replace = false } = {}) {
+  const href = formatRoute(route);
+  if (href === currentHash()) return;
+  if (replace) {
+    navigation = "replace";
+    history.replaceState(history.state, "", href);
+    window.dispatchEvent(new HashChangeEvent("hashchange"));
+  } else {
+    navigation = "push";
+    window.location.hash = href;
+  }
+}
+
+/** The lesson list as last shown, filters included: where "Back" returns to. */
+export function listRoute() {
+  return lastList;
+}
+
+/** The current route; keeps scroll positions for back/forward. Use once, in the App. */
+export function useRoute() {
+  const [hash, setHash] = useState(currentHash);
+  useEffect(() => {
+    history.scrollRestoration = "manual";
+    let last = currentHash();
+    const onChange = () => {
+      const next = currentHash();
+      const how = navigation;
+      navigation = "pop";
+      if (next === last) return;
+      if (how !== "replace") scrollPositions.set(last, window.scrollY);
+      last = next;
+      setHash(next);
+      if (how === "replace") return;
+      // a link to a line leaves scrolling to the transcript
+      if (how === "push" && parseRoute(next).line) return;
+      const y = how === "push" ? 0 : scrollPositions.get(next) ?? 0;
+      requestAnimationFrame(() => window.scrollTo(0, y));
+    };
+    window.addEventListener("hashchange", onChange);
+    return () => window.removeEventListener("hashchange", onChange);
+  }, []);
+  const route = useMemo(() => parseRoute(hash), [hash]);
+  useEffect(() => { if (route.page === "home") lastList = route; }, [route]);
+  return route;
+}
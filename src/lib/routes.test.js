@@ -0,0 +1,36 @@
+import { describe, expect, it } from "vitest";
+import { formatRoute, parseRoute } from "./routes.js";
+
+describe("parseRoute", () => {
+  it.each([
+    ["", { page: "home" }],
+    ["#/?q=greet&level=Beginner", { page: "home", q: "greet", level: "Beginner" }],
+    ["#/lesson/greetings", { page: "lesson", id: "greetings" }],
+    ["#/lesson/greetings/line/12?t=42", { page: "lesson", id: "greetings", line: 12, t: 42 }],
+    ["#/lesson/a%20b?draft", { page: "lesson", id: "a b", draft: true }],
+    ["#/class/abc", { page: "class", id: "abc" }],
+    ["#/nowhere", { page: "home" }],
+  ])("%s", (hash, route) => {
+    expect(parseRoute(hash)).toEqual(route);
+  });
+
+  it.each(["#/lesson/%E0", "#/lesson/%", "#/class/%ZZ", "#/lesson/%E0/line/3?t=1"])("falls back to the list for the malformed %s", (hash) => {
+    expect(parseRoute(hash)).toEqual({ page: "home" });
+  });
+
+  it("reads malformed escapes in the query without throwing", () => {
+    expect(parseRoute("#/?q=%E0&level=Beginner")).toMatchObject({ page: "home", level: "Beginner" });
+  });
+});
+
+describe("formatRoute", () => {
+  it.each([
+    [{ page: "home" }, "#/"],
+    [{ page: "home", q: "hello there", level: "Beginner" }, "#/?q=hello+there&level=Beginner"],
+    [{ page: "lesson", id: "a b", line: 3, t: 1.5 }, "#/lesson/a%20b/line/3?t=1.5"],
+    [{ page: "lesson", id: "x", draft: true }, "#/lesson/x?draft"],
+  ])("%o → %s", (route, hash) => {
+    expect(formatRoute(route)).toBe(hash);
+    expect(parseRoute(hash)).toEqual(route);
+  });
+});
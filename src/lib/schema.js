@@ -0,0 +1,144 @@
+// src/lib/schema.js
+import lessonSchema from "./lesson.v1.schema.json";
+
+/**
+ * Lesson file validation.
+ * - The lesson format is described by a versioned JSON Schema
+ *   (lesson.v1.schema.json). Files may be a bare array of lessons or an
+ *   envelope: { "schemaVersion": 1, "lessons": [...] }.
+ * - The validator below covers the subset of JSON Schema that file uses
+ *   (type, enum, const, oneOf, required, properties, additionalProperties:
+ *   false, items, minItems, maxItems, minLength, pattern, minimum); it's
+ *   small enough not to need a library.
+ * - Used when lessons load from the backend and before an import is applied.
+ */
+
+export const LESSON_SCHEMA_VERSION = 1;
+export const LESSON_SCHEMA = lessonSchema;
+
+/** @typedef {{ path: string; message: string }} SchemaError */
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const t = typeOf(v);
+  return t === type || (type === "number" && t === "integer");
+}
+
+/**
+ * Exactly one branch must match. When none does, the errors come from the
+ * branch whose `type` const the value names (quiz items), if any.
+ */
+function checkOneOf(branches, value, path, out) {
+  const results = branches.map((b) => check(b, value, path, []));
+  const matching = results.filter((r) => !r.length).length;
+  if (matching === 1) return;
+  const named = branches.findIndex((b) => b.properties?.type?.const !== undefined && b.properties.type.const === value?.type);
+  if (!matching && named >= 0) out.push(...results[named]);
+  else if (!matching && typeOf(value) === "object" && "type" in value) {
+    out.push({ path: `${path}/type`, message: `should be one of ${branches.map((b) => b.properties?.type?.const).filter(Boolean).join(", ")}` });
+  } else out.push({ path, message: matching ? "matches more than one allowed shape" : "doesn't match any allowed shape" });
+}
+
+/** @returns {SchemaError[]} */
+function check(schema, value, path, out) {
+  if (schema.oneOf) {
+    checkOneOf(schema.oneOf, value, path, out);
+    return out;
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    out.push({ path, message: `should be of type ${schema.type}` });
+    return out;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    out.push({ path, message: `should be one of ${schema.enum.join(", ")}` });
+    return out;
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    out.push({ path, message: `should be ${schema.const}` });
+    return out;
+  }
+  if (typeof value === "string") {
+    if (schema.minLength && value.length < schema.minLength) out.push({ path, message: "should not be empty" });
+    else if (schema.pattern && !new RegExp(schema.pattern, "u").test(value)) out.push({ path, message: "has characters that aren't allowed" });
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    out.push({ path, message: `should be at least ${schema.minimum}` });
+  }
+  if (Array.isArray(value) && schema.minItems !== undefined && value.length < schema.minItems) {
+    out.push({ path, message: `should have at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}` });
+  }
+  if (Array.isArray(value) && schema.maxItems !== undefined && value.length > schema.maxItems) {
+    out.push({ path, message: `should have at most ${schema.maxItems} items` });
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => check(schema.items, item, `${path}/${i}`, out));
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) out.push({ path: `${path}/${key}`, message: "is required" });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) check(props[key], v, `${path}/${key}`, out);
+      else if (schema.additionalProperties === false) out.push({ path: `${path}/${key}`, message: "is not a known field" });
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {unknown} lesson
+ * @returns {SchemaError[]} empty when valid
+ */
+export function validateLesson(lesson) {
+  return check(LESSON_SCHEMA, lesson, "", []);
+}
+
+/**
+ * Validate a lessons file (array or envelope). Duplicate ids count as errors.
+ * @param {unknown} data
+ * @returns {{ lessons: any[]; valid: any[]; invalid: { index: number; id?: string; title?: string; errors: SchemaError[] }[]; fileErrors: string[] }}
+ */
+export function validateLessons(data) {
+  const fileErrors = [];
+  let lessons = data;
+  if (data && typeOf(data) === "object") {
+    if (data.schemaVersion !== undefined && data.schemaVersion !== LESSON_SCHEMA_VERSION) {
+      fileErrors.push(`Unsupported schema version ${data.schemaVersion} (this app reads version ${LESSON_SCHEMA_VERSION}).`);
+    }
+    lessons = data.lessons;
+  }
+  if (!Array.isArray(lessons)) {
+    return { lessons: [], valid: [], invalid: [], fileErrors: [...fileErrors, "Expected a list of lessons."] };
+  }
+  const valid = [], invalid = [];
+  const seen = new Set();
+  lessons.forEach((L, index) => {
+    const errors = validateLesson(L);
+    if (L && typeof L.id === "string") {
+      if (seen.has(L.id)) errors.push({ path: "/id", message: `duplicates another lesson's id "${L.id}"` });
+      seen.add(L.id);
+    }
+    if (errors.length) invalid.push({ index, id: L?.id, title: L?.title, errors });
+    else valid.push(L);
+  });
+  return { lessons, valid, invalid, fileErrors };
+}
+
+/** "Lesson 3 : Greetings: /words/2/en is required; …" */
+export function describeInvalid({ index, id, title, errors }) {
+  const name = title || id || `#${index + 1}`;
+  return `${name}: ${errors.map((e) => `${e.path || "/"} ${e.message}`).join("; ")}`;
+}
+
+/** What Export JSON writes: the envelope, so files say which version they follow. */
+export function lessonsFile(lessons) {
+  return { schemaVersion: LESSON_SCHEMA_VERSION, lessons };
+}
@@ -0,0 +1,51 @@
+// src/lib/schema.test.js
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { migrateLesson } from "./lesson.js";
+import { validateLesson, validateLessons } from "./schema.js";
+import { buildSearchIndex } from "./search.js";
+
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8"));
+const base = { id: "x", title: "X", script: "Khmer", level: "Beginner" };
+const withQuiz = (...quiz) => ({ ...base, quiz });
+
+describe("validateLessons", () => {
+  it("accepts the bundled lessons, before and after migration", () => {
+    expect(validateLessons(lessons).invalid).toEqual([]);
+    expect(validateLessons(lessons.map(migrateLesson)).invalid).toEqual([]);
+  });
+
+  it("accepts every exercise type in its full shape", () => {
+    const L = withQuiz(
+      { type: "mcq", prompt: "Thank you?", options: ["អរគុណ", "សួស្តី"], answer: 0, hint: "polite" },
+      { type: "fill", prompt: "ខ្ញុំ ___ សាលា", answers: ["ទៅ"] },
+      { type: "translate", prompt: "Hello", answers: ["សួស្តី", "ជំរាបសួរ"] },
+      { type: "match", pairs: [["សួស្តី", "Hello"], ["អរគុណ", "Thank you"]] },
+      { type: "listen", line: 2, options: ["a", "b"], answer: 1 },
+      { type: "open", prompt: "តើអ្នកចូលចិត្តបង្អែមទេ?" },
+      { type: "note", text: "Fun fact" },
+    );
+    expect(validateLesson(L)).toEqual([]);
+  });
+
+  it.each([
+    [{ type: "mcq" }, "/quiz/0/prompt"],
+    [{ type: "mcq", prompt: "?", options: ["a"] }, "/quiz/0/answer"],
+    [{ type: "fill", prompt: "___" }, "/quiz/0/answers"],
+    [{ type: "translate", prompt: "Hi", answers: [] }, "/quiz/0/answers"],
+    [{ type: "match", pairs: [["a"]] }, "/quiz/0/pairs/0"],
+    [{ type: "listen", line: 0, answer: 0 }, "/quiz/0/options"],
+    [{ type: "note" }, "/quiz/0/text"],
+    [{ type: "essay", prompt: "?" }, "/quiz/0/type"],
+  ])("rejects %j at %s", (item, path) => {
+    const { valid, invalid } = validateLessons([withQuiz(item)]);
+    expect(valid).toEqual([]);
+    expect(invalid[0].errors.map((e) => e.path)).toContain(path);
+  });
+
+  it("keeps a malformed quiz away from the search index", () => {
+    const { valid } = validateLessons([withQuiz({ type: "mcq" }), { ...base, id: "y" }]);
+    expect(valid.map((L) => L.id)).toEqual(["y"]);
+    expect(() => buildSearchIndex(valid.map(migrateLesson))).not.toThrow();
+  });
+});
@@ -0,0 +1,337 @@
+// src/lib/search.js
+import { normalizeKhmer } from "./khmer.js";
+import { asciiRomanization } from "./romanize.js";
+
+/**
+ * Lesson search.
+ * - buildSearchIndex() prepares every searchable field once (title, topic,
+ *   description, each transcript line, each word, each exercise), so typing
+ *   only runs the matcher.
+ * - Khmer is compared in normalizeKhmer form, so zero-width spaces, subscript
+ *   order and split vowels don't matter. Khmer has no spaces between words, so
+ *   a Khmer query term matches anywhere inside a Khmer run.
+ * - Latin terms match whole words, prefixes (for typing) and words within a
+ *   small edit distance.
+ * - Romanized terms ("suosdei") also match the Khmer they romanize, using the
+ *   (roman) ↔ Khmer pairs found in every lesson's transcript and vocabulary,
+ *   plus the generated UNGEGN/ALA-LC romanization of each word.
+ * - Words of a romanization may be typed apart ("chomreab suor"), see
+ *   parseQuery().
+ * - Every query term must match somewhere; results are ranked by field weight
+ *   and match quality, with highlighted snippets.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {"title"|"topic"|"description"|"line"|"word"|"exercise"} FieldKind */
+/** @typedef {{ kind: FieldKind; text: string; line?: number; weight: number; khmer: string[]; words: string[] }} Field */
+/** @typedef {{ kind: FieldKind; text: string; line?: number; ranges: [number, number][] }} Snippet */
+/** @typedef {{ lesson: Lesson; score: number; snippets: Snippet[] }} SearchResult */
+
+const WEIGHTS = { title: 5, topic: 3, word: 2.5, line: 2, description: 1.5, exercise: 1 };
+
+const KHMER_RUN = /[\u1780-\u17FF\u19E0-\u19FF](?:[\u1780-\u17FF\u19E0-\u19FF\s]|\u200B|\u200C|\u200D|\u2060)*/g;
+const LATIN_WORD = /[A-Za-z0-9\u00C0-\u024F']+/g;
+
+/** lowercase, no accents or apostrophes: "Chumréap" → "chumreap" */
+export function foldLatin(s) {
+  return String(s || "").normalize("NFD").replace(/[\u0300-\u036f']/g, "").toLowerCase();
+}
+
+const latinWords = (s) => (foldLatin(s).match(/[a-z0-9]+/g) || []);
+const khmerRuns = (s) => (String(s || "").match(KHMER_RUN) || []).map((r) => normalizeKhmer(r)).filter(Boolean);
+
+/** Optimal string alignment distance, giving up once it exceeds `max`. */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur.push(v);
+      rowMin = Math.min(rowMin, v);
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Typos allowed for a term of this length. */
+const allowedTypos = (n) => (n <= 3 ? 0 : n <= 6 ? 1 : 2);
+
+/**
+ * Best approximate occurrence of `p` inside `t` (Sellers' algorithm).
+ * @returns {{ dist: number; start: number; end: number } | null}
+ */
+function approxFind(p, t, max) {
+  let prev = new Array(t.length + 1).fill(0);
+  let prevStart = Array.from({ length: t.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= p.length; i++) {
+    const cur = [i];
+    const curStart = [0];
+    for (let j = 1; j <= t.length; j++) {
+      const sub = prev[j - 1] + (p[i - 1] === t[j - 1] ? 0 : 1);
+      const del = prev[j] + 1;
+      const ins = cur[j - 1] + 1;
+      if (sub <= del && sub <= ins) { cur.push(sub); curStart.push(prevStart[j - 1]); }
+      else if (del <= ins) { cur.push(del); curStart.push(prevStart[j]); }
+      else { cur.push(ins); curStart.push(curStart[j - 1]); }
+    }
+    prev = cur;
+    prevStart = curStart;
+  }
+  let best = null;
+  for (let j = 1; j <= t.length; j++) {
+    if (prev[j] <= max && (!best || prev[j] <= best.dist)) best = { dist: prev[j], start: prevStart[j], end: j };
+  }
+  return best;
+}
+
+// ===== Index =====
+function exerciseText(ex) {
+  switch (ex.type) {
+    case "note": return ex.text;
+    case "match": return [ex.prompt, ...ex.pairs.map(([a, b]) => `${a} ↔ ${b}`)].filter(Boolean).join("; ");
+    case "fill":
+    case "translate": return `${ex.prompt} → ${ex.answers.join(" | ")}`;
+    case "mcq":
+    case "listen": return [ex.prompt, ex.options.join(" / ")].filter(Boolean).join(" → ");
+    default: return ex.prompt || "";
+  }
+}
+
+const lineText = (L) =>
+  [L.speaker && `${L.speaker}៖`, L.km, L.roman && `(${L.roman})`, L.en && `– ${L.en}`].filter(Boolean).join(" ");
+
+/** @returns {Field} */
+function field(kind, text, line) {
+  return { kind, text, line, weight: WEIGHTS[kind], khmer: khmerRuns(text), words: latinWords(text) };
+}
+
+/** @param {Lesson} L @returns {Field[]} */
+function lessonFields(L) {
+  const out = [field("title", L.title)];
+  if (L.topic) out.push(field("topic", L.topic));
+  if (L.description) out.push(field("description", L.description));
+  (L.dialogue || []).forEach((d, i) => out.push(field("line", lineText(d), i)));
+  for (const w of L.words || []) out.push(field("word", `${w.km}${w.roman ? ` (${w.roman})` : ""} – ${w.en}`));
+  for (const ex of L.quiz || []) {
+    const t = exerciseText(ex);
+    if (t) out.push(field("exercise", t));
+  }
+  return out.filter((f) => f.text);
+}
+
+const MAX_GENERATED = 12; // code units; longer Khmer runs are phrases
+
+/** Romanization → Khmer, from every "(roman)" written next to Khmer and from romanize.js. */
+function buildLexicon(lessons) {
+  /** @type{Map<string, Set<string>>} */
+  const lex = new Map();
+  const add = (roman, km) => {
+    const key = latinWords(roman).join("");
+    const k = normalizeKhmer(km);
+    if (!key || !k) return;
+    if (!lex.has(key)) lex.set(key, new Set());
+    lex.get(key).add(k);
+  };
+  const generated = (km) => {
+    add(asciiRomanization(km, "ungegn"), km);
+    add(asciiRomanization(km, "alalc"), km);
+  };
+  for (const L of lessons) {
+    for (const w of L.words || []) {
+      if (w.roman) add(w.roman, w.km);
+      generated(w.km);
+    }
+    for (const d of L.dialogue || []) {
+      if (d.roman && d.km) add(d.roman, d.km);
+      // words the author spaced apart; whole sentences would never be typed
+      for (const token of (d.km || "").split(/[\s\u200B]+/)) if (token.length <= MAX_GENERATED) generated(token);
+    }
+  }
+  return lex;
+}
+
+/** @param {Lesson[]} lessons */
+export function buildSearchIndex(lessons) {
+  return {
+    docs: lessons.map((lesson) => ({ lesson, fields: lessonFields(lesson) })),
+    lexicon: buildLexicon(lessons),
+  };
+}
+
+// ===== Query =====
+/** @typedef {{ khmer?: string; latin?: string; expansions?: { km: string; quality: number }[] }} Term */
+
+const MAX_JOINED = 6; // latin terms tried as one romanized word, in runs of up to this many
+
+/**
+ * The ways to read `q`, each a list of terms that must all match. Spaces in
+ * romanization are a matter of taste ("chomreab suor" for ជំរាបសួរ), so
+ * besides one term per word, each run of words that spells a romanized word
+ * when joined (allowing typos) is also tried as that word.
+ * @returns {Term[][]}
+ */
+function parseQuery(index, q) {
+  /** @type{Term[]} */
+  const khmer = khmerRuns(q).map((k) => ({ khmer: k }));
+  const latin = latinWords(q.replace(KHMER_RUN, " "));
+  const term = (w) => ({ latin: w, expansions: romanToKhmer(index.lexicon, w) });
+  const single = latin.map(term);
+  const readings = [[...khmer, ...single]];
+  for (let i = 0; i < latin.length; i++) {
+    for (let j = i + 2; j <= Math.min(latin.length, i + MAX_JOINED); j++) {
+      const joined = term(latin.slice(i, j).join(""));
+      if (joined.expansions.length) readings.push([...khmer, ...single.slice(0, i), joined, ...single.slice(j)]);
+    }
+  }
+  return readings;
+}
+
+function romanToKhmer(lexicon, w) {
+  if (w.length < 3) return [];
+  const out = [];
+  for (const [roman, kms] of lexicon) {
+    let quality = 0;
+    if (roman === w) quality = 0.9;
+    else if (roman.startsWith(w) && w.length >= 4) quality = 0.7;
+    else {
+      const d = editDistance(w, roman, allowedTypos(w.length));
+      if (d <= allowedTypos(w.length)) quality = 0.75 - 0.1 * d;
+    }
+    if (quality) for (const km of kms) out.push({ km, quality });
+  }
+  return out;
+}
+
+/** How well `term` matches `f` (0 = not at all) and what to highlight. */
+function matchField(term, f) {
+  let best = { score: 0, khmer: /** @type{string[]} */([]), words: /** @type{string[]} */([]) };
+  const consider = (score, hl) => { if (score > best.score) best = { score, khmer: [], words: [], ...hl }; };
+
+  const khmerTargets = term.khmer ? [{ km: term.khmer, quality: 1 }] : term.expansions || [];
+  for (const { km, quality } of khmerTargets) {
+    for (const run of f.khmer) {
+      if (run.includes(km)) { consider(quality, { khmer: [km] }); continue; }
+      const max = term.khmer ? allowedTypos(km.length) : 0;
+      if (!max) continue;
+      const hit = approxFind(km, run, max);
+      if (hit) consider(quality * (0.7 - 0.1 * hit.dist), { khmer: [run.slice(hit.start, hit.end)] });
+    }
+  }
+  if (term.latin) {
+    const t = term.latin;
+    for (const w of f.words) {
+      if (w === t) consider(1, { words: [w] });
+      else if (w.startsWith(t) && t.length >= 2) consider(0.8, { words: [w] });
+      else {
+        const max = allowedTypos(t.length);
+        if (!max) continue;
+        const d = editDistance(t, w, max);
+        if (d <= max) consider(0.7 - 0.1 * d, { words: [w] });
+      }
+    }
+  }
+  return best;
+}
+
+/** Character ranges in `text` to highlight for the matched words / Khmer strings. */
+function highlight(text, words, khmer) {
+  /** @type{[number, number][]} */
+  const ranges = [];
+  if (words.length) {
+    for (const m of text.matchAll(LATIN_WORD)) {
+      if (words.includes(foldLatin(m[0]))) ranges.push([m.index, m.index + m[0].length]);
+    }
+  }
+  for (const target of khmer) {
+    for (const m of text.matchAll(KHMER_RUN)) {
+      const run = m[0];
+      // normalization can drop or reorder characters, so grow each candidate until it matches
+      for (let i = 0; i < run.length; i++) {
+        if (!/[\u1780-\u17B3\u17E0-\u17E9]/.test(run[i])) continue; // start on a letter or digit
+        let found = false;
+        for (let j = i + 1; j <= run.length; j++) {
+          const n = normalizeKhmer(run.slice(i, j));
+          if (n === target) { ranges.push([m.index + i, m.index + j]); found = true; break; }
+          if (n.length > target.length + 1) break;
+        }
+        if (found) break;
+      }
+    }
+  }
+  return ranges.sort((a, b) => a[0] - b[0]);
+}
+
+const SNIPPET_CHARS = 120;
+
+/** Cut long text around the first highlight. */
+function clip(text, ranges) {
+  if (text.length <= SNIPPET_CHARS) return { text, ranges };
+  const first = ranges[0]?.[0] ?? 0;
+  const from = Math.max(0, first - 40);
+  const to = Math.min(text.length, from + SNIPPET_CHARS);
+  const pre = from > 0 ? "…" : "";
+  const body = text.slice(from, to) + (to < text.length ? "…" : "");
+  return {
+    text: pre + body,
+    ranges: ranges
+      .filter(([s, e]) => s >= from && e <= to)
+      .map(([s, e]) => [s - from + pre.length, e - from + pre.length]),
+  };
+}
+
+/**
+ * @param {ReturnType<typeof buildSearchIndex>} index
+ * @param {string} q
+ * @returns {SearchResult[]}
+ */
+export function searchLessons(index, q, { snippets: maxSnippets = 2 } = {}) {
+  const readings = parseQuery(index, q);
+  if (!readings[0].length) return index.docs.map(({ lesson }) => ({ lesson, score: 0, snippets: [] }));
+  const results = [];
+  for (const { lesson, fields } of index.docs) {
+    let match = null;
+    for (const terms of readings) {
+      const m = matchDoc(terms, fields);
+      if (m && (!match || m.total > match.total)) match = m;
+    }
+    if (!match) continue;
+    const snippets = [...match.perField.entries()]
+      .filter(([f]) => f.kind !== "title" && f.kind !== "topic") // already on the card
+      .sort((a, b) => b[1].score - a[1].score)
+      .slice(0, maxSnippets)
+      .map(([f, m]) => ({ kind: f.kind, line: f.line, ...clip(f.text, highlight(f.text, m.words, m.khmer)) }));
+    results.push({ lesson, score: match.total, snippets });
+  }
+  return results.sort((a, b) => b.score - a.score || a.lesson.title.localeCompare(b.lesson.title));
+}
+
+/** Score of a lesson for one reading of the query, or null unless every term matches. */
+function matchDoc(terms, fields) {
+  let total = 0;
+  const perField = new Map();
+  for (const term of terms) {
+    let best = 0;
+    for (const f of fields) {
+      const m = matchField(term, f);
+      if (!m.score) continue;
+      best = Math.max(best, m.score * f.weight);
+      const acc = perField.get(f) || { score: 0, words: [], khmer: [] };
+      acc.score += m.score * f.weight;
+      acc.words.push(...m.words);
+      acc.khmer.push(...m.khmer);
+      perField.set(f, acc);
+    }
+    if (!best) return null;
+    total += best;
+  }
+  return { total, perField };
+}
@@ -0,0 +1,35 @@
+// src/lib/search.test.js
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { migrateLesson } from "./lesson.js";
+import { buildSearchIndex, searchLessons } from "./search.js";
+
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8")).map(migrateLesson);
+const index = buildSearchIndex(lessons);
+const ids = (q) => searchLessons(index, q).map((r) => r.lesson.id);
+const greeting = lessons.find((L) => L.dialogue?.some((d) => d.km.includes("ជំរាបសួរ")));
+
+describe("searchLessons", () => {
+  it("finds romanized Khmer whether or not its words are typed apart", () => {
+    expect(greeting).toBeDefined();
+    for (const q of ["chumreabsuor", "chomreabsuor", "chumreab suor", "chomreab suor", "Chomreab Suor hello"]) {
+      expect(ids(q), q).toContain(greeting.id);
+    }
+  });
+
+  it("still matches latin words one by one", () => {
+    expect(ids("formal hello")).toContain(greeting.id);
+    expect(ids("formal qwxz")).toEqual([]);
+  });
+
+  it("highlights the Khmer a spaced romanization stands for", () => {
+    const hit = searchLessons(index, "chomreab suor").find((r) => r.lesson.id === greeting.id);
+    const [s] = hit.snippets;
+    const [from, to] = s.ranges[0];
+    expect(s.text.slice(from, to)).toBe("ជំរាបសួរ");
+  });
+
+  it("lists every lesson for an empty query", () => {
+    expect(ids("  ")).toHaveLength(lessons.length);
+  });
+});
@@ -0,0 +1,139 @@
+// src/lib/segment.js
+import baseLexicon from "./lexicon.km.json";
+import { COENG, normalizeKhmer } from "./khmer.js";
+
+/**
+ * Khmer word segmentation for the transcript word lookup.
+ * - Khmer is written without spaces between words. segmentKhmer() splits a
+ *   line by maximal matching against a lexicon: of all the ways to cut it into
+ *   dictionary words, it takes the one that leaves the fewest clusters
+ *   unrecognised, then the one with the fewest words (so the longest words win).
+ * - Cuts only fall between clusters (a letter with its subscripts, vowel and
+ *   signs), never inside one. Zero-width spaces and spaces are hard breaks.
+ * - The lexicon is a small bundled word list (lexicon.km.json) extended with
+ *   every lesson's vocabulary, whose meanings come first.
+ */
+
+/** @typedef {import("../App.jsx").Lesson} Lesson */
+/** @typedef {{ en: string; pos?: string; roman?: string; audioUrl?: string; lessonId?: string; lessonTitle?: string }} Sense */
+/** @typedef {{ km: string; senses: Sense[] }} LexEntry */
+/** @typedef {{ entries: Map<string, LexEntry>; maxClusters: number }} Lexicon */
+/** @typedef {{ text: string; entry?: LexEntry }} Segment */
+
+const MAX_WORD_CLUSTERS = 16;
+
+const isBase = (c) => c >= "\u1780" && c <= "\u17B3";
+const isDependent = (c) => (c >= "\u17B4" && c <= "\u17D1") || c === "\u17D3" || c === "\u17DD";
+const isKhmerDigit = (c) => c >= "\u17E0" && c <= "\u17E9";
+
+/** Split text into clusters; non-Khmer characters are clusters of their own, flagged. */
+function clusters(text) {
+  /** @type{{ text: string; khmer: boolean }[]} */
+  const out = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (!isBase(c)) {
+      out.push({ text: c, khmer: isDependent(c) || isKhmerDigit(c) });
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    while (j < text.length) {
+      if (text[j] === COENG && isBase(text[j + 1] || "")) j += 2;
+      else if (isDependent(text[j])) j++;
+      else break;
+    }
+    out.push({ text: text.slice(i, j), khmer: true });
+    i = j;
+  }
+  return out;
+}
+
+/**
+ * @param {Lesson[]} lessons
+ * @returns {Lexicon}
+ */
+export function buildLexicon(lessons = []) {
+  /** @type{Map<string, LexEntry>} */
+  const entries = new Map();
+  let maxClusters = 1;
+  const add = (w, lesson) => {
+    const key = normalizeKhmer(w.km);
+    if (!key || !w.en) return;
+    if (!entries.has(key)) entries.set(key, { km: w.km, senses: [] });
+    const entry = entries.get(key);
+    /** @type{Sense} */
+    const sense = { en: w.en, pos: w.pos, roman: w.roman, audioUrl: w.audioUrl };
+    if (lesson) {
+      entry.senses.unshift({ ...sense, lessonId: lesson.id, lessonTitle: lesson.title });
+    } else if (!entry.senses.some((s) => s.en === w.en)) {
+      entry.senses.push(sense);
+    }
+    maxClusters = Math.max(maxClusters, clusters(key).length);
+  };
+  baseLexicon.forEach((w) => add(w));
+  for (const L of lessons) for (const w of L.words || []) add(w, L);
+  return { entries, maxClusters: Math.min(maxClusters, MAX_WORD_CLUSTERS) };
+}
+
+/** One run of Khmer clusters (no breaks inside) → segments. */
+function segmentRun(run, lexicon) {
+  const n = run.length;
+  // best[i]: cheapest cut of run[0..i): clusters left unknown, words, where the last word starts, its entry
+  const best = [{ unknown: 0, words: 0, from: -1, entry: undefined }];
+  for (let i = 1; i <= n; i++) best[i] = { unknown: Infinity, words: Infinity, from: -1, entry: undefined };
+  for (let i = 0; i < n; i++) {
+    const here = best[i];
+    if (here.unknown === Infinity) continue;
+    const consider = (j, unknown, entry) => {
+      const b = best[j];
+      const words = here.words + 1;
+      if (unknown < b.unknown || (unknown === b.unknown && words < b.words)) best[j] = { unknown, words, from: i, entry };
+    };
+    consider(i + 1, here.unknown + 1, undefined);
+    let text = "";
+    for (let j = i; j < Math.min(n, i + lexicon.maxClusters); j++) {
+      text += run[j].text;
+      const entry = lexicon.entries.get(normalizeKhmer(text));
+      if (entry) consider(j + 1, here.unknown, entry);
+    }
+  }
+  /** @type{Segment[]} */
+  const out = [];
+  for (let j = n; j > 0; j = best[j].from) {
+    const { from, entry } = best[j];
+    const text = run.slice(from, j).map((c) => c.text).join("");
+    const prev = out[0];
+    // neighbouring unknown clusters read as one stretch of text
+    if (!entry && prev && !prev.entry) prev.text = text + prev.text;
+    else out.unshift(entry ? { text, entry } : { text });
+  }
+  return out;
+}
+
+/**
+ * Split a line of (mostly Khmer) text into words. Joining every `text` gives
+ * back the input unchanged; recognised words carry their lexicon entry.
+ * @param {string} text
+ * @param {Lexicon} lexicon
+ * @returns {Segment[]}
+ */
+export function segmentKhmer(text, lexicon) {
+  /** @type{Segment[]} */
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length) out.push(...segmentRun(run, lexicon));
+    run = [];
+  };
+  for (const c of clusters(String(text || ""))) {
+    if (c.khmer) { run.push(c); continue; }
+    flush();
+    const prev = out[out.length - 1];
+    if (prev && !prev.entry && !/[\u1780-\u17FF]/.test(prev.text)) prev.text += c.text;
+    else out.push({ text: c.text });
+  }
+  flush();
+  return out;
+}
@@ -0,0 +1,54 @@
+// src/lib/segment.test.js
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { migrateLesson } from "./lesson.js";
+import { buildLexicon, segmentKhmer } from "./segment.js";
+
+const lessons = JSON.parse(readFileSync(new URL("../../public/lessons.json", import.meta.url), "utf8")).map(migrateLesson);
+const lexicon = buildLexicon(lessons);
+const texts = (segments) => segments.map((s) => s.text);
+
+describe("segmentKhmer", () => {
+  it("gives back the input when the segments are joined", () => {
+    const lines = lessons.flatMap((L) => (L.dialogue || []).map((d) => d.km).filter(Boolean));
+    expect(lines.length).toBeGreaterThan(0);
+    for (const line of [...lines, "ខ្ញុំ​ទៅ ផ្សារ។", "abc ១២៣ ខ្ញុំ!", "", "្ក"]) {
+      expect(segmentKhmer(line, lexicon).map((s) => s.text).join("")).toBe(line);
+    }
+  });
+
+  it("splits words written without spaces", () => {
+    const segments = segmentKhmer("ខ្ញុំទៅរៀន", lexicon);
+    expect(texts(segments)).toEqual(["ខ្ញុំ", "ទៅ", "រៀន"]);
+    expect(segments.every((s) => s.entry)).toBe(true);
+  });
+
+  it("prefers the longest word", () => {
+    expect(texts(segmentKhmer("ធ្វើការ", lexicon))).toEqual(["ធ្វើការ"]);
+  });
+
+  it("never cuts inside a cluster", () => {
+    // ស្ពឹ is one cluster (a letter, its subscript and a vowel), so the word ស can't match
+    const own = buildLexicon([{ id: "t", title: "T", words: [{ km: "ស", en: "white" }, { km: "ខ្ញុំ", en: "I" }] }]);
+    const segments = segmentKhmer("ស្ពឹកខ្ញុំ", own);
+    expect(texts(segments)).toEqual(["ស្ពឹក", "ខ្ញុំ"]);
+    expect(segments[0].entry).toBeUndefined();
+  });
+
+  it("merges neighbouring unknown clusters into one stretch", () => {
+    const own = buildLexicon([{ id: "t", title: "T", words: [{ km: "ខ្ញុំ", en: "I" }] }]);
+    const segments = segmentKhmer("ខ្ញុំឃឆជ", own);
+    expect(texts(segments)).toEqual(["ខ្ញុំ", "ឃឆជ"]);
+    expect(segments[1].entry).toBeUndefined();
+  });
+
+  it("keeps spaces and Latin text apart from the Khmer words", () => {
+    expect(texts(segmentKhmer("ខ្ញុំ hello ទៅ", lexicon))).toEqual(["ខ្ញុំ", " hello ", "ទៅ"]);
+  });
+
+  it("puts a lesson's meaning before the bundled one", () => {
+    const own = buildLexicon([{ id: "t", title: "Mine", words: [{ km: "ខ្ញុំ", en: "me (lesson)" }] }]);
+    const [word] = segmentKhmer("ខ្ញុំ", own);
+    expect(word.entry.senses[0]).toMatchObject({ en: "me (lesson)", lessonId: "t", lessonTitle: "Mine" });
+  });
+});
@@ -0,0 +1,140 @@
+// src/lib/srs.js
+import { readJSON, writeJSON } from "./storage.js";
+
+/**
+ * SM-2 spaced repetition (SuperMemo 2, the scheduler Anki started from).
+ * - grade 0–5; below 3 counts as a lapse and restarts the card
+ * - review state lives in localStorage, one record per user
+ * - besides lesson vocabulary, learners keep their own words ("My words",
+ *   added from the transcript word lookup); they join the deck as a lesson
+ */
+
+/** @typedef {{
+ *  ef: number;       // easiness factor, >= 1.3
+ *  interval: number; // days until the next review
+ *  reps: number;     // successful reviews in a row
+ *  lapses: number;
+ *  due: number;      // epoch ms
+ *  last?: number;    // epoch ms of the last review
+ * }} CardState
+ */
+
+/** @typedef {import("./vocabulary.js").VocabItem & { id: string; lessonId: string; lessonTitle?: string }} Card */
+
+const DAY = 24 * 60 * 60 * 1000;
+const SRS_KEY = "khmer_srs_v1";
+
+// the buttons under a card; `name` is the label key ("grade.<name>")
+export const GRADES = [
+  { grade: 1, name: "again" },
+  { grade: 3, name: "hard" },
+  { grade: 4, name: "good" },
+  { grade: 5, name: "easy" },
+];
+
+/** @returns {CardState} */
+export function newCardState(now = Date.now()) {
+  return { ef: 2.5, interval: 0, reps: 0, lapses: 0, due: now };
+}
+
+/**
+ * Apply one review.
+ * @param {CardState|undefined} state
+ * @param {number} grade 0–5
+ * @param {number} [now]
+ * @returns {CardState}
+ */
+export function review(state, grade, now = Date.now()) {
+  const s = state || newCardState(now);
+  const q = Math.max(0, Math.min(5, grade));
+  const ef = Math.max(1.3, s.ef + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)));
+
+  if (q < 3) {
+    // lapse: see it again in this session (10 minutes), start the ladder over
+    return { ef, interval: 0, reps: 0, lapses: s.lapses + 1, due: now + 10 * 60 * 1000, last: now };
+  }
+  const reps = s.reps + 1;
+  const interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(s.interval * ef);
+  return { ef, interval, reps, lapses: s.lapses, due: now + interval * DAY, last: now };
+}
+
+export function cardId(lessonId, km) {
+  return `${lessonId}:${km}`;
+}
+
+/**
+ * Flatten lesson words into flashcards.
+ * @param {{ id: string; title?: string; words?: import("./vocabulary.js").VocabItem[] }[]} lessons
+ * @returns {Card[]}
+ */
+export function buildDeck(lessons) {
+  return lessons.flatMap((L) =>
+    (L.words || []).map((w) => ({ ...w, id: cardId(L.id, w.km), lessonId: L.id, lessonTitle: L.title }))
+  );
+}
+
+/**
+ * Cards to study now: due reviews first (oldest first), then up to `newLimit` new cards.
+ * @param {Card[]} deck
+ * @param {Record<string, CardState>} states
+ */
+export function dueCards(deck, states, { now = Date.now(), newLimit = 20 } = {}) {
+  const due = deck
+    .filter((c) => states[c.id] && states[c.id].due <= now)
+    .sort((a, b) => states[a.id].due - states[b.id].due);
+  const fresh = deck.filter((c) => !states[c.id]).slice(0, newLimit);
+  return [...due, ...fresh];
+}
+
+export function deckStats(deck, states, now = Date.now()) {
+  let learned = 0, due = 0, fresh = 0;
+  for (const c of deck) {
+    const s = states[c.id];
+    if (!s) fresh++;
+    else {
+      if (s.reps > 0) learned++;
+      if (s.due <= now) due++;
+    }
+  }
+  return { total: deck.length, learned, due, new: fresh };
+}
+
+// ===== Persistence (per user) =====
+export function loadReviewState(userId = "guest") {
+  return /** @type{Record<string, CardState>} */ (readJSON(`${SRS_KEY}:${userId}`, {}));
+}
+
+export function saveReviewState(states, userId = "guest") {
+  writeJSON(`${SRS_KEY}:${userId}`, states);
+}
+
+// ===== My words (per user) =====
+const MY_WORDS_KEY = "khmer_my_words_v1";
+export const MY_WORDS_ID = "my-words";
+
+/** @returns {import("./vocabulary.js").VocabItem[]} */
+export function loadMyWords(userId = "guest") {
+  return readJSON(`${MY_WORDS_KEY}:${userId}`, []);
+}
+
+export function saveMyWords(words, userId = "guest") {
+  writeJSON(`${MY_WORDS_KEY}:${userId}`, words);
+  window.dispatchEvent(new Event("khmer-my-words"));
+}
+
+/** Add a word unless it's already there; returns false when it was. */
+export function addMyWord(word, userId = "guest") {
+  const words = loadMyWords(userId);
+  if (words.some((w) => w.km === word.km)) return false;
+  saveMyWords([...words, word], userId);
+  return true;
+}
+
+/**
+ * My words as a pseudo-lesson, so buildDeck() treats them like any other.
+ * @param {string} [userId]
+ * @param {string} [title] shown as the cards' lesson, in the interface language
+ */
+export function myWordsLesson(userId = "guest", title = "My words") {
+  return { id: MY_WORDS_ID, title, words: loadMyWords(userId) };
+}
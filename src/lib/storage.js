@@ -0,0 +1,31 @@
+// src/lib/storage.js
+
+// ===== Local Storage Helpers =====
+// Never throw, fall back quietly; writeJSONOrThrow is for data that must not
+// be lost silently.
+
+export function readJSON(key, fallback) {
+  try {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    return JSON.parse(raw) ?? fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+export function writeJSON(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch {
+    // storage full or disabled (private mode) – nothing we can do
+  }
+}
+
+/** Like writeJSON, but a full or disabled storage throws (QuotaExceededError). */
+export function writeJSONOrThrow(key, value) {
+  localStorage.setItem(key, JSON.stringify(value));
+}
+
+// Shared keys
+export const PLAYER_POSITIONS_KEY = "khmer_player_positions_v1"; // { [lessonId]: seconds }
@@ -0,0 +1,150 @@
+// src/lib/transcript.js
+
+/**
+ * Transcript model + parser.
+ * - Lessons used to store `transcript` as one flat string of
+ *   "ខ្មែរ line\nEnglish line" pairs separated by blank lines.
+ * - We now keep a structured `dialogue` array next to it and derive one
+ *   from the other so old lessons keep loading unchanged.
+ */
+
+/** @typedef {{
+ *  speaker?: string;   // Khmer speaker label, e.g. "មករា"
+ *  speakerEn?: string; // English speaker label, e.g. "Makara"
+ *  km?: string;        // Khmer text
+ *  roman?: string;     // romanization, e.g. "suosdei"
+ *  en?: string;        // English translation
+ * }} TranscriptLine
+ */
+
+const KHMER_CHAR = /[\u1780-\u17FF\u19E0-\u19FF]/g;
+const LATIN_CHAR = /[A-Za-z]/g;
+
+// "Speaker: text" or "Speaker៖ text" (៖ is the Khmer colon)
+const SPEAKER_RE = /^\s*([^\s:៖][^:៖]{0,30}?)\s*[:៖]\s*(.+)$/;
+
+// "ខ្មែរ – English" / "១ - 1" on a single line
+const INLINE_PAIR_RE = /^([\u1780-\u17FF].*?)(?:\s*[–—]\s*|\s+-\s+)([^\u1780-\u17FF]+)$/;
+
+// trailing "(suosdei)" after a Khmer word
+const ROMAN_RE = /\s*\(([A-Za-z][A-Za-z' -]*)\)\s*$/;
+
+function count(re, s) {
+  return (s.match(re) || []).length;
+}
+
+export function isKhmerText(s) {
+  if (!s) return false;
+  return count(KHMER_CHAR, s) > count(LATIN_CHAR, s);
+}
+
+function splitSpeaker(line) {
+  const m = line.match(SPEAKER_RE);
+  if (!m) return { text: line.trim() };
+  const label = m[1].trim();
+  // a real label is a short name, not the first half of a sentence
+  if (label.split(/\s+/).length > 3 || /[.!?។]$/.test(label)) return { text: line.trim() };
+  return { speaker: label, text: m[2].trim() };
+}
+
+function splitRoman(km) {
+  const m = km.match(ROMAN_RE);
+  if (!m) return { km: km.trim() };
+  return { km: km.slice(0, m.index).trim(), roman: m[1].trim() };
+}
+
+function parseInlinePairs(line) {
+  // legacy demo format: "សួស្តី (suosdei) – Hello | ជំរាបសួរ (chomreabsuor) – Formal hello"
+  const parts = line.split(/\s+\|\s+/);
+  const out = [];
+  for (const part of parts) {
+    const m = part.match(INLINE_PAIR_RE);
+    if (!m) return null;
+    out.push({ ...splitRoman(m[1]), en: m[2].trim() });
+  }
+  return out;
+}
+
+function clean(line) {
+  /** @type{TranscriptLine} */
+  const out = {};
+  for (const k of ["speaker", "speakerEn", "km", "roman", "en"]) {
+    if (line[k]) out[k] = line[k];
+  }
+  return out;
+}
+
+/**
+ * Parse a legacy transcript string into speaker-attributed lines.
+ * @param {string} text
+ * @returns {TranscriptLine[]}
+ */
+export function parseTranscript(text) {
+  if (!text || typeof text !== "string") return [];
+  /** @type{TranscriptLine[]} */
+  const lines = [];
+  /** @type{TranscriptLine|null} */
+  let cur = null;
+  const flush = () => {
+    if (cur && (cur.km || cur.en)) lines.push(clean(cur));
+    cur = null;
+  };
+
+  for (const raw of text.replace(/\r\n?/g, "\n").split("\n")) {
+    const line = raw.trim();
+    if (!line) { flush(); continue; }
+
+    const pairs = parseInlinePairs(line);
+    if (pairs) { flush(); lines.push(...pairs.map(clean)); continue; }
+
+    if (isKhmerText(line)) {
+      flush();
+      const { speaker, text: body } = splitSpeaker(line);
+      cur = { speaker, ...splitRoman(body) };
+    } else {
+      const { speaker, text: body } = splitSpeaker(line);
+      if (cur && !cur.en) {
+        cur.speakerEn = speaker;
+        cur.en = body;
+      } else {
+        flush();
+        cur = { speakerEn: speaker, en: body };
+      }
+    }
+  }
+  flush();
+  return lines;
+}
+
+/**
+ * Inverse of parseTranscript: back to the "Khmer\nEnglish\n\n" string format.
+ * @param {TranscriptLine[]} lines
+ */
+export function serializeTranscript(lines) {
+  return (lines || [])
+    .map((L) => {
+      const km = L.km ? `${L.speaker ? `${L.speaker}៖ ` : ""}${L.km}${L.roman ? ` (${L.roman})` : ""}` : "";
+      const en = L.en ? `${L.speakerEn ? `${L.speakerEn}: ` : ""}${L.en}` : "";
+      return [km, en].filter(Boolean).join("\n");
+    })
+    .join("\n\n");
+}
+
+/**
+ * Backward-compatible migration: fill `dialogue` from the legacy string and
+ * `transcript` from `dialogue`, so either format can be stored.
+ * @template {{ transcript?: string; dialogue?: TranscriptLine[] }} T
+ * @param {T} lesson
+ * @returns {T}
+ */
+export function migrateTranscript(lesson) {
+  if (!lesson) return lesson;
+  const hasDialogue = Array.isArray(lesson.dialogue) && lesson.dialogue.length > 0;
+  if (hasDialogue && !lesson.transcript) {
+    return { ...lesson, transcript: serializeTranscript(lesson.dialogue) };
+  }
+  if (!hasDialogue && lesson.transcript) {
+    return { ...lesson, dialogue: parseTranscript(lesson.transcript) };
+  }
+  return lesson;
+}
@@ -0,0 +1,161 @@
+// src/lib/vocabulary.js
+import { isKhmerText } from "./transcript.js";
+
+/**
+ * Structured vocabulary.
+ * - Legacy lessons keep `vocabulary` as free text ("- អគារ : Building").
+ * - `words` is the structured list; migrateVocabulary derives one from the
+ *   other, the same way migrateTranscript does for `dialogue`.
+ *
+ * Authoring format (one word per line, everything but Khmer/English optional):
+ *   - សួស្តី (suosdei) : Hello [interjection] /audio/words/suosdei.mp3
+ */
+
+/** @typedef {{
+ *  km: string;        // Khmer headword
+ *  roman?: string;    // romanization
+ *  en: string;        // English meaning
+ *  pos?: string;      // part of speech, e.g. "noun"
+ *  audioUrl?: string; // optional pronunciation clip
+ * }} VocabItem
+ */
+
+// Section headers used in our lessons ("Nouns:", "Adjectives:") double as part of speech
+const POS_HEADERS = {
+  noun: "noun", nouns: "noun",
+  verb: "verb", verbs: "verb",
+  adjective: "adjective", adjectives: "adjective",
+  adverb: "adverb", adverbs: "adverb",
+  pronoun: "pronoun", pronouns: "pronoun",
+  preposition: "preposition", prepositions: "preposition",
+  conjunction: "conjunction", conjunctions: "conjunction",
+  particle: "particle", particles: "particle",
+  interjection: "interjection", interjections: "interjection",
+  phrase: "phrase", phrases: "phrase",
+};
+
+const BULLET_RE = /^\s*(?:[-•*]|\d+[.)])\s*/;
+// spaced " : " first so a stray colon inside a Khmer word ("សិល្ប:") is not the separator
+const SEPARATORS = [/\s+:\s+/, /\s*=\s*/, /\s+[–—-]\s+/, /\s*[:៖]\s*/];
+const ROMAN_RE = /\s*\(([A-Za-z][A-Za-z' -]*)\)\s*$/;
+const POS_RE = /\s*\[([A-Za-z. ]+)\]\s*/;
+const AUDIO_RE = /\s+((?:https?:\/\/|\.?\/)\S+\.(?:mp3|m4a|ogg|wav|webm)(?:\?\S*)?)\s*$/i;
+
+function splitEntry(line) {
+  for (const sep of SEPARATORS) {
+    const m = line.match(sep);
+    if (!m) continue;
+    const left = line.slice(0, m.index).trim();
+    const right = line.slice(m.index + m[0].length).trim();
+    if (left && right && isKhmerText(left.replace(ROMAN_RE, ""))) return { left, right };
+  }
+  return null;
+}
+
+function toItem(left, right, sectionPos) {
+  if (!/[A-Za-z]/.test(right)) return null; // "សួនសត្វ = សួន + សត្វ" is a breakdown, not a meaning
+  /** @type{VocabItem} */
+  const item = { km: left, en: right };
+  const r = left.match(ROMAN_RE);
+  if (r) { item.km = left.slice(0, r.index).trim(); item.roman = r[1].trim(); }
+  const a = item.en.match(AUDIO_RE);
+  if (a) { item.audioUrl = a[1]; item.en = item.en.slice(0, a.index).trim(); }
+  const p = item.en.match(POS_RE);
+  if (p) { item.pos = p[1].trim().toLowerCase(); item.en = item.en.replace(POS_RE, " ").trim(); }
+  else if (sectionPos) item.pos = sectionPos;
+  return item.km && item.en ? item : null;
+}
+
+/**
+ * Parse the legacy free-text vocabulary into items.
+ * @param {string} text
+ * @returns {VocabItem[]}
+ */
+export function parseVocabulary(text) {
+  if (!text || typeof text !== "string") return [];
+  /** @type{VocabItem[]} */
+  const out = [];
+  const seen = new Set();
+  let sectionPos;
+  /** @type{{ km: string; notes: string[]; pos?: string }|null} */
+  let pending = null; // Khmer headword whose meaning follows as sub-bullets
+
+  const finishPending = () => {
+    if (pending?.notes.length) {
+      const item = toItem(pending.km, pending.notes.join("; "), pending.pos);
+      if (item && !seen.has(item.km)) { seen.add(item.km); out.push(item); }
+    }
+    pending = null;
+  };
+
+  for (const raw of text.replace(/\r\n?/g, "\n").split("\n")) {
+    if (!raw.trim()) continue;
+    const indented = /^\s{2,}\S/.test(raw) && !/^\t/.test(raw);
+    const isBullet = BULLET_RE.test(raw);
+    const line = raw.replace(BULLET_RE, "").trim();
+
+    // "Nouns:" section header
+    const header = !isBullet && line.match(/^([A-Za-z ]+):$/);
+    if (header) {
+      finishPending();
+      sectionPos = POS_HEADERS[header[1].trim().toLowerCase()];
+      continue;
+    }
+
+    if (pending && indented && !isKhmerText(line)) {
+      pending.notes.push(line);
+      continue;
+    }
+
+    const entry = splitEntry(line);
+    if (indented && entry) {
+      // "   - សាច់ = meat" – a component of the word above; still worth learning
+      const item = toItem(entry.left, entry.right, undefined);
+      if (item && !seen.has(item.km)) { seen.add(item.km); out.push(item); }
+      continue;
+    }
+
+    finishPending();
+    if (!isBullet) continue; // tips and examples between the entries
+    if (entry) {
+      const item = toItem(entry.left, entry.right, sectionPos);
+      if (item && !seen.has(item.km)) { seen.add(item.km); out.push(item); }
+    } else if (isKhmerText(line)) {
+      pending = { km: line, notes: [], pos: sectionPos };
+    }
+  }
+  finishPending();
+  return out;
+}
+
+/**
+ * Back to the authoring text format.
+ * @param {VocabItem[]} items
+ */
+export function serializeVocabulary(items) {
+  return (items || [])
+    .map((w) => {
+      const left = `${w.km}${w.roman ? ` (${w.roman})` : ""}`;
+      const right = `${w.en}${w.pos ? ` [${w.pos}]` : ""}${w.audioUrl ? ` ${w.audioUrl}` : ""}`;
+      return `- ${left} : ${right}`;
+    })
+    .join("\n");
+}
+
+/**
+ * Backward-compatible migration between `vocabulary` text and `words`.
+ * @template {{ vocabulary?: string; words?: VocabItem[] }} T
+ * @param {T} lesson
+ * @returns {T}
+ */
+export function migrateVocabulary(lesson) {
+  if (!lesson) return lesson;
+  const hasWords = Array.isArray(lesson.words) && lesson.words.length > 0;
+  if (hasWords && !lesson.vocabulary) {
+    return { ...lesson, vocabulary: serializeVocabulary(lesson.words) };
+  }
+  if (!hasWords && lesson.vocabulary) {
+    return { ...lesson, words: parseVocabulary(lesson.vocabulary) };
+  }
+  return lesson;
+}
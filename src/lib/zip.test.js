@@ -0,0 +1,81 @@
+// src/lib/zip.test.js
+import { describe, expect, it } from "vitest";
+import { zipStored } from "./zip.js";
+
+/** The entries as the central directory lists them, checked against their local headers. */
+function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const dec = new TextDecoder();
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  expect(view.getUint16(end + 8, true)).toBe(count);
+  const size = view.getUint32(end + 12, true);
+  const start = view.getUint32(end + 16, true);
+  expect(start + size).toBe(end);
+
+  const entries = [];
+  for (let at = start, i = 0; i < count; i++) {
+    expect(view.getUint32(at, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(at + 28, true);
+    const offset = view.getUint32(at + 42, true);
+    const entry = {
+      name: dec.decode(bytes.subarray(at + 46, at + 46 + nameLength)),
+      flags: view.getUint16(at + 8, true),
+      method: view.getUint16(at + 10, true),
+      crc: view.getUint32(at + 16, true),
+      size: view.getUint32(at + 24, true),
+      offset,
+    };
+    expect(view.getUint32(offset, true)).toBe(0x04034b50);
+    expect(view.getUint32(offset + 14, true)).toBe(entry.crc);
+    expect(view.getUint16(offset + 26, true)).toBe(nameLength);
+    const dataAt = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+    entry.data = bytes.subarray(dataAt, dataAt + entry.size);
+    entries.push(entry);
+    at += 46 + nameLength + view.getUint16(at + 30, true) + view.getUint16(at + 32, true);
+  }
+  return entries;
+}
+
+describe("zipStored", () => {
+  it("writes the standard CRC-32", () => {
+    const [a, empty] = readZip(zipStored([{ name: "a.txt", data: "123456789" }, { name: "empty", data: "" }]));
+    expect(a.crc).toBe(0xcbf43926);
+    expect(empty.crc).toBe(0);
+  });
+
+  it("lists every file, in order, in the central directory", () => {
+    const files = [
+      { name: "mimetype", data: "application/epub+zip" },
+      { name: "dir/bytes.bin", data: new Uint8Array([0, 1, 2, 255]) },
+      { name: "សួស្តី.txt", data: "សួស្តី" },
+    ];
+    const entries = readZip(zipStored(files));
+    expect(entries.map((e) => e.name)).toEqual(files.map((f) => f.name));
+    expect(entries.every((e) => e.method === 0)).toBe(true); // stored
+    expect(entries[0].offset).toBe(0);
+    expect(new TextDecoder().decode(entries[0].data)).toBe("application/epub+zip");
+    expect([...entries[1].data]).toEqual([0, 1, 2, 255]);
+    expect(new TextDecoder().decode(entries[2].data)).toBe("សួស្តី");
+  });
+
+  it("flags UTF-8 names only", () => {
+    const [ascii, khmer] = readZip(zipStored([{ name: "a.txt", data: "" }, { name: "ក.txt", data: "" }]));
+    expect(ascii.flags & 0x800).toBe(0);
+    expect(khmer.flags & 0x800).toBe(0x800);
+  });
+
+  it("stores the modification time in DOS format", () => {
+    const zip = zipStored([{ name: "a", data: "" }], new Date(2024, 2, 15, 13, 45, 30));
+    const view = new DataView(zip.buffer);
+    expect(view.getUint16(10, true)).toBe((13 << 11) | (45 << 5) | 15);
+    expect(view.getUint16(12, true)).toBe(((2024 - 1980) << 9) | (3 << 5) | 15);
+  });
+
+  it("writes an empty archive as just the end record", () => {
+    const zip = zipStored([]);
+    expect(zip).toHaveLength(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});
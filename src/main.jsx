@@ -2,5 +2,7 @@
 import React from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import { registerServiceWorker } from './lib/offline.js'
 
 createRoot(document.getElementById('root')).render(<App />)
+registerServiceWorker()
@@ -0,0 +1,92 @@
+// src/sw.js
+// Service worker: app shell precache + offline lesson packs (see src/lib/offline.js).
+// - The build (vite.config.js) emits this file as dist/sw.js with PRECACHE,
+//   the list of built files, prepended; so every build is a new worker and
+//   its shell is cached on install.
+// - lessons.json, curriculum.json: network first, cached copy when offline.
+// - Lesson packs are put in PACK_CACHE by the page; anything found there is
+//   served from the cache, with Range support so audio can seek offline.
+
+/* global PRECACHE */
+const SHELL_PREFIX = "khmer-shell-";
+const PACK_CACHE = "khmer-packs-v1";
+const DATA_CACHE = "khmer-data-v1";
+// loaded from index.html; styling is lost offline without it
+const EXTERNAL = ["https://cdn.tailwindcss.com"];
+
+const scope = new URL(self.registration.scope);
+const url = (p) => new URL(p, scope).href;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_PREFIX + PRECACHE.version);
+    await cache.addAll(PRECACHE.files.map(url));
+    await cache.addAll(EXTERNAL).catch(() => {});
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = new Set([PACK_CACHE, DATA_CACHE, SHELL_PREFIX + PRECACHE.version]);
+    const names = await caches.keys();
+    await Promise.all(names.filter((n) => !keep.has(n)).map((n) => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+async function fromCacheWithRange(request, cached) {
+  const range = request.headers.get("range");
+  if (!range || cached.status !== 200) return cached;
+  const m = /bytes=(\d*)-(\d*)/.exec(range);
+  if (!m) return cached;
+  const blob = await cached.blob();
+  const start = m[1] ? Number(m[1]) : Math.max(0, blob.size - Number(m[2]));
+  const end = m[1] && m[2] ? Math.min(Number(m[2]), blob.size - 1) : blob.size - 1;
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    statusText: "Partial Content",
+    headers: {
+      "Content-Type": cached.headers.get("Content-Type") || "application/octet-stream",
+      "Content-Range": `bytes ${start}-${end}/${blob.size}`,
+      "Content-Length": String(end - start + 1),
+    },
+  });
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(DATA_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request.url.split("?")[0], res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request.url.split("?")[0]);
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const u = new URL(request.url);
+  const sameOrigin = u.origin === scope.origin;
+  // leave Firebase and other API traffic alone
+  if (!sameOrigin && !["audio", "script", "style", "font"].includes(request.destination)) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(fetch(request).catch(async () => (await caches.match(url("./"))) || (await caches.match(url("index.html")))));
+    return;
+  }
+  if (sameOrigin && /\/(lessons|curriculum)\.json$/.test(u.pathname)) {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+  event.respondWith((async () => {
+    const pack = await caches.open(PACK_CACHE);
+    const cached = (await pack.match(request)) || (await caches.match(request));
+    if (cached) return fromCacheWithRange(request, cached);
+    return fetch(request);
+  })());
+});
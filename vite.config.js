@@ -1,8 +1,27 @@
 // vite.config.js
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { readFileSync } from 'node:fs'
+
+// Emits dist/sw.js: src/sw.js with the list of built files to precache.
+// The list changes with every build, so browsers pick up the new worker.
+function serviceWorker() {
+  return {
+    name: 'service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle).filter((f) => f !== 'index.html' && !f.endsWith('.map'))
+      const files = ['./', 'manifest.webmanifest', 'icon.svg', ...built]
+      const version = createHash('sha1').update(files.join('\n')).digest('hex').slice(0, 10)
+      const source = `const PRECACHE = ${JSON.stringify({ version, files })};\n` + readFileSync('src/sw.js', 'utf8')
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/Khmer-Language-Learner/' // exact repo name, case-sensitive
 })